@@ -9,16 +9,25 @@ import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 
 // Import providers and navigation
+import { ServerProvider } from './src/context/ServerContext';
 import { AuthProvider } from './src/context/AuthContext';
+import { OfflineSyncProvider } from './src/context/OfflineSyncContext';
+import { KioskProvider } from './src/context/KioskContext';
 import AppNavigator from './src/navigation/AppNavigator';
 
 export default function App() {
   return (
     <SafeAreaProvider>
-      <AuthProvider>
-        <AppNavigator />
-        <StatusBar style="light" />
-      </AuthProvider>
+      <ServerProvider>
+        <AuthProvider>
+          <OfflineSyncProvider>
+            <KioskProvider>
+              <AppNavigator />
+              <StatusBar style="light" />
+            </KioskProvider>
+          </OfflineSyncProvider>
+        </AuthProvider>
+      </ServerProvider>
     </SafeAreaProvider>
   );
 }
@@ -0,0 +1,266 @@
+// src/components/AttendanceEditSheet.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Bottom sheet for a day that is already marked: change its status or
+ * delete it. `options` is a list of { value, label, color }; approved
+ * leave is shown but cannot be changed here.
+ */
+const AttendanceEditSheet = ({
+  visible,
+  title,
+  record,
+  options,
+  canEdit = false,
+  canDelete = false,
+  busy = false,
+  onSave,
+  onDelete,
+  onClose,
+}) => {
+  const [status, setStatus] = useState(record?.status || null);
+
+  // Start from the saved status every time a record is opened
+  useEffect(() => {
+    setStatus(record?.status || null);
+  }, [record]);
+
+  if (!record) return null;
+
+  const isLeave = record.status === 'LEAVE';
+  const current = options.find(option => option.value === record.status);
+  const markedAt = record.markedAt || record.createdAt;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={busy ? undefined : onClose} />
+      <View style={styles.sheet}>
+        <View style={styles.handle} />
+
+        <View style={styles.headerRow}>
+          <Text style={styles.title}>{title}</Text>
+          <TouchableOpacity onPress={onClose} disabled={busy} style={styles.closeButton}>
+            <Ionicons name="close" size={22} color="#546E7A" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.currentRow}>
+          <View
+            style={[
+              styles.currentPill,
+              { backgroundColor: `${current?.color || '#00897B'}15` },
+            ]}
+          >
+            <Text style={[styles.currentText, { color: current?.color || '#00897B' }]}>
+              {record.status.replace('_', ' ')}
+            </Text>
+          </View>
+          {markedAt && (
+            <Text style={styles.metaText}>
+              Marked {new Date(markedAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+              })}
+            </Text>
+          )}
+        </View>
+        {record.siteName ? <Text style={styles.metaText}>At {record.siteName}</Text> : null}
+
+        {isLeave ? (
+          <Text style={styles.note}>
+            This day is approved leave. Change it from the leave request instead.
+          </Text>
+        ) : canEdit ? (
+          <View style={styles.optionRow}>
+            {options.map(option => {
+              const selected = status === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[
+                    styles.optionButton,
+                    { borderColor: option.color },
+                    selected && { backgroundColor: option.color },
+                  ]}
+                  onPress={() => setStatus(option.value)}
+                  disabled={busy}
+                  activeOpacity={0.85}
+                >
+                  <Text style={[styles.optionText, { color: selected ? '#FFFFFF' : option.color }]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ) : (
+          <Text style={styles.note}>You can view this record but not change it.</Text>
+        )}
+
+        {busy ? (
+          <View style={styles.busyRow}>
+            <ActivityIndicator color="#2196F3" />
+            <Text style={styles.busyText}>Saving...</Text>
+          </View>
+        ) : (
+          !isLeave && (
+            <View style={styles.actionRow}>
+              {canDelete && (
+                <TouchableOpacity style={styles.deleteButton} onPress={onDelete} activeOpacity={0.85}>
+                  <Ionicons name="trash-outline" size={18} color="#C62828" />
+                  <Text style={styles.deleteText}>Delete</Text>
+                </TouchableOpacity>
+              )}
+              {canEdit && (
+                <TouchableOpacity
+                  style={[styles.saveButton, status === record.status && styles.saveButtonDisabled]}
+                  onPress={() => onSave(status)}
+                  disabled={status === record.status}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.saveText}>Save change</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.35)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 28,
+  },
+  handle: {
+    alignSelf: 'center',
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#CFD8DC',
+    marginBottom: 10,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  closeButton: {
+    padding: 2,
+  },
+  currentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  currentPill: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 999,
+    marginRight: 10,
+  },
+  currentText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginTop: 2,
+  },
+  note: {
+    fontSize: 13,
+    color: '#607D8B',
+    marginTop: 16,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 16,
+  },
+  optionButton: {
+    flex: 1,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 999,
+    paddingVertical: 8,
+  },
+  optionText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 18,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 999,
+    backgroundColor: '#FFEBEE',
+    marginRight: 10,
+  },
+  deleteText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#C62828',
+  },
+  saveButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 999,
+    backgroundColor: '#2196F3',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#B0BEC5',
+  },
+  saveText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+  busyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 18,
+  },
+  busyText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#546E7A',
+  },
+});
+
+export default AttendanceEditSheet;
@@ -0,0 +1,109 @@
+// src/components/BulkActionBar.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Bottom bar for a multi-selection: how many rows are selected and one
+ * button per status to apply to all of them.
+ * `options` is a list of { value, label, color }.
+ */
+const BulkActionBar = ({ count, options, busy = false, onApply, onClose }) => (
+  <View style={styles.bar}>
+    <View style={styles.headerRow}>
+      <Text style={styles.countText}>
+        {count === 0 ? 'Select employees' : `${count} selected`}
+      </Text>
+      <TouchableOpacity onPress={onClose} disabled={busy} style={styles.closeButton}>
+        <Ionicons name="close" size={22} color="#546E7A" />
+      </TouchableOpacity>
+    </View>
+
+    {busy ? (
+      <View style={styles.busyRow}>
+        <ActivityIndicator color="#2196F3" />
+        <Text style={styles.busyText}>Saving {count}...</Text>
+      </View>
+    ) : (
+      <View style={styles.optionRow}>
+        {options.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[
+              styles.optionButton,
+              { backgroundColor: `${option.color}15`, borderColor: option.color },
+              count === 0 && styles.optionButtonDisabled,
+            ]}
+            onPress={() => onApply(option.value)}
+            disabled={count === 0}
+            activeOpacity={0.85}
+          >
+            <Text style={[styles.optionText, { color: option.color }]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    )}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  bar: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 16,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.18,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  countText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  closeButton: {
+    padding: 2,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  optionButton: {
+    flex: 1,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 999,
+    paddingVertical: 8,
+  },
+  optionButtonDisabled: {
+    opacity: 0.4,
+  },
+  optionText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  busyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+  },
+  busyText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#546E7A',
+  },
+});
+
+export default BulkActionBar;
@@ -0,0 +1,51 @@
+// src/components/DepartmentScopeChip.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Shows which departments a scoped admin is limited to.
+ * Read-only on purpose: the scope comes from the account and cannot be
+ * widened from the app. Renders nothing for unrestricted accounts.
+ */
+const DepartmentScopeChip = ({ style }) => {
+  const { departmentScope } = useAuth();
+
+  if (!departmentScope) return null;
+
+  const label =
+    departmentScope.length <= 2
+      ? departmentScope.join(', ')
+      : `${departmentScope.slice(0, 2).join(', ')} +${departmentScope.length - 2}`;
+
+  return (
+    <View style={[styles.chip, style]}>
+      <Ionicons name="business-outline" size={12} color="#1976D2" />
+      <Text style={styles.chipText} numberOfLines={1}>
+        {label}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#E3F2FD',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 999,
+    marginTop: 6,
+  },
+  chipText: {
+    marginLeft: 4,
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+});
+
+export default DepartmentScopeChip;
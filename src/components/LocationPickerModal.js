@@ -0,0 +1,279 @@
+// src/components/LocationPickerModal.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import MapView, { Marker, Circle } from 'react-native-maps';
+import { Ionicons } from '@expo/vector-icons';
+import { getDeviceLocation, reverseGeocode } from '../services/deviceLocation';
+
+// Shown until there is a pin or a GPS fix
+const FALLBACK_REGION = {
+  latitude: 10.0261,
+  longitude: 76.3125,
+  latitudeDelta: 0.05,
+  longitudeDelta: 0.05,
+};
+
+const PIN_DELTA = 0.005; // ~500 m across, enough to see a geofence
+
+const toRegion = ({ latitude, longitude }) => ({
+  latitude,
+  longitude,
+  latitudeDelta: PIN_DELTA,
+  longitudeDelta: PIN_DELTA,
+});
+
+/**
+ * Full-screen map for choosing a point: tap or drag the pin, or jump to
+ * the device's position. Shows the address under the pin and, when a
+ * `radius` is given, the geofence around it.
+ * With `readOnly` the pin can only be looked at.
+ */
+const LocationPickerModal = ({
+  visible,
+  title = 'Choose location',
+  initialLocation,
+  radius,
+  readOnly = false,
+  onConfirm,
+  onCancel,
+}) => {
+  const mapRef = useRef(null);
+  const [pin, setPin] = useState(null);
+  const [address, setAddress] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+
+  const moveTo = (coords) => {
+    const point = { latitude: coords.latitude, longitude: coords.longitude };
+    setPin(point);
+    mapRef.current?.animateToRegion(toRegion(point), 400);
+  };
+
+  const handleUseCurrentPosition = async () => {
+    setIsLocating(true);
+    const location = await getDeviceLocation();
+    setIsLocating(false);
+    if (location) moveTo(location);
+  };
+
+  // Start from the saved point, or from where the device is
+  useEffect(() => {
+    if (!visible) return;
+
+    const hasInitial =
+      Number.isFinite(initialLocation?.latitude) && Number.isFinite(initialLocation?.longitude);
+    if (hasInitial) {
+      moveTo(initialLocation);
+    } else {
+      setPin(null);
+      if (!readOnly) handleUseCurrentPosition();
+    }
+  }, [visible]);
+
+  useEffect(() => {
+    if (!pin) {
+      setAddress(null);
+      return undefined;
+    }
+
+    // Wait for the pin to settle before looking up the address
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await reverseGeocode(pin);
+      if (!cancelled) setAddress(result);
+    }, 500);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pin]);
+
+  const handleMapPress = (event) => {
+    if (readOnly) return;
+    setPin(event.nativeEvent.coordinate);
+  };
+
+  const handleConfirm = () => {
+    if (!pin) return;
+    onConfirm({ ...pin, address });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.screen}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onCancel} style={styles.headerButton}>
+            <Ionicons name="close" size={24} color="#37474F" />
+          </TouchableOpacity>
+          <Text style={styles.title}>{title}</Text>
+          <View style={styles.headerButton} />
+        </View>
+
+        <View style={styles.mapWrapper}>
+          <MapView
+            ref={mapRef}
+            style={styles.map}
+            initialRegion={
+              Number.isFinite(initialLocation?.latitude) ? toRegion(initialLocation) : FALLBACK_REGION
+            }
+            onPress={handleMapPress}
+            showsUserLocation
+          >
+            {pin && (
+              <Marker
+                coordinate={pin}
+                draggable={!readOnly}
+                onDragEnd={(event) => setPin(event.nativeEvent.coordinate)}
+              />
+            )}
+            {pin && radius > 0 && (
+              <Circle
+                center={pin}
+                radius={radius}
+                strokeColor="rgba(25, 118, 210, 0.8)"
+                fillColor="rgba(33, 150, 243, 0.15)"
+              />
+            )}
+          </MapView>
+
+          {!readOnly && (
+            <TouchableOpacity
+              style={styles.locateButton}
+              onPress={handleUseCurrentPosition}
+              disabled={isLocating}
+              activeOpacity={0.9}
+            >
+              {isLocating ? (
+                <ActivityIndicator size="small" color="#1976D2" />
+              ) : (
+                <Ionicons name="locate" size={22} color="#1976D2" />
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <View style={styles.footer}>
+          {pin ? (
+            <>
+              <Text style={styles.address} numberOfLines={2}>
+                {address || 'Looking up address...'}
+              </Text>
+              <Text style={styles.coordinates}>
+                Lat {pin.latitude.toFixed(6)} • Lng {pin.longitude.toFixed(6)}
+                {radius > 0 ? `  •  ${radius} m geofence` : ''}
+              </Text>
+            </>
+          ) : (
+            <Text style={styles.hint}>
+              {readOnly ? 'No location recorded.' : 'Tap the map to drop a pin.'}
+            </Text>
+          )}
+
+          {!readOnly && (
+            <TouchableOpacity
+              style={[styles.confirmButton, !pin && styles.confirmButtonDisabled]}
+              onPress={handleConfirm}
+              disabled={!pin}
+              activeOpacity={0.9}
+            >
+              <Text style={styles.confirmButtonText}>Use this location</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 48,
+    paddingHorizontal: 12,
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECEFF1',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  mapWrapper: {
+    flex: 1,
+  },
+  map: {
+    flex: 1,
+  },
+  locateButton: {
+    position: 'absolute',
+    right: 16,
+    bottom: 16,
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#FFFFFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 4,
+  },
+  footer: {
+    padding: 16,
+    paddingBottom: 32,
+    borderTopWidth: 1,
+    borderTopColor: '#ECEFF1',
+  },
+  address: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  coordinates: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#78909C',
+  },
+  confirmButton: {
+    marginTop: 14,
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  confirmButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  confirmButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default LocationPickerModal;
@@ -0,0 +1,177 @@
+// src/components/PinPadModal.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { KIOSK_PIN_LENGTH } from '../services/kioskLock';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'cancel', '0', 'back'];
+
+/**
+ * Full-screen numeric PIN pad. Submits as soon as the last digit is
+ * entered; the parent shows any error through the `error` prop.
+ */
+const PinPadModal = ({ visible, title, subtitle, error, onSubmit, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  // Start empty every time the pad is opened or the prompt changes
+  useEffect(() => {
+    setPin('');
+  }, [visible, title]);
+
+  const handleDigit = async (digit) => {
+    if (isChecking || pin.length >= KIOSK_PIN_LENGTH) return;
+
+    const next = pin + digit;
+    setPin(next);
+    if (next.length < KIOSK_PIN_LENGTH) return;
+
+    setIsChecking(true);
+    try {
+      await onSubmit(next);
+    } finally {
+      setIsChecking(false);
+      setPin('');
+    }
+  };
+
+  const renderKey = (key) => {
+    if (key === 'cancel') {
+      return (
+        <TouchableOpacity key={key} style={styles.key} onPress={onCancel}>
+          <Text style={styles.keyAction}>Cancel</Text>
+        </TouchableOpacity>
+      );
+    }
+    if (key === 'back') {
+      return (
+        <TouchableOpacity key={key} style={styles.key} onPress={() => setPin(pin.slice(0, -1))}>
+          <Ionicons name="backspace-outline" size={26} color="#37474F" />
+        </TouchableOpacity>
+      );
+    }
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[styles.key, styles.digitKey]}
+        onPress={() => handleDigit(key)}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.keyText}>{key}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.screen}>
+        <Ionicons name="lock-closed" size={36} color="#1976D2" />
+        <Text style={styles.title}>{title}</Text>
+        {subtitle && <Text style={styles.subtitle}>{subtitle}</Text>}
+
+        <View style={styles.dots}>
+          {Array.from({ length: KIOSK_PIN_LENGTH }, (_, i) => (
+            <View key={i} style={[styles.dot, i < pin.length && styles.dotFilled]} />
+          ))}
+        </View>
+
+        <View style={styles.status}>
+          {isChecking ? (
+            <ActivityIndicator color="#1976D2" />
+          ) : (
+            error && <Text style={styles.errorText}>{error}</Text>
+          )}
+        </View>
+
+        <View style={styles.pad}>{KEYS.map(renderKey)}</View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  title: {
+    marginTop: 12,
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  subtitle: {
+    marginTop: 6,
+    fontSize: 13,
+    color: '#78909C',
+    textAlign: 'center',
+  },
+  dots: {
+    flexDirection: 'row',
+    marginTop: 24,
+    gap: 14,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: '#1976D2',
+  },
+  dotFilled: {
+    backgroundColor: '#1976D2',
+  },
+  status: {
+    height: 36,
+    justifyContent: 'center',
+  },
+  errorText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#E53935',
+  },
+  pad: {
+    width: 270,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    rowGap: 14,
+  },
+  key: {
+    width: 76,
+    height: 76,
+    borderRadius: 38,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  digitKey: {
+    backgroundColor: '#FFFFFF',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  keyText: {
+    fontSize: 26,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  keyAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#E53935',
+  },
+});
+
+export default PinPadModal;
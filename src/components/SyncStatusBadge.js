@@ -0,0 +1,100 @@
+// src/components/SyncStatusBadge.js
+import React from 'react';
+import { Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { useOfflineSync } from '../context/OfflineSyncContext';
+import { SYNC_STATUS } from '../services/offlineQueue';
+
+const BADGES = {
+  [SYNC_STATUS.PENDING]: {
+    label: 'Pending sync',
+    icon: 'cloud-upload-outline',
+    color: '#FB8C00',
+  },
+  [SYNC_STATUS.SYNCED]: {
+    label: 'Synced',
+    icon: 'cloud-done-outline',
+    color: '#43A047',
+  },
+  [SYNC_STATUS.FAILED]: {
+    label: 'Sync failed',
+    icon: 'cloud-offline-outline',
+    color: '#E53935',
+  },
+  [SYNC_STATUS.CONFLICT]: {
+    label: 'Conflict',
+    icon: 'git-compare-outline',
+    color: '#8E24AA',
+  },
+};
+
+/**
+ * Small pill showing the offline sync state of an attendance record.
+ * Renders nothing for records that never went through the offline queue.
+ * Tapping a failed badge offers retry / discard, tapping a conflict opens
+ * the conflict review screen.
+ */
+const SyncStatusBadge = ({ entry, style }) => {
+  const { retry, discard } = useOfflineSync();
+  const navigation = useNavigation();
+
+  if (!entry || !BADGES[entry.status]) return null;
+
+  const badge = BADGES[entry.status];
+  const isFailed = entry.status === SYNC_STATUS.FAILED;
+  const isConflict = entry.status === SYNC_STATUS.CONFLICT;
+
+  const handlePress = () => {
+    if (isConflict) {
+      navigation.navigate('AttendanceConflicts', { entryId: entry.id });
+      return;
+    }
+
+    Alert.alert(
+      'Sync failed',
+      entry.lastError || 'The server rejected this change.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => discard(entry.id),
+        },
+        { text: 'Retry', onPress: () => retry(entry.id) },
+      ]
+    );
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, { backgroundColor: `${badge.color}15` }, style]}
+      onPress={handlePress}
+      disabled={!isFailed && !isConflict}
+      activeOpacity={0.8}
+    >
+      <Ionicons name={badge.icon} size={12} color={badge.color} />
+      <Text style={[styles.badgeText, { color: badge.color }]}>
+        {badge.label}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 999,
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+});
+
+export default SyncStatusBadge;
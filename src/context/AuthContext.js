@@ -1,7 +1,23 @@
 // src/context/AuthContext.js - FIXED VERSION
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../services/api';
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
+import { authAPI, setSessionExpiredHandler } from '../services/api';
+import secureStorage from '../services/secureStorage';
+import {
+  getToken,
+  getUserData,
+  saveUserData,
+  saveSession,
+  clearAuth,
+} from '../services/auth';
+import { useServer } from './ServerContext';
+import {
+  resolvePermissions,
+  setPermissions as setCurrentPermissions,
+  hasPermission,
+} from '../services/permissions';
+import { resolveDepartmentScope, setDepartmentScope } from '../services/departmentScope';
+import { setQueueScope } from '../services/offlineQueue';
 
 const AuthContext = createContext({});
 
@@ -9,19 +25,84 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [permissions, setPermissions] = useState([]);
+  const [departmentScope, setDepartmentScopeState] = useState(null);
+
+  const { activeProfile, isLoading: isServerLoading } = useServer();
+  // Two profiles with the same URL share one session
+  const serverURL = activeProfile?.baseURL;
+  const previousServerURL = useRef(serverURL);
 
   useEffect(() => {
-    checkAuthStatus();
+    secureStorage.rotateKeyIfDue();
   }, []);
 
+  // Check the saved session once the server is known. Tokens belong to
+  // one server, so switching to another one signs the user out.
+  useEffect(() => {
+    if (isServerLoading) return;
+
+    if (previousServerURL.current && previousServerURL.current !== serverURL) {
+      console.log('🌐 Server changed, signing out');
+      logout();
+    } else {
+      checkAuthStatus();
+    }
+    previousServerURL.current = serverURL;
+  }, [isServerLoading, serverURL]);
+
+  // Let the axios interceptor sign us out when a token refresh fails
+  useEffect(() => {
+    setSessionExpiredHandler(logout);
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  // Stored credentials failed their integrity check: drop the session
+  useEffect(() => secureStorage.onTamper(({ wiped }) => {
+    console.warn('⚠️ Encrypted storage tampered, signing out');
+    applyUser(null);
+    setIsAuthenticated(false);
+    if (wiped) {
+      Alert.alert(
+        'Signed out',
+        'Stored data on this device failed a security check and was cleared. Please log in again.'
+      );
+    }
+  }), []);
+
+  // Keep the API layer's permissions, department scope and offline queue
+  // in step with the signed-in user
+  const applyUser = (userObj) => {
+    setQueueScope(
+      userObj && activeProfile
+        ? `${activeProfile.baseURL}|${userObj.id || userObj.username}`
+        : null
+    );
+
+    const resolved = resolvePermissions(userObj);
+    setCurrentPermissions(resolved);
+    setPermissions(resolved);
+
+    const scope = resolveDepartmentScope(userObj);
+    setDepartmentScope(scope);
+    setDepartmentScopeState(scope);
+
+    setUser(userObj);
+  };
+
   const checkAuthStatus = async () => {
     try {
       console.log('🔍 Checking auth status...');
-      const token = await AsyncStorage.getItem('token');
-      const savedUser = await AsyncStorage.getItem('user');
+      if (!activeProfile) {
+        console.log('ℹ️ No server configured, skipping session check');
+        return;
+      }
+
+      const token = await getToken();
+      const savedUser = await getUserData();
 
       console.log('🔍 Token exists:', !!token);
-      console.log('🔍 Saved user:', savedUser);
+      console.log('🔍 Saved user:', savedUser?.username);
 
       if (token && savedUser) {
         try {
@@ -29,7 +110,7 @@ export const AuthProvider = ({ children }) => {
           console.log('✅ Token verification response:', response);
           
           if (response.success) {
-            const userObj = JSON.parse(savedUser);
+            const userObj = { ...savedUser };
             
             if (!userObj.role) {
               console.warn('⚠️ User object missing role, setting default');
@@ -37,18 +118,38 @@ export const AuthProvider = ({ children }) => {
             }
             
             userObj.role = String(userObj.role).toLowerCase().trim();
+
+            // Permissions and departments may have changed since the last login
+            const freshPermissions = response.user?.permissions || response.permissions;
+            const freshDepartments = response.user?.departments;
+            if (Array.isArray(freshPermissions) || Array.isArray(freshDepartments)) {
+              if (Array.isArray(freshPermissions)) userObj.permissions = freshPermissions;
+              if (Array.isArray(freshDepartments)) userObj.departments = freshDepartments;
+              await saveUserData(userObj);
+            }
             
             console.log('✅ Setting user:', JSON.stringify(userObj, null, 2));
             
-            setUser(userObj);
+            applyUser(userObj);
             setIsAuthenticated(true);
           } else {
             console.warn('⚠️ Token invalid, logging out');
             await logout();
           }
         } catch (error) {
-          console.error('❌ Token verification failed:', error);
-          await logout();
+          // Only the server turning the session down signs the user out.
+          // Offline (or a server error) the cached user carries on, so
+          // marks can still be queued on this device.
+          const rejected =
+            error.sessionExpired || [401, 403].includes(error.response?.status);
+          if (rejected) {
+            console.error('❌ Token verification failed:', error);
+            await logout();
+          } else {
+            console.warn('⚠️ Could not verify token, using saved session:', error.message);
+            applyUser({ ...savedUser, role: String(savedUser.role || 'admin').toLowerCase().trim() });
+            setIsAuthenticated(true);
+          }
         }
       } else {
         console.log('ℹ️ No saved credentials found');
@@ -71,9 +172,6 @@ export const AuthProvider = ({ children }) => {
       console.log('📥 Login response:', JSON.stringify(response, null, 2));
 
       if (response.success && response.token) {
-        await AsyncStorage.setItem('token', response.token);
-        console.log('✅ Token saved');
-
         const userObj = {
           username: response.user?.username || username,
           role: response.user?.role 
@@ -82,14 +180,19 @@ export const AuthProvider = ({ children }) => {
           id: response.user?.id,
           fullName: response.user?.fullName,
           email: response.user?.email,
+          permissions: response.user?.permissions || response.permissions,
+          departments: response.user?.departments,
         };
 
         console.log('✅ Created user object:', JSON.stringify(userObj, null, 2));
 
-        await AsyncStorage.setItem('user', JSON.stringify(userObj));
-        console.log('✅ User data saved');
+        await saveSession({
+          token: response.token,
+          refreshToken: response.refreshToken,
+          user: userObj,
+        });
 
-        setUser(userObj);
+        applyUser(userObj);
         setIsAuthenticated(true);
 
         return { success: true };
@@ -112,9 +215,8 @@ export const AuthProvider = ({ children }) => {
   const logout = async () => {
     try {
       console.log('👋 Logging out...');
-      await AsyncStorage.removeItem('token');
-      await AsyncStorage.removeItem('user');
-      setUser(null);
+      await clearAuth();
+      applyUser(null);
       setIsAuthenticated(false);
       console.log('✅ Logout complete');
     } catch (error) {
@@ -122,8 +224,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Check a permission for the signed-in user, e.g. can('attendance.delete')
+   */
+  const can = (permission) => hasPermission(permissions, permission);
+
   const value = {
     user,
+    permissions,
+    can,
+    departmentScope,
     isAuthenticated,
     isLoading,
     login,
@@ -0,0 +1,92 @@
+// src/context/KioskContext.js
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { authAPI } from '../services/api';
+import secureStorage from '../services/secureStorage';
+import {
+  isKioskActive as loadKioskActive,
+  setKioskActive,
+  verifyKioskPin,
+} from '../services/kioskLock';
+import { useAuth } from './AuthContext';
+
+const KioskContext = createContext({});
+
+// Ping the server while locked so the admin session is refreshed in time
+const KEEP_ALIVE_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Kiosk mode: the device shows only the punch screen until an admin
+ * exits with the kiosk PIN. The admin stays signed in underneath.
+ */
+export const KioskProvider = ({ children }) => {
+  const [isKioskActive, setIsKioskActive] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const { isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    loadKioskActive()
+      .then(setIsKioskActive)
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // A wipe takes the PIN with it; stay locked only if it is still there
+  useEffect(() => secureStorage.onTamper(() => {
+    loadKioskActive().then(setIsKioskActive);
+  }), []);
+
+  // Nobody is using the app interactively, so keep the token fresh here.
+  // The API client refreshes an expired token on the 401.
+  useEffect(() => {
+    if (!isKioskActive || !isAuthenticated) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        await authAPI.verifyToken();
+      } catch (error) {
+        console.log('⚠️ Kiosk keep-alive failed:', error.message);
+      }
+    }, KEEP_ALIVE_MS);
+    return () => clearInterval(timer);
+  }, [isKioskActive, isAuthenticated]);
+
+  const enterKiosk = useCallback(async () => {
+    await setKioskActive(true);
+    setIsKioskActive(true);
+    console.log('🔒 Kiosk mode on');
+  }, []);
+
+  /**
+   * Leave kiosk mode
+   * @param {string} pin - Kiosk PIN
+   * @returns {Promise<object>} { success, message }
+   */
+  const exitKiosk = useCallback(async (pin) => {
+    const result = await verifyKioskPin(pin);
+    if (!result.success) return result;
+
+    await setKioskActive(false);
+    setIsKioskActive(false);
+    console.log('🔓 Kiosk mode off');
+    return result;
+  }, []);
+
+  const value = {
+    isKioskActive,
+    isLoading,
+    enterKiosk,
+    exitKiosk,
+  };
+
+  return <KioskContext.Provider value={value}>{children}</KioskContext.Provider>;
+};
+
+export const useKiosk = () => {
+  const context = useContext(KioskContext);
+  if (!context) {
+    throw new Error('useKiosk must be used within a KioskProvider');
+  }
+  return context;
+};
+
+export default KioskContext;
@@ -0,0 +1,128 @@
+// src/context/OfflineSyncContext.js
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import { attendanceAPI } from '../services/api';
+import {
+  subscribe,
+  retryEntry,
+  discardEntry,
+  resolveConflict,
+  findEntryForRecord,
+  SYNC_STATUS,
+} from '../services/offlineQueue';
+import { useAuth } from './AuthContext';
+
+const OfflineSyncContext = createContext({});
+
+/**
+ * Keeps the offline attendance queue in sync with the backend.
+ * Replays queued writes whenever connectivity returns or the app
+ * comes back to the foreground.
+ */
+export const OfflineSyncProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+
+  const [queue, setQueue] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const wasOnline = useRef(true);
+
+  useEffect(() => subscribe(setQueue), []);
+
+  const syncNow = useCallback(async () => {
+    if (!isAuthenticated) return null;
+
+    try {
+      setIsSyncing(true);
+      return await attendanceAPI.syncQueue();
+    } catch (error) {
+      console.error('❌ Offline sync error:', error);
+      return null;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [isAuthenticated]);
+
+  // Replay when the connection comes back
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      setIsOnline(online);
+
+      if (online && !wasOnline.current) {
+        console.log('🌐 Connection restored, syncing offline attendance...');
+        syncNow();
+      }
+      wasOnline.current = online;
+    });
+    return unsubscribe;
+  }, [syncNow]);
+
+  // Replay on login and whenever the app returns to the foreground
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    syncNow();
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        syncNow();
+      }
+    });
+    return () => subscription.remove();
+  }, [isAuthenticated, syncNow]);
+
+  /**
+   * Sync status for a record, or null when it never went through the queue
+   * @param {object} record - { recordId, employeeId, date }
+   */
+  const getSyncEntry = useCallback(
+    (record) => findEntryForRecord(queue, record),
+    [queue]
+  );
+
+  const retry = useCallback(async (id) => {
+    await retryEntry(id);
+    return syncNow();
+  }, [syncNow]);
+
+  const pendingCount = queue.filter(
+    entry => entry.status === SYNC_STATUS.PENDING
+  ).length;
+  const failedCount = queue.filter(
+    entry => entry.status === SYNC_STATUS.FAILED
+  ).length;
+  const conflicts = queue.filter(
+    entry => entry.status === SYNC_STATUS.CONFLICT
+  );
+
+  const value = {
+    queue,
+    isOnline,
+    isSyncing,
+    pendingCount,
+    failedCount,
+    conflicts,
+    syncNow,
+    getSyncEntry,
+    retry,
+    discard: discardEntry,
+    resolveConflict,
+  };
+
+  return (
+    <OfflineSyncContext.Provider value={value}>
+      {children}
+    </OfflineSyncContext.Provider>
+  );
+};
+
+export const useOfflineSync = () => {
+  const context = useContext(OfflineSyncContext);
+  if (!context) {
+    throw new Error('useOfflineSync must be used within an OfflineSyncProvider');
+  }
+  return context;
+};
+
+export default OfflineSyncContext;
@@ -0,0 +1,117 @@
+// src/context/ServerContext.js
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { setApiBaseURL } from '../services/api';
+import { clearAuth, getToken } from '../services/auth';
+import {
+  getProfiles,
+  getActiveProfile,
+  saveProfile,
+  removeProfile,
+  setActiveProfile,
+  adoptLegacyServer,
+} from '../services/serverProfiles';
+
+const ServerContext = createContext({});
+
+/**
+ * Holds the saved server profiles and the one the app is talking to.
+ * Keeps the API client pointed at the active profile.
+ */
+export const ServerProvider = ({ children }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfile, setActiveProfileState] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  const loadProfiles = async () => {
+    try {
+      let [saved, active] = await Promise.all([getProfiles(), getActiveProfile()]);
+
+      // A session without profiles was saved by a build with one fixed URL
+      if (saved.length === 0 && (await getToken())) {
+        active = await adoptLegacyServer();
+        saved = await getProfiles();
+      }
+
+      if (active) {
+        setApiBaseURL(active.baseURL);
+      } else {
+        console.log('ℹ️ No server configured yet');
+      }
+
+      setProfiles(saved);
+      setActiveProfileState(active);
+    } catch (error) {
+      console.error('❌ Error loading server profiles:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Tokens belong to one backend: drop them before requests go anywhere
+  // else. AuthContext signs out when it sees the new baseURL.
+  const pointApiAt = async (profile) => {
+    if (activeProfile && activeProfile.baseURL !== profile.baseURL) {
+      await clearAuth();
+    }
+    setApiBaseURL(profile.baseURL);
+  };
+
+  /**
+   * Save a new or edited profile
+   * @param {object} profile - { id?, name, environment, baseURL }
+   * @returns {Promise<object>} Saved profile
+   */
+  const addProfile = useCallback(async (profile) => {
+    const saved = await saveProfile(profile);
+    setProfiles(await getProfiles());
+
+    // Editing the active profile changes where requests go
+    if (activeProfile?.id === saved.id) {
+      await pointApiAt(saved);
+      setActiveProfileState(saved);
+    }
+    return saved;
+  }, [activeProfile]);
+
+  /**
+   * Switch the app to another saved profile
+   * @param {string} id - Profile ID
+   */
+  const switchProfile = useCallback(async (id) => {
+    const profile = await setActiveProfile(id);
+    await pointApiAt(profile);
+    setActiveProfileState(profile);
+    console.log(`✅ Switched server to ${profile.name}`);
+    return profile;
+  }, [activeProfile]);
+
+  const deleteProfile = useCallback(async (id) => {
+    await removeProfile(id);
+    setProfiles(await getProfiles());
+  }, []);
+
+  const value = {
+    profiles,
+    activeProfile,
+    isLoading,
+    addProfile,
+    switchProfile,
+    deleteProfile,
+  };
+
+  return <ServerContext.Provider value={value}>{children}</ServerContext.Provider>;
+};
+
+export const useServer = () => {
+  const context = useContext(ServerContext);
+  if (!context) {
+    throw new Error('useServer must be used within a ServerProvider');
+  }
+  return context;
+};
+
+export default ServerContext;
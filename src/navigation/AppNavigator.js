@@ -1,28 +1,74 @@
 // src/navigation/AppNavigator.js - UPDATED WITH NEW SCREENS
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect } from 'react';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { ActivityIndicator, View, StyleSheet } from 'react-native';
 
 // Screens
 import LoginScreen from '../screens/LoginScreen';
+import ServerSetupScreen from '../screens/ServerSetupScreen';
 import BottomTabNavigator from './BottomTabNavigator';
 import EmployeeCreateScreen from '../screens/EmployeeCreateScreen';
 import AttendanceCalendarScreen from '../screens/AttendanceCalendarScreen';
 import AttendanceMarkScreen from '../screens/AttendanceMarkScreen';
 import AttendanceHistoryScreen from '../screens/AttendanceHistoryScreen';
 import DailyAttendanceScreen from '../screens/DailyAttendanceScreen';
+import AttendanceConflictScreen from '../screens/AttendanceConflictScreen';
 import EmployeeDetailScreen from '../screens/EmployeeDetailScreen';
 import EmployeeListScreen from '../screens/EmployeeListScreen';
+import EnrollMultipleFingerprintsScreen from '../screens/EnrollMultipleFingerprintsScreen';
+import PunchScreen from '../screens/PunchScreen';
+import KioskScreen from '../screens/KioskScreen';
+import ShiftListScreen from '../screens/ShiftListScreen';
+import ShiftEditorScreen from '../screens/ShiftEditorScreen';
+import HolidayCalendarScreen from '../screens/HolidayCalendarScreen';
+import SiteListScreen from '../screens/SiteListScreen';
+import SiteEditorScreen from '../screens/SiteEditorScreen';
+import LeaveInboxScreen from '../screens/LeaveInboxScreen';
+import LeaveRequestScreen from '../screens/LeaveRequestScreen';
 
 // 👇 NEW SCREENS - ADD THESE IMPORTS
 import MonthlyReport from '../screens/MonthlyReport';
 import DepartmentDetails from '../screens/DepartmentDetails';
+import AccessDeniedScreen from '../screens/AccessDeniedScreen';
 
 // Auth context
 import { useAuth } from '../context/AuthContext';
+import { useServer } from '../context/ServerContext';
+import { useKiosk } from '../context/KioskContext';
+import { setAccessDeniedHandler } from '../services/api';
+import { PERMISSIONS } from '../services/permissions';
+import withPermission from './withPermission';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+/**
+ * Screens behind a permission. Built once so guards never remount screens.
+ */
+const Guarded = {
+  EmployeeCreate: withPermission(EmployeeCreateScreen, PERMISSIONS.EMPLOYEES_CREATE),
+  EmployeeEdit: withPermission(EmployeeCreateScreen, PERMISSIONS.EMPLOYEES_EDIT),
+  EmployeeList: withPermission(EmployeeListScreen, PERMISSIONS.EMPLOYEES_VIEW),
+  EmployeeDetail: withPermission(EmployeeDetailScreen, PERMISSIONS.EMPLOYEES_VIEW),
+  EnrollFingerprints: withPermission(EnrollMultipleFingerprintsScreen, PERMISSIONS.FINGERPRINTS_ENROLL),
+  AttendanceCalendar: withPermission(AttendanceCalendarScreen, PERMISSIONS.ATTENDANCE_MARK),
+  AttendanceMark: withPermission(AttendanceMarkScreen, PERMISSIONS.ATTENDANCE_MARK),
+  Punch: withPermission(PunchScreen, PERMISSIONS.ATTENDANCE_MARK),
+  Kiosk: withPermission(KioskScreen, PERMISSIONS.ATTENDANCE_MARK),
+  AttendanceHistory: withPermission(AttendanceHistoryScreen, PERMISSIONS.ATTENDANCE_VIEW),
+  DailyAttendance: withPermission(DailyAttendanceScreen, PERMISSIONS.ATTENDANCE_VIEW),
+  AttendanceConflicts: withPermission(AttendanceConflictScreen, PERMISSIONS.ATTENDANCE_EDIT),
+  ShiftList: withPermission(ShiftListScreen, PERMISSIONS.SHIFTS_VIEW),
+  ShiftEditor: withPermission(ShiftEditorScreen, PERMISSIONS.SHIFTS_MANAGE),
+  HolidayCalendar: withPermission(HolidayCalendarScreen, PERMISSIONS.HOLIDAYS_VIEW),
+  SiteList: withPermission(SiteListScreen, PERMISSIONS.SITES_VIEW),
+  SiteEditor: withPermission(SiteEditorScreen, PERMISSIONS.SITES_MANAGE),
+  LeaveInbox: withPermission(LeaveInboxScreen, PERMISSIONS.LEAVE_VIEW),
+  LeaveRequest: withPermission(LeaveRequestScreen, PERMISSIONS.LEAVE_REQUEST),
+  MonthlyReport: withPermission(MonthlyReport, PERMISSIONS.REPORTS_VIEW),
+  DepartmentDetails: withPermission(DepartmentDetails, PERMISSIONS.EMPLOYEES_VIEW),
+};
 
 /**
  * Shared stack header styles
@@ -47,15 +93,29 @@ const defaultStackOptions = {
  * Auth Stack
  */
 const AuthStack = () => {
+  const { activeProfile } = useServer();
+
   return (
     <Stack.Navigator screenOptions={defaultStackOptions}>
-      <Stack.Screen
-        name="Login"
-        component={LoginScreen}
-        options={{
-          headerShown: false,
-        }}
-      />
+      {/* No server yet: setup comes first, then Login takes over */}
+      <Stack.Group navigationKey={activeProfile ? 'configured' : 'first-run'}>
+        {activeProfile && (
+          <Stack.Screen
+            name="Login"
+            component={LoginScreen}
+            options={{
+              headerShown: false,
+            }}
+          />
+        )}
+        <Stack.Screen
+          name="ServerSetup"
+          component={ServerSetupScreen}
+          options={{
+            title: 'Connect to server',
+          }}
+        />
+      </Stack.Group>
     </Stack.Navigator>
   );
 };
@@ -78,68 +138,168 @@ const MainStack = () => {
       {/* Employee Management */}
       <Stack.Screen
         name="EmployeeCreate"
-        component={EmployeeCreateScreen}
+        component={Guarded.EmployeeCreate}
         options={{
           title: 'New employee',
           presentation: 'modal',
         }}
       />
+      <Stack.Screen
+        name="EmployeeEdit"
+        component={Guarded.EmployeeEdit}
+        options={{
+          title: 'Edit employee',
+        }}
+      />
       <Stack.Screen
         name="EmployeeListScreen"
-        component={EmployeeListScreen}
+        component={Guarded.EmployeeList}
         options={{
           title: 'Employees',
         }}
       />
       <Stack.Screen
         name="EmployeeDetail"
-        component={EmployeeDetailScreen}
+        component={Guarded.EmployeeDetail}
         options={{
           title: 'Employee profile',
         }}
       />
+      <Stack.Screen
+        name="EnrollFingerprints"
+        component={Guarded.EnrollFingerprints}
+        options={{
+          title: 'Fingerprints',
+        }}
+      />
 
       {/* Attendance Management */}
       <Stack.Screen
         name="AttendanceCalendar"
-        component={AttendanceCalendarScreen}
+        component={Guarded.AttendanceCalendar}
         options={{
           title: 'Select attendance date',
         }}
       />
       <Stack.Screen
         name="AttendanceMark"
-        component={AttendanceMarkScreen}
+        component={Guarded.AttendanceMark}
         options={{
           title: 'Mark attendance',
         }}
       />
+      <Stack.Screen
+        name="Punch"
+        component={Guarded.Punch}
+        options={{
+          title: 'Fingerprint punch',
+        }}
+      />
       <Stack.Screen
         name="AttendanceHistory"
-        component={AttendanceHistoryScreen}
+        component={Guarded.AttendanceHistory}
         options={{
           title: 'Attendance history',
         }}
       />
       <Stack.Screen
         name="DailyAttendance"
-        component={DailyAttendanceScreen}
+        component={Guarded.DailyAttendance}
         options={{
           title: "Today's attendance",
         }}
       />
+      <Stack.Screen
+        name="AttendanceConflicts"
+        component={Guarded.AttendanceConflicts}
+        options={{
+          title: 'Sync conflicts',
+        }}
+      />
+
+      {/* Work schedules */}
+      <Stack.Screen
+        name="ShiftList"
+        component={Guarded.ShiftList}
+        options={{
+          title: 'Shifts',
+        }}
+      />
+      <Stack.Screen
+        name="ShiftEditor"
+        component={Guarded.ShiftEditor}
+        options={{
+          title: 'Shift',
+        }}
+      />
+      <Stack.Screen
+        name="HolidayCalendar"
+        component={Guarded.HolidayCalendar}
+        options={{
+          title: 'Holidays',
+        }}
+      />
+
+      {/* Work sites */}
+      <Stack.Screen
+        name="SiteList"
+        component={Guarded.SiteList}
+        options={{
+          title: 'Sites',
+        }}
+      />
+      <Stack.Screen
+        name="SiteEditor"
+        component={Guarded.SiteEditor}
+        options={{
+          title: 'Site',
+        }}
+      />
+
+      {/* Leave */}
+      <Stack.Screen
+        name="LeaveInbox"
+        component={Guarded.LeaveInbox}
+        options={{
+          title: 'Leave',
+        }}
+      />
+      <Stack.Screen
+        name="LeaveRequest"
+        component={Guarded.LeaveRequest}
+        options={{
+          title: 'Request leave',
+        }}
+      />
+
+      <Stack.Screen
+        name="AccessDenied"
+        component={AccessDeniedScreen}
+        options={{
+          title: 'Access denied',
+        }}
+      />
+
+      {/* Settings */}
+      <Stack.Screen
+        name="ServerSetup"
+        component={ServerSetupScreen}
+        options={{
+          title: 'Add server',
+        }}
+      />
 
       {/* 👇 NEW SCREENS - ADD THESE */}
       <Stack.Screen
         name="MonthlyReport"
-        component={MonthlyReport}
+        component={Guarded.MonthlyReport}
         options={{
           headerShown: false, // MonthlyReport has its own header
         }}
       />
       <Stack.Screen
         name="DepartmentDetails"
-        component={DepartmentDetails}
+        component={Guarded.DepartmentDetails}
         options={{
           headerShown: false, // DepartmentDetails has its own header
         }}
@@ -148,13 +308,46 @@ const MainStack = () => {
   );
 };
 
+/**
+ * Kiosk Stack - the punch terminal and nothing else
+ */
+const KioskStack = () => {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        ...defaultStackOptions,
+        headerShown: false,
+        gestureEnabled: false,
+      }}
+    >
+      <Stack.Screen name="Kiosk" component={Guarded.Kiosk} />
+    </Stack.Navigator>
+  );
+};
+
 /**
  * App Navigator
  */
 const AppNavigator = () => {
   const { isAuthenticated, isLoading } = useAuth();
+  const { isKioskActive, isLoading: isKioskLoading } = useKiosk();
+
+  // A 403 on a screen's primary load lands on the access-denied screen.
+  // The kiosk has no such screen; a punch error is shown in place.
+  useEffect(() => {
+    if (!isAuthenticated || isKioskActive) return undefined;
+
+    setAccessDeniedHandler((error) => {
+      if (navigationRef.isReady()) {
+        navigationRef.navigate('AccessDenied', {
+          message: error.response?.data?.message,
+        });
+      }
+    });
+    return () => setAccessDeniedHandler(null);
+  }, [isAuthenticated, isKioskActive]);
 
-  if (isLoading) {
+  if (isLoading || isKioskLoading) {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#2196F3" />
@@ -163,8 +356,14 @@ const AppNavigator = () => {
   }
 
   return (
-    <NavigationContainer>
-      {isAuthenticated ? <MainStack /> : <AuthStack />}
+    <NavigationContainer ref={navigationRef}>
+      {!isAuthenticated ? (
+        <AuthStack />
+      ) : isKioskActive ? (
+        <KioskStack />
+      ) : (
+        <MainStack />
+      )}
     </NavigationContainer>
   );
 };
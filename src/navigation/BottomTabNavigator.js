@@ -10,11 +10,15 @@ import DashboardScreen from '../screens/DashboardScreen';
 import AdminDashboard from '../screens/AdminDashboard';  // 👈 ADD THIS
 import EmployeeListScreen from '../screens/EmployeeListScreen';
 import ProfileScreen from '../screens/ProfileScreen';
+import { PERMISSIONS } from '../services/permissions';
+import withPermission from './withPermission';
 
 const Tab = createBottomTabNavigator();
 
+const GuardedAdminDashboard = withPermission(AdminDashboard, PERMISSIONS.DASHBOARD_VIEW);
+
 const BottomTabNavigator = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
 
   if (!user) {
     return (
@@ -25,13 +29,8 @@ const BottomTabNavigator = () => {
     );
   }
 
-  const userRole = React.useMemo(() => {
-    if (!user || !user.role) return 'admin';
-    if (typeof user.role !== 'string') return 'admin';
-    return user.role.toLowerCase().trim();
-  }, [user]);
-
-  const isSuperadmin = userRole === 'superadmin';  // 👈 ADD THIS
+  // System-wide overview for accounts that have it, scoped dashboard otherwise
+  const hasSystemOverview = can(PERMISSIONS.SYSTEM_OVERVIEW);
 
   return (
     <Tab.Navigator
@@ -98,19 +97,21 @@ const BottomTabNavigator = () => {
       {/* 👇 UPDATE THIS SECTION */}
       <Tab.Screen
         name="Dashboard"
-        component={isSuperadmin ? DashboardScreen : AdminDashboard}
+        component={hasSystemOverview ? DashboardScreen : GuardedAdminDashboard}
         options={{
           title: 'Dashboard',
         }}
       />
 
-      <Tab.Screen
-        name="Employees"
-        component={EmployeeListScreen}
-        options={{
-          title: 'Employees',
-        }}
-      />
+      {can(PERMISSIONS.EMPLOYEES_VIEW) && (
+        <Tab.Screen
+          name="Employees"
+          component={EmployeeListScreen}
+          options={{
+            title: 'Employees',
+          }}
+        />
+      )}
 
       <Tab.Screen
         name="Profile"
@@ -0,0 +1,28 @@
+// src/navigation/withPermission.js
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import AccessDeniedScreen from '../screens/AccessDeniedScreen';
+
+/**
+ * Route guard: renders the access-denied screen instead of the wrapped
+ * screen when the signed-in user lacks the permission.
+ * Create guarded components once at module level, not during render.
+ *
+ * @param {React.ComponentType} Screen - Screen component
+ * @param {string} permission - Required permission, e.g. 'employees.create'
+ */
+const withPermission = (Screen, permission) => {
+  const Guarded = (props) => {
+    const { can } = useAuth();
+
+    if (!can(permission)) {
+      return <AccessDeniedScreen {...props} permission={permission} />;
+    }
+    return <Screen {...props} />;
+  };
+
+  Guarded.displayName = `withPermission(${Screen.displayName || Screen.name || 'Screen'})`;
+  return Guarded;
+};
+
+export default withPermission;
@@ -0,0 +1,138 @@
+// src/screens/AccessDeniedScreen.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Shown instead of a screen the user is not allowed to open, and when
+ * the server rejects a request with 403.
+ *
+ * Route params (or props when rendered by a guard):
+ * - permission: the permission that was missing, e.g. 'employees.create'
+ * - message: optional reason from the server
+ */
+const AccessDeniedScreen = ({ navigation, route, permission, message }) => {
+  const { user } = useAuth();
+
+  const missing = permission || route?.params?.permission;
+  const reason = message || route?.params?.message;
+
+  const handleBack = () => {
+    if (navigation?.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation?.navigate('MainTabs');
+    }
+  };
+
+  return (
+    <View style={styles.screen}>
+      <View style={styles.card}>
+        <View style={styles.iconWrap}>
+          <Ionicons name="lock-closed-outline" size={32} color="#E53935" />
+        </View>
+        <Text style={styles.title}>Access denied</Text>
+        <Text style={styles.message}>
+          {reason || 'Your account does not have permission to open this page.'}
+        </Text>
+
+        {missing && (
+          <View style={styles.permissionChip}>
+            <Ionicons name="key-outline" size={13} color="#546E7A" />
+            <Text style={styles.permissionText}>{missing}</Text>
+          </View>
+        )}
+
+        <Text style={styles.hint}>
+          Signed in as {user?.username || 'unknown user'}. Ask your system
+          administrator if you need access.
+        </Text>
+
+        <TouchableOpacity style={styles.button} onPress={handleBack} activeOpacity={0.9}>
+          <Ionicons name="arrow-back" size={18} color="#FFFFFF" />
+          <Text style={styles.buttonText}>Go back</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 18,
+    padding: 24,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+    elevation: 2,
+  },
+  iconWrap: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: '#FFEBEE',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 14,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  message: {
+    fontSize: 14,
+    color: '#546E7A',
+    textAlign: 'center',
+    marginTop: 8,
+    lineHeight: 20,
+  },
+  permissionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ECEFF1',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 999,
+    marginTop: 12,
+  },
+  permissionText: {
+    marginLeft: 4,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#546E7A',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#90A4AE',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    marginTop: 20,
+  },
+  buttonText: {
+    marginLeft: 6,
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+});
+
+export default AccessDeniedScreen;
@@ -1,5 +1,5 @@
 // src/screens/AdminDashboard.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,26 +13,32 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { dashboardAPI } from '../services/api';
+import { dashboardAPI, siteAPI, GUARD_ACCESS } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { isAccessDenied } from '../utils/errorHandler';
+import DepartmentScopeChip from '../components/DepartmentScopeChip';
 
 const { width } = Dimensions.get('window');
 
 const AdminDashboard = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
 
   const [stats, setStats] = useState(null);
   const [dailyAttendance, setDailyAttendance] = useState([]);
   const [departmentStats, setDepartmentStats] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState(null); // null shows every site
 
   const fetchDashboardData = async () => {
     try {
       // Fetch all dashboard data
+      const filters = siteId ? { siteId } : {};
       const [statsResponse, dailyResponse] = await Promise.all([
-        dashboardAPI.getStats(),
-        dashboardAPI.getDailyAttendance(),
+        dashboardAPI.getStats(filters, GUARD_ACCESS),
+        can(PERMISSIONS.ATTENDANCE_VIEW) ? dashboardAPI.getDailyAttendance(null, filters) : null,
       ]);
 
       if (statsResponse?.success) {
@@ -49,7 +55,9 @@ const AdminDashboard = ({ navigation }) => {
       }
     } catch (error) {
       console.error('Error fetching admin dashboard data:', error);
-      Alert.alert('Error', 'Failed to load dashboard data. Please try again.');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load dashboard data. Please try again.');
+      }
     } finally {
       setIsLoading(false);
       setRefreshing(false);
@@ -61,32 +69,57 @@ const AdminDashboard = ({ navigation }) => {
       fetchDashboardData();
     });
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, siteId]);
 
-  const onRefresh = useCallback(() => {
+  // Switching site reloads in place; the first load comes from focus
+  const siteChanged = useRef(false);
+  useEffect(() => {
+    if (!siteChanged.current) {
+      siteChanged.current = true;
+      return;
+    }
     setRefreshing(true);
     fetchDashboardData();
+  }, [siteId]);
+
+  useEffect(() => {
+    if (!can(PERMISSIONS.SITES_VIEW)) return;
+
+    siteAPI
+      .getAll()
+      .then(response => setSites(response?.sites || []))
+      .catch(error => console.log('Could not load sites:', error.message));
   }, []);
 
-  const handleViewDailyAttendance = () => {
-    navigation.navigate('DailyAttendance');
-  };
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchDashboardData();
+  }, [siteId]);
 
-  const handleViewEmployees = () => {
-    navigation.navigate('Employees');
-  };
+  // Each handler is undefined without permission; its buttons are hidden
+  const handleViewDailyAttendance = can(PERMISSIONS.ATTENDANCE_VIEW)
+    ? () => navigation.navigate('DailyAttendance')
+    : undefined;
 
-  const handleViewMonthlyReport = () => {
-    navigation.navigate('MonthlyReport');
-  };
+  const handleViewEmployees = can(PERMISSIONS.EMPLOYEES_VIEW)
+    ? () => navigation.navigate('Employees')
+    : undefined;
 
-  const handleMarkAttendance = () => {
-    navigation.navigate('AttendanceCalendar');
-  };
+  const handleViewMonthlyReport = can(PERMISSIONS.REPORTS_VIEW)
+    ? () => navigation.navigate('MonthlyReport')
+    : undefined;
 
-  const handleViewDepartment = (department) => {
-    navigation.navigate('DepartmentDetails', { department });
-  };
+  const handleMarkAttendance = can(PERMISSIONS.ATTENDANCE_MARK)
+    ? () => navigation.navigate('AttendanceCalendar')
+    : undefined;
+
+  const handlePunch = can(PERMISSIONS.ATTENDANCE_MARK)
+    ? () => navigation.navigate('Punch')
+    : undefined;
+
+  const handleViewDepartment = can(PERMISSIONS.EMPLOYEES_VIEW)
+    ? (department) => navigation.navigate('DepartmentDetails', { department })
+    : undefined;
 
   const renderStatCard = (title, value, icon, color, onPress) => (
     <TouchableOpacity
@@ -133,6 +166,7 @@ const AdminDashboard = ({ navigation }) => {
       key={dept.department}
       style={styles.departmentCard}
       onPress={() => handleViewDepartment(dept.department)}
+      disabled={!handleViewDepartment}
       activeOpacity={0.9}
     >
       <View style={styles.deptHeader}>
@@ -164,7 +198,9 @@ const AdminDashboard = ({ navigation }) => {
           </Text>
         </View>
       </View>
-      <Ionicons name="chevron-forward" size={18} color="#9E9E9E" style={styles.deptChevron} />
+      {handleViewDepartment && (
+        <Ionicons name="chevron-forward" size={18} color="#9E9E9E" style={styles.deptChevron} />
+      )}
     </TouchableOpacity>
   );
 
@@ -216,6 +252,7 @@ const AdminDashboard = ({ navigation }) => {
             <Text style={styles.welcomeSubtitle}>
               Welcome, {user?.username || 'Admin'} • {getRoleDisplay()}
             </Text>
+            <DepartmentScopeChip />
           </View>
           <View style={styles.welcomeBadge}>
             <Ionicons name="calendar-outline" size={18} color="#FFFFFF" />
@@ -225,6 +262,33 @@ const AdminDashboard = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Site filter */}
+        {sites.length > 0 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.siteStrip}
+          >
+            {[{ _id: null, name: 'All sites' }, ...sites].map(site => (
+              <TouchableOpacity
+                key={site._id || 'all'}
+                style={[styles.siteChip, siteId === site._id && styles.siteChipActive]}
+                onPress={() => setSiteId(site._id)}
+                activeOpacity={0.9}
+              >
+                <Ionicons
+                  name="business-outline"
+                  size={14}
+                  color={siteId === site._id ? '#FFFFFF' : '#1976D2'}
+                />
+                <Text style={[styles.siteChipText, siteId === site._id && styles.siteChipTextActive]}>
+                  {site.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+
         {/* Horizontal metrics strip */}
         <ScrollView
           horizontal
@@ -264,9 +328,11 @@ const AdminDashboard = ({ navigation }) => {
         <View style={styles.section}>
           <View style={styles.sectionHeaderRow}>
             <Text style={styles.sectionTitle}>Today's Breakdown</Text>
-            <TouchableOpacity onPress={handleViewDailyAttendance}>
-              <Text style={styles.sectionLink}>View All</Text>
-            </TouchableOpacity>
+            {handleViewDailyAttendance && (
+              <TouchableOpacity onPress={handleViewDailyAttendance}>
+                <Text style={styles.sectionLink}>View All</Text>
+              </TouchableOpacity>
+            )}
           </View>
           <View style={styles.statusGrid}>
             {renderStatusCard(
@@ -306,9 +372,11 @@ const AdminDashboard = ({ navigation }) => {
         <View style={styles.section}>
           <View style={styles.sectionHeaderRow}>
             <Text style={styles.sectionTitle}>This Month</Text>
-            <TouchableOpacity onPress={handleViewMonthlyReport}>
-              <Text style={styles.sectionLink}>View Report</Text>
-            </TouchableOpacity>
+            {handleViewMonthlyReport && (
+              <TouchableOpacity onPress={handleViewMonthlyReport}>
+                <Text style={styles.sectionLink}>View Report</Text>
+              </TouchableOpacity>
+            )}
           </View>
           <View style={styles.monthlyCard}>
             <View style={styles.monthlyRow}>
@@ -350,54 +418,76 @@ const AdminDashboard = ({ navigation }) => {
         {/* Quick Actions */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Quick Actions</Text>
-          <View style={styles.actionRow}>
+          {handlePunch && (
             <TouchableOpacity
-              style={styles.actionCard}
-              onPress={handleMarkAttendance}
+              style={styles.punchBanner}
+              onPress={handlePunch}
               activeOpacity={0.9}
             >
-              <View style={[styles.actionIconWrap, { backgroundColor: '#E3F2FD' }]}>
-                <Ionicons name="finger-print" size={24} color="#2196F3" />
+              <Ionicons name="finger-print" size={22} color="#FFFFFF" />
+              <View style={styles.punchBannerText}>
+                <Text style={styles.punchBannerTitle}>Fingerprint punch</Text>
+                <Text style={styles.punchBannerSubtitle}>Check in or out with the scanner</Text>
               </View>
-              <Text style={styles.actionTitle}>Mark</Text>
-              <Text style={styles.actionSubtitle}>Attendance</Text>
+              <Ionicons name="chevron-forward" size={20} color="#FFFFFF" />
             </TouchableOpacity>
+          )}
+          <View style={styles.actionRow}>
+            {handleMarkAttendance && (
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleMarkAttendance}
+                activeOpacity={0.9}
+              >
+                <View style={[styles.actionIconWrap, { backgroundColor: '#E3F2FD' }]}>
+                  <Ionicons name="finger-print" size={24} color="#2196F3" />
+                </View>
+                <Text style={styles.actionTitle}>Mark</Text>
+                <Text style={styles.actionSubtitle}>Attendance</Text>
+              </TouchableOpacity>
+            )}
 
-            <TouchableOpacity
-              style={styles.actionCard}
-              onPress={handleViewEmployees}
-              activeOpacity={0.9}
-            >
-              <View style={[styles.actionIconWrap, { backgroundColor: '#E8F5E9' }]}>
-                <Ionicons name="people" size={24} color="#4CAF50" />
-              </View>
-              <Text style={styles.actionTitle}>View</Text>
-              <Text style={styles.actionSubtitle}>Employees</Text>
-            </TouchableOpacity>
+            {handleViewEmployees && (
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleViewEmployees}
+                activeOpacity={0.9}
+              >
+                <View style={[styles.actionIconWrap, { backgroundColor: '#E8F5E9' }]}>
+                  <Ionicons name="people" size={24} color="#4CAF50" />
+                </View>
+                <Text style={styles.actionTitle}>View</Text>
+                <Text style={styles.actionSubtitle}>Employees</Text>
+              </TouchableOpacity>
+            )}
 
-            <TouchableOpacity
-              style={styles.actionCard}
-              onPress={handleViewDailyAttendance}
-              activeOpacity={0.9}
-            >
-              <View style={[styles.actionIconWrap, { backgroundColor: '#FFF3E0' }]}>
-                <Ionicons name="calendar" size={24} color="#FF9800" />
-              </View>
-              <Text style={styles.actionTitle}>Daily</Text>
-              <Text style={styles.actionSubtitle}>Records</Text>
-            </TouchableOpacity>
+            {handleViewDailyAttendance && (
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleViewDailyAttendance}
+                activeOpacity={0.9}
+              >
+                <View style={[styles.actionIconWrap, { backgroundColor: '#FFF3E0' }]}>
+                  <Ionicons name="calendar" size={24} color="#FF9800" />
+                </View>
+                <Text style={styles.actionTitle}>Daily</Text>
+                <Text style={styles.actionSubtitle}>Records</Text>
+              </TouchableOpacity>
+            )}
 
-            <TouchableOpacity
-              style={styles.actionCard}
-              onPress={handleViewMonthlyReport}
-              activeOpacity={0.9}
-            >
-              <View style={[styles.actionIconWrap, { backgroundColor: '#F3E5F5' }]}>
-                <Ionicons name="analytics" size={24} color="#9C27B0" />
-              </View>
-              <Text style={styles.actionTitle}>Monthly</Text>
-              <Text style={styles.actionSubtitle}>Report</Text>
-            </TouchableOpacity>
+            {handleViewMonthlyReport && (
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleViewMonthlyReport}
+                activeOpacity={0.9}
+              >
+                <View style={[styles.actionIconWrap, { backgroundColor: '#F3E5F5' }]}>
+                  <Ionicons name="analytics" size={24} color="#9C27B0" />
+                </View>
+                <Text style={styles.actionTitle}>Monthly</Text>
+                <Text style={styles.actionSubtitle}>Report</Text>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
 
@@ -406,9 +496,11 @@ const AdminDashboard = ({ navigation }) => {
           <View style={styles.section}>
             <View style={styles.sectionHeaderRow}>
               <Text style={styles.sectionTitle}>Recent Activity</Text>
-              <TouchableOpacity onPress={handleViewDailyAttendance}>
-                <Text style={styles.sectionLink}>View All</Text>
-              </TouchableOpacity>
+              {handleViewDailyAttendance && (
+                <TouchableOpacity onPress={handleViewDailyAttendance}>
+                  <Text style={styles.sectionLink}>View All</Text>
+                </TouchableOpacity>
+              )}
             </View>
             {dailyAttendance.slice(0, 5).map((record, index) => (
               <View key={index} style={styles.activityCard}>
@@ -543,6 +635,34 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  siteStrip: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    gap: 8,
+  },
+  siteChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#BBDEFB',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  siteChipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  siteChipText: {
+    marginLeft: 6,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+  siteChipTextActive: {
+    color: '#FFFFFF',
+  },
   metricsStrip: {
     paddingHorizontal: 16,
     gap: 12,
@@ -742,6 +862,28 @@ const styles = StyleSheet.create({
     right: 16,
     top: 20,
   },
+  punchBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+  },
+  punchBannerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  punchBannerTitle: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  punchBannerSubtitle: {
+    color: '#E3F2FD',
+    fontSize: 12,
+    marginTop: 2,
+  },
   actionRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,21 +1,168 @@
 // src/screens/AttendanceCalendarScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
+  ScrollView,
   Alert,
   Platform,
 } from 'react-native';
 import { Calendar } from 'react-native-calendars';
+import { Ionicons } from '@expo/vector-icons';
+import { attendanceAPI, holidayAPI, shiftAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { resolveShift, toShiftRules } from '../services/shifts';
+import { getDayOff, getDaysInRange, toDateKey, toLocalDateKey } from '../services/holidays';
+import AttendanceEditSheet from '../components/AttendanceEditSheet';
+
+const HOLIDAY_COLOR = '#E53935';
+const WEEKLY_OFF_COLOR = '#90A4AE';
+
+const STATUS_OPTIONS = [
+  { value: 'PRESENT', label: 'Present', color: '#4CAF50' },
+  { value: 'ABSENT', label: 'Absent', color: '#F44336' },
+  { value: 'LATE', label: 'Late', color: '#FF9800' },
+  { value: 'HALF_DAY', label: 'Half Day', color: '#2196F3' },
+];
+const LEAVE_COLOR = '#00897B';
+
+const getStatusColor = (status) =>
+  STATUS_OPTIONS.find(option => option.value === status)?.color || LEAVE_COLOR;
+
+const MODES = [
+  { value: 'day', label: 'Single day' },
+  { value: 'range', label: 'Date range' },
+];
+
+const formatShortDate = (key) =>
+  new Date(`${key}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
 
 const AttendanceCalendarScreen = ({ route, navigation }) => {
   const { employee } = route.params;
+  const { can } = useAuth();
+  const [mode, setMode] = useState('day');
   const [selectedDate, setSelectedDate] = useState('');
+  const [endDate, setEndDate] = useState(''); // range mode only
+  const [visibleMonth, setVisibleMonth] = useState({
+    month: new Date().getMonth() + 1,
+    year: new Date().getFullYear(),
+  });
+  const [holidays, setHolidays] = useState([]);
+  const [shift, setShift] = useState(null);
+  const [records, setRecords] = useState({}); // visible month, by date key
+  const [editingDate, setEditingDate] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const requestedMonth = useRef(null);
+
+  const today = toLocalDateKey(new Date());
+
+  useEffect(() => {
+    if (!can(PERMISSIONS.SHIFTS_VIEW)) return;
+
+    shiftAPI
+      .getAll()
+      .then(response => setShift(resolveShift(employee, response?.shifts)))
+      .catch(error => console.log('Could not load shifts:', error.message));
+  }, [employee]);
+
+  useEffect(() => {
+    if (!can(PERMISSIONS.HOLIDAYS_VIEW)) return;
+
+    holidayAPI
+      .getAll({ year: visibleMonth.year })
+      .then(response => setHolidays(response?.holidays || []))
+      .catch(error => console.log('Could not load holidays:', error.message));
+  }, [visibleMonth.year]);
+
+  // What is already marked in the visible month
+  useEffect(() => {
+    if (!can(PERMISSIONS.ATTENDANCE_VIEW)) return;
+
+    const { month, year } = visibleMonth;
+    const first = toLocalDateKey(new Date(year, month - 1, 1));
+    const last = toLocalDateKey(new Date(year, month, 0));
+    requestedMonth.current = first;
+
+    attendanceAPI
+      .getHistory(employee.employeeId, first, last, 31, GUARD_ACCESS)
+      .then(response => {
+        // A later month may have been requested in the meantime
+        if (requestedMonth.current !== first) return;
+        const byDate = {};
+        (response?.history || response?.attendance || []).forEach(record => {
+          byDate[toDateKey(record.date)] = record;
+        });
+        setRecords(byDate);
+      })
+      .catch(error => console.log('Could not load attendance history:', error.message));
+  }, [employee, visibleMonth]);
 
+  const dayOffOptions = useMemo(
+    () => ({ holidays, employee, rules: toShiftRules(shift) }),
+    [holidays, employee, shift]
+  );
+
+  // Holidays and weekly offs in the visible month, dotted by kind
+  const offDayMarks = useMemo(() => {
+    const marks = {};
+    const { month, year } = visibleMonth;
+    const lastDay = new Date(year, month, 0).getDate();
+
+    for (let day = 1; day <= lastDay; day++) {
+      const key = toLocalDateKey(new Date(year, month - 1, day));
+      const off = getDayOff(key, dayOffOptions);
+      if (off) {
+        marks[key] = {
+          marked: true,
+          dotColor: off.holiday ? HOLIDAY_COLOR : WEEKLY_OFF_COLOR,
+        };
+      }
+    }
+    return marks;
+  }, [visibleMonth, dayOffOptions]);
+
+  const isRange = mode === 'range';
+  const selectedDayOff =
+    selectedDate && !isRange ? getDayOff(selectedDate, dayOffOptions) : null;
+
+  const rangeSummary = useMemo(() => {
+    if (!isRange || !selectedDate) return null;
+    const days = getDaysInRange(selectedDate, endDate || selectedDate, dayOffOptions);
+    return {
+      days: days.length,
+      working: days.filter(day => !day.dayOff).length,
+    };
+  }, [isRange, selectedDate, endDate, dayOffOptions]);
+
+  const handleModeChange = (value) => {
+    setMode(value);
+    setSelectedDate('');
+    setEndDate('');
+  };
+
+  // In range mode the first tap picks the start, the second the end;
+  // a third starts over. A marked day in single-day mode opens its record.
   const handleDayPress = (day) => {
-    setSelectedDate(day.dateString);
+    const key = day.dateString;
+    if (key > today) return;
+    if (!isRange && records[key]) {
+      setEditingDate(key);
+      return;
+    }
+    if (!isRange || !selectedDate || endDate || key < selectedDate) {
+      setSelectedDate(key);
+      setEndDate('');
+    } else {
+      setEndDate(key);
+    }
   };
 
   const handleContinue = () => {
@@ -27,22 +174,124 @@ const AttendanceCalendarScreen = ({ route, navigation }) => {
     navigation.navigate('AttendanceMark', {
       employee,
       selectedDate,
+      ...(isRange && endDate && endDate !== selectedDate && { endDate }),
     });
   };
 
-  const markedDates = {
-    [selectedDate]: {
-      selected: true,
-      selectedColor: '#2196F3',
-      selectedTextColor: '#fff',
-      dotColor: '#FFC107',
-      marked: true,
-    },
+  const editingRecord = editingDate ? records[editingDate] : null;
+
+  const closeEditor = () => setEditingDate(null);
+
+  const handleSaveRecord = async (status) => {
+    try {
+      setIsSaving(true);
+      const response = await attendanceAPI.update(editingRecord._id, status);
+      setRecords(prev => ({ ...prev, [editingDate]: { ...editingRecord, status } }));
+      closeEditor();
+      if (response.queued) {
+        Alert.alert(
+          'Saved offline',
+          'No connection right now. The change was saved on this device and will sync automatically.'
+        );
+      }
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
   };
 
+  const handleDeleteRecord = () => {
+    Alert.alert(
+      'Delete attendance?',
+      `The ${editingRecord.status} record for ${formatShortDate(editingDate)} will be removed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setIsSaving(true);
+              const response = await attendanceAPI.delete(editingRecord._id);
+              setRecords(prev => {
+                const next = { ...prev };
+                delete next[editingDate];
+                return next;
+              });
+              closeEditor();
+              if (response.queued) {
+                Alert.alert(
+                  'Saved offline',
+                  'No connection right now. The record will be deleted when the device syncs.'
+                );
+              }
+            } catch (error) {
+              Alert.alert('Error', handleAPIError(error));
+            } finally {
+              setIsSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Marked days as single-day periods tinted by status
+  const recordMarks = useMemo(() => {
+    const marks = {};
+    Object.entries(records).forEach(([key, record]) => {
+      const color = getStatusColor(record.status);
+      marks[key] = {
+        ...offDayMarks[key],
+        color: `${color}33`,
+        textColor: color,
+        startingDay: true,
+        endingDay: true,
+      };
+    });
+    return marks;
+  }, [records, offDayMarks]);
+
+  const rangeMarks = useMemo(() => {
+    if (!isRange || !selectedDate) return {};
+
+    const marks = {};
+    const last = endDate || selectedDate;
+    getDaysInRange(selectedDate, last).forEach(({ date }) => {
+      marks[date] = {
+        ...offDayMarks[date],
+        color: date === selectedDate || date === last ? '#2196F3' : '#90CAF9',
+        textColor: '#FFFFFF',
+        startingDay: date === selectedDate,
+        endingDay: date === last,
+      };
+    });
+    return marks;
+  }, [isRange, selectedDate, endDate, offDayMarks]);
+
+  const markedDates = isRange
+    ? { ...offDayMarks, ...recordMarks, ...rangeMarks }
+    : {
+        ...offDayMarks,
+        ...recordMarks,
+        ...(selectedDate && {
+          [selectedDate]: {
+            ...offDayMarks[selectedDate],
+            color: '#2196F3',
+            textColor: '#FFFFFF',
+            startingDay: true,
+            endingDay: true,
+          },
+        }),
+      };
+  const rangeOverwrites = isRange && selectedDate
+    ? getDaysInRange(selectedDate, endDate || selectedDate).filter(({ date }) => records[date]).length
+    : 0;
+
   const formattedSelected =
     selectedDate &&
-    new Date(selectedDate).toLocaleDateString('en-US', {
+    new Date(`${selectedDate}T00:00:00`).toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -51,82 +300,148 @@ const AttendanceCalendarScreen = ({ route, navigation }) => {
 
   return (
     <View style={styles.container}>
-      {/* Top gradient-like header */}
-      <View style={styles.headerCard}>
-        <View style={styles.headerLeft}>
-          <Text style={styles.headerTitle}>Mark Attendance</Text>
-          <Text style={styles.headerSubtitle}>Pick a date for this employee</Text>
-        </View>
-        <View style={styles.headerBadge}>
-          <Text style={styles.headerBadgeText}>
-            {selectedDate ? 'Ready' : 'Pending'}
-          </Text>
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentInner}>
+        {/* Top gradient-like header */}
+        <View style={styles.headerCard}>
+          <View style={styles.headerLeft}>
+            <Text style={styles.headerTitle}>Mark Attendance</Text>
+            <Text style={styles.headerSubtitle}>Pick a date for this employee</Text>
+          </View>
+          <View style={styles.headerBadge}>
+            <Text style={styles.headerBadgeText}>
+              {selectedDate ? 'Ready' : 'Pending'}
+            </Text>
+          </View>
         </View>
-      </View>
 
-      {/* Employee Info card */}
-      <View style={styles.employeeCard}>
-        <View style={styles.employeeAvatar}>
-          <Text style={styles.employeeAvatarText}>
-            {employee?.name?.[0]?.toUpperCase() || '?'}
-          </Text>
+        {/* Employee Info card */}
+        <View style={styles.employeeCard}>
+          <View style={styles.employeeAvatar}>
+            <Text style={styles.employeeAvatarText}>
+              {employee?.name?.[0]?.toUpperCase() || '?'}
+            </Text>
+          </View>
+          <View style={styles.employeeInfo}>
+            <Text style={styles.employeeName}>{employee.name}</Text>
+            <Text style={styles.employeeDetail}>ID: {employee.employeeId}</Text>
+            <Text style={styles.employeeDetail}>Dept: {employee.department}</Text>
+          </View>
         </View>
-        <View style={styles.employeeInfo}>
-          <Text style={styles.employeeName}>{employee.name}</Text>
-          <Text style={styles.employeeDetail}>ID: {employee.employeeId}</Text>
-          <Text style={styles.employeeDetail}>Dept: {employee.department}</Text>
+
+        {/* Mode toggle */}
+        <View style={styles.modeToggle}>
+          {MODES.map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.modeButton, mode === option.value && styles.modeButtonActive]}
+              onPress={() => handleModeChange(option.value)}
+            >
+              <Text style={[styles.modeText, mode === option.value && styles.modeTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
         </View>
-      </View>
 
-      {/* Instruction */}
-      <View style={styles.instructionContainer}>
-        <Text style={styles.instructionTitle}>Select a date</Text>
-        <Text style={styles.instructionText}>
-          You can only mark attendance for today or past dates.
-        </Text>
-      </View>
+        {/* Instruction */}
+        <View style={styles.instructionContainer}>
+          <Text style={styles.instructionTitle}>
+            {isRange ? 'Tap the first day, then the last day' : 'Select a date'}
+          </Text>
+          <Text style={styles.instructionText}>
+            {isRange
+              ? 'You can only mark attendance for today or past dates.'
+              : 'Tap a colored day to change or delete its record. Future dates cannot be marked.'}
+          </Text>
+        </View>
 
-      {/* Calendar card */}
-      <View style={styles.calendarContainer}>
-        <Calendar
-          onDayPress={handleDayPress}
-          markedDates={markedDates}
-          maxDate={new Date().toISOString().split('T')[0]}
-          enableSwipeMonths
-          theme={{
-            backgroundColor: '#FFFFFF',
-            calendarBackground: '#FFFFFF',
-            textSectionTitleColor: '#90A4AE',
-            selectedDayBackgroundColor: '#2196F3',
-            selectedDayTextColor: '#FFFFFF',
-            todayTextColor: '#2196F3',
-            dayTextColor: '#263238',
-            textDisabledColor: '#B0BEC5',
-            arrowColor: '#2196F3',
-            monthTextColor: '#263238',
-            textMonthFontWeight: '700',
-            textMonthFontSize: 18,
-            textDayFontSize: 14,
-            textDayHeaderFontSize: 12,
-            'stylesheet.calendar.header': {
-              week: {
-                marginTop: 8,
-                flexDirection: 'row',
-                justifyContent: 'space-between',
+        {/* Calendar card */}
+        <View style={styles.calendarContainer}>
+          <Calendar
+            markingType="period"
+            onDayPress={handleDayPress}
+            markedDates={markedDates}
+            maxDate={today}
+            disableAllTouchEventsForDisabledDays
+            onMonthChange={({ month, year }) => setVisibleMonth({ month, year })}
+            enableSwipeMonths
+            theme={{
+              backgroundColor: '#FFFFFF',
+              calendarBackground: '#FFFFFF',
+              textSectionTitleColor: '#90A4AE',
+              selectedDayBackgroundColor: '#2196F3',
+              selectedDayTextColor: '#FFFFFF',
+              todayTextColor: '#2196F3',
+              dayTextColor: '#263238',
+              textDisabledColor: '#B0BEC5',
+              arrowColor: '#2196F3',
+              monthTextColor: '#263238',
+              textMonthFontWeight: '700',
+              textMonthFontSize: 18,
+              textDayFontSize: 14,
+              textDayHeaderFontSize: 12,
+              'stylesheet.calendar.header': {
+                week: {
+                  marginTop: 8,
+                  flexDirection: 'row',
+                  justifyContent: 'space-between',
+                },
               },
-            },
-          }}
-          style={styles.calendar}
-        />
-      </View>
+            }}
+            style={styles.calendar}
+          />
+        </View>
 
-      {/* Selected Date pill */}
-      {selectedDate && (
-        <View style={styles.selectedDateContainer}>
-          <Text style={styles.selectedDateLabel}>Selected date</Text>
-          <Text style={styles.selectedDateText}>{formattedSelected}</Text>
+        <View style={styles.legend}>
+          {STATUS_OPTIONS.map(option => (
+            <React.Fragment key={option.value}>
+              <View style={[styles.legendSwatch, { backgroundColor: `${option.color}33` }]} />
+              <Text style={styles.legendText}>{option.label}</Text>
+            </React.Fragment>
+          ))}
+          <View style={[styles.legendSwatch, { backgroundColor: `${LEAVE_COLOR}33` }]} />
+          <Text style={styles.legendText}>Leave</Text>
+        </View>
+        <View style={styles.legend}>
+          <View style={[styles.legendDot, { backgroundColor: HOLIDAY_COLOR }]} />
+          <Text style={styles.legendText}>Holiday</Text>
+          <View style={[styles.legendDot, { backgroundColor: WEEKLY_OFF_COLOR }]} />
+          <Text style={styles.legendText}>Weekly off</Text>
         </View>
-      )}
+
+        {/* Selected Date pill */}
+        {selectedDate && !isRange && (
+          <View style={styles.selectedDateContainer}>
+            <Text style={styles.selectedDateLabel}>Selected date</Text>
+            <Text style={styles.selectedDateText}>{formattedSelected}</Text>
+          </View>
+        )}
+        {rangeSummary && (
+          <View style={styles.rangeContainer}>
+            <Text style={styles.selectedDateText}>
+              {formatShortDate(selectedDate)}
+              {endDate && endDate !== selectedDate ? ` – ${formatShortDate(endDate)}` : ''}
+            </Text>
+            <Text style={styles.rangeHint}>
+              {rangeSummary.working} working day(s) of {rangeSummary.days}. Holidays and
+              weekly offs are skipped.
+              {rangeOverwrites > 0 ? ` ${rangeOverwrites} day(s) are already marked.` : ''}
+            </Text>
+          </View>
+        )}
+        {selectedDayOff && (
+          <View style={styles.dayOffNote}>
+            <Ionicons name="information-circle-outline" size={16} color="#EF6C00" />
+            <Text style={styles.dayOffText}>
+              {selectedDayOff.holiday
+                ? `${selectedDayOff.holiday.name} is a holiday.`
+                : 'This is a weekly off.'}{' '}
+              Only mark attendance if they actually worked.
+            </Text>
+          </View>
+        )}
+
+      </ScrollView>
 
       {/* Bottom sticky button */}
       <View style={styles.footer}>
@@ -140,10 +455,27 @@ const AttendanceCalendarScreen = ({ route, navigation }) => {
           activeOpacity={0.8}
         >
           <Text style={styles.continueButtonText}>
-            {selectedDate ? 'Continue to Mark Attendance' : 'Select a date to continue'}
+            {!selectedDate
+              ? 'Select a date to continue'
+              : isRange && endDate && endDate !== selectedDate
+                ? 'Continue to Mark Period'
+                : 'Continue to Mark Attendance'}
           </Text>
         </TouchableOpacity>
       </View>
+
+      <AttendanceEditSheet
+        visible={!!editingRecord}
+        title={editingDate ? formatShortDate(editingDate) : ''}
+        record={editingRecord}
+        options={STATUS_OPTIONS}
+        canEdit={can(PERMISSIONS.ATTENDANCE_EDIT)}
+        canDelete={can(PERMISSIONS.ATTENDANCE_DELETE)}
+        busy={isSaving}
+        onSave={handleSaveRecord}
+        onDelete={handleDeleteRecord}
+        onClose={closeEditor}
+      />
     </View>
   );
 };
@@ -154,6 +486,12 @@ const styles = StyleSheet.create({
     backgroundColor: '#F3F5F9',
     paddingTop: Platform.OS === 'ios' ? 8 : 0,
   },
+  content: {
+    flex: 1,
+  },
+  contentInner: {
+    paddingBottom: 12,
+  },
   headerCard: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -230,6 +568,31 @@ const styles = StyleSheet.create({
     color: '#607D8B',
     marginTop: 2,
   },
+  modeToggle: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginTop: 12,
+    backgroundColor: '#E3F2FD',
+    borderRadius: 999,
+    padding: 4,
+  },
+  modeButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 999,
+  },
+  modeButtonActive: {
+    backgroundColor: '#2196F3',
+  },
+  modeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+  modeTextActive: {
+    color: '#FFFFFF',
+  },
   instructionContainer: {
     marginHorizontal: 16,
     marginTop: 14,
@@ -259,6 +622,45 @@ const styles = StyleSheet.create({
   calendar: {
     borderRadius: 16,
   },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 10,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginRight: 16,
+  },
+  dayOffNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: '#FFF3E0',
+  },
+  dayOffText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 12,
+    color: '#6D4C41',
+  },
   selectedDateContainer: {
     marginHorizontal: 16,
     marginTop: 12,
@@ -269,6 +671,19 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  rangeContainer: {
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 14,
+    backgroundColor: '#E3F2FD',
+  },
+  rangeHint: {
+    fontSize: 12,
+    color: '#1976D2',
+    marginTop: 2,
+  },
   selectedDateLabel: {
     fontSize: 13,
     color: '#1976D2',
@@ -0,0 +1,570 @@
+// src/screens/AttendanceConflictScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { attendanceAPI, dashboardAPI, GUARD_ACCESS } from '../services/api';
+import { useOfflineSync } from '../context/OfflineSyncContext';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
+
+const FIELDS = [
+  { key: 'status', label: 'Status', icon: 'checkmark-done-outline' },
+  { key: 'location', label: 'Location', icon: 'location-outline' },
+  { key: 'time', label: 'Marked at', icon: 'time-outline' },
+];
+
+const ALL_LOCAL = { status: 'local', location: 'local', time: 'local' };
+
+const AttendanceConflictScreen = ({ route, navigation }) => {
+  const { conflicts, resolveConflict, retry } = useOfflineSync();
+
+  const [selectedId, setSelectedId] = useState(route.params?.entryId || null);
+  const [serverRecord, setServerRecord] = useState(null);
+  const [choices, setChoices] = useState(ALL_LOCAL);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const entry =
+    conflicts.find(conflict => conflict.id === selectedId) || conflicts[0] || null;
+
+  const fetchServerRecord = async (conflict) => {
+    if (conflict.serverRecord) {
+      setServerRecord(conflict.serverRecord);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const response = await dashboardAPI.getEmployeeHistory(conflict.employeeId, {
+        startDate: conflict.date,
+        endDate: conflict.date,
+        limit: 1,
+      }, GUARD_ACCESS);
+      setServerRecord(response?.success ? response.history?.[0] || null : null);
+    } catch (error) {
+      console.error('Error fetching server attendance record:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', handleAPIError(error));
+      }
+      setServerRecord(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setChoices(ALL_LOCAL);
+    setServerRecord(null);
+    if (entry) {
+      fetchServerRecord(entry);
+    }
+  }, [entry?.id]);
+
+  const local = entry
+    ? {
+        status: entry.payload?.status,
+        location: entry.payload?.location,
+        time: new Date(entry.createdAt).toISOString(),
+      }
+    : null;
+
+  const server = serverRecord
+    ? {
+        status: serverRecord.status,
+        location: serverRecord.location,
+        time: serverRecord.markedAt,
+      }
+    : null;
+
+  const formatValue = (field, value) => {
+    if (!value) return '—';
+    if (field === 'status') return value.replace('_', ' ');
+    if (field === 'location') {
+      return `${Number(value.latitude).toFixed(4)}, ${Number(value.longitude).toFixed(4)}`;
+    }
+    return new Date(value).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const finishResolution = async (resolution) => {
+    await resolveConflict(entry.id, resolution);
+    if (conflicts.length <= 1) {
+      navigation.goBack();
+    } else {
+      setSelectedId(conflicts.find(conflict => conflict.id !== entry.id)?.id || null);
+    }
+  };
+
+  const handleKeepServer = () => {
+    Alert.alert(
+      'Keep server record',
+      'The attendance marked on this device will be discarded.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Keep server', onPress: () => finishResolution('server') },
+      ]
+    );
+  };
+
+  const applyChoices = async (selected, resolution) => {
+    if (!serverRecord?._id) {
+      Alert.alert('Error', 'Server record could not be loaded. Please try again.');
+      return;
+    }
+
+    const pick = (field) => (selected[field] === 'local' ? local : server)[field];
+
+    try {
+      setIsSaving(true);
+      const response = await attendanceAPI.update(serverRecord._id, pick('status'), {
+        location: pick('location'),
+        markedAt: pick('time'),
+      });
+
+      if (response.success) {
+        await finishResolution(resolution);
+      }
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleKeepLocal = async () => {
+    if (!server) {
+      // Nothing to overwrite any more - send the original mark again
+      await retry(entry.id);
+      if (conflicts.length <= 1) navigation.goBack();
+      return;
+    }
+    applyChoices(ALL_LOCAL, 'local');
+  };
+
+  const handleMerge = () => applyChoices(choices, 'merged');
+
+  const renderConflictTabs = () => {
+    if (conflicts.length < 2) return null;
+
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.tabsRow}
+      >
+        {conflicts.map(conflict => {
+          const active = conflict.id === entry?.id;
+          return (
+            <TouchableOpacity
+              key={conflict.id}
+              style={[styles.tab, active && styles.tabActive]}
+              onPress={() => setSelectedId(conflict.id)}
+              disabled={isSaving}
+            >
+              <Text style={[styles.tabText, active && styles.tabTextActive]}>
+                {conflict.employeeId} • {conflict.date}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    );
+  };
+
+  const renderFieldRow = ({ key, label, icon }) => {
+    const differs =
+      server && formatValue(key, local[key]) !== formatValue(key, server[key]);
+
+    return (
+      <View style={styles.fieldRow} key={key}>
+        <View style={styles.fieldHeader}>
+          <Ionicons name={icon} size={16} color="#607D8B" />
+          <Text style={styles.fieldLabel}>{label}</Text>
+          {differs && (
+            <View style={styles.diffTag}>
+              <Text style={styles.diffTagText}>Differs</Text>
+            </View>
+          )}
+        </View>
+        <View style={styles.optionsRow}>
+          {['local', 'server'].map(side => {
+            const selected = choices[key] === side;
+            const value = side === 'local' ? local[key] : server?.[key];
+            return (
+              <TouchableOpacity
+                key={side}
+                style={[styles.option, selected && styles.optionSelected]}
+                onPress={() => setChoices(prev => ({ ...prev, [key]: side }))}
+                disabled={isSaving || !server}
+                activeOpacity={0.85}
+              >
+                <Text style={styles.optionSide}>
+                  {side === 'local' ? 'This device' : 'Server'}
+                </Text>
+                <Text style={[styles.optionValue, selected && styles.optionValueSelected]}>
+                  {formatValue(key, value)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    );
+  };
+
+  if (!entry) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="checkmark-done-circle-outline" size={64} color="#B0BEC5" />
+        <Text style={styles.emptyText}>No conflicts to review</Text>
+        <Text style={styles.emptySubtext}>
+          All offline attendance has been reconciled with the server.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.screen}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.headerCard}>
+          <View style={styles.headerLeft}>
+            <Text style={styles.headerTitle}>Resolve conflict</Text>
+            <Text style={styles.headerSubtitle}>
+              {conflicts.length} offline mark{conflicts.length === 1 ? '' : 's'} clashed
+              with existing records
+            </Text>
+          </View>
+          <View style={styles.headerBadge}>
+            <Ionicons name="git-compare-outline" size={18} color="#FFFFFF" />
+          </View>
+        </View>
+
+        {renderConflictTabs()}
+
+        <View style={styles.infoCard}>
+          <View style={styles.infoRow}>
+            <Ionicons name="person-outline" size={16} color="#1976D2" />
+            <Text style={styles.infoText}>Employee {entry.employeeId}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Ionicons name="calendar-outline" size={16} color="#1976D2" />
+            <Text style={styles.infoText}>
+              {new Date(`${entry.date}T00:00:00`).toLocaleDateString('en-US', {
+                weekday: 'long',
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+              })}
+            </Text>
+          </View>
+          {serverRecord?.markedBy && (
+            <View style={styles.infoRow}>
+              <Ionicons name="shield-outline" size={16} color="#1976D2" />
+              <Text style={styles.infoText}>Server copy by {serverRecord.markedBy}</Text>
+            </View>
+          )}
+        </View>
+
+        <View style={styles.compareCard}>
+          <Text style={styles.sectionTitle}>Compare and choose</Text>
+          <Text style={styles.sectionHint}>
+            Pick a side per field to merge, or keep one record as a whole.
+          </Text>
+          {isLoading ? (
+            <ActivityIndicator color="#2196F3" style={{ marginVertical: 24 }} />
+          ) : (
+            FIELDS.map(renderFieldRow)
+          )}
+          {!isLoading && !server && (
+            <Text style={styles.warningText}>
+              The server record could not be found. Keep this device's record to
+              send the mark again, or keep the server side to discard it.
+            </Text>
+          )}
+        </View>
+
+        <View style={{ height: 150 }} />
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <View style={styles.footerRow}>
+          <TouchableOpacity
+            style={[styles.secondaryButton, { marginRight: 8 }]}
+            onPress={handleKeepServer}
+            disabled={isSaving}
+          >
+            <Text style={styles.secondaryButtonText}>Keep server</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleKeepLocal}
+            disabled={isSaving || isLoading}
+          >
+            <Text style={styles.secondaryButtonText}>Keep device</Text>
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity
+          style={[styles.primaryButton, (isSaving || !server) && styles.primaryButtonDisabled]}
+          onPress={handleMerge}
+          disabled={isSaving || !server}
+          activeOpacity={0.9}
+        >
+          {isSaving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Save merged record</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  scrollContent: {
+    paddingTop: Platform.OS === 'ios' ? 12 : 8,
+    paddingHorizontal: 16,
+  },
+
+  headerCard: {
+    backgroundColor: '#2196F3',
+    borderRadius: 16,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  headerLeft: {
+    flex: 1,
+  },
+  headerTitle: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    color: '#E3F2FD',
+    fontSize: 13,
+  },
+  headerBadge: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#1976D2',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  tabsRow: {
+    paddingBottom: 12,
+  },
+  tab: {
+    backgroundColor: '#ECEFF1',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+  },
+  tabActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  tabText: {
+    fontSize: 12,
+    color: '#455A64',
+    fontWeight: '500',
+  },
+  tabTextActive: {
+    color: '#FFFFFF',
+  },
+
+  infoCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 3,
+  },
+  infoText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#263238',
+  },
+
+  compareCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#37474F',
+  },
+  sectionHint: {
+    fontSize: 12,
+    color: '#78909C',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  fieldRow: {
+    marginBottom: 14,
+  },
+  fieldHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  fieldLabel: {
+    marginLeft: 6,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#37474F',
+  },
+  diffTag: {
+    marginLeft: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 999,
+    backgroundColor: '#F3E5F5',
+  },
+  diffTagText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#8E24AA',
+  },
+  optionsRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  option: {
+    flex: 1,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#FAFAFA',
+    padding: 10,
+  },
+  optionSelected: {
+    borderColor: '#2196F3',
+    backgroundColor: '#E3F2FD',
+  },
+  optionSide: {
+    fontSize: 11,
+    color: '#90A4AE',
+    marginBottom: 2,
+  },
+  optionValue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#455A64',
+  },
+  optionValueSelected: {
+    color: '#0D47A1',
+  },
+  warningText: {
+    fontSize: 12,
+    color: '#E65100',
+    marginTop: 4,
+  },
+
+  footer: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: Platform.OS === 'ios' ? 20 : 16,
+  },
+  footerRow: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  secondaryButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 999,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#2196F3',
+  },
+  secondaryButtonText: {
+    color: '#2196F3',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 999,
+    paddingVertical: 14,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.25,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#B0BEC5',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F3F5F9',
+    padding: 24,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default AttendanceConflictScreen;
@@ -1,5 +1,5 @@
 // src/screens/AttendanceHistoryScreen.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,28 +12,73 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { dashboardAPI } from '../services/api';
+import { dashboardAPI, shiftAPI, leaveAPI, GUARD_ACCESS } from '../services/api';
+import { isAccessDenied } from '../utils/errorHandler';
+import { useOfflineSync } from '../context/OfflineSyncContext';
+import { SYNC_STATUS, QUEUE_OPERATIONS } from '../services/offlineQueue';
+import SyncStatusBadge from '../components/SyncStatusBadge';
+import {
+  PUNCH_TYPES,
+  PUNCH_LABELS,
+  getPunches,
+  summarizeDay,
+  summarizeDays,
+  formatDuration,
+} from '../services/workTime';
+import { resolveShift, toShiftRules, describeShift } from '../services/shifts';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { toDateKey, toLocalDateKey } from '../services/holidays';
+import { formatDistance } from '../services/deviceLocation';
+import {
+  LEAVE_STATUS,
+  REQUEST_STATUS,
+  applyLeave,
+  findApprovedLeave,
+  getLeaveDates,
+  getLeaveType,
+} from '../services/leave';
+
+const PUNCH_ICONS = {
+  [PUNCH_TYPES.CHECK_IN]: { icon: 'log-in-outline', color: '#43A047' },
+  [PUNCH_TYPES.CHECK_OUT]: { icon: 'log-out-outline', color: '#1976D2' },
+  [PUNCH_TYPES.BREAK_START]: { icon: 'cafe-outline', color: '#FB8C00' },
+  [PUNCH_TYPES.BREAK_END]: { icon: 'play-outline', color: '#00897B' },
+};
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
 
 const AttendanceHistoryScreen = ({ route, navigation }) => {
   const { employee } = route.params;
+  const { queue, getSyncEntry, pendingCount } = useOfflineSync();
+  const { can } = useAuth();
 
   const [historyData, setHistoryData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [limit, setLimit] = useState(30);
+  const [shift, setShift] = useState(null);
+  const [leaves, setLeaves] = useState([]);
 
   const fetchHistory = async () => {
     try {
       const response = await dashboardAPI.getEmployeeHistory(
         employee.employeeId,
-        { limit }
+        { limit },
+        GUARD_ACCESS
       );
       if (response.success) {
         setHistoryData(response);
       }
     } catch (error) {
       console.error('Error fetching attendance history:', error);
-      Alert.alert('Error', 'Failed to load attendance history. Please try again.');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load attendance history. Please try again.');
+      }
     } finally {
       setIsLoading(false);
       setRefreshing(false);
@@ -44,11 +89,147 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
     fetchHistory();
   }, [limit]);
 
+  // Worked hours and LATE / HALF_DAY follow the employee's shift
+  useEffect(() => {
+    if (!can(PERMISSIONS.SHIFTS_VIEW)) return;
+
+    shiftAPI
+      .getAll()
+      .then(response => setShift(resolveShift(employee, response?.shifts)))
+      .catch(error => console.log('Could not load shifts:', error.message));
+  }, [employee]);
+
+  // Approved leave fills the days the employee was away
+  useEffect(() => {
+    if (!can(PERMISSIONS.LEAVE_VIEW)) return;
+
+    leaveAPI
+      .getRequests({ employeeId: employee.employeeId, status: REQUEST_STATUS.APPROVED })
+      .then(response => setLeaves(response?.requests || []))
+      .catch(error => console.log('Could not load leave:', error.message));
+  }, [employee]);
+
+  const shiftRules = useMemo(() => toShiftRules(shift), [shift]);
+
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     fetchHistory();
   }, [limit]);
 
+  // Reload once queued offline changes have reached the server
+  const previousPendingCount = useRef(pendingCount);
+  useEffect(() => {
+    if (pendingCount < previousPendingCount.current) {
+      fetchHistory();
+    }
+    previousPendingCount.current = pendingCount;
+  }, [pendingCount]);
+
+  // Server history plus offline marks that have not reached the server yet.
+  // Queued punches join the day they belong to.
+  const historyItems = useMemo(() => {
+    const serverItems = historyData?.history || [];
+    const itemsByDate = new Map(serverItems.map(item => [toDateKey(item.date), item]));
+    const queuedPunches = new Map();
+    const queuedItems = [];
+
+    queue
+      .filter(
+        entry =>
+          entry.type === QUEUE_OPERATIONS.MARK &&
+          (entry.status === SYNC_STATUS.PENDING ||
+            entry.status === SYNC_STATUS.FAILED) &&
+          entry.employeeId === employee.employeeId
+      )
+      .forEach(entry => {
+        if (entry.payload.punchType) {
+          const punches = queuedPunches.get(entry.date) || [];
+          punches.push({
+            type: entry.payload.punchType,
+            time: entry.payload.markedAt,
+            queued: true,
+          });
+          queuedPunches.set(entry.date, punches);
+        }
+        if (!itemsByDate.has(entry.date)) {
+          const item = {
+            _id: entry.id,
+            date: entry.payload.date,
+            status: entry.payload.status,
+            markedAt: entry.createdAt,
+            location: entry.payload.location,
+            distanceMeters: entry.payload.distanceMeters,
+            outsideGeofence: entry.payload.outsideGeofence,
+            siteName: entry.payload.siteName,
+          };
+          itemsByDate.set(entry.date, item);
+          queuedItems.push(item);
+        }
+      });
+
+    // Leave days without a record, back to the oldest loaded record
+    // (or all of them once the whole history is loaded)
+    const today = toLocalDateKey(new Date());
+    const hasMore = serverItems.length >= limit;
+    const oldest = serverItems.length ? toDateKey(serverItems[serverItems.length - 1].date) : today;
+    const leaveItems = [];
+    leaves.forEach(leave => {
+      getLeaveDates(leave, {
+        employee,
+        rules: shiftRules,
+        from: hasMore ? oldest : undefined,
+        to: today,
+      })
+        .filter(date => !itemsByDate.has(date))
+        .forEach(date => {
+          const item = {
+            _id: `leave-${leave._id}-${date}`,
+            date: `${date}T00:00:00.000Z`, // same shape as server dates
+            status: LEAVE_STATUS,
+            leaveType: leave.type,
+          };
+          itemsByDate.set(date, item);
+          leaveItems.push(item);
+        });
+    });
+
+    if (queuedItems.length === 0 && queuedPunches.size === 0 && leaves.length === 0) {
+      return serverItems;
+    }
+
+    return [...queuedItems, ...leaveItems, ...serverItems]
+      .map(item => {
+        const extra = queuedPunches.get(toDateKey(item.date));
+        const withPunches = extra ? { ...item, punches: [...getPunches(item), ...extra] } : item;
+        const leave = findApprovedLeave(leaves, employee.employeeId, toDateKey(item.date));
+        return applyLeave(withPunches.status, leave) === LEAVE_STATUS && !withPunches.leaveType
+          ? { ...withPunches, status: LEAVE_STATUS, leaveType: leave.type }
+          : withPunches;
+      })
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }, [historyData, queue, employee.employeeId, leaves, shiftRules, limit]);
+
+  const leaveDayCount = useMemo(
+    () => historyItems.filter(item => item.status === LEAVE_STATUS).length,
+    [historyItems]
+  );
+
+  // The server counts these as absences
+  const absentOnLeave = useMemo(
+    () =>
+      (historyData?.history || []).filter(
+        item =>
+          item.status === 'ABSENT' &&
+          findApprovedLeave(leaves, employee.employeeId, toDateKey(item.date))
+      ).length,
+    [historyData, leaves, employee.employeeId]
+  );
+
+  const workTotals = useMemo(
+    () => summarizeDays(historyItems, shiftRules),
+    [historyItems, shiftRules]
+  );
+
   const handleLoadMore = () => {
     setLimit(prev => prev + 30);
   };
@@ -63,6 +244,8 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
         return '#FF9800';
       case 'HALF_DAY':
         return '#2196F3';
+      case 'LEAVE':
+        return '#00897B';
       default:
         return '#757575';
     }
@@ -78,6 +261,8 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
         return 'time';
       case 'HALF_DAY':
         return 'hourglass';
+      case 'LEAVE':
+        return 'document-text';
       default:
         return 'help-circle';
     }
@@ -117,6 +302,7 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
             <Text style={styles.employeeDetail}>
               {empData.department} • {empData.jobRole}
             </Text>
+            <Text style={styles.employeeDetail}>Shift: {describeShift(shift)}</Text>
           </View>
         </View>
 
@@ -136,7 +322,7 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
             <View style={styles.statChipTextWrapper}>
               <Text style={styles.statChipLabel}>Absent</Text>
               <Text style={[styles.statChipValue, { color: '#F44336' }]}>
-                {statistics.absent}
+                {Math.max(0, statistics.absent - absentOnLeave)}
               </Text>
             </View>
           </View>
@@ -155,8 +341,33 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
               Rate: {statistics.attendanceRate}
             </Text>
           </View>
+          {leaveDayCount > 0 && (
+            <View style={[styles.statChipSmall, { backgroundColor: '#E0F2F1' }]}>
+              <Ionicons name="document-text-outline" size={16} color="#00897B" />
+              <Text style={[styles.statChipSmallText, { color: '#00897B' }]}>
+                Leave: {leaveDayCount}
+              </Text>
+            </View>
+          )}
         </View>
 
+        {workTotals.daysWithPunches > 0 && (
+          <View style={styles.statsRow}>
+            <View style={[styles.statChipSmall, { backgroundColor: '#E0F2F1' }]}>
+              <Ionicons name="hourglass-outline" size={16} color="#00897B" />
+              <Text style={[styles.statChipSmallText, { color: '#00897B' }]}>
+                Worked: {formatDuration(workTotals.workedMinutes)}
+              </Text>
+            </View>
+            <View style={[styles.statChipSmall, { backgroundColor: '#F3E5F5' }]}>
+              <Ionicons name="trending-up-outline" size={16} color="#8E24AA" />
+              <Text style={[styles.statChipSmallText, { color: '#8E24AA' }]}>
+                Overtime: {formatDuration(workTotals.overtimeMinutes)}
+              </Text>
+            </View>
+          </View>
+        )}
+
         {/* Section title */}
         <View style={styles.timelineHeader}>
           <Text style={styles.timelineTitle}>Timeline</Text>
@@ -167,10 +378,22 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
   };
 
   const renderHistoryItem = ({ item, index }) => {
-    const statusColor = getStatusColor(item.status);
-    const statusIcon = getStatusIcon(item.status);
+    const syncEntry = getSyncEntry({
+      recordId: item._id,
+      employeeId: employee.employeeId,
+      date: item.date,
+    });
+    const day = summarizeDay(item, shiftRules);
+    const status =
+      syncEntry?.type === QUEUE_OPERATIONS.UPDATE &&
+      syncEntry.status === SYNC_STATUS.PENDING
+        ? syncEntry.payload.status
+        : day.status;
+
+    const statusColor = getStatusColor(status);
+    const statusIcon = getStatusIcon(status);
 
-    const date = new Date(item.date);
+    const date = new Date(`${toDateKey(item.date)}T00:00:00`);
     const dateString = date.toLocaleDateString('en-US', {
       weekday: 'short',
       month: 'short',
@@ -178,10 +401,6 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
       year: 'numeric',
     });
 
-    const markedAtTime = new Date(item.markedAt).toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
 
     return (
       <View style={styles.historyRow}>
@@ -200,7 +419,7 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
               ]}
             />
           </View>
-          {index < (historyData?.history.length || 0) - 1 && (
+          {index < historyItems.length - 1 && (
             <View style={styles.timelineLine} />
           )}
         </View>
@@ -220,16 +439,52 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
             >
               <Ionicons name={statusIcon} size={16} color={statusColor} />
               <Text style={[styles.statusText, { color: statusColor }]}>
-                {item.status.replace('_', ' ')}
+                {status.replace('_', ' ')}
               </Text>
             </View>
           </View>
 
-          <View style={styles.historyDetails}>
-            <View style={styles.detailRow}>
-              <Ionicons name="time-outline" size={14} color="#90A4AE" />
-              <Text style={styles.detailText}>Marked at {markedAtTime}</Text>
+          <SyncStatusBadge entry={syncEntry} style={styles.syncBadge} />
+
+          {day.punches.length > 0 && (
+            <View style={styles.punchList}>
+              {day.punches.map((punch, i) => {
+                const { icon, color } = PUNCH_ICONS[punch.type];
+                return (
+                  <View key={`${punch.type}-${i}`} style={styles.punchRow}>
+                    <Ionicons name={icon} size={14} color={color} />
+                    <Text style={styles.punchTime}>{formatTime(punch.time)}</Text>
+                    <Text style={styles.punchLabel}>{PUNCH_LABELS[punch.type]}</Text>
+                    {punch.queued && <Text style={styles.punchQueued}>Not synced</Text>}
+                  </View>
+                );
+              })}
+              <Text style={styles.workSummary}>
+                {day.isOpen
+                  ? day.onBreak ? 'On break' : 'Still checked in'
+                  : `Worked ${formatDuration(day.workedMinutes)}`}
+                {day.breakMinutes > 0 && ` • Break ${formatDuration(day.breakMinutes)}`}
+                {day.overtimeMinutes > 0 && ` • Overtime ${formatDuration(day.overtimeMinutes)}`}
+              </Text>
             </View>
+          )}
+
+          <View style={styles.historyDetails}>
+            {item.leaveType && (
+              <View style={styles.detailRow}>
+                <Ionicons name="document-text-outline" size={14} color="#90A4AE" />
+                <Text style={styles.detailText}>
+                  {getLeaveType(item.leaveType).label} leave (approved)
+                </Text>
+              </View>
+            )}
+
+            {day.punches.length === 0 && item.markedAt && (
+              <View style={styles.detailRow}>
+                <Ionicons name="time-outline" size={14} color="#90A4AE" />
+                <Text style={styles.detailText}>Marked at {formatTime(item.markedAt)}</Text>
+              </View>
+            )}
 
             {item.markedBy && (
               <View style={styles.detailRow}>
@@ -244,6 +499,23 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
                 <Text style={styles.detailText}>
                   {item.location.latitude.toFixed(4)},{' '}
                   {item.location.longitude.toFixed(4)}
+                  {item.distanceMeters != null && ` • ${formatDistance(item.distanceMeters)}`}
+                </Text>
+              </View>
+            )}
+
+            {item.siteName && (
+              <View style={styles.detailRow}>
+                <Ionicons name="business-outline" size={14} color="#90A4AE" />
+                <Text style={styles.detailText}>{item.siteName}</Text>
+              </View>
+            )}
+
+            {item.outsideGeofence && (
+              <View style={styles.detailRow}>
+                <Ionicons name="warning-outline" size={14} color="#C62828" />
+                <Text style={[styles.detailText, { color: '#C62828' }]}>
+                  Outside geofence{item.geofenceRadius ? ` (${item.geofenceRadius} m)` : ''}
                 </Text>
               </View>
             )}
@@ -304,7 +576,7 @@ const AttendanceHistoryScreen = ({ route, navigation }) => {
   return (
     <View style={styles.container}>
       <FlatList
-        data={historyData.history}
+        data={historyItems}
         renderItem={renderHistoryItem}
         keyExtractor={(item) => item._id}
         ListHeaderComponent={renderEmployeeHeader}
@@ -575,6 +847,43 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 4,
   },
+  syncBadge: {
+    marginTop: 8,
+  },
+  punchList: {
+    marginTop: 10,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#ECEFF1',
+  },
+  punchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  punchTime: {
+    width: 72,
+    marginLeft: 6,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#37474F',
+  },
+  punchLabel: {
+    fontSize: 12,
+    color: '#607D8B',
+  },
+  punchQueued: {
+    marginLeft: 8,
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#FB8C00',
+  },
+  workSummary: {
+    marginTop: 4,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#00897B',
+  },
   historyDetails: {
     marginTop: 8,
   },
@@ -1,9 +1,8 @@
 // src/screens/AttendanceMarkScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
-  TextInput,
   TouchableOpacity,
   StyleSheet,
   ScrollView,
@@ -12,18 +11,200 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { attendanceAPI } from '../services/api';
+import { attendanceAPI, shiftAPI, siteAPI, holidayAPI, leaveAPI } from '../services/api';
 import { handleAPIError } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { resolveShift, suggestStatus, describeShift, toShiftRules } from '../services/shifts';
+import { getDaysInRange, toDateKey, toLocalDateKey } from '../services/holidays';
+import { findApprovedLeave, REQUEST_STATUS } from '../services/leave';
+import {
+  GEOFENCE_POLICY,
+  GEOFENCE_STATUS,
+  getDeviceLocation,
+  toAttendanceLocation,
+  formatDistance,
+} from '../services/deviceLocation';
+import { checkSites, getEmployeeSites, toAttendanceSite } from '../services/sites';
+import LocationPickerModal from '../components/LocationPickerModal';
+
+const FENCE_TAGS = {
+  [GEOFENCE_STATUS.INSIDE]: {
+    label: 'Inside geofence',
+    icon: 'shield-checkmark-outline',
+    color: '#2E7D32',
+    background: '#E8F5E9',
+  },
+  [GEOFENCE_STATUS.OUTSIDE]: {
+    label: 'Outside geofence',
+    icon: 'warning-outline',
+    color: '#C62828',
+    background: '#FFEBEE',
+  },
+  [GEOFENCE_STATUS.UNKNOWN]: {
+    label: 'Not checked',
+    icon: 'help-circle-outline',
+    color: '#607D8B',
+    background: '#ECEFF1',
+  },
+};
 
 const AttendanceMarkScreen = ({ route, navigation }) => {
-  const { employee, selectedDate } = route.params;
+  const { employee, selectedDate, endDate } = route.params;
+  // A period from the calendar; marked day by day on its working days
+  const isRange = !!endDate && endDate !== selectedDate;
 
   const [status, setStatus] = useState('PRESENT');
-  const [location, setLocation] = useState({
-    latitude: '',
-    longitude: '',
-  });
+  const [location, setLocation] = useState(null);
+  const [isLocating, setIsLocating] = useState(!isRange);
   const [isLoading, setIsLoading] = useState(false);
+  const [shift, setShift] = useState(null);
+  const [showMap, setShowMap] = useState(false);
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState(null); // null picks the nearest site
+  const [holidays, setHolidays] = useState([]);
+  const [existingRecords, setExistingRecords] = useState(null); // null: could not be checked
+  const [leaves, setLeaves] = useState(null); // null: could not be checked
+  const [isLoadingRange, setIsLoadingRange] = useState(isRange);
+  const statusTouched = useRef(false);
+
+  const { can } = useAuth();
+  const suggestion = suggestStatus(shift, selectedDate);
+
+  // Where the device is says nothing about a back-dated mark
+  const isToday = !isRange && toLocalDateKey(selectedDate) === toLocalDateKey(new Date());
+  const employeeSites = getEmployeeSites(sites, employee.employeeId);
+  const geofence = isToday
+    ? checkSites(location, employee, sites, siteId)
+    : {
+        status: GEOFENCE_STATUS.UNKNOWN,
+        distance: null,
+        blocked: false,
+        site: employeeSites.find(site => site._id === siteId) ||
+          (employeeSites.length === 1 ? employeeSites[0] : null),
+      };
+  const fenceTag = FENCE_TAGS[geofence.status];
+
+  const captureLocation = async () => {
+    setIsLocating(true);
+    setLocation(await getDeviceLocation());
+    setIsLocating(false);
+  };
+
+  // Only a back-dated mark can be placed by hand; today's comes from GPS
+  const handleMapConfirm = (picked) => {
+    setShowMap(false);
+    setLocation({ ...picked, accuracy: null });
+  };
+
+  useEffect(() => {
+    if (!isRange) captureLocation();
+  }, []);
+
+  // Days off to skip and records the period would overwrite
+  useEffect(() => {
+    if (!isRange) return;
+
+    const years = [...new Set([selectedDate.slice(0, 4), endDate.slice(0, 4)])];
+    const loadHolidays = can(PERMISSIONS.HOLIDAYS_VIEW)
+      ? Promise.all(years.map(year => holidayAPI.getAll({ year })))
+          .then(responses => responses.flatMap(response => response?.holidays || []))
+          .catch(error => {
+            console.log('Could not load holidays:', error.message);
+            return [];
+          })
+      : Promise.resolve([]);
+    const loadRecords = can(PERMISSIONS.ATTENDANCE_VIEW)
+      ? attendanceAPI
+          .getHistory(employee.employeeId, selectedDate, endDate, 400)
+          .then(response => response?.history || response?.attendance || [])
+          .catch(error => {
+            console.log('Could not load existing records:', error.message);
+            return null;
+          })
+      : Promise.resolve(null);
+    // Approved leave is not stored as attendance, so it comes from the requests
+    const loadLeaves = can(PERMISSIONS.LEAVE_VIEW)
+      ? leaveAPI
+          .getRequests({
+            employeeId: employee.employeeId,
+            status: REQUEST_STATUS.APPROVED,
+            startDate: selectedDate,
+            endDate,
+          })
+          .then(response => response?.requests || [])
+          .catch(error => {
+            console.log('Could not load leave:', error.message);
+            return null;
+          })
+      : Promise.resolve(null);
+
+    Promise.all([loadHolidays, loadRecords, loadLeaves]).then(([holidayList, records, leaveList]) => {
+      setHolidays(holidayList);
+      setLeaves(leaveList);
+      // Without them every day would be sent as new and duplicate the marked ones
+      if (records) {
+        const byDate = {};
+        // Server dates are UTC midnight of the day the range days are keyed by
+        records.forEach(record => {
+          byDate[toDateKey(record.date)] = record;
+        });
+        setExistingRecords(byDate);
+      }
+      setIsLoadingRange(false);
+    });
+  }, [employee, selectedDate, endDate]);
+
+  const rangeDays = useMemo(
+    () =>
+      isRange
+        ? getDaysInRange(selectedDate, endDate, {
+            holidays,
+            employee,
+            rules: toShiftRules(shift),
+          }).map(day => ({
+            ...day,
+            existing: existingRecords?.[day.date] || null,
+            leave: findApprovedLeave(leaves || [], employee.employeeId, day.date),
+          }))
+        : [],
+    [isRange, selectedDate, endDate, holidays, employee, shift, existingRecords, leaves]
+  );
+  // Approved leave is not overwritten by a period mark
+  const isOnLeave = (day) => !!day.leave || day.existing?.status === 'LEAVE';
+  const workingDays = rangeDays.filter(day => !day.dayOff && !isOnLeave(day));
+  const overwrites = workingDays.filter(day => day.existing);
+
+  // Without a shift the default schedule still gives a suggestion
+  useEffect(() => {
+    if (!can(PERMISSIONS.SHIFTS_VIEW)) return;
+
+    shiftAPI
+      .getAll()
+      .then(response => setShift(resolveShift(employee, response?.shifts)))
+      .catch(error => console.log('Could not load shifts:', error.message));
+  }, [employee]);
+
+  useEffect(() => {
+    if (!can(PERMISSIONS.SITES_VIEW)) return;
+
+    siteAPI
+      .getAll()
+      .then(response => setSites(response?.sites || []))
+      .catch(error => console.log('Could not load sites:', error.message));
+  }, []);
+
+  // Follow the suggestion until the admin picks a status themselves
+  useEffect(() => {
+    if (!statusTouched.current && suggestion.status) {
+      setStatus(suggestion.status);
+    }
+  }, [suggestion.status]);
+
+  const selectStatus = (value) => {
+    statusTouched.current = true;
+    setStatus(value);
+  };
 
   const statusOptions = [
     { value: 'PRESENT', label: 'Present', color: '#4CAF50', icon: 'checkmark-circle' },
@@ -32,47 +213,47 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
     { value: 'HALF_DAY', label: 'Half Day', color: '#2196F3', icon: 'hourglass' },
   ];
 
-  const updateLocation = (field, value) => {
-    setLocation(prev => ({
-      ...prev,
-      [field]: value,
-    }));
-  };
-
-  const useBaseLocation = () => {
-    if (employee.baseLocation) {
-      setLocation({
-        latitude: employee.baseLocation.latitude.toString(),
-        longitude: employee.baseLocation.longitude.toString(),
-      });
-      Alert.alert('Success', 'Employee base location loaded');
-    } else {
-      Alert.alert('Error', 'No base location available for this employee');
-    }
-  };
-
   const validateForm = () => {
     if (!status) {
       Alert.alert('Validation Error', 'Please select attendance status');
       return false;
     }
-    if (!location.latitude.trim() || !location.longitude.trim()) {
-      Alert.alert('Validation Error', 'Please enter both latitude and longitude');
-      return false;
-    }
-
-    const lat = parseFloat(location.latitude);
-    const lng = parseFloat(location.longitude);
-    if (isNaN(lat) || isNaN(lng)) {
-      Alert.alert('Validation Error', 'Latitude and longitude must be valid numbers');
-      return false;
+    if (isRange) {
+      if (isLoadingRange) {
+        Alert.alert('Please wait', 'Still loading holidays and existing records');
+        return false;
+      }
+      if (!existingRecords) {
+        Alert.alert(
+          'Cannot mark this period',
+          'The days already marked in this period could not be checked, so they would be duplicated. Go back and try again, or mark the days one at a time.'
+        );
+        return false;
+      }
+      if (workingDays.length === 0) {
+        Alert.alert('Nothing to mark', 'Every day in this period is a holiday, weekly off or leave.');
+        return false;
+      }
+      if (overwrites.length > 0 && !can(PERMISSIONS.ATTENDANCE_EDIT)) {
+        Alert.alert(
+          'Already marked',
+          `${overwrites.length} day(s) in this period already have a record and you cannot edit attendance.`
+        );
+        return false;
+      }
+      return true;
     }
-    if (lat < -90 || lat > 90) {
-      Alert.alert('Validation Error', 'Latitude must be between -90 and 90');
+    if (isLocating) {
+      Alert.alert('Please wait', 'Still getting the device location');
       return false;
     }
-    if (lng < -180 || lng > 180) {
-      Alert.alert('Validation Error', 'Longitude must be between -180 and 180');
+    if (geofence.blocked) {
+      Alert.alert(
+        'Outside geofence',
+        location
+          ? `This device is ${formatDistance(geofence.distance)}; marks for ${employee.name} are only allowed within ${geofence.radius} m.`
+          : `Marks for ${employee.name} need a GPS fix inside the geofence. Turn on location and try again.`
+      );
       return false;
     }
 
@@ -82,6 +263,22 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
   const handleSubmit = async () => {
     if (!validateForm()) return;
 
+    if (isRange) {
+      if (overwrites.length === 0) {
+        submitRange();
+        return;
+      }
+      Alert.alert(
+        'Overwrite existing records?',
+        `${overwrites.length} of ${workingDays.length} day(s) are already marked for ${employee.name} and will be changed to ${status}.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Overwrite', style: 'destructive', onPress: submitRange },
+        ]
+      );
+      return;
+    }
+
     try {
       setIsLoading(true);
 
@@ -89,16 +286,20 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
         employeeId: employee.employeeId,
         date: new Date(selectedDate).toISOString(),
         status,
-        location: {
-          latitude: parseFloat(location.latitude),
-          longitude: parseFloat(location.longitude),
-        },
+        ...toAttendanceLocation(location, geofence),
+        ...toAttendanceSite(geofence.site),
       };
 
       const response = await attendanceAPI.mark(attendanceData);
 
 
-      if (response.success) {
+      if (response.queued) {
+        Alert.alert(
+          'Saved offline',
+          `No connection right now. Attendance for ${employee.name} was saved on this device and will sync automatically.`,
+          [{ text: 'OK', onPress: () => navigation.popToTop() }]
+        );
+      } else if (response.success) {
         Alert.alert(
           'Success',
           `Attendance marked as ${status} for ${employee.name}`,
@@ -121,8 +322,50 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
     }
   };
 
+  // One record per working day; days off are left alone
+  const submitRange = async () => {
+    try {
+      setIsLoading(true);
+
+      const records = workingDays.map(day => ({
+        employeeId: employee.employeeId,
+        date: new Date(day.date).toISOString(),
+        status,
+        ...(day.existing?._id && { recordId: day.existing._id }),
+      }));
+
+      const response = await attendanceAPI.markBulk(records);
+      const results = response.results || [];
+      const failed = workingDays.filter((day, index) => results[index] && !results[index].success);
+      const saved = workingDays.length - failed.length;
+
+      const message = response.queued
+        ? `No connection right now. ${workingDays.length} day(s) for ${employee.name} were saved on this device and will sync automatically.`
+        : failed.length > 0
+          ? `Marked ${saved} of ${workingDays.length} day(s) as ${status}. Not saved: ${failed.map(day => formatShortDate(day.date)).join(', ')}`
+          : `Marked ${saved} day(s) as ${status} for ${employee.name}`;
+
+      Alert.alert(
+        response.queued ? 'Saved offline' : failed.length > 0 ? 'Partly saved' : 'Success',
+        message,
+        [{ text: 'OK', onPress: () => navigation.popToTop() }]
+      );
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatShortDate = (dateKey) =>
+    new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    });
+
   const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return new Date(`${toLocalDateKey(dateString)}T00:00:00`).toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -130,7 +373,9 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
     });
   };
 
-  const formattedDate = formatDate(selectedDate);
+  const formattedDate = isRange
+    ? `${formatShortDate(selectedDate)} – ${formatShortDate(endDate)}`
+    : formatDate(selectedDate);
 
   return (
     <View style={styles.screen}>
@@ -176,8 +421,13 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
           <View style={styles.dateRow}>
             <Ionicons name="calendar-outline" size={18} color="#1976D2" />
             <View style={{ marginLeft: 8 }}>
-              <Text style={styles.dateLabel}>For date</Text>
+              <Text style={styles.dateLabel}>{isRange ? 'For period' : 'For date'}</Text>
               <Text style={styles.dateValue}>{formattedDate}</Text>
+              {isRange && !isLoadingRange && (
+                <Text style={styles.dateLabel}>
+                  {workingDays.length} working of {rangeDays.length} day(s)
+                </Text>
+              )}
             </View>
           </View>
         </View>
@@ -185,6 +435,13 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
         {/* Status card */}
         <View style={styles.formCard}>
           <Text style={styles.sectionTitle}>Attendance status *</Text>
+          <View style={styles.shiftBanner}>
+            <Ionicons name="time-outline" size={18} color="#EF6C00" />
+            <View style={styles.shiftBannerText}>
+              <Text style={styles.shiftName}>{describeShift(shift)}</Text>
+              <Text style={styles.shiftReason}>{suggestion.reason}</Text>
+            </View>
+          </View>
           <View style={styles.statusGrid}>
             {statusOptions.map((option) => {
               const selected = status === option.value;
@@ -198,7 +455,7 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
                       borderColor: option.color,
                     },
                   ]}
-                  onPress={() => setStatus(option.value)}
+                  onPress={() => selectStatus(option.value)}
                   disabled={isLoading}
                   activeOpacity={0.85}
                 >
@@ -226,6 +483,9 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
                     {selected && (
                       <Text style={styles.statusSubLabel}>Currently selected</Text>
                     )}
+                    {suggestion.status === option.value && (
+                      <Text style={styles.suggestedLabel}>Suggested by shift</Text>
+                    )}
                   </View>
                 </TouchableOpacity>
               );
@@ -233,66 +493,181 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
           </View>
         </View>
 
-        {/* Location card */}
-        <View style={styles.formCard}>
-          <View style={styles.locationHeaderRow}>
-            <Text style={styles.sectionTitle}>Location *</Text>
-            <View style={styles.locationTag}>
-              <Ionicons name="shield-checkmark-outline" size={14} color="#1976D2" />
-              <Text style={styles.locationTagText}>Geo-verified</Text>
+        {/* Dates card (period) or location card (single day) */}
+        {isRange ? (
+          <View style={styles.formCard}>
+            <View style={styles.locationHeaderRow}>
+              <Text style={styles.sectionTitle}>Dates</Text>
+              {overwrites.length > 0 && (
+                <View style={[styles.locationTag, { backgroundColor: '#FFF3E0' }]}>
+                  <Ionicons name="warning-outline" size={14} color="#EF6C00" />
+                  <Text style={[styles.locationTagText, { color: '#EF6C00' }]}>
+                    {overwrites.length} overwrite(s)
+                  </Text>
+                </View>
+              )}
             </View>
-          </View>
 
-          <TouchableOpacity
-            style={styles.baseLocationButton}
-            onPress={useBaseLocation}
-            disabled={isLoading}
-            activeOpacity={0.9}
-          >
-            <Ionicons name="navigate-outline" size={18} color="#1976D2" />
-            <Text style={styles.baseLocationButtonText}>
-              Use employee base location
+            {isLoadingRange ? (
+              <View style={styles.locationStatusRow}>
+                <ActivityIndicator size="small" color="#1976D2" />
+                <Text style={styles.locationValue}>Checking holidays and existing records...</Text>
+              </View>
+            ) : !existingRecords ? (
+              <View style={styles.locationStatusRow}>
+                <Ionicons name="alert-circle-outline" size={16} color="#C62828" />
+                <Text style={styles.locationValue}>
+                  Existing records could not be checked, so this period cannot be marked.
+                </Text>
+              </View>
+            ) : (
+              <>
+                {!leaves && (
+                  <View style={styles.locationStatusRow}>
+                    <Ionicons name="alert-circle-outline" size={16} color="#EF6C00" />
+                    <Text style={styles.locationValue}>
+                      Approved leave could not be checked. Leave days in this period will be marked too.
+                    </Text>
+                  </View>
+                )}
+                {rangeDays.map(day => (
+                  <View key={day.date} style={styles.rangeDayRow}>
+                    <Ionicons
+                      name={day.dayOff || isOnLeave(day) ? 'remove-circle-outline' : day.existing ? 'swap-horizontal' : 'add-circle-outline'}
+                      size={16}
+                      color={day.dayOff || isOnLeave(day) ? '#B0BEC5' : day.existing ? '#EF6C00' : '#2E7D32'}
+                    />
+                    <Text style={[styles.rangeDayDate, (day.dayOff || isOnLeave(day)) && styles.rangeDayOff]}>
+                      {formatShortDate(day.date)}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.rangeDayNote,
+                        (day.dayOff || isOnLeave(day)) && styles.rangeDayOff,
+                        !day.dayOff && !isOnLeave(day) && day.existing && styles.rangeDayOverwrite,
+                      ]}
+                      numberOfLines={1}
+                    >
+                      {day.dayOff
+                        ? `Skipped • ${day.dayOff.holiday?.name || 'Weekly off'}`
+                        : isOnLeave(day)
+                          ? 'Skipped • On leave'
+                          : day.existing
+                          ? `Overwrites ${day.existing.status}`
+                          : 'New record'}
+                    </Text>
+                  </View>
+                ))}
+              </>
+            )}
+
+            <Text style={styles.locationNote}>
+              Holidays, weekly offs and approved leave are skipped. Period marks carry no device location.
             </Text>
-          </TouchableOpacity>
-
-          <View style={styles.locationRow}>
-            <View style={styles.locationField}>
-              <Text style={styles.label}>Latitude</Text>
-              <View style={styles.inputWrapper}>
-                <Ionicons name="compass-outline" size={16} color="#9E9E9E" />
-                <TextInput
-                  style={styles.input}
-                  placeholder="10.0261"
-                  placeholderTextColor="#B0BEC5"
-                  value={location.latitude}
-                  onChangeText={(text) => updateLocation('latitude', text)}
-                  keyboardType="numeric"
-                  editable={!isLoading}
-                />
+          </View>
+        ) : (
+          <View style={styles.formCard}>
+            <View style={styles.locationHeaderRow}>
+              <Text style={styles.sectionTitle}>Location</Text>
+              <View style={[styles.locationTag, { backgroundColor: fenceTag.background }]}>
+                <Ionicons name={fenceTag.icon} size={14} color={fenceTag.color} />
+                <Text style={[styles.locationTagText, { color: fenceTag.color }]}>
+                  {fenceTag.label}
+                </Text>
               </View>
             </View>
-            <View style={styles.locationField}>
-              <Text style={styles.label}>Longitude</Text>
-              <View style={styles.inputWrapper}>
-                <Ionicons name="locate-outline" size={16} color="#9E9E9E" />
-                <TextInput
-                  style={styles.input}
-                  placeholder="76.3125"
-                  placeholderTextColor="#B0BEC5"
-                  value={location.longitude}
-                  onChangeText={(text) => updateLocation('longitude', text)}
-                  keyboardType="numeric"
-                  editable={!isLoading}
-                />
+
+            {employeeSites.length > 1 && (
+              <View style={styles.siteChips}>
+                {[{ _id: null, name: isToday ? 'Nearest' : 'Not set' }, ...employeeSites].map(site => (
+                  <TouchableOpacity
+                    key={site._id || 'auto'}
+                    style={[styles.siteChip, siteId === site._id && styles.siteChipActive]}
+                    onPress={() => setSiteId(site._id)}
+                    disabled={isLoading}
+                  >
+                    <Text style={[styles.siteChipText, siteId === site._id && styles.siteChipTextActive]}>
+                      {site.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
               </View>
+            )}
+            {geofence.site && (
+              <View style={styles.locationStatusRow}>
+                <Ionicons name="business-outline" size={16} color="#1976D2" />
+                <Text style={styles.locationValue}>{geofence.site.name}</Text>
+              </View>
+            )}
+
+            {isLocating ? (
+              <View style={styles.locationStatusRow}>
+                <ActivityIndicator size="small" color="#1976D2" />
+                <Text style={styles.locationValue}>Getting GPS fix...</Text>
+              </View>
+            ) : location ? (
+              <>
+                <View style={styles.locationStatusRow}>
+                  <Ionicons name="navigate-outline" size={16} color="#1976D2" />
+                  <Text style={styles.locationValue}>
+                    {location.latitude.toFixed(5)}, {location.longitude.toFixed(5)}
+                    {location.accuracy ? `  (±${Math.round(location.accuracy)} m)` : ''}
+                  </Text>
+                </View>
+                {location.address ? (
+                  <Text style={styles.locationDistance}>{location.address}</Text>
+                ) : null}
+                {geofence.distance != null && (
+                  <Text style={styles.locationDistance}>
+                    {formatDistance(geofence.distance)} • fence {geofence.radius} m
+                  </Text>
+                )}
+              </>
+            ) : (
+              <View style={styles.locationStatusRow}>
+                <Ionicons name="alert-circle-outline" size={16} color="#EF6C00" />
+                <Text style={styles.locationValue}>Location unavailable</Text>
+              </View>
+            )}
+
+            <View style={styles.locationButtonRow}>
+              <TouchableOpacity
+                style={styles.refreshLocationButton}
+                onPress={captureLocation}
+                disabled={isLoading || isLocating}
+                activeOpacity={0.9}
+              >
+                <Ionicons name="refresh-outline" size={18} color="#1976D2" />
+                <Text style={styles.refreshLocationButtonText}>Refresh location</Text>
+              </TouchableOpacity>
+              {(location || !isToday) && (
+                <TouchableOpacity
+                  style={styles.refreshLocationButton}
+                  onPress={() => setShowMap(true)}
+                  disabled={isLoading || isLocating}
+                  activeOpacity={0.9}
+                >
+                  <Ionicons name="map-outline" size={18} color="#1976D2" />
+                  <Text style={styles.refreshLocationButtonText}>
+                    {isToday ? 'Show on map' : 'Set on map'}
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
-          </View>
 
-          <Text style={styles.locationNote}>
-            In production, these values should come from device GPS or a secure
-            location service.
-          </Text>
-        </View>
+            <Text style={styles.locationNote}>
+              {!isToday
+                ? 'Back-dated marks are not checked against the geofence.'
+                : geofence.status === GEOFENCE_STATUS.OUTSIDE
+                  ? geofence.policy === GEOFENCE_POLICY.BLOCK
+                    ? 'Marks outside the geofence are blocked for this employee.'
+                    : 'This mark will be saved and flagged as outside the geofence.'
+                  : !employee.baseLocation && employeeSites.length === 0
+                    ? 'No site or base location is set for this employee, so the distance is not checked.'
+                    : 'The device location, its site and the distance are saved with the mark.'}
+            </Text>
+          </View>
+        )}
 
         {/* Info banner */}
         <View style={styles.infoBanner}>
@@ -322,11 +697,22 @@ const AttendanceMarkScreen = ({ route, navigation }) => {
           ) : (
             <View style={styles.submitContent}>
               <Ionicons name="checkmark-done" size={20} color="#fff" />
-              <Text style={styles.submitButtonText}>Confirm & mark attendance</Text>
+              <Text style={styles.submitButtonText}>
+                {isRange ? `Mark ${workingDays.length} day(s)` : 'Confirm & mark attendance'}
+              </Text>
             </View>
           )}
         </TouchableOpacity>
       </View>
+
+      <LocationPickerModal
+        visible={showMap}
+        title={isToday ? 'Device location' : 'Where was this mark?'}
+        initialLocation={location}
+        readOnly={isToday}
+        onConfirm={handleMapConfirm}
+        onCancel={() => setShowMap(false)}
+      />
     </View>
   );
 };
@@ -512,6 +898,34 @@ const styles = StyleSheet.create({
     color: '#9E9E9E',
     marginTop: 2,
   },
+  suggestedLabel: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#EF6C00',
+    marginTop: 2,
+  },
+  shiftBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 12,
+  },
+  shiftBannerText: {
+    marginLeft: 8,
+    flex: 1,
+  },
+  shiftName: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#37474F',
+  },
+  shiftReason: {
+    fontSize: 12,
+    color: '#6D4C41',
+    marginTop: 2,
+  },
 
   locationHeaderRow: {
     flexDirection: 'row',
@@ -534,57 +948,97 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
 
-  baseLocationButton: {
+  locationStatusRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#E3F2FD',
-    borderRadius: 999,
-    paddingVertical: 10,
-    paddingHorizontal: 14,
-    marginBottom: 14,
   },
-  baseLocationButtonText: {
-    color: '#1976D2',
-    fontSize: 13,
-    fontWeight: '600',
+  locationValue: {
     marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#263238',
   },
-
-  locationRow: {
+  locationDistance: {
+    marginTop: 4,
+    marginLeft: 24,
+    fontSize: 12,
+    color: '#607D8B',
+  },
+  siteChips: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
-    gap: 10,
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
   },
-  locationField: {
-    flex: 1,
+  siteChip: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
   },
-  label: {
+  siteChipActive: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#1976D2',
+  },
+  siteChipText: {
     fontSize: 13,
-    fontWeight: '600',
-    color: '#37474F',
-    marginBottom: 6,
+    color: '#546E7A',
+  },
+  siteChipTextActive: {
+    color: '#1976D2',
+    fontWeight: '700',
+  },
+  locationButtonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
   },
-  inputWrapper: {
+  refreshLocationButton: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#FAFAFA',
-    borderRadius: 10,
-    borderWidth: 1,
-    borderColor: '#E0E0E0',
-    paddingHorizontal: 10,
+    backgroundColor: '#E3F2FD',
+    borderRadius: 999,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    marginTop: 8,
+    marginRight: 8,
   },
-  input: {
-    flex: 1,
-    paddingVertical: 10,
-    marginLeft: 6,
-    color: '#263238',
-    fontSize: 14,
+  refreshLocationButtonText: {
+    color: '#1976D2',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 8,
   },
   locationNote: {
     fontSize: 11,
     color: '#9E9E9E',
     marginTop: 8,
   },
+  rangeDayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 5,
+  },
+  rangeDayDate: {
+    width: 96,
+    marginLeft: 8,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  rangeDayNote: {
+    flex: 1,
+    fontSize: 12,
+    color: '#2E7D32',
+  },
+  rangeDayOff: {
+    color: '#B0BEC5',
+  },
+  rangeDayOverwrite: {
+    color: '#EF6C00',
+    fontWeight: '600',
+  },
 
   infoBanner: {
     flexDirection: 'row',
@@ -1,5 +1,5 @@
 // src/screens/DailyAttendanceScreen.js
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,11 +12,40 @@ import {
   Platform,
   TextInput,
   Keyboard,
+  ScrollView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { dashboardAPI } from '../services/api';
+import { dashboardAPI, siteAPI, attendanceAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
+import { useOfflineSync } from '../context/OfflineSyncContext';
+import { SYNC_STATUS, QUEUE_OPERATIONS } from '../services/offlineQueue';
+import SyncStatusBadge from '../components/SyncStatusBadge';
+import DepartmentScopeChip from '../components/DepartmentScopeChip';
+import BulkActionBar from '../components/BulkActionBar';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { getLeaveType } from '../services/leave';
+import { isAtSite } from '../services/sites';
+
+const BULK_STATUS_OPTIONS = [
+  { value: 'PRESENT', label: 'Present', color: '#4CAF50' },
+  { value: 'ABSENT', label: 'Absent', color: '#F44336' },
+  { value: 'LATE', label: 'Late', color: '#FF9800' },
+  { value: 'HALF_DAY', label: 'Half day', color: '#2196F3' },
+];
+
+const UNDO_WINDOW_MS = 10000; // how long a bulk mark can be taken back
 
 const DailyAttendanceScreen = ({ navigation }) => {
+  const { can } = useAuth();
+  const {
+    getSyncEntry,
+    pendingCount,
+    conflicts,
+    isOnline,
+    isSyncing,
+    syncNow,
+  } = useOfflineSync();
   const [selectedDate, setSelectedDate] = useState(
     new Date().toISOString().split('T')[0]
   );
@@ -26,18 +55,31 @@ const DailyAttendanceScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [filterStatus, setFilterStatus] = useState('ALL');
   const [filterDepartment, setFilterDepartment] = useState('ALL');
+  const [filterSite, setFilterSite] = useState('ALL');
+  const [sites, setSites] = useState([]);
+
+  // Bulk marking
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isBulkSaving, setIsBulkSaving] = useState(false);
+  const [bulkFailures, setBulkFailures] = useState({});
+  const [undoBatch, setUndoBatch] = useState(null);
+  const selectedSet = useMemo(() => new Set(selectedIds), [selectedIds]);
+  const canBulkMark = can(PERMISSIONS.ATTENDANCE_MARK);
   const [searchText, setSearchText] = useState('');
 
   const fetchDailyAttendance = async () => {
     try {
-      const response = await dashboardAPI.getDailyAttendance(selectedDate);
+      const response = await dashboardAPI.getDailyAttendance(selectedDate, {}, GUARD_ACCESS);
       if (response.success) {
         setDailyData(response);
         setFilteredEmployees(response.employees);
       }
     } catch (error) {
       console.error('Error fetching daily attendance:', error);
-      Alert.alert('Error', 'Failed to load daily attendance. Please try again.');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load daily attendance. Please try again.');
+      }
     } finally {
       setIsLoading(false);
       setRefreshing(false);
@@ -46,9 +88,53 @@ const DailyAttendanceScreen = ({ navigation }) => {
 
   useEffect(() => {
     fetchDailyAttendance();
+    setSelectedIds([]);
+    setBulkFailures({});
+    setUndoBatch(null);
   }, [selectedDate]);
 
-  // Combined filters (status, department, search)
+  // The undo offer lapses on its own
+  useEffect(() => {
+    if (!undoBatch) return undefined;
+    const timer = setTimeout(() => setUndoBatch(null), UNDO_WINDOW_MS);
+    return () => clearTimeout(timer);
+  }, [undoBatch]);
+
+  useEffect(() => {
+    if (!can(PERMISSIONS.SITES_VIEW)) return;
+
+    siteAPI
+      .getAll()
+      .then(response => setSites(response?.sites || []))
+      .catch(error => console.log('Could not load sites:', error.message));
+  }, []);
+
+  // Reload once queued offline marks have reached the server
+  const previousPendingCount = useRef(pendingCount);
+  useEffect(() => {
+    if (pendingCount < previousPendingCount.current) {
+      fetchDailyAttendance();
+    }
+    previousPendingCount.current = pendingCount;
+  }, [pendingCount]);
+
+  const getSyncEntryFor = (emp) =>
+    getSyncEntry({
+      recordId: emp.attendance?._id,
+      employeeId: emp.employeeId,
+      date: selectedDate,
+    });
+
+  // Queued changes win over the server status until they are synced
+  const getEffectiveStatus = (emp, entry = getSyncEntryFor(emp)) => {
+    if (entry && entry.status === SYNC_STATUS.PENDING) {
+      if (entry.type === QUEUE_OPERATIONS.DELETE) return 'NOT_MARKED';
+      if (entry.payload?.status) return entry.payload.status;
+    }
+    return emp.attendance.status;
+  };
+
+  // Combined filters (status, department, site, search)
   useEffect(() => {
     if (!dailyData) return;
 
@@ -56,7 +142,7 @@ const DailyAttendanceScreen = ({ navigation }) => {
 
     if (filterStatus !== 'ALL') {
       filtered = filtered.filter(
-        emp => emp.attendance.status === filterStatus
+        emp => getEffectiveStatus(emp) === filterStatus
       );
     }
 
@@ -64,6 +150,11 @@ const DailyAttendanceScreen = ({ navigation }) => {
       filtered = filtered.filter(emp => emp.department === filterDepartment);
     }
 
+    const site = sites.find(s => s._id === filterSite);
+    if (site) {
+      filtered = filtered.filter(emp => isAtSite(emp.employeeId, emp.attendance, site));
+    }
+
     const trimmedSearch = searchText.trim().toLowerCase();
     if (trimmedSearch) {
       filtered = filtered.filter(emp => {
@@ -77,7 +168,7 @@ const DailyAttendanceScreen = ({ navigation }) => {
     }
 
     setFilteredEmployees(filtered);
-  }, [filterStatus, filterDepartment, searchText, dailyData]);
+  }, [filterStatus, filterDepartment, filterSite, sites, searchText, dailyData, getSyncEntry]);
 
   const onRefresh = useCallback(() => {
     setRefreshing(true);
@@ -105,11 +196,149 @@ const DailyAttendanceScreen = ({ navigation }) => {
 
   const handleEmployeePress = (employee) => {
     Keyboard.dismiss();
+    if (isSelecting) {
+      toggleSelected(employee);
+      return;
+    }
     navigation.navigate('AttendanceHistory', {
       employee,
     });
   };
 
+  // ---------- Bulk marking ----------
+
+  // Approved leave is changed from the leave inbox, not in bulk
+  const isSelectable = (emp) => getEffectiveStatus(emp) !== 'LEAVE';
+
+  const toggleSelected = (emp) => {
+    if (!isSelectable(emp)) return;
+    setSelectedIds(prev =>
+      prev.includes(emp.employeeId)
+        ? prev.filter(id => id !== emp.employeeId)
+        : [...prev, emp.employeeId]
+    );
+  };
+
+  const selectWhere = (predicate) => {
+    const ids = dailyData.employees
+      .filter(emp => isSelectable(emp) && predicate(emp))
+      .map(emp => emp.employeeId);
+    setSelectedIds(prev => [...new Set([...prev, ...ids])]);
+  };
+
+  const startSelecting = (emp) => {
+    if (!canBulkMark) return;
+    Keyboard.dismiss();
+    setIsSelecting(true);
+    if (emp) toggleSelected(emp);
+  };
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds([]);
+    setBulkFailures({});
+  };
+
+  const handleBulkMark = (status) => {
+    const label = BULK_STATUS_OPTIONS.find(option => option.value === status)?.label;
+    Alert.alert(
+      'Mark attendance',
+      `Mark ${selectedIds.length} employee(s) as ${label} on ${selectedDate}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Mark', onPress: () => submitBulkMark(status) },
+      ]
+    );
+  };
+
+  const submitBulkMark = async (status) => {
+    const rows = dailyData.employees.filter(emp => selectedSet.has(emp.employeeId));
+    const records = rows.map(emp => ({
+      employeeId: emp.employeeId,
+      date: new Date(selectedDate).toISOString(),
+      status,
+      ...(emp.attendance?._id && { recordId: emp.attendance._id }),
+    }));
+
+    try {
+      setIsBulkSaving(true);
+      const response = await attendanceAPI.markBulk(records);
+      const results = new Map(
+        (response?.results || rows.map(emp => ({ employeeId: emp.employeeId, success: !!response?.success })))
+          .map(result => [result.employeeId, result])
+      );
+
+      const failures = {};
+      const changes = [];
+      rows.forEach(emp => {
+        const result = results.get(emp.employeeId);
+        if (!result?.success) {
+          failures[emp.employeeId] = result?.message || 'Not saved';
+          return;
+        }
+        const change = {
+          recordId: emp.attendance?._id || result.attendance?._id,
+          previousStatus: emp.attendance?._id ? emp.attendance.status : null,
+          queueId: result.queueId,
+        };
+        if (change.recordId || change.queueId) changes.push(change);
+      });
+
+      // Failed rows stay selected so they can be retried
+      const failedIds = Object.keys(failures);
+      setBulkFailures(failures);
+      setSelectedIds(failedIds);
+      if (failedIds.length === 0) setIsSelecting(false);
+
+      const savedCount = rows.length - failedIds.length;
+      const canUndo = changes.every(change =>
+        change.queueId ||
+        can(change.previousStatus ? PERMISSIONS.ATTENDANCE_EDIT : PERMISSIONS.ATTENDANCE_DELETE)
+      );
+      if (savedCount > 0) {
+        setUndoBatch({
+          changes: canUndo ? changes : null,
+          message: `${savedCount} marked ${getStatusLabel(status)}${response?.queued ? ' offline' : ''}`,
+        });
+      }
+      if (failedIds.length > 0) {
+        Alert.alert(
+          'Some rows failed',
+          `${savedCount} saved, ${failedIds.length} failed. The failed rows are still selected.`
+        );
+      }
+      fetchDailyAttendance();
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsBulkSaving(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    const { changes } = undoBatch;
+    setUndoBatch(null);
+    try {
+      setRefreshing(true);
+      const { failed } = await attendanceAPI.undoBulk(changes);
+      if (failed > 0) {
+        Alert.alert('Undo incomplete', `${failed} row(s) could not be put back.`);
+      }
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      fetchDailyAttendance();
+    }
+  };
+
+  const handleViewProfile = (employee) => {
+    Keyboard.dismiss();
+    navigation.navigate('EmployeeDetail', {
+      employeeId: employee._id,
+      employee,
+    });
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'PRESENT':
@@ -120,6 +349,8 @@ const DailyAttendanceScreen = ({ navigation }) => {
         return '#FF9800';
       case 'HALF_DAY':
         return '#2196F3';
+      case 'LEAVE':
+        return '#00897B';
       case 'NOT_MARKED':
         return '#9E9E9E';
       default:
@@ -148,6 +379,7 @@ const DailyAttendanceScreen = ({ navigation }) => {
           <View style={styles.dateInfo}>
             <Text style={styles.dateLabelSmall}>Selected date</Text>
             <Text style={styles.dateText}>{formattedDate}</Text>
+            <DepartmentScopeChip style={styles.scopeChip} />
           </View>
 
           <TouchableOpacity style={styles.dateArrow} onPress={handleNextDay}>
@@ -210,13 +442,21 @@ const DailyAttendanceScreen = ({ navigation }) => {
               Not marked: {summary.notMarked}
             </Text>
           </View>
+          {summary.leave > 0 && (
+            <View style={[styles.summaryPill, { backgroundColor: '#E0F2F1' }]}>
+              <Ionicons name="document-text-outline" size={16} color="#00897B" />
+              <Text style={[styles.summaryPillText, { color: '#00897B' }]}>
+                On leave: {summary.leave}
+              </Text>
+            </View>
+          )}
         </View>
       </View>
     );
   };
 
   const renderFilters = () => {
-    const statusFilters = ['ALL', 'PRESENT', 'ABSENT', 'LATE', 'HALF_DAY', 'NOT_MARKED'];
+    const statusFilters = ['ALL', 'PRESENT', 'ABSENT', 'LATE', 'HALF_DAY', 'LEAVE', 'NOT_MARKED'];
 
     const departments = dailyData
       ? ['ALL', ...new Set(dailyData.employees.map(e => e.department))]
@@ -244,6 +484,18 @@ const DailyAttendanceScreen = ({ navigation }) => {
               </TouchableOpacity>
             )}
           </View>
+          {canBulkMark && (
+            <TouchableOpacity
+              style={[styles.selectButton, isSelecting && styles.selectButtonActive]}
+              onPress={() => (isSelecting ? stopSelecting() : startSelecting())}
+            >
+              <Ionicons
+                name={isSelecting ? 'checkbox' : 'checkbox-outline'}
+                size={20}
+                color={isSelecting ? '#FFFFFF' : '#1976D2'}
+              />
+            </TouchableOpacity>
+          )}
         </View>
 
         <Text style={styles.filterTitle}>Filter by status</Text>
@@ -297,32 +549,192 @@ const DailyAttendanceScreen = ({ navigation }) => {
             </View>
           </>
         )}
+
+        {sites.length > 0 && (
+          <>
+            <Text style={[styles.filterTitle, { marginTop: 10 }]}>
+              Filter by site
+            </Text>
+            <View style={styles.filterChips}>
+              {[{ _id: 'ALL', name: 'ALL' }, ...sites].map(site => (
+                <TouchableOpacity
+                  key={site._id}
+                  style={[
+                    styles.filterChip,
+                    filterSite === site._id && styles.filterChipActive,
+                  ]}
+                  onPress={() => setFilterSite(site._id)}
+                >
+                  <Text
+                    style={[
+                      styles.filterChipText,
+                      filterSite === site._id && styles.filterChipTextActive,
+                    ]}
+                  >
+                    {site.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const renderSelectionBar = () => {
+    if (!isSelecting || !dailyData) return null;
+
+    const notMarked = dailyData.employees.filter(
+      emp => getEffectiveStatus(emp) === 'NOT_MARKED'
+    ).length;
+    const departments = [...new Set(dailyData.employees.map(e => e.department))];
+
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.selectionBar}
+        contentContainerStyle={styles.selectionBarContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <TouchableOpacity
+          style={styles.selectionChip}
+          onPress={() => selectWhere(emp => getEffectiveStatus(emp) === 'NOT_MARKED')}
+        >
+          <Text style={styles.selectionChipText}>Not marked ({notMarked})</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.selectionChip}
+          onPress={() => {
+            const shown = new Set(filteredEmployees.map(emp => emp.employeeId));
+            selectWhere(emp => shown.has(emp.employeeId));
+          }}
+        >
+          <Text style={styles.selectionChipText}>Shown ({filteredEmployees.length})</Text>
+        </TouchableOpacity>
+        {departments.length > 1 &&
+          departments.map(dept => (
+            <TouchableOpacity
+              key={dept}
+              style={styles.selectionChip}
+              onPress={() => selectWhere(emp => emp.department === dept)}
+            >
+              <Ionicons name="add" size={14} color="#1976D2" />
+              <Text style={styles.selectionChipText}>{dept}</Text>
+            </TouchableOpacity>
+          ))}
+        {selectedIds.length > 0 && (
+          <TouchableOpacity style={styles.selectionChip} onPress={() => setSelectedIds([])}>
+            <Text style={[styles.selectionChipText, { color: '#757575' }]}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderUndoBar = () => {
+    if (!undoBatch || isSelecting) return null;
+
+    return (
+      <View style={styles.undoBar}>
+        <Ionicons name="checkmark-done" size={18} color="#A5D6A7" />
+        <Text style={styles.undoText}>{undoBatch.message}</Text>
+        {undoBatch.changes && (
+          <TouchableOpacity onPress={handleUndo}>
+            <Text style={styles.undoAction}>UNDO</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderSyncBanner = () => {
+    if (pendingCount === 0 && conflicts.length === 0) return null;
+
+    if (pendingCount === 0) {
+      return (
+        <TouchableOpacity
+          style={[styles.syncBanner, styles.conflictBanner]}
+          onPress={() => navigation.navigate('AttendanceConflicts')}
+          activeOpacity={0.9}
+        >
+          <Ionicons name="git-compare-outline" size={18} color="#6A1B9A" />
+          <Text style={[styles.syncBannerText, { color: '#6A1B9A' }]}>
+            {conflicts.length} offline mark{conflicts.length === 1 ? '' : 's'} clashed with server records
+          </Text>
+          <Text style={[styles.syncBannerAction, { color: '#6A1B9A' }]}>Review</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <View style={styles.syncBanner}>
+        <Ionicons
+          name={isOnline ? 'cloud-upload-outline' : 'cloud-offline-outline'}
+          size={18}
+          color="#E65100"
+        />
+        <Text style={styles.syncBannerText}>
+          {pendingCount} offline change{pendingCount === 1 ? '' : 's'} waiting to sync
+        </Text>
+        {isOnline && (
+          <TouchableOpacity onPress={syncNow} disabled={isSyncing}>
+            {isSyncing ? (
+              <ActivityIndicator size="small" color="#E65100" />
+            ) : (
+              <Text style={styles.syncBannerAction}>Sync now</Text>
+            )}
+          </TouchableOpacity>
+        )}
       </View>
     );
   };
 
   const renderEmployeeItem = ({ item }) => {
-    const statusColor = getStatusColor(item.attendance.status);
-    const statusLabel = getStatusLabel(item.attendance.status);
+    const syncEntry = getSyncEntryFor(item);
+    const effectiveStatus = getEffectiveStatus(item, syncEntry);
+    const statusColor = getStatusColor(effectiveStatus);
+    const statusLabel = getStatusLabel(effectiveStatus);
+    const isSelected = selectedSet.has(item.employeeId);
+    const bulkError = bulkFailures[item.employeeId];
 
     return (
       <TouchableOpacity
-        style={styles.employeeCard}
+        style={[styles.employeeCard, isSelected && styles.employeeCardSelected]}
         onPress={() => handleEmployeePress(item)}
+        onLongPress={() => !isSelecting && startSelecting(item)}
         activeOpacity={0.9}
       >
         <View style={styles.employeeRowTop}>
-          <View style={styles.employeeAvatar}>
+          {isSelecting && (
+            <Ionicons
+              name={isSelected ? 'checkbox' : 'square-outline'}
+              size={22}
+              color={!isSelectable(item) ? '#E0E0E0' : isSelected ? '#1976D2' : '#90A4AE'}
+              style={styles.selectBox}
+            />
+          )}
+          <TouchableOpacity
+            style={styles.employeeAvatar}
+            onPress={() => handleViewProfile(item)}
+            disabled={!can(PERMISSIONS.EMPLOYEES_VIEW)}
+          >
             <Text style={styles.employeeAvatarText}>
               {item.name?.[0]?.toUpperCase() || '?'}
             </Text>
-          </View>
+          </TouchableOpacity>
           <View style={styles.employeeInfo}>
             <Text style={styles.employeeName}>{item.name}</Text>
             <Text style={styles.employeeDetail}>
               {item.employeeId} • {item.department}
             </Text>
             <Text style={styles.employeeDetail}>{item.jobRole}</Text>
+            {effectiveStatus === 'LEAVE' && item.attendance.leaveType && (
+              <Text style={[styles.employeeDetail, { color: '#00897B' }]}>
+                {getLeaveType(item.attendance.leaveType).label} leave
+              </Text>
+            )}
           </View>
 
           <View style={styles.statusBadgeContainer}>
@@ -339,6 +751,7 @@ const DailyAttendanceScreen = ({ navigation }) => {
                 {statusLabel}
               </Text>
             </View>
+            <SyncStatusBadge entry={syncEntry} style={styles.syncBadge} />
           </View>
         </View>
 
@@ -365,6 +778,28 @@ const DailyAttendanceScreen = ({ navigation }) => {
                 </Text>
               </>
             )}
+            {item.attendance.siteName && (
+              <>
+                <Ionicons
+                  name="business-outline"
+                  size={14}
+                  color="#757575"
+                  style={{ marginLeft: 10 }}
+                />
+                <Text style={styles.attendanceDetailText}>
+                  {item.attendance.siteName}
+                </Text>
+              </>
+            )}
+          </View>
+        )}
+
+        {bulkError && (
+          <View style={styles.attendanceDetails}>
+            <Ionicons name="alert-circle-outline" size={14} color="#E53935" />
+            <Text style={[styles.attendanceDetailText, { color: '#E53935' }]}>
+              {bulkError}
+            </Text>
           </View>
         )}
       </TouchableOpacity>
@@ -376,7 +811,7 @@ const DailyAttendanceScreen = ({ navigation }) => {
       <Ionicons name="folder-open-outline" size={64} color="#B0BEC5" />
       <Text style={styles.emptyText}>No employees found</Text>
       <Text style={styles.emptySubtext}>
-        {filterStatus !== 'ALL' || filterDepartment !== 'ALL' || searchText
+        {filterStatus !== 'ALL' || filterDepartment !== 'ALL' || filterSite !== 'ALL' || searchText
           ? 'Try adjusting filters or search text'
           : 'No attendance data for this date'}
       </Text>
@@ -397,19 +832,36 @@ const DailyAttendanceScreen = ({ navigation }) => {
       <View style={styles.accentBackground} />
       {renderDateSelector()}
       {renderSummary()}
+      {renderSyncBanner()}
       {renderFilters()}
+      {renderSelectionBar()}
 
       <FlatList
         data={filteredEmployees}
         renderItem={renderEmployeeItem}
         keyExtractor={(item) => item._id}
-        contentContainerStyle={styles.listContainer}
+        extraData={[selectedIds, bulkFailures, isSelecting]}
+        contentContainerStyle={[
+          styles.listContainer,
+          (isSelecting || undoBatch) && styles.listContainerWithBar,
+        ]}
         ListEmptyComponent={renderEmptyList}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
         keyboardShouldPersistTaps="handled"
       />
+
+      {isSelecting && (
+        <BulkActionBar
+          count={selectedIds.length}
+          options={BULK_STATUS_OPTIONS}
+          busy={isBulkSaving}
+          onApply={handleBulkMark}
+          onClose={stopSelecting}
+        />
+      )}
+      {renderUndoBar()}
     </View>
   );
 };
@@ -441,6 +893,9 @@ const styles = StyleSheet.create({
     color: '#666',
   },
 
+  scopeChip: {
+    alignSelf: 'center',
+  },
   dateHeaderWrapper: {
     paddingHorizontal: 16,
     paddingTop: Platform.OS === 'ios' ? 10 : 8,
@@ -540,6 +995,8 @@ const styles = StyleSheet.create({
   },
   summaryBottomRow: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 6,
     marginTop: 8,
   },
   summaryPill: {
@@ -556,15 +1013,47 @@ const styles = StyleSheet.create({
     marginLeft: 6,
   },
 
+  syncBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    marginTop: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    backgroundColor: '#FFF3E0',
+    borderWidth: 1,
+    borderColor: '#FFE0B2',
+  },
+  conflictBanner: {
+    backgroundColor: '#F3E5F5',
+    borderColor: '#E1BEE7',
+  },
+  syncBannerText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 12,
+    color: '#E65100',
+    fontWeight: '500',
+  },
+  syncBannerAction: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#E65100',
+  },
+
   filtersContainer: {
     marginTop: 12,
     paddingHorizontal: 16,
     paddingBottom: 8,
   },
   searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
     marginBottom: 10,
   },
   searchInputWrapper: {
+    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     backgroundColor: '#FFFFFF',
@@ -621,11 +1110,75 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
   },
 
+  selectButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginLeft: 8,
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#BBDEFB',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selectButtonActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  selectionBar: {
+    flexGrow: 0,
+  },
+  selectionBarContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+    gap: 8,
+  },
+  selectionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  selectionChipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+  undoBar: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#263238',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    elevation: 6,
+  },
+  undoText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#FFFFFF',
+  },
+  undoAction: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#90CAF9',
+    marginLeft: 12,
+  },
   listContainer: {
     paddingHorizontal: 16,
     paddingTop: 8,
     paddingBottom: 16,
   },
+  listContainerWithBar: {
+    paddingBottom: 130,
+  },
   employeeCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 14,
@@ -637,10 +1190,19 @@ const styles = StyleSheet.create({
     shadowRadius: 3,
     elevation: 1,
   },
+  employeeCardSelected: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: '#F5FAFF',
+  },
   employeeRowTop: {
     flexDirection: 'row',
     alignItems: 'flex-start',
   },
+  selectBox: {
+    marginRight: 8,
+    marginTop: 9,
+  },
   employeeAvatar: {
     width: 40,
     height: 40,
@@ -670,6 +1232,11 @@ const styles = StyleSheet.create({
   },
   statusBadgeContainer: {
     marginLeft: 10,
+    alignItems: 'flex-end',
+  },
+  syncBadge: {
+    alignSelf: 'flex-end',
+    marginTop: 6,
   },
   statusBadge: {
     flexDirection: 'row',
@@ -12,13 +12,15 @@ import {
   Dimensions,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { dashboardAPI, superadminDashboardAPI } from '../services/api';
+import { dashboardAPI, superadminDashboardAPI, GUARD_ACCESS } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { isAccessDenied } from '../utils/errorHandler';
 
 const { width } = Dimensions.get('window');
 
 const DashboardScreen = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
 
   const userRole = React.useMemo(() => {
     if (!user || !user.role || typeof user.role !== 'string') {
@@ -27,7 +29,7 @@ const DashboardScreen = ({ navigation }) => {
     return user.role.toLowerCase().trim();
   }, [user]);
 
-  const isSuperadmin = userRole === 'superadmin';
+  const isSuperadmin = can(PERMISSIONS.SYSTEM_OVERVIEW);
 
   const [stats, setStats] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -38,7 +40,7 @@ const DashboardScreen = ({ navigation }) => {
     try {
       if (isSuperadmin) {
         const [overviewResponse, alertsResponse] = await Promise.all([
-          superadminDashboardAPI.getOverview(),
+          superadminDashboardAPI.getOverview(GUARD_ACCESS),
           superadminDashboardAPI.getAlerts(),
         ]);
 
@@ -50,14 +52,16 @@ const DashboardScreen = ({ navigation }) => {
           setAlerts(alertsResponse.alerts || []);
         }
       } else {
-        const response = await dashboardAPI.getStats();
+        const response = await dashboardAPI.getStats({}, GUARD_ACCESS);
         if (response?.success) {
           setStats(response.stats);
         }
       }
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
-      Alert.alert('Error', 'Failed to load dashboard data. Please try again.');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load dashboard data. Please try again.');
+      }
     } finally {
       setIsLoading(false);
       setRefreshing(false);
@@ -76,13 +80,14 @@ const DashboardScreen = ({ navigation }) => {
     fetchDashboardData();
   }, [isSuperadmin]);
 
-  const handleViewDailyAttendance = () => {
-    navigation.navigate('DailyAttendance');
-  };
+  // Left undefined without permission, so stat cards render as plain tiles
+  const handleViewDailyAttendance = can(PERMISSIONS.ATTENDANCE_VIEW)
+    ? () => navigation.navigate('DailyAttendance')
+    : undefined;
 
-  const handleViewEmployees = () => {
-    navigation.navigate('Employees');
-  };
+  const handleViewEmployees = can(PERMISSIONS.EMPLOYEES_VIEW)
+    ? () => navigation.navigate('Employees')
+    : undefined;
 
   const handleViewAnalytics = () => {
     Alert.alert('Analytics', 'Detailed analytics coming soon!');
@@ -331,29 +336,33 @@ const DashboardScreen = ({ navigation }) => {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Quick actions</Text>
           <View style={styles.actionRow}>
-            <TouchableOpacity
-              style={styles.actionCard}
-              onPress={handleViewDailyAttendance}
-              activeOpacity={0.9}
-            >
-              <View style={styles.actionIconWrap}>
-                <Ionicons name="calendar-outline" size={22} color="#2196F3" />
-              </View>
-              <Text style={styles.actionTitle}>Daily attendance</Text>
-              <Text style={styles.actionSubtitle}>View today&apos;s records</Text>
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={styles.actionCard}
-              onPress={handleViewEmployees}
-              activeOpacity={0.9}
-            >
-              <View style={styles.actionIconWrap}>
-                <Ionicons name="people-outline" size={22} color="#2196F3" />
-              </View>
-              <Text style={styles.actionTitle}>Employees</Text>
-              <Text style={styles.actionSubtitle}>Manage employees</Text>
-            </TouchableOpacity>
+            {can(PERMISSIONS.ATTENDANCE_VIEW) && (
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleViewDailyAttendance}
+                activeOpacity={0.9}
+              >
+                <View style={styles.actionIconWrap}>
+                  <Ionicons name="calendar-outline" size={22} color="#2196F3" />
+                </View>
+                <Text style={styles.actionTitle}>Daily attendance</Text>
+                <Text style={styles.actionSubtitle}>View today&apos;s records</Text>
+              </TouchableOpacity>
+            )}
+
+            {can(PERMISSIONS.EMPLOYEES_VIEW) && (
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleViewEmployees}
+                activeOpacity={0.9}
+              >
+                <View style={styles.actionIconWrap}>
+                  <Ionicons name="people-outline" size={22} color="#2196F3" />
+                </View>
+                <Text style={styles.actionTitle}>Employees</Text>
+                <Text style={styles.actionSubtitle}>Manage employees</Text>
+              </TouchableOpacity>
+            )}
 
             {isSuperadmin && (
               <TouchableOpacity
@@ -11,7 +11,8 @@ import {
   FlatList,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { employeeAPI, dashboardAPI } from '../services/api';
+import { employeeAPI, dashboardAPI, GUARD_ACCESS } from '../services/api';
+import { isAccessDenied } from '../utils/errorHandler';
 
 const DepartmentDetails = ({ route, navigation }) => {
   const { department } = route.params;
@@ -29,10 +30,10 @@ const DepartmentDetails = ({ route, navigation }) => {
       setIsLoading(true);
       
       // Fetch employees in this department
-      const employeesResponse = await employeeAPI.getAll({ department });
+      const employeesResponse = await employeeAPI.getAll({ department }, GUARD_ACCESS);
       
       // Fetch department stats
-      const statsResponse = await dashboardAPI.getDepartmentWiseStats();
+      const statsResponse = await dashboardAPI.getDepartmentWiseStats(null, GUARD_ACCESS);
       
       if (employeesResponse?.success) {
         setEmployees(employeesResponse.employees || []);
@@ -46,14 +47,16 @@ const DepartmentDetails = ({ route, navigation }) => {
       }
     } catch (error) {
       console.error('Error fetching department data:', error);
-      Alert.alert('Error', 'Failed to load department data');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load department data');
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
   const handleViewEmployee = (employee) => {
-    navigation.navigate('EmployeeDetails', { employeeId: employee._id });
+    navigation.navigate('EmployeeDetail', { employeeId: employee._id, employee });
   };
 
   const renderEmployeeCard = ({ item }) => (
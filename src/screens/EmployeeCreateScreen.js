@@ -1,5 +1,5 @@
 // src/screens/EmployeeCreateScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,8 +13,22 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { employeeAPI } from '../services/api';
-import { handleAPIError } from '../utils/errorHandler';
+import { employeeAPI, GUARD_ACCESS } from '../services/api';
+import LocationPickerModal from '../components/LocationPickerModal';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import {
+  DEFAULT_GEOFENCE_RADIUS,
+  GEOFENCE_POLICY,
+  getDeviceLocation,
+  reverseGeocode,
+} from '../services/deviceLocation';
+import {
+  handleAPIError,
+  handleValidationError,
+  getFieldErrors,
+  isAccessDenied,
+} from '../utils/errorHandler';
 
 // ✅ IMPORT MFS110 SERVICE
 import {
@@ -23,30 +37,154 @@ import {
   showSetupInstructions,
 } from '../services/mfs110Service';
 
-const EmployeeCreateScreen = ({ navigation }) => {
-  const [formData, setFormData] = useState({
-    name: '',
-    employeeId: '',
-    jobRole: '',
-    department: '',
-    fingerprintTemplate: '',
-    latitude: '',
-    longitude: '',
-  });
+const EMPTY_FORM = {
+  name: '',
+  employeeId: '',
+  jobRole: '',
+  department: '',
+  fingerprintTemplate: '',
+  latitude: '',
+  longitude: '',
+  radius: '',
+  geofencePolicy: GEOFENCE_POLICY.FLAG,
+  address: '',
+};
+
+// Saved together as baseLocation
+const LOCATION_FIELDS = ['latitude', 'longitude', 'radius', 'geofencePolicy', 'address'];
+
+const GEOFENCE_POLICY_OPTIONS = [
+  { value: GEOFENCE_POLICY.FLAG, label: 'Flag', hint: 'Save marks outside the fence, flagged' },
+  { value: GEOFENCE_POLICY.BLOCK, label: 'Block', hint: 'Refuse marks outside the fence' },
+];
+
+// Fields that can be changed in edit mode (fingerprints have their own screen)
+const FIELD_LABELS = {
+  name: 'Name',
+  employeeId: 'Employee ID',
+  jobRole: 'Job role',
+  department: 'Department',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  radius: 'Geofence radius',
+  geofencePolicy: 'Geofence policy',
+  address: 'Address',
+};
+
+const toFormData = (employee) => ({
+  ...EMPTY_FORM,
+  name: employee.name || '',
+  employeeId: employee.employeeId || '',
+  jobRole: employee.jobRole || '',
+  department: employee.department || '',
+  latitude: employee.baseLocation?.latitude != null ? String(employee.baseLocation.latitude) : '',
+  longitude: employee.baseLocation?.longitude != null ? String(employee.baseLocation.longitude) : '',
+  radius: employee.baseLocation?.radius != null ? String(employee.baseLocation.radius) : '',
+  geofencePolicy: employee.baseLocation?.geofencePolicy || GEOFENCE_POLICY.FLAG,
+  address: employee.baseLocation?.address || '',
+});
+
+const toBaseLocation = (formData) => ({
+  latitude: parseFloat(formData.latitude),
+  longitude: parseFloat(formData.longitude),
+  radius: formData.radius.trim() ? parseInt(formData.radius, 10) : DEFAULT_GEOFENCE_RADIUS,
+  geofencePolicy: formData.geofencePolicy,
+  address: formData.address.trim() || undefined,
+});
+
+// Server error keys such as 'baseLocation.latitude' point at form fields
+const toFormField = (field) => {
+  if (field === 'baseLocation') return 'latitude';
+  return field.replace(/^baseLocation\./, '');
+};
+
+/**
+ * Create an employee, or edit one when opened with route param `employeeId`
+ */
+const EmployeeCreateScreen = ({ route, navigation }) => {
+  const editingId = route?.params?.employeeId;
+  const isEditing = !!editingId;
+  const { can } = useAuth();
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [isLoading, setIsLoading] = useState(false);
+
+  // Edit mode: the saved values, per-field server errors and the audit note
+  const [initialData, setInitialData] = useState(null);
+  const [isFetching, setIsFetching] = useState(isEditing);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [auditNote, setAuditNote] = useState('');
+  const isSaved = useRef(false);
   
   // ✅ NEW: Fingerprint capture states
   const [isCapturing, setIsCapturing] = useState(false);
   const [captureStatus, setCaptureStatus] = useState('');
   const [fingerprintQuality, setFingerprintQuality] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+  const [showMap, setShowMap] = useState(false);
 
   const updateField = (field, value) => {
     setFormData(prev => ({
       ...prev,
       [field]: value,
     }));
+    if (fieldErrors[field]) {
+      setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+    }
   };
 
+  const dirtyFields = initialData
+    ? Object.keys(FIELD_LABELS).filter(
+        field => formData[field].trim() !== initialData[field].trim()
+      )
+    : [];
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const loadEmployee = async () => {
+      try {
+        const response = await employeeAPI.getById(editingId, GUARD_ACCESS);
+        if (response.success) {
+          const data = toFormData(response.employee);
+          setFormData(data);
+          setInitialData(data);
+        }
+      } catch (error) {
+        console.error('❌ Failed to load employee:', error);
+        if (!isAccessDenied(error)) {
+          Alert.alert('Error', handleAPIError(error), [
+            { text: 'OK', onPress: () => navigation.goBack() },
+          ]);
+        }
+      } finally {
+        setIsFetching(false);
+      }
+    };
+
+    loadEmployee();
+  }, [editingId]);
+
+  // Ask before throwing away unsaved edits
+  useEffect(() => {
+    if (!isEditing) return undefined;
+
+    const unsubscribe = navigation.addListener('beforeRemove', (e) => {
+      if (isSaved.current || dirtyFields.length === 0) return;
+
+      e.preventDefault();
+      Alert.alert('Discard changes?', 'Your changes to this employee have not been saved.', [
+        { text: 'Keep editing', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => navigation.dispatch(e.data.action),
+        },
+      ]);
+    });
+    return unsubscribe;
+  }, [navigation, isEditing, dirtyFields.length]);
+
   const validateForm = () => {
     if (!formData.name.trim()) {
       Alert.alert('Validation Error', 'Please enter employee name');
@@ -64,7 +202,7 @@ const EmployeeCreateScreen = ({ navigation }) => {
       Alert.alert('Validation Error', 'Please enter department');
       return false;
     }
-    if (!formData.fingerprintTemplate.trim()) {
+    if (!isEditing && !formData.fingerprintTemplate.trim()) {
       Alert.alert('Validation Error', 'Please capture fingerprint');
       return false;
     }
@@ -87,6 +225,17 @@ const EmployeeCreateScreen = ({ navigation }) => {
       Alert.alert('Validation Error', 'Longitude must be between -180 and 180');
       return false;
     }
+    if (formData.radius.trim()) {
+      const radius = Number(formData.radius);
+      if (!Number.isInteger(radius) || radius < 20 || radius > 5000) {
+        Alert.alert('Validation Error', 'Geofence radius must be a whole number of meters from 20 to 5000');
+        return false;
+      }
+    }
+    if (isEditing && !auditNote.trim()) {
+      Alert.alert('Validation Error', 'Please add a note explaining this change');
+      return false;
+    }
 
     return true;
   };
@@ -187,11 +336,74 @@ const EmployeeCreateScreen = ({ navigation }) => {
     }
   };
 
+  // Show server validation errors next to their fields as well as in the alert
+  const showSubmitError = (error) => {
+    const errors = getFieldErrors(error);
+    const mapped = {};
+    Object.entries(errors).forEach(([field, message]) => {
+      mapped[toFormField(field)] = message;
+    });
+    setFieldErrors(mapped);
+    Alert.alert('Error', handleValidationError(error));
+  };
+
+  // Only the fields that changed are sent, with the audit note
+  const buildChanges = () => {
+    const changes = {};
+    dirtyFields.forEach(field => {
+      if (!LOCATION_FIELDS.includes(field)) {
+        changes[field] = formData[field].trim();
+      }
+    });
+    if (dirtyFields.some(field => LOCATION_FIELDS.includes(field))) {
+      changes.baseLocation = toBaseLocation(formData);
+    }
+    changes.auditNote = auditNote.trim();
+    return changes;
+  };
+
+  const handleUpdate = async () => {
+    if (dirtyFields.length === 0) {
+      Alert.alert('No changes', 'Change at least one field before saving.');
+      return;
+    }
+    if (!validateForm()) return;
+
+    try {
+      setIsLoading(true);
+      setFieldErrors({});
+
+      console.log('📤 Updating employee fields:', dirtyFields.join(', '));
+      const response = await employeeAPI.update(editingId, buildChanges());
+
+      if (response.success) {
+        console.log('✅ Employee updated successfully');
+        isSaved.current = true;
+        Alert.alert('Success', 'Employee updated successfully!', [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]);
+      }
+    } catch (error) {
+      console.error('❌ Employee update error:', error);
+      showSubmitError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async () => {
+    if (isEditing) {
+      handleUpdate();
+      return;
+    }
     if (!validateForm()) return;
 
     try {
       setIsLoading(true);
+      setFieldErrors({});
 
       const employeeData = {
         name: formData.name.trim(),
@@ -200,10 +412,7 @@ const EmployeeCreateScreen = ({ navigation }) => {
         department: formData.department.trim(),
         fingerprintTemplate: formData.fingerprintTemplate.trim(),
         quality: fingerprintQuality, // ✅ Include quality score
-        baseLocation: {
-          latitude: parseFloat(formData.latitude),
-          longitude: parseFloat(formData.longitude),
-        },
+        baseLocation: toBaseLocation(formData),
       };
 
       console.log('📤 Submitting employee data...');
@@ -211,7 +420,22 @@ const EmployeeCreateScreen = ({ navigation }) => {
 
       if (response.success) {
         console.log('✅ Employee created successfully');
+        const created = response.employee;
+        const canEnrollMore = created?._id && can(PERMISSIONS.FINGERPRINTS_ENROLL);
+
         Alert.alert('Success', 'Employee created successfully!', [
+          ...(canEnrollMore
+            ? [
+                {
+                  text: 'Enroll more fingers',
+                  onPress: () =>
+                    navigation.replace('EnrollFingerprints', {
+                      employeeId: created._id,
+                      employee: created,
+                    }),
+                },
+              ]
+            : []),
           {
             text: 'OK',
             onPress: () => navigation.goBack(),
@@ -220,8 +444,7 @@ const EmployeeCreateScreen = ({ navigation }) => {
       }
     } catch (error) {
       console.error('❌ Employee creation error:', error);
-      const errorMessage = handleAPIError(error);
-      Alert.alert('Error', errorMessage);
+      showSubmitError(error);
     } finally {
       setIsLoading(false);
     }
@@ -236,6 +459,63 @@ const EmployeeCreateScreen = ({ navigation }) => {
           .toUpperCase()
       : 'EMP';
 
+  // Fill the base location from GPS while standing at the work site
+  const handleUseCurrentLocation = async () => {
+    setIsLocating(true);
+    const location = await getDeviceLocation();
+    setIsLocating(false);
+
+    if (!location) {
+      Alert.alert(
+        'Location unavailable',
+        'Turn on location services and try again, or enter the coordinates.'
+      );
+      return;
+    }
+    updateCoordinate('latitude', location.latitude.toFixed(6));
+    updateCoordinate('longitude', location.longitude.toFixed(6));
+    reverseGeocode(location).then(address => updateField('address', address || ''));
+    if (location.accuracy > 50) {
+      Alert.alert(
+        'Low accuracy',
+        `This fix is only accurate to about ${Math.round(location.accuracy)} m. Try again outdoors for a better one.`
+      );
+    }
+  };
+
+  // A typed coordinate no longer matches the looked-up address
+  const updateCoordinate = (field, value) => {
+    updateField(field, value);
+    updateField('address', '');
+  };
+
+  const handlePickOnMap = ({ latitude, longitude, address }) => {
+    setShowMap(false);
+    updateField('latitude', latitude.toFixed(6));
+    updateField('longitude', longitude.toFixed(6));
+    updateField('address', address || '');
+  };
+
+  const renderLabel = (field, text) => (
+    <Text style={styles.label}>
+      {text}
+      {dirtyFields.includes(field) && <Text style={styles.dirtyMark}>  • edited</Text>}
+    </Text>
+  );
+
+  const renderFieldError = (field) =>
+    fieldErrors[field] ? <Text style={styles.fieldError}>{fieldErrors[field]}</Text> : null;
+
+  const inputStyle = (field) => [styles.inputWrapper, fieldErrors[field] && styles.inputWrapperError];
+
+  if (isFetching) {
+    return (
+      <View style={[styles.screen, styles.loadingContainer]}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
   return (
     <KeyboardAvoidingView
       style={styles.screen}
@@ -250,13 +530,21 @@ const EmployeeCreateScreen = ({ navigation }) => {
         {/* Header */}
         <View style={styles.headerCard}>
           <View style={styles.headerLeft}>
-            <Text style={styles.headerTitle}>New employee</Text>
+            <Text style={styles.headerTitle}>
+              {isEditing ? 'Edit employee' : 'New employee'}
+            </Text>
             <Text style={styles.headerSubtitle}>
-              Fill in basic info, fingerprint and base location.
+              {isEditing
+                ? 'Only the fields you change are saved.'
+                : 'Fill in basic info, fingerprint and base location.'}
             </Text>
           </View>
           <View style={styles.headerBadge}>
-            <Ionicons name="person-add-outline" size={18} color="#FFFFFF" />
+            <Ionicons
+              name={isEditing ? 'create-outline' : 'person-add-outline'}
+              size={18}
+              color="#FFFFFF"
+            />
           </View>
         </View>
 
@@ -284,8 +572,8 @@ const EmployeeCreateScreen = ({ navigation }) => {
           <Text style={styles.sectionTitle}>Basic information</Text>
 
           <View style={styles.field}>
-            <Text style={styles.label}>Name *</Text>
-            <View style={styles.inputWrapper}>
+            {renderLabel('name', 'Name *')}
+            <View style={inputStyle('name')}>
               <Ionicons name="person-outline" size={18} color="#9E9E9E" />
               <TextInput
                 style={styles.input}
@@ -296,12 +584,13 @@ const EmployeeCreateScreen = ({ navigation }) => {
                 editable={!isLoading && !isCapturing}
               />
             </View>
+            {renderFieldError('name')}
           </View>
 
           <View style={styles.dualRow}>
             <View style={[styles.field, { flex: 1, marginRight: 8 }]}>
-              <Text style={styles.label}>Employee ID *</Text>
-              <View style={styles.inputWrapper}>
+              {renderLabel('employeeId', 'Employee ID *')}
+              <View style={inputStyle('employeeId')}>
                 <Ionicons name="id-card-outline" size={18} color="#9E9E9E" />
                 <TextInput
                   style={styles.input}
@@ -313,11 +602,12 @@ const EmployeeCreateScreen = ({ navigation }) => {
                   autoCapitalize="characters"
                 />
               </View>
+              {renderFieldError('employeeId')}
             </View>
 
             <View style={[styles.field, { flex: 1, marginLeft: 8 }]}>
-              <Text style={styles.label}>Department *</Text>
-              <View style={styles.inputWrapper}>
+              {renderLabel('department', 'Department *')}
+              <View style={inputStyle('department')}>
                 <Ionicons name="business-outline" size={18} color="#9E9E9E" />
                 <TextInput
                   style={styles.input}
@@ -328,12 +618,13 @@ const EmployeeCreateScreen = ({ navigation }) => {
                   editable={!isLoading && !isCapturing}
                 />
               </View>
+              {renderFieldError('department')}
             </View>
           </View>
 
           <View style={styles.field}>
-            <Text style={styles.label}>Job role *</Text>
-            <View style={styles.inputWrapper}>
+            {renderLabel('jobRole', 'Job role *')}
+            <View style={inputStyle('jobRole')}>
               <Ionicons name="briefcase-outline" size={18} color="#9E9E9E" />
               <TextInput
                 style={styles.input}
@@ -344,159 +635,264 @@ const EmployeeCreateScreen = ({ navigation }) => {
                 editable={!isLoading && !isCapturing}
               />
             </View>
+            {renderFieldError('jobRole')}
           </View>
         </View>
 
         {/* ✅ UPDATED: Fingerprint Section */}
-        <View style={styles.sectionCard}>
-          <View style={styles.sectionHeaderRow}>
-            <Text style={styles.sectionTitle}>Fingerprint template *</Text>
-            <View style={styles.sectionTag}>
-              <Ionicons name="shield-checkmark-outline" size={14} color="#1976D2" />
-              <Text style={styles.sectionTagText}>MFS110 RDService</Text>
+        {!isEditing && (
+          <View style={styles.sectionCard}>
+            <View style={styles.sectionHeaderRow}>
+              <Text style={styles.sectionTitle}>Fingerprint template *</Text>
+              <View style={styles.sectionTag}>
+                <Ionicons name="shield-checkmark-outline" size={14} color="#1976D2" />
+                <Text style={styles.sectionTagText}>MFS110 RDService</Text>
+              </View>
             </View>
-          </View>
 
-          <Text style={styles.sdkNote}>
-            Captures biometric data using MFS110 L1 RDService via USB OTG connection.
-          </Text>
+            <Text style={styles.sdkNote}>
+              Captures biometric data using MFS110 L1 RDService via USB OTG connection.
+            </Text>
 
-          {/* ✅ Capture Button */}
-          <TouchableOpacity
-            style={[
-              styles.captureButton,
-              isCapturing && styles.captureButtonDisabled,
-              formData.fingerprintTemplate && styles.captureButtonSuccess,
-            ]}
-            onPress={handleFingerprintCapture}
-            disabled={isLoading || isCapturing}
-            activeOpacity={0.9}
-          >
-            {isCapturing ? (
-              <>
-                <ActivityIndicator size="small" color="#FFFFFF" />
-                <Text style={styles.captureButtonText}>Capturing...</Text>
-              </>
-            ) : (
-              <>
+            {/* ✅ Capture Button */}
+            <TouchableOpacity
+              style={[
+                styles.captureButton,
+                isCapturing && styles.captureButtonDisabled,
+                formData.fingerprintTemplate && styles.captureButtonSuccess,
+              ]}
+              onPress={handleFingerprintCapture}
+              disabled={isLoading || isCapturing}
+              activeOpacity={0.9}
+            >
+              {isCapturing ? (
+                <>
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                  <Text style={styles.captureButtonText}>Capturing...</Text>
+                </>
+              ) : (
+                <>
+                  <Ionicons 
+                    name={formData.fingerprintTemplate ? "checkmark-circle" : "finger-print-outline"} 
+                    size={20} 
+                    color="#FFFFFF" 
+                  />
+                  <Text style={styles.captureButtonText}>
+                    {formData.fingerprintTemplate ? 'Re-capture fingerprint' : 'Capture fingerprint'}
+                  </Text>
+                </>
+              )}
+            </TouchableOpacity>
+
+            {/* ✅ Status Display */}
+            {captureStatus && (
+              <View style={styles.statusBanner}>
                 <Ionicons 
-                  name={formData.fingerprintTemplate ? "checkmark-circle" : "finger-print-outline"} 
-                  size={20} 
-                  color="#FFFFFF" 
+                  name={formData.fingerprintTemplate ? "checkmark-circle" : "information-circle"} 
+                  size={16} 
+                  color={formData.fingerprintTemplate ? "#4CAF50" : "#FF9800"} 
                 />
-                <Text style={styles.captureButtonText}>
-                  {formData.fingerprintTemplate ? 'Re-capture fingerprint' : 'Capture fingerprint'}
+                <Text style={[
+                  styles.statusText,
+                  formData.fingerprintTemplate && styles.statusTextSuccess
+                ]}>
+                  {captureStatus}
                 </Text>
-              </>
+              </View>
             )}
-          </TouchableOpacity>
-
-          {/* ✅ Status Display */}
-          {captureStatus && (
-            <View style={styles.statusBanner}>
-              <Ionicons 
-                name={formData.fingerprintTemplate ? "checkmark-circle" : "information-circle"} 
-                size={16} 
-                color={formData.fingerprintTemplate ? "#4CAF50" : "#FF9800"} 
-              />
-              <Text style={[
-                styles.statusText,
-                formData.fingerprintTemplate && styles.statusTextSuccess
-              ]}>
-                {captureStatus}
-              </Text>
-            </View>
-          )}
 
-          {/* ✅ Quality Display */}
-          {fingerprintQuality !== null && (
-            <View style={styles.qualityBanner}>
-              <Text style={styles.qualityLabel}>Quality Score:</Text>
-              <Text style={styles.qualityValue}>{fingerprintQuality}/100</Text>
-              <View style={[
-                styles.qualityIndicator,
-                { 
-                  backgroundColor: fingerprintQuality >= 70 ? '#4CAF50' : 
-                                  fingerprintQuality >= 50 ? '#FF9800' : '#F44336' 
-                }
-              ]} />
-            </View>
-          )}
+            {/* ✅ Quality Display */}
+            {fingerprintQuality !== null && (
+              <View style={styles.qualityBanner}>
+                <Text style={styles.qualityLabel}>Quality Score:</Text>
+                <Text style={styles.qualityValue}>{fingerprintQuality}/100</Text>
+                <View style={[
+                  styles.qualityIndicator,
+                  { 
+                    backgroundColor: fingerprintQuality >= 70 ? '#4CAF50' : 
+                                    fingerprintQuality >= 50 ? '#FF9800' : '#F44336' 
+                  }
+                ]} />
+              </View>
+            )}
 
-          {/* ✅ Template Preview (Read-only) */}
-          <View style={styles.field}>
-            <View style={styles.inputWrapperMultiline}>
-              <TextInput
-                style={[styles.input, styles.textArea]}
-                placeholder="Fingerprint template will appear here after capture"
-                placeholderTextColor="#B0BEC5"
-                value={
-                  formData.fingerprintTemplate 
-                    ? `${formData.fingerprintTemplate.substring(0, 100)}...\n(${formData.fingerprintTemplate.length} characters)`
-                    : ''
-                }
-                editable={false}
-                multiline
-                numberOfLines={3}
-              />
+            {/* ✅ Template Preview (Read-only) */}
+            <View style={styles.field}>
+              <View style={styles.inputWrapperMultiline}>
+                <TextInput
+                  style={[styles.input, styles.textArea]}
+                  placeholder="Fingerprint template will appear here after capture"
+                  placeholderTextColor="#B0BEC5"
+                  value={
+                    formData.fingerprintTemplate 
+                      ? `${formData.fingerprintTemplate.substring(0, 100)}...\n(${formData.fingerprintTemplate.length} characters)`
+                      : ''
+                  }
+                  editable={false}
+                  multiline
+                  numberOfLines={3}
+                />
+              </View>
             </View>
           </View>
-        </View>
+
+        )}
 
         {/* Base Location Section */}
         <View style={styles.sectionCard}>
           <Text style={styles.sectionTitle}>Base location *</Text>
           <Text style={styles.sectionHint}>
-            Used as default location when marking attendance.
+            Attendance is checked against a geofence around this point.
           </Text>
 
+          <View style={styles.gpsButtonRow}>
+            <TouchableOpacity
+              style={styles.gpsButton}
+              onPress={() => setShowMap(true)}
+              disabled={isLoading || isCapturing}
+              activeOpacity={0.9}
+            >
+              <Ionicons name="map-outline" size={18} color="#1976D2" />
+              <Text style={styles.gpsButtonText}>Pick on map</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.gpsButton}
+              onPress={handleUseCurrentLocation}
+              disabled={isLoading || isCapturing || isLocating}
+              activeOpacity={0.9}
+            >
+              {isLocating ? (
+                <ActivityIndicator size="small" color="#1976D2" />
+              ) : (
+                <Ionicons name="locate" size={18} color="#1976D2" />
+              )}
+              <Text style={styles.gpsButtonText}>
+                {isLocating ? 'Getting GPS fix...' : "Use this device's location"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {formData.address ? (
+            <View style={styles.addressRow}>
+              <Ionicons name="location-outline" size={14} color="#607D8B" />
+              <Text style={styles.addressText}>{formData.address}</Text>
+            </View>
+          ) : null}
+
           <View style={styles.dualRow}>
             <View style={[styles.field, { flex: 1, marginRight: 8 }]}>
-              <Text style={styles.label}>Latitude</Text>
-              <View style={styles.inputWrapper}>
+              {renderLabel('latitude', 'Latitude')}
+              <View style={inputStyle('latitude')}>
                 <Ionicons name="navigate-outline" size={18} color="#9E9E9E" />
                 <TextInput
                   style={styles.input}
                   placeholder="10.0261"
                   placeholderTextColor="#B0BEC5"
                   value={formData.latitude}
-                  onChangeText={(text) => updateField('latitude', text)}
+                  onChangeText={(text) => updateCoordinate('latitude', text)}
                   keyboardType="numeric"
                   editable={!isLoading && !isCapturing}
                 />
               </View>
+              {renderFieldError('latitude')}
             </View>
 
             <View style={[styles.field, { flex: 1, marginLeft: 8 }]}>
-              <Text style={styles.label}>Longitude</Text>
-              <View style={styles.inputWrapper}>
+              {renderLabel('longitude', 'Longitude')}
+              <View style={inputStyle('longitude')}>
                 <Ionicons name="locate-outline" size={18} color="#9E9E9E" />
                 <TextInput
                   style={styles.input}
                   placeholder="76.3125"
                   placeholderTextColor="#B0BEC5"
                   value={formData.longitude}
-                  onChangeText={(text) => updateField('longitude', text)}
+                  onChangeText={(text) => updateCoordinate('longitude', text)}
                   keyboardType="numeric"
                   editable={!isLoading && !isCapturing}
                 />
               </View>
+              {renderFieldError('longitude')}
+            </View>
+          </View>
+
+          <View style={styles.field}>
+            {renderLabel('radius', 'Geofence radius (m)')}
+            <View style={inputStyle('radius')}>
+              <Ionicons name="radio-button-on-outline" size={18} color="#9E9E9E" />
+              <TextInput
+                style={styles.input}
+                placeholder={String(DEFAULT_GEOFENCE_RADIUS)}
+                placeholderTextColor="#B0BEC5"
+                value={formData.radius}
+                onChangeText={(text) => updateField('radius', text)}
+                keyboardType="number-pad"
+                editable={!isLoading && !isCapturing}
+              />
             </View>
+            {renderFieldError('radius')}
+          </View>
+
+          {renderLabel('geofencePolicy', 'Outside the geofence')}
+          <View style={styles.policyRow}>
+            {GEOFENCE_POLICY_OPTIONS.map(option => {
+              const selected = formData.geofencePolicy === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.policyOption, selected && styles.policyOptionSelected]}
+                  onPress={() => updateField('geofencePolicy', option.value)}
+                  disabled={isLoading || isCapturing}
+                >
+                  <Text style={[styles.policyLabel, selected && styles.policyLabelSelected]}>
+                    {option.label}
+                  </Text>
+                  <Text style={styles.policyHint}>{option.hint}</Text>
+                </TouchableOpacity>
+              );
+            })}
           </View>
         </View>
 
+        {/* Audit note (edit mode) */}
+        {isEditing && (
+          <View style={styles.sectionCard}>
+            <Text style={styles.sectionTitle}>Reason for change *</Text>
+            <Text style={styles.sectionHint}>
+              {dirtyFields.length > 0
+                ? `Changing: ${dirtyFields.map(field => FIELD_LABELS[field]).join(', ')}`
+                : 'No changes yet.'}
+            </Text>
+            <View style={styles.inputWrapperMultiline}>
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                placeholder="e.g. Moved to the Finance department"
+                placeholderTextColor="#B0BEC5"
+                value={auditNote}
+                onChangeText={setAuditNote}
+                editable={!isLoading}
+                multiline
+                numberOfLines={3}
+              />
+            </View>
+          </View>
+        )}
+
         {/* Info Banner */}
-        <View style={styles.infoBanner}>
-          <Ionicons name="information-circle-outline" size={20} color="#1976D2" />
-          <Text style={styles.infoText}>
-            Ensure MFS110 L1 RDService app is installed and the scanner is connected via OTG before
-            capturing fingerprint.
-          </Text>
-        </View>
+        {!isEditing && (
+          <View style={styles.infoBanner}>
+            <Ionicons name="information-circle-outline" size={20} color="#1976D2" />
+            <Text style={styles.infoText}>
+              Ensure MFS110 L1 RDService app is installed and the scanner is connected via OTG
+              before capturing fingerprint.
+            </Text>
+          </View>
+        )}
 
         {/* Submit Button */}
         <TouchableOpacity
-          style={[styles.submitButton, isLoading && styles.submitButtonDisabled]}
+          style={[
+            styles.submitButton,
+            (isLoading || (isEditing && dirtyFields.length === 0)) && styles.submitButtonDisabled,
+          ]}
           onPress={handleSubmit}
           disabled={isLoading || isCapturing}
           activeOpacity={0.95}
@@ -506,11 +902,25 @@ const EmployeeCreateScreen = ({ navigation }) => {
           ) : (
             <View style={styles.submitContent}>
               <Ionicons name="checkmark-circle-outline" size={20} color="#FFFFFF" />
-              <Text style={styles.submitButtonText}>Create employee</Text>
+              <Text style={styles.submitButtonText}>
+                {isEditing ? 'Save changes' : 'Create employee'}
+              </Text>
             </View>
           )}
         </TouchableOpacity>
       </ScrollView>
+
+      <LocationPickerModal
+        visible={showMap}
+        title="Base location"
+        initialLocation={{
+          latitude: parseFloat(formData.latitude),
+          longitude: parseFloat(formData.longitude),
+        }}
+        radius={parseInt(formData.radius, 10) || DEFAULT_GEOFENCE_RADIUS}
+        onConfirm={handlePickOnMap}
+        onCancel={() => setShowMap(false)}
+      />
     </KeyboardAvoidingView>
   );
 };
@@ -659,6 +1069,67 @@ const styles = StyleSheet.create({
   field: {
     marginBottom: 12,
   },
+  gpsButtonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  gpsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 999,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  addressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  addressText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 12,
+    color: '#607D8B',
+  },
+  gpsButtonText: {
+    marginLeft: 8,
+    color: '#1976D2',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  policyRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  policyOption: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 10,
+    padding: 10,
+    backgroundColor: '#FAFAFA',
+  },
+  policyOptionSelected: {
+    borderColor: '#1976D2',
+    backgroundColor: '#E3F2FD',
+  },
+  policyLabel: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#37474F',
+  },
+  policyLabelSelected: {
+    color: '#1976D2',
+  },
+  policyHint: {
+    fontSize: 11,
+    color: '#78909C',
+    marginTop: 2,
+  },
   dualRow: {
     flexDirection: 'row',
     marginBottom: 4,
@@ -678,6 +1149,24 @@ const styles = StyleSheet.create({
     borderColor: '#E0E0E0',
     paddingHorizontal: 10,
   },
+  inputWrapperError: {
+    borderColor: '#E53935',
+    backgroundColor: '#FFF5F5',
+  },
+  fieldError: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#E53935',
+  },
+  dirtyMark: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#FB8C00',
+  },
+  loadingContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   inputWrapperMultiline: {
     borderRadius: 10,
     borderWidth: 1,
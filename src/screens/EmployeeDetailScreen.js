@@ -1,687 +1,653 @@
-// src/screens/EmployeeCreateScreen.js
-// UPDATED VERSION with MFS110 RDService integration
-
-import React, { useState } from 'react';
+// src/screens/EmployeeDetailScreen.js
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
-  TextInput,
-  TouchableOpacity,
   ScrollView,
-  KeyboardAvoidingView,
-  Platform,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
   Alert,
   ActivityIndicator,
-  StyleSheet,
+  Linking,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { employeeAPI } from '../services/api';
-import { handleAPIError } from '../utils/errorHandler';
-
-// ✅ IMPORT MFS110 SERVICE
-import MFS110Service, {
-  enrollFingerprint,
-  showSetupInstructions,
-  validatePrerequisites,
-} from '../services/mfs110Service';
-
-const EmployeeCreateScreen = ({ navigation }) => {
-  const [formData, setFormData] = useState({
-    name: '',
-    employeeId: '',
-    jobRole: '',
-    department: '',
-    fingerprintTemplate: '',
-    latitude: '',
-    longitude: '',
-  });
-
-  const [isLoading, setIsLoading] = useState(false);
-  const [isCapturing, setIsCapturing] = useState(false); // ✅ NEW
-  const [captureStatus, setCaptureStatus] = useState(''); // ✅ NEW
-  const [fingerprintQuality, setFingerprintQuality] = useState(null); // ✅ NEW
-
-  const updateField = (field, value) => {
-    setFormData((prev) => ({ ...prev, [field]: value }));
-  };
+import { employeeAPI, fingerprintAPI, dashboardAPI, siteAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { GEOFENCE_POLICY, getGeofenceSettings } from '../services/deviceLocation';
+import { getEmployeeSites } from '../services/sites';
+import {
+  EMPLOYEE_STATUS,
+  STATUS_LABELS,
+  getEmployeeStatus,
+} from '../services/employeeStatus';
 
-  // ============================================
-  // ✅ NEW: MFS110 FINGERPRINT CAPTURE
-  // ============================================
+const RECENT_HISTORY_LIMIT = 5;
 
-  const handleFingerprintCapture = async () => {
+const STATUS_COLORS = {
+  [EMPLOYEE_STATUS.ACTIVE]: { background: '#E8F5E9', text: '#2E7D32' },
+  [EMPLOYEE_STATUS.SUSPENDED]: { background: '#FFF3E0', text: '#EF6C00' },
+  [EMPLOYEE_STATUS.ARCHIVED]: { background: '#ECEFF1', text: '#546E7A' },
+};
+
+/**
+ * Employee profile
+ *
+ * Route params:
+ * - employeeId: employee record id (_id)
+ * - employee: optional list item, shown while the profile loads
+ */
+const EmployeeDetailScreen = ({ route, navigation }) => {
+  const { employeeId, employee: preview } = route.params;
+  const { can } = useAuth();
+
+  const [employee, setEmployee] = useState(preview || null);
+  const [statistics, setStatistics] = useState(null);
+  const [fingerprints, setFingerprints] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const fetchProfile = async () => {
     try {
-      setIsCapturing(true);
-      setCaptureStatus('Initializing...');
-      setFingerprintQuality(null);
-
-      // Step 1: Validate prerequisites
-      setCaptureStatus('Checking device...');
-      const validation = await validatePrerequisites();
-
-      if (!validation.valid) {
-        Alert.alert(
-          'Setup Required',
-          validation.message,
-          [
-            {
-              text: 'View Instructions',
-              onPress: () => showSetupInstructions(),
-            },
-            { text: 'Cancel', style: 'cancel' },
-          ]
-        );
-        setIsCapturing(false);
-        setCaptureStatus('');
-        return;
+      const response = await employeeAPI.getById(employeeId, GUARD_ACCESS);
+      if (!response.success) return;
+
+      const profile = response.employee;
+      setEmployee(profile);
+      setStatistics(response.statistics || null);
+
+      // Fingerprints, history and sites are extras; the profile still shows if they fail
+      const [fingerprintResult, historyResult, siteResult] = await Promise.allSettled([
+        fingerprintAPI.getEmployeeFingerprints(profile._id),
+        can(PERMISSIONS.ATTENDANCE_VIEW)
+          ? dashboardAPI.getEmployeeHistory(profile.employeeId, {
+              limit: RECENT_HISTORY_LIMIT,
+            })
+          : Promise.resolve(null),
+        can(PERMISSIONS.SITES_VIEW) ? siteAPI.getAll() : Promise.resolve(null),
+      ]);
+
+      if (fingerprintResult.status === 'fulfilled') {
+        setFingerprints(fingerprintResult.value?.fingerprints || []);
       }
-
-      // Step 2: Capture fingerprint
-      setCaptureStatus('Place finger on scanner...');
-
-      const result = await enrollFingerprint({
-        onProgress: (message) => {
-          setCaptureStatus(message);
-        },
-        onSuccess: (data) => {
-          console.log('[Fingerprint Captured]', {
-            quality: data.quality,
-            templateLength: data.template?.length,
-          });
-        },
-        onError: (error) => {
-          console.error('[Fingerprint Error]', error);
-        },
-      });
-
-      if (result.success) {
-        // Update form with captured template
-        updateField('fingerprintTemplate', result.template);
-        setFingerprintQuality(result.quality);
-        setCaptureStatus('Capture successful ✓');
-
-        Alert.alert(
-          'Success',
-          `Fingerprint captured successfully!\n\n` +
-            (result.quality ? `Quality Score: ${result.quality}/100` : 'Quality data not available'),
-          [{ text: 'OK' }]
-        );
-      } else {
-        setCaptureStatus('Capture failed');
-        Alert.alert('Capture Failed', result.error || 'Unknown error', [{ text: 'Retry' }]);
+      if (historyResult.status === 'fulfilled' && historyResult.value?.success) {
+        setHistory(historyResult.value.history || []);
+        if (!response.statistics) {
+          setStatistics(historyResult.value.statistics || null);
+        }
+      }
+      if (siteResult.status === 'fulfilled' && siteResult.value?.success) {
+        setSites(getEmployeeSites(siteResult.value.sites, profile.employeeId));
       }
     } catch (error) {
-      console.error('[Capture Error]', error);
-      setCaptureStatus('Error occurred');
-      Alert.alert('Error', error.message || 'Failed to capture fingerprint');
+      console.error('Error fetching employee profile:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load employee profile. Please try again.');
+      }
     } finally {
-      setIsCapturing(false);
+      setIsLoading(false);
+      setRefreshing(false);
     }
   };
 
-  // ============================================
-  // SUBMIT EMPLOYEE
-  // ============================================
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      fetchProfile();
+    });
+    return unsubscribe;
+  }, [navigation, employeeId]);
 
-  const handleSubmit = async () => {
-    // Validation
-    if (!formData.name.trim()) {
-      Alert.alert('Error', 'Employee name is required');
-      return;
-    }
-    if (!formData.employeeId.trim()) {
-      Alert.alert('Error', 'Employee ID is required');
-      return;
-    }
-    if (!formData.jobRole.trim()) {
-      Alert.alert('Error', 'Job role is required');
-      return;
-    }
-    if (!formData.department.trim()) {
-      Alert.alert('Error', 'Department is required');
-      return;
-    }
-    if (!formData.fingerprintTemplate.trim()) {
-      Alert.alert('Error', 'Fingerprint template is required. Please capture fingerprint.');
-      return;
-    }
-    if (!formData.latitude || !formData.longitude) {
-      Alert.alert('Error', 'Base location is required');
-      return;
-    }
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchProfile();
+  }, [employeeId]);
 
-    setIsLoading(true);
-    try {
-      const payload = {
-        name: formData.name.trim(),
-        employeeId: formData.employeeId.trim(),
-        jobRole: formData.jobRole.trim(),
-        department: formData.department.trim(),
-        fingerprintTemplate: formData.fingerprintTemplate,
-        baseLocation: {
-          latitude: parseFloat(formData.latitude),
-          longitude: parseFloat(formData.longitude),
-        },
-      };
+  const status = getEmployeeStatus(employee);
+  const isActive = status === EMPLOYEE_STATUS.ACTIVE;
+  const isArchived = status === EMPLOYEE_STATUS.ARCHIVED;
+
+  const handleMarkAttendance = () => {
+    navigation.navigate('AttendanceCalendar', { employee });
+  };
+
+  const handleEdit = () => {
+    navigation.navigate('EmployeeEdit', { employeeId: employee._id });
+  };
+
+  const handleManageFingerprints = () => {
+    navigation.navigate('EnrollFingerprints', { employeeId: employee._id, employee });
+  };
+
+  const handleViewHistory = () => {
+    navigation.navigate('AttendanceHistory', { employee });
+  };
+
+  const handleRequestLeave = () => {
+    navigation.navigate('LeaveRequest', { employee });
+  };
 
-      const response = await employeeAPI.create(payload);
+  const handleOpenMap = () => {
+    const { latitude, longitude } = employee.baseLocation;
+    Linking.openURL(`https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`);
+  };
 
+  const changeStatus = async (nextStatus) => {
+    try {
+      setIsUpdating(true);
+      const response = await employeeAPI.setStatus(employee._id, nextStatus);
       if (response.success) {
-        Alert.alert('Success', 'Employee created successfully!', [
-          {
-            text: 'OK',
-            onPress: () => navigation.goBack(),
-          },
-        ]);
+        setEmployee(prev => ({
+          ...prev,
+          ...response.employee,
+          status: nextStatus,
+          isActive: nextStatus === EMPLOYEE_STATUS.ACTIVE,
+        }));
       }
     } catch (error) {
-      const errorMessage = handleAPIError(error);
-      Alert.alert('Error', errorMessage);
+      console.error('Error updating employee status:', error);
+      Alert.alert('Error', handleAPIError(error));
     } finally {
-      setIsLoading(false);
+      setIsUpdating(false);
+    }
+  };
+
+  const handleSuspend = () => {
+    Alert.alert(
+      'Suspend employee',
+      `${employee.name} will not be able to mark attendance until reactivated.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Suspend',
+          style: 'destructive',
+          onPress: () => changeStatus(EMPLOYEE_STATUS.SUSPENDED),
+        },
+      ]
+    );
+  };
+
+  const handleArchive = () => {
+    Alert.alert(
+      'Archive employee',
+      `${employee.name} will be hidden from lists. Their attendance stays in reports for the months they worked, and they can be restored later.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Archive',
+          style: 'destructive',
+          onPress: () => changeStatus(EMPLOYEE_STATUS.ARCHIVED),
+        },
+      ]
+    );
+  };
+
+  const handleRestore = () => {
+    changeStatus(EMPLOYEE_STATUS.ACTIVE);
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'PRESENT':
+        return '#4CAF50';
+      case 'ABSENT':
+        return '#F44336';
+      case 'LATE':
+        return '#FF9800';
+      case 'HALF_DAY':
+        return '#2196F3';
+      case 'LEAVE':
+        return '#00897B';
+      default:
+        return '#757575';
     }
   };
 
-  const initials =
-    formData.name.trim() !== ''
-      ? formData.name
-          .split(' ')
-          .map((p) => p[0])
-          .join('')
-          .toUpperCase()
-      : 'EMP';
+  const formatDate = (value) =>
+    new Date(value).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+
+  const renderStat = (label, value, color) => (
+    <View style={styles.statItem} key={label}>
+      <Text style={[styles.statValue, { color }]}>{value ?? '-'}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+
+  const renderAction = (icon, label, onPress, color = '#1976D2') => (
+    <TouchableOpacity
+      key={label}
+      style={styles.actionButton}
+      onPress={onPress}
+      disabled={isUpdating}
+      activeOpacity={0.9}
+    >
+      <View style={[styles.actionIcon, { backgroundColor: `${color}15` }]}>
+        <Ionicons name={icon} size={20} color={color} />
+      </View>
+      <Text style={[styles.actionLabel, { color }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  if (isLoading && !employee) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  if (!employee) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="person-outline" size={60} color="#B0BEC5" />
+        <Text style={styles.emptyText}>Employee not found</Text>
+      </View>
+    );
+  }
+
+  const hasBaseLocation =
+    employee.baseLocation?.latitude != null && employee.baseLocation?.longitude != null;
+  const geofence = getGeofenceSettings(employee);
 
   return (
-    <KeyboardAvoidingView
+    <ScrollView
       style={styles.screen}
-      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      contentContainerStyle={styles.scrollContent}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={['#2196F3']} />
+      }
     >
-      <View style={styles.accentCircle} />
-      <ScrollView
-        style={styles.container}
-        contentContainerStyle={styles.scrollContent}
-        keyboardShouldPersistTaps="handled"
-      >
-        {/* Header */}
-        <View style={styles.headerCard}>
-          <View style={styles.headerLeft}>
-            <Text style={styles.headerTitle}>New employee</Text>
-            <Text style={styles.headerSubtitle}>
-              Fill in basic info, fingerprint and base location.
-            </Text>
-          </View>
-          <View style={styles.avatarCircle}>
-            <Text style={styles.avatarText}>{initials}</Text>
-          </View>
+      {/* Profile header */}
+      <View style={styles.headerCard}>
+        <View style={styles.headerAvatar}>
+          <Text style={styles.headerAvatarText}>
+            {employee.name?.[0]?.toUpperCase() || '?'}
+          </Text>
+        </View>
+        <View style={styles.headerInfo}>
+          <Text style={styles.headerTitle}>{employee.name}</Text>
+          <Text style={styles.headerSubtitle}>
+            ID: {employee.employeeId} • {employee.department}
+          </Text>
+          <Text style={styles.headerSubtitle}>{employee.jobRole}</Text>
         </View>
+        <View style={[styles.statusPill, { backgroundColor: STATUS_COLORS[status].background }]}>
+          <Text style={[styles.statusPillText, { color: STATUS_COLORS[status].text }]}>
+            {STATUS_LABELS[status]}
+          </Text>
+        </View>
+      </View>
+
+      {/* Actions */}
+      <View style={styles.actionsRow}>
+        {can(PERMISSIONS.ATTENDANCE_MARK) &&
+          isActive &&
+          renderAction('calendar-outline', 'Mark', handleMarkAttendance)}
+        {can(PERMISSIONS.ATTENDANCE_VIEW) &&
+          renderAction('time-outline', 'History', handleViewHistory)}
+        {can(PERMISSIONS.LEAVE_REQUEST) &&
+          isActive &&
+          renderAction('document-text-outline', 'Leave', handleRequestLeave, '#00897B')}
+        {can(PERMISSIONS.EMPLOYEES_EDIT) &&
+          !isArchived &&
+          renderAction('create-outline', 'Edit', handleEdit)}
+        {can(PERMISSIONS.EMPLOYEES_EDIT) &&
+          isActive &&
+          renderAction('pause-circle-outline', 'Suspend', handleSuspend, '#EF6C00')}
+        {can(PERMISSIONS.EMPLOYEES_EDIT) &&
+          !isActive &&
+          renderAction(
+            isArchived ? 'arrow-undo-outline' : 'play-circle-outline',
+            isArchived ? 'Restore' : 'Reactivate',
+            handleRestore,
+            '#43A047'
+          )}
+      </View>
 
-        {/* Basic Info Section */}
+      {/* Stats */}
+      {statistics && (
         <View style={styles.sectionCard}>
-          <Text style={styles.sectionTitle}>Basic information</Text>
-
-          <View style={styles.field}>
-            <Text style={styles.label}>Full name *</Text>
-            <View style={styles.inputWrapper}>
-              <Ionicons name="person-outline" size={18} color="#9E9E9E" />
-              <TextInput
-                style={styles.input}
-                placeholder="John Doe"
-                placeholderTextColor="#B0BEC5"
-                value={formData.name}
-                onChangeText={(text) => updateField('name', text)}
-                editable={!isLoading && !isCapturing}
-              />
-            </View>
-          </View>
-
-          <View style={styles.dualRow}>
-            <View style={[styles.field, { flex: 1, marginRight: 8 }]}>
-              <Text style={styles.label}>Employee ID *</Text>
-              <View style={styles.inputWrapper}>
-                <Ionicons name="id-card-outline" size={18} color="#9E9E9E" />
-                <TextInput
-                  style={styles.input}
-                  placeholder="EMP001"
-                  placeholderTextColor="#B0BEC5"
-                  value={formData.employeeId}
-                  onChangeText={(text) => updateField('employeeId', text)}
-                  editable={!isLoading && !isCapturing}
-                  autoCapitalize="characters"
-                />
-              </View>
-            </View>
-
-            <View style={[styles.field, { flex: 1, marginLeft: 8 }]}>
-              <Text style={styles.label}>Department *</Text>
-              <View style={styles.inputWrapper}>
-                <Ionicons name="business-outline" size={18} color="#9E9E9E" />
-                <TextInput
-                  style={styles.input}
-                  placeholder="IT, HR, Finance..."
-                  placeholderTextColor="#B0BEC5"
-                  value={formData.department}
-                  onChangeText={(text) => updateField('department', text)}
-                  editable={!isLoading && !isCapturing}
-                />
-              </View>
-            </View>
-          </View>
-
-          <View style={styles.field}>
-            <Text style={styles.label}>Job role *</Text>
-            <View style={styles.inputWrapper}>
-              <Ionicons name="briefcase-outline" size={18} color="#9E9E9E" />
-              <TextInput
-                style={styles.input}
-                placeholder="Software Engineer, Manager..."
-                placeholderTextColor="#B0BEC5"
-                value={formData.jobRole}
-                onChangeText={(text) => updateField('jobRole', text)}
-                editable={!isLoading && !isCapturing}
-              />
-            </View>
+          <Text style={styles.sectionTitle}>Attendance</Text>
+          <View style={styles.statsRow}>
+            {renderStat('Present', statistics.present, '#4CAF50')}
+            {renderStat('Absent', statistics.absent, '#F44336')}
+            {renderStat('Late', statistics.late, '#FF9800')}
+            {renderStat('Rate', statistics.attendanceRate, '#1976D2')}
           </View>
         </View>
-
-        {/* ✅ FINGERPRINT SECTION - UPDATED */}
-        <View style={styles.sectionCard}>
-          <View style={styles.sectionHeaderRow}>
-            <Text style={styles.sectionTitle}>Fingerprint template *</Text>
-            <View style={styles.sectionTag}>
-              <Ionicons name="shield-checkmark-outline" size={14} color="#1976D2" />
-              <Text style={styles.sectionTagText}>MFS110 RDService</Text>
+      )}
+
+      {/* Fingerprints */}
+      <View style={styles.sectionCard}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Fingerprints</Text>
+          {can(PERMISSIONS.FINGERPRINTS_ENROLL) && !isArchived && (
+            <TouchableOpacity onPress={handleManageFingerprints}>
+              <Text style={styles.sectionLink}>Manage</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        {fingerprints.length === 0 ? (
+          <Text style={styles.sectionEmpty}>No fingerprints enrolled</Text>
+        ) : (
+          fingerprints.map((fingerprint, index) => (
+            <View key={fingerprint._id || index} style={styles.infoRow}>
+              <Ionicons name="finger-print" size={18} color="#1976D2" />
+              <Text style={styles.infoText}>
+                {fingerprint.fingerName || `Finger ${fingerprint.fingerIndex ?? index + 1}`}
+              </Text>
+              {fingerprint.quality != null && (
+                <Text style={styles.infoMeta}>Quality {fingerprint.quality}%</Text>
+              )}
             </View>
-          </View>
-
-          <Text style={styles.sdkNote}>
-            Captures biometric data using MFS110 L1 RDService via USB OTG connection.
-          </Text>
-
-          {/* Capture Button */}
-          <TouchableOpacity
-            style={[
-              styles.captureButton,
-              isCapturing && styles.captureButtonDisabled,
-              formData.fingerprintTemplate && styles.captureButtonSuccess,
-            ]}
-            onPress={handleFingerprintCapture}
-            disabled={isLoading || isCapturing}
-            activeOpacity={0.9}
-          >
-            {isCapturing ? (
-              <>
-                <ActivityIndicator size="small" color="#FFFFFF" />
-                <Text style={styles.captureButtonText}>{captureStatus}</Text>
-              </>
-            ) : (
-              <>
-                <Ionicons
-                  name={formData.fingerprintTemplate ? 'checkmark-circle' : 'finger-print-outline'}
-                  size={20}
-                  color="#FFFFFF"
-                />
-                <Text style={styles.captureButtonText}>
-                  {formData.fingerprintTemplate ? 'Recapture fingerprint' : 'Capture fingerprint'}
-                </Text>
-              </>
-            )}
+          ))
+        )}
+      </View>
+
+      {/* Base location */}
+      <View style={styles.sectionCard}>
+        <Text style={styles.sectionTitle}>Base location</Text>
+        {hasBaseLocation ? (
+          <TouchableOpacity style={styles.infoRow} onPress={handleOpenMap} activeOpacity={0.8}>
+            <Ionicons name="location-outline" size={18} color="#1976D2" />
+            <View style={styles.infoBody}>
+              {employee.baseLocation.address ? (
+                <Text style={styles.infoValue}>{employee.baseLocation.address}</Text>
+              ) : null}
+              <Text style={employee.baseLocation.address ? styles.infoMeta : styles.infoValue}>
+                {Number(employee.baseLocation.latitude).toFixed(5)},{' '}
+                {Number(employee.baseLocation.longitude).toFixed(5)}
+              </Text>
+              <Text style={styles.infoMeta}>
+                Geofence {geofence.radius} m •{' '}
+                {geofence.policy === GEOFENCE_POLICY.BLOCK ? 'blocks' : 'flags'} marks outside
+              </Text>
+            </View>
+            <Ionicons name="open-outline" size={16} color="#90A4AE" />
           </TouchableOpacity>
+        ) : (
+          <Text style={styles.sectionEmpty}>No base location set</Text>
+        )}
+      </View>
 
-          {/* Quality Indicator */}
-          {fingerprintQuality !== null && (
-            <View style={styles.qualityIndicator}>
-              <Text style={styles.qualityLabel}>Quality Score:</Text>
-              <View
-                style={[
-                  styles.qualityBadge,
-                  fingerprintQuality >= 70
-                    ? styles.qualityGood
-                    : fingerprintQuality >= 40
-                    ? styles.qualityMedium
-                    : styles.qualityPoor,
-                ]}
-              >
-                <Text style={styles.qualityValue}>{fingerprintQuality}/100</Text>
+      {/* Sites */}
+      {can(PERMISSIONS.SITES_VIEW) && (
+        <View style={styles.sectionCard}>
+          <Text style={styles.sectionTitle}>Sites</Text>
+          {sites.length === 0 ? (
+            <Text style={styles.sectionEmpty}>Not assigned to a site; the base location is used</Text>
+          ) : (
+            sites.map(site => (
+              <View key={site._id} style={styles.infoRow}>
+                <Ionicons name="business-outline" size={18} color="#1976D2" />
+                <View style={styles.infoBody}>
+                  <Text style={styles.infoValue}>{site.name}</Text>
+                  {site.address ? <Text style={styles.infoMeta}>{site.address}</Text> : null}
+                </View>
+                <Text style={styles.infoMeta}>{site.radius} m</Text>
               </View>
-            </View>
+            ))
           )}
-
-          {/* Template Preview (truncated) */}
-          <View style={styles.field}>
-            <View style={styles.inputWrapperMultiline}>
-              <TextInput
-                style={[styles.input, styles.textArea]}
-                placeholder="Fingerprint template will appear here after capture"
-                placeholderTextColor="#B0BEC5"
-                value={
-                  formData.fingerprintTemplate
-                    ? `${formData.fingerprintTemplate.substring(0, 100)}...\n(${formData.fingerprintTemplate.length} characters)`
-                    : ''
-                }
-                editable={false}
-                multiline
-                numberOfLines={3}
-              />
-            </View>
-          </View>
         </View>
+      )}
 
-        {/* Base Location Section */}
+      {/* Recent history */}
+      {can(PERMISSIONS.ATTENDANCE_VIEW) && (
         <View style={styles.sectionCard}>
-          <Text style={styles.sectionTitle}>Base location *</Text>
-          <Text style={styles.sectionHint}>Used as default location when marking attendance.</Text>
-
-          <View style={styles.dualRow}>
-            <View style={[styles.field, { flex: 1, marginRight: 8 }]}>
-              <Text style={styles.label}>Latitude</Text>
-              <View style={styles.inputWrapper}>
-                <Ionicons name="navigate-outline" size={18} color="#9E9E9E" />
-                <TextInput
-                  style={styles.input}
-                  placeholder="10.0261"
-                  placeholderTextColor="#B0BEC5"
-                  value={formData.latitude}
-                  onChangeText={(text) => updateField('latitude', text)}
-                  keyboardType="numeric"
-                  editable={!isLoading && !isCapturing}
-                />
-              </View>
-            </View>
-
-            <View style={[styles.field, { flex: 1, marginLeft: 8 }]}>
-              <Text style={styles.label}>Longitude</Text>
-              <View style={styles.inputWrapper}>
-                <Ionicons name="locate-outline" size={18} color="#9E9E9E" />
-                <TextInput
-                  style={styles.input}
-                  placeholder="76.3125"
-                  placeholderTextColor="#B0BEC5"
-                  value={formData.longitude}
-                  onChangeText={(text) => updateField('longitude', text)}
-                  keyboardType="numeric"
-                  editable={!isLoading && !isCapturing}
-                />
-              </View>
-            </View>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Recent attendance</Text>
+            {history.length > 0 && (
+              <TouchableOpacity onPress={handleViewHistory}>
+                <Text style={styles.sectionLink}>See all</Text>
+              </TouchableOpacity>
+            )}
           </View>
+          {history.length === 0 ? (
+            <Text style={styles.sectionEmpty}>No attendance recorded yet</Text>
+          ) : (
+            history.map(item => {
+              const color = getStatusColor(item.status);
+              return (
+                <View key={item._id} style={styles.infoRow}>
+                  <View style={[styles.historyDot, { backgroundColor: color }]} />
+                  <Text style={styles.infoText}>{formatDate(item.date)}</Text>
+                  <Text style={[styles.historyStatus, { color }]}>
+                    {item.status?.replace('_', ' ')}
+                  </Text>
+                </View>
+              );
+            })
+          )}
         </View>
+      )}
 
-        {/* Info Banner */}
-        <View style={styles.infoBanner}>
-          <Ionicons name="information-circle-outline" size={20} color="#1976D2" />
-          <Text style={styles.infoText}>
-            Ensure MFS110 L1 RDService app is installed and the scanner is connected via OTG before
-            capturing fingerprint.
-          </Text>
-        </View>
-
-        {/* Submit Button */}
+      {can(PERMISSIONS.EMPLOYEES_DELETE) && !isArchived && (
         <TouchableOpacity
-          style={[styles.submitButton, isLoading && styles.submitButtonDisabled]}
-          onPress={handleSubmit}
-          disabled={isLoading || isCapturing}
+          style={styles.archiveButton}
+          onPress={handleArchive}
+          disabled={isUpdating}
+          activeOpacity={0.9}
         >
-          <View style={styles.submitContent}>
-            {isLoading ? (
-              <ActivityIndicator size="small" color="#FFFFFF" />
-            ) : (
-              <Ionicons name="checkmark-circle-outline" size={18} color="#FFFFFF" />
-            )}
-            <Text style={styles.submitButtonText}>
-              {isLoading ? 'Creating...' : 'Create employee'}
-            </Text>
-          </View>
+          <Ionicons name="archive-outline" size={18} color="#E53935" />
+          <Text style={styles.archiveButtonText}>Archive employee</Text>
         </TouchableOpacity>
-      </ScrollView>
-    </KeyboardAvoidingView>
+      )}
+    </ScrollView>
   );
 };
 
-// ============================================
-// STYLES (keeping existing styles + new ones)
-// ============================================
-
 const styles = StyleSheet.create({
   screen: {
     flex: 1,
-    backgroundColor: '#F5F7FA',
-  },
-  accentCircle: {
-    position: 'absolute',
-    top: -100,
-    right: -100,
-    width: 300,
-    height: 300,
-    borderRadius: 150,
-    backgroundColor: '#E3F2FD',
-    opacity: 0.5,
-  },
-  container: {
-    flex: 1,
+    backgroundColor: '#F3F5F9',
   },
   scrollContent: {
     padding: 16,
     paddingBottom: 32,
   },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F3F5F9',
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#546E7A',
+  },
+
+  // Header
   headerCard: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
     alignItems: 'center',
-    backgroundColor: '#FFFFFF',
-    borderRadius: 16,
     padding: 16,
-    marginBottom: 16,
+    borderRadius: 16,
+    backgroundColor: '#2196F3',
     shadowColor: '#000',
     shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.05,
-    shadowRadius: 8,
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
     elevation: 2,
   },
-  headerLeft: {
+  headerAvatar: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    backgroundColor: '#E3F2FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  headerAvatarText: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#1976D2',
+  },
+  headerInfo: {
     flex: 1,
   },
   headerTitle: {
-    fontSize: 22,
+    color: '#FFFFFF',
+    fontSize: 18,
     fontWeight: '700',
-    color: '#1A237E',
-    marginBottom: 4,
+    marginBottom: 2,
   },
   headerSubtitle: {
-    fontSize: 13,
-    color: '#757575',
+    color: '#E3F2FD',
+    fontSize: 12,
   },
-  avatarCircle: {
-    width: 56,
-    height: 56,
-    borderRadius: 28,
-    backgroundColor: '#2196F3',
-    justifyContent: 'center',
-    alignItems: 'center',
+  statusPill: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 999,
   },
-  avatarText: {
-    fontSize: 18,
+  statusPillText: {
+    fontSize: 11,
     fontWeight: '700',
-    color: '#FFFFFF',
   },
+
+  // Actions
+  actionsRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    paddingVertical: 12,
+    marginHorizontal: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  actionIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 6,
+  },
+  actionLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+
+  // Sections
   sectionCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 16,
-    padding: 16,
-    marginBottom: 16,
+    padding: 14,
+    marginTop: 12,
     shadowColor: '#000',
     shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.05,
-    shadowRadius: 4,
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
     elevation: 1,
   },
-  sectionHeaderRow: {
+  sectionHeader: {
     flexDirection: 'row',
+    justifyContent: 'space-between',
     alignItems: 'center',
-    marginBottom: 12,
   },
   sectionTitle: {
-    fontSize: 16,
+    fontSize: 14,
     fontWeight: '700',
     color: '#263238',
-    flex: 1,
+    marginBottom: 8,
   },
-  sectionTag: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: '#E3F2FD',
-    borderRadius: 12,
-    paddingHorizontal: 8,
-    paddingVertical: 4,
-  },
-  sectionTagText: {
-    fontSize: 11,
+  sectionLink: {
+    fontSize: 12,
     fontWeight: '600',
     color: '#1976D2',
-    marginLeft: 4,
+    marginBottom: 8,
   },
-  sectionHint: {
-    fontSize: 12,
-    color: '#9E9E9E',
-    marginBottom: 12,
-  },
-  field: {
-    marginBottom: 12,
-  },
-  dualRow: {
-    flexDirection: 'row',
-  },
-  label: {
+  sectionEmpty: {
     fontSize: 13,
-    fontWeight: '600',
-    color: '#546E7A',
-    marginBottom: 6,
+    color: '#90A4AE',
   },
-  inputWrapper: {
+  statsRow: {
     flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: '#FAFAFA',
-    borderRadius: 10,
-    borderWidth: 1,
-    borderColor: '#E0E0E0',
-    paddingHorizontal: 10,
-  },
-  inputWrapperMultiline: {
-    borderRadius: 10,
-    borderWidth: 1,
-    borderColor: '#E0E0E0',
-    backgroundColor: '#FAFAFA',
+    justifyContent: 'space-between',
   },
-  input: {
+  statItem: {
     flex: 1,
-    paddingVertical: 10,
-    marginLeft: 8,
-    fontSize: 14,
-    color: '#263238',
-  },
-  textArea: {
-    minHeight: 80,
-    textAlignVertical: 'top',
-    paddingHorizontal: 12,
-  },
-  sdkNote: {
-    fontSize: 12,
-    color: '#FF9800',
-    marginBottom: 10,
-  },
-  captureButton: {
-    flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#4CAF50',
-    borderRadius: 999,
-    paddingVertical: 12,
-    paddingHorizontal: 16,
-    marginBottom: 12,
-  },
-  captureButtonDisabled: {
-    backgroundColor: '#B0BEC5',
   },
-  captureButtonSuccess: {
-    backgroundColor: '#00897B',
+  statValue: {
+    fontSize: 18,
+    fontWeight: '700',
   },
-  captureButtonText: {
-    color: '#FFFFFF',
-    fontSize: 14,
-    fontWeight: '600',
-    marginLeft: 8,
+  statLabel: {
+    fontSize: 11,
+    color: '#78909C',
+    marginTop: 2,
   },
-  qualityIndicator: {
+  infoRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    marginBottom: 12,
+    paddingVertical: 6,
   },
-  qualityLabel: {
+  infoText: {
+    flex: 1,
+    marginLeft: 8,
     fontSize: 13,
-    fontWeight: '600',
-    color: '#546E7A',
-    marginRight: 8,
-  },
-  qualityBadge: {
-    paddingHorizontal: 12,
-    paddingVertical: 4,
-    borderRadius: 12,
+    color: '#37474F',
   },
-  qualityGood: {
-    backgroundColor: '#C8E6C9',
-  },
-  qualityMedium: {
-    backgroundColor: '#FFE082',
+  infoMeta: {
+    fontSize: 12,
+    color: '#78909C',
   },
-  qualityPoor: {
-    backgroundColor: '#FFCDD2',
+  infoBody: {
+    flex: 1,
+    marginLeft: 8,
   },
-  qualityValue: {
+  infoValue: {
     fontSize: 13,
-    fontWeight: '700',
-    color: '#263238',
+    color: '#37474F',
   },
-  infoBanner: {
-    flexDirection: 'row',
-    alignItems: 'flex-start',
-    backgroundColor: '#E3F2FD',
-    borderRadius: 14,
-    padding: 12,
-    borderWidth: 1,
-    borderColor: '#BBDEFB',
-    marginTop: 4,
-    marginBottom: 14,
+  historyDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginLeft: 4,
   },
-  infoText: {
-    flex: 1,
-    marginLeft: 8,
+  historyStatus: {
     fontSize: 12,
-    color: '#1976D2',
-    lineHeight: 18,
-  },
-  submitButton: {
-    backgroundColor: '#2196F3',
-    borderRadius: 999,
-    paddingVertical: 14,
-    alignItems: 'center',
-    marginBottom: 16,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 4 },
-    shadowOpacity: 0.25,
-    shadowRadius: 8,
-    elevation: 5,
-  },
-  submitButtonDisabled: {
-    backgroundColor: '#B0BEC5',
+    fontWeight: '700',
   },
-  submitContent: {
+  archiveButton: {
     flexDirection: 'row',
     alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 16,
+    paddingVertical: 12,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: '#FFCDD2',
+    backgroundColor: '#FFFFFF',
   },
-  submitButtonText: {
-    color: '#FFFFFF',
-    fontSize: 15,
+  archiveButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
     fontWeight: '700',
-    marginLeft: 8,
+    color: '#E53935',
   },
 });
 
-export default EmployeeCreateScreen;
\ No newline at end of file
+export default EmployeeDetailScreen;
@@ -13,27 +13,46 @@ import {
   TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { employeeAPI } from '../services/api';
+import { employeeAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import {
+  EMPLOYEE_STATUS,
+  getEmployeeStatus,
+  isEmployeeArchived,
+} from '../services/employeeStatus';
+import DepartmentScopeChip from '../components/DepartmentScopeChip';
 
 const EmployeeListScreen = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
+  const canMarkAttendance = can(PERMISSIONS.ATTENDANCE_MARK);
   const [employees, setEmployees] = useState([]);
   const [filteredEmployees, setFilteredEmployees] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchText, setSearchText] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
 
-  const fetchEmployees = async () => {
+  const fetchEmployees = async (archived = showArchived) => {
     try {
-      const response = await employeeAPI.getAll();
+      const response = await employeeAPI.getAll(
+        archived ? { status: EMPLOYEE_STATUS.ARCHIVED } : {},
+        GUARD_ACCESS
+      );
       if (response.success) {
-        setEmployees(response.employees);
-        setFilteredEmployees(response.employees);
+        // The backend may ignore the status filter, so split the list here too
+        const list = response.employees.filter(
+          emp => isEmployeeArchived(emp) === archived
+        );
+        setEmployees(list);
+        setFilteredEmployees(list);
       }
     } catch (error) {
       console.error('Error fetching employees:', error);
-      Alert.alert('Error', 'Failed to load employees. Please try again.');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load employees. Please try again.');
+      }
     } finally {
       setIsLoading(false);
       setRefreshing(false);
@@ -45,12 +64,19 @@ const EmployeeListScreen = ({ navigation }) => {
       fetchEmployees();
     });
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, showArchived]);
 
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     fetchEmployees();
-  }, []);
+  }, [showArchived]);
+
+  const handleShowArchived = (archived) => {
+    if (archived === showArchived) return;
+    setShowArchived(archived);
+    setRefreshing(true);
+    fetchEmployees(archived);
+  };
 
   // Search filter by name or ID
   useEffect(() => {
@@ -74,6 +100,35 @@ const EmployeeListScreen = ({ navigation }) => {
   };
 
   const handleEmployeePress = (employee) => {
+    navigation.navigate('EmployeeDetail', {
+      employeeId: employee._id,
+      employee,
+    });
+  };
+
+  const handleRestore = (employee) => {
+    Alert.alert(
+      'Restore employee',
+      `Restore ${employee.name} as an active employee?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            try {
+              await employeeAPI.restore(employee._id);
+              setEmployees(prev => prev.filter(emp => emp._id !== employee._id));
+            } catch (error) {
+              console.error('Error restoring employee:', error);
+              Alert.alert('Error', handleAPIError(error));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleMarkAttendance = (employee) => {
     navigation.navigate('AttendanceCalendar', {
       employee,
     });
@@ -96,7 +151,29 @@ const EmployeeListScreen = ({ navigation }) => {
           ID: {item.employeeId} • {item.department}
         </Text>
         <Text style={styles.employeeMeta}>{item.jobRole}</Text>
+        {getEmployeeStatus(item) === EMPLOYEE_STATUS.SUSPENDED && (
+          <Text style={styles.suspendedText}>Suspended</Text>
+        )}
       </View>
+      {showArchived && can(PERMISSIONS.EMPLOYEES_EDIT) && (
+        <TouchableOpacity
+          style={styles.restoreButton}
+          onPress={() => handleRestore(item)}
+          activeOpacity={0.9}
+        >
+          <Ionicons name="arrow-undo-outline" size={14} color="#2E7D32" />
+          <Text style={styles.restoreButtonText}>Restore</Text>
+        </TouchableOpacity>
+      )}
+      {canMarkAttendance && getEmployeeStatus(item) === EMPLOYEE_STATUS.ACTIVE && (
+        <TouchableOpacity
+          style={styles.markButton}
+          onPress={() => handleMarkAttendance(item)}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+          <Ionicons name="calendar-outline" size={18} color="#1976D2" />
+        </TouchableOpacity>
+      )}
       <Ionicons name="chevron-forward" size={20} color="#B0BEC5" />
     </TouchableOpacity>
   );
@@ -104,11 +181,15 @@ const EmployeeListScreen = ({ navigation }) => {
   const renderEmptyList = () => (
     <View style={styles.emptyContainer}>
       <Ionicons name="people-outline" size={60} color="#B0BEC5" />
-      <Text style={styles.emptyText}>No employees found</Text>
+      <Text style={styles.emptyText}>
+        {showArchived ? 'No archived employees' : 'No employees found'}
+      </Text>
       <Text style={styles.emptySubtext}>
         {searchText.trim()
           ? 'Try a different name or ID'
-          : 'Tap “New employee” to create your first record.'}
+          : showArchived
+            ? 'Archived employees will appear here.'
+            : 'Tap “New employee” to create your first record.'}
       </Text>
     </View>
   );
@@ -135,15 +216,18 @@ const EmployeeListScreen = ({ navigation }) => {
           <Text style={styles.headerSubtitle}>
             Welcome, {username} • Role: {role}
           </Text>
+          <DepartmentScopeChip />
         </View>
-        <TouchableOpacity
-          style={styles.addButton}
-          onPress={handleCreateEmployee}
-          activeOpacity={0.9}
-        >
-          <Ionicons name="add" size={18} color="#FFFFFF" />
-          <Text style={styles.addButtonText}>New</Text>
-        </TouchableOpacity>
+        {can(PERMISSIONS.EMPLOYEES_CREATE) && (
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleCreateEmployee}
+            activeOpacity={0.9}
+          >
+            <Ionicons name="add" size={18} color="#FFFFFF" />
+            <Text style={styles.addButtonText}>New</Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Search bar */}
@@ -168,6 +252,29 @@ const EmployeeListScreen = ({ navigation }) => {
         </View>
       </View>
 
+      {/* Current / archived filter */}
+      <View style={styles.filterChips}>
+        {[
+          { label: 'Current', archived: false },
+          { label: 'Archived', archived: true },
+        ].map(({ label, archived }) => (
+          <TouchableOpacity
+            key={label}
+            style={[styles.filterChip, showArchived === archived && styles.filterChipActive]}
+            onPress={() => handleShowArchived(archived)}
+          >
+            <Text
+              style={[
+                styles.filterChipText,
+                showArchived === archived && styles.filterChipTextActive,
+              ]}
+            >
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
       {/* Employee List */}
       <FlatList
         data={filteredEmployees}
@@ -284,6 +391,34 @@ const styles = StyleSheet.create({
     paddingVertical: 4,
   },
 
+  // Current / archived filter
+  filterChips: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    marginTop: 8,
+  },
+  filterChip: {
+    backgroundColor: '#ECEFF1',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+  },
+  filterChipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  filterChipText: {
+    fontSize: 12,
+    color: '#455A64',
+    fontWeight: '500',
+  },
+  filterChipTextActive: {
+    color: '#FFFFFF',
+  },
+
   // List
   listContent: {
     paddingHorizontal: 16,
@@ -303,6 +438,36 @@ const styles = StyleSheet.create({
     shadowRadius: 3,
     elevation: 1,
   },
+  suspendedText: {
+    marginTop: 2,
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#EF6C00',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E8F5E9',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 999,
+    marginRight: 6,
+  },
+  restoreButtonText: {
+    marginLeft: 4,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#2E7D32',
+  },
+  markButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    backgroundColor: '#E3F2FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 6,
+  },
   employeeAvatar: {
     width: 40,
     height: 40,
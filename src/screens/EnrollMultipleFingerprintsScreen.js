@@ -1,8 +1,21 @@
 // src/screens/EnrollMultipleFingerprintsScreen.js
-import React, { useState } from 'react';
-import { View, Text, TouchableOpacity, Alert, FlatList } from 'react-native';
-import { enrollFingerprint } from '../services/mfs110Service';
-import { employeeAPI } from '../services/api';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import MFS110Service, {
+  enrollFingerprintMultiCapture,
+  showSetupInstructions,
+} from '../services/mfs110Service';
+import { fingerprintAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
 
 const FINGER_OPTIONS = [
   { index: 0, name: 'RIGHT_THUMB', label: 'Right Thumb' },
@@ -17,74 +30,464 @@ const FINGER_OPTIONS = [
   { index: 9, name: 'LEFT_PINKY', label: 'Left Pinky' },
 ];
 
-export default function EnrollMultipleFingerprintsScreen({ route, navigation }) {
+// A second finger keeps the employee able to punch if one is injured or worn
+const MIN_ENROLLED_FINGERS = 2;
+
+/**
+ * Enroll, re-enroll and remove individual fingers for one employee
+ *
+ * Route params:
+ * - employeeId: employee record id (_id)
+ * - employee: optional employee object, for the header
+ */
+const EnrollMultipleFingerprintsScreen = ({ route, navigation }) => {
   const { employeeId, employee } = route.params;
-  const [enrolledFingers, setEnrolledFingers] = useState([]);
-  const [isCapturing, setIsCapturing] = useState(false);
 
-  const handleEnrollFinger = async (finger) => {
-    setIsCapturing(true);
-    
+  // Enrolled fingers keyed by finger index
+  const [enrolled, setEnrolled] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [activeFinger, setActiveFinger] = useState(null);
+  const [captureStatus, setCaptureStatus] = useState('');
+  // Live feedback for each capture of the finger being enrolled
+  const [attempts, setAttempts] = useState([]);
+
+  const enrolledCount = Object.keys(enrolled).length;
+  const isBusy = activeFinger !== null;
+
+  const fetchFingerprints = async () => {
     try {
-      const result = await enrollFingerprint({
-        onProgress: (message) => console.log(message),
+      const response = await fingerprintAPI.getEmployeeFingerprints(employeeId, GUARD_ACCESS);
+      const byIndex = {};
+      (response?.fingerprints || []).forEach(fingerprint => {
+        if (fingerprint.fingerIndex != null) {
+          byIndex[fingerprint.fingerIndex] = fingerprint;
+        }
       });
+      setEnrolled(byIndex);
+    } catch (error) {
+      console.error('Error fetching fingerprints:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load enrolled fingerprints. Please try again.');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFingerprints();
+  }, [employeeId]);
 
-      if (result.success) {
-        // Call the fingerprint enrollment API
-        const response = await employeeAPI.enrollFingerprint(employeeId, {
-          templateBase64: result.template,
-          fingerIndex: finger.index,
-          fingerName: finger.name,
-          quality: result.quality,
-          format: 'ISO_19794_2',
-          deviceInfo: {
-            vendor: 'Mantra',
-            model: 'MFS110',
+  const captureFinger = async (finger, replace) => {
+    setActiveFinger(finger.index);
+    setCaptureStatus('');
+    setAttempts([]);
+
+    try {
+      const result = await enrollFingerprintMultiCapture({
+        onProgress: setCaptureStatus,
+        onAttempt: (attempt) => setAttempts(prev => [...prev, attempt]),
+      });
+
+      if (!result.success) {
+        Alert.alert(
+          'Capture failed',
+          result.error || 'Failed to capture fingerprint',
+          result.checks
+            ? [
+                { text: 'View Instructions', onPress: () => showSetupInstructions() },
+                { text: 'OK', style: 'cancel' },
+              ]
+            : [{ text: 'OK' }]
+        );
+        return;
+      }
+
+      setCaptureStatus('Saving...');
+      const response = await fingerprintAPI.enrollFingerprint(employeeId, {
+        templateBase64: result.template,
+        templates: result.templates.map(capture => ({
+          templateBase64: capture.template,
+          quality: capture.quality,
+        })),
+        fingerIndex: finger.index,
+        fingerName: finger.name,
+        quality: result.quality,
+        captureCount: result.attempts,
+        format: 'ISO_19794_2',
+        replace,
+        deviceInfo: {
+          vendor: 'Mantra',
+          model: 'MFS110',
+        },
+      });
+
+      if (response.success) {
+        setEnrolled(prev => ({
+          ...prev,
+          [finger.index]: response.fingerprint || {
+            fingerIndex: finger.index,
+            fingerName: finger.name,
+            quality: result.quality,
+            enrolledAt: new Date().toISOString(),
           },
-        });
+        }));
+        Alert.alert('Success', `${finger.label} ${replace ? 're-enrolled' : 'enrolled'} successfully!`);
+      }
+    } catch (error) {
+      console.error('Error enrolling fingerprint:', error);
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setActiveFinger(null);
+      setCaptureStatus('');
+      setAttempts([]);
+    }
+  };
 
-        if (response.success) {
-          setEnrolledFingers([...enrolledFingers, finger.index]);
-          Alert.alert('Success', `${finger.label} enrolled successfully!`);
-        }
+  const removeFinger = async (finger) => {
+    setActiveFinger(finger.index);
+    try {
+      const response = await fingerprintAPI.removeFingerprint(employeeId, finger.index);
+      if (response.success) {
+        setEnrolled(prev => {
+          const next = { ...prev };
+          delete next[finger.index];
+          return next;
+        });
       }
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to enroll fingerprint');
+      console.error('Error removing fingerprint:', error);
+      Alert.alert('Error', handleAPIError(error));
     } finally {
-      setIsCapturing(false);
+      setActiveFinger(null);
+    }
+  };
+
+  const confirmRemove = (finger) => {
+    if (enrolledCount <= MIN_ENROLLED_FINGERS) {
+      Alert.alert(
+        'Cannot remove',
+        `At least ${MIN_ENROLLED_FINGERS} fingers must stay enrolled. Re-enroll this finger instead, or enroll another one first.`
+      );
+      return;
+    }
+
+    Alert.alert('Remove fingerprint', `Remove ${finger.label}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => removeFinger(finger) },
+    ]);
+  };
+
+  const handleFingerPress = (finger) => {
+    if (!enrolled[finger.index]) {
+      captureFinger(finger, false);
+      return;
     }
+
+    Alert.alert(finger.label, 'This finger is already enrolled.', [
+      { text: 'Re-enroll', onPress: () => captureFinger(finger, true) },
+      { text: 'Remove', style: 'destructive', onPress: () => confirmRemove(finger) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const handleDone = () => {
+    if (enrolledCount >= MIN_ENROLLED_FINGERS) {
+      navigation.goBack();
+      return;
+    }
+
+    Alert.alert(
+      'More fingers needed',
+      `Employees need at least ${MIN_ENROLLED_FINGERS} enrolled fingers. ${enrolledCount} enrolled so far.`,
+      [
+        { text: 'Enroll more', style: 'cancel' },
+        { text: 'Finish later', onPress: () => navigation.goBack() },
+      ]
+    );
+  };
+
+  const renderAttemptPanel = () => {
+    if (activeFinger === null) return null;
+
+    const finger = FINGER_OPTIONS.find(option => option.index === activeFinger);
+    const { ENROLL_CAPTURES, MIN_QUALITY } = MFS110Service.MFS110_CONFIG;
+    const acceptedCount = attempts.filter(attempt => attempt.status === 'accepted').length;
+
+    return (
+      <View style={styles.attemptPanel}>
+        <View style={styles.attemptHeader}>
+          <Text style={styles.attemptTitle}>{finger?.label}</Text>
+          <Text style={styles.attemptCount}>
+            {acceptedCount}/{ENROLL_CAPTURES} good • min quality {MIN_QUALITY}
+          </Text>
+        </View>
+        {captureStatus ? <Text style={styles.attemptStatus}>{captureStatus}</Text> : null}
+        {attempts.map(attempt => (
+          <View key={attempt.attempt} style={styles.attemptRow}>
+            <Ionicons
+              name={attempt.status === 'accepted' ? 'checkmark-circle' : 'close-circle'}
+              size={16}
+              color={attempt.status === 'accepted' ? '#43A047' : '#E53935'}
+            />
+            <Text style={styles.attemptText}>
+              Attempt {attempt.attempt}
+              {attempt.quality != null ? ` • Q ${attempt.quality}` : ''}
+            </Text>
+            <Text
+              style={[
+                styles.attemptMessage,
+                attempt.status === 'accepted' && styles.attemptMessageAccepted,
+              ]}
+              numberOfLines={1}
+            >
+              {attempt.message}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
   };
 
   const renderFingerOption = ({ item }) => {
-    const isEnrolled = enrolledFingers.includes(item.index);
-    
+    const fingerprint = enrolled[item.index];
+    const isActive = activeFinger === item.index;
+
     return (
       <TouchableOpacity
-        style={[
-          styles.fingerButton,
-          isEnrolled && styles.fingerButtonEnrolled,
-        ]}
-        onPress={() => handleEnrollFinger(item)}
-        disabled={isCapturing || isEnrolled}
+        style={[styles.fingerButton, fingerprint && styles.fingerButtonEnrolled]}
+        onPress={() => handleFingerPress(item)}
+        disabled={isBusy}
+        activeOpacity={0.9}
       >
+        {isActive ? (
+          <ActivityIndicator size="small" color="#1976D2" />
+        ) : (
+          <Ionicons
+            name={fingerprint ? 'checkmark-circle' : 'finger-print-outline'}
+            size={22}
+            color={fingerprint ? '#43A047' : '#90A4AE'}
+          />
+        )}
         <Text style={styles.fingerLabel}>{item.label}</Text>
-        {isEnrolled && <Text style={styles.enrolledBadge}>✓ Enrolled</Text>}
+        <Text style={[styles.fingerStatus, fingerprint && styles.fingerStatusEnrolled]}>
+          {isActive
+            ? 'Capturing...'
+            : fingerprint
+              ? `Enrolled${fingerprint.quality != null ? ` • Q ${fingerprint.quality}` : ''}`
+              : 'Tap to enroll'}
+        </Text>
       </TouchableOpacity>
     );
   };
 
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  const meetsMinimum = enrolledCount >= MIN_ENROLLED_FINGERS;
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Enroll Fingerprints</Text>
-      <Text style={styles.subtitle}>Employee: {employee?.name}</Text>
-      
       <FlatList
         data={FINGER_OPTIONS}
         renderItem={renderFingerOption}
         keyExtractor={(item) => item.index.toString()}
         numColumns={2}
+        columnWrapperStyle={styles.fingerRow}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={
+          <View style={styles.headerCard}>
+            <Text style={styles.title}>Enroll fingerprints</Text>
+            <Text style={styles.subtitle}>
+              {employee?.name ? `${employee.name} • ` : ''}
+              {enrolledCount} enrolled, minimum {MIN_ENROLLED_FINGERS}
+            </Text>
+            {!meetsMinimum && (
+              <View style={styles.policyBanner}>
+                <Ionicons name="alert-circle-outline" size={14} color="#EF6C00" />
+                <Text style={styles.policyText}>
+                  Enroll {MIN_ENROLLED_FINGERS - enrolledCount} more finger
+                  {MIN_ENROLLED_FINGERS - enrolledCount === 1 ? '' : 's'}
+                </Text>
+              </View>
+            )}
+            {renderAttemptPanel()}
+          </View>
+        }
       />
+
+      <TouchableOpacity
+        style={[styles.doneButton, !meetsMinimum && styles.doneButtonMuted]}
+        onPress={handleDone}
+        disabled={isBusy}
+        activeOpacity={0.95}
+      >
+        <Ionicons name="checkmark-done-outline" size={20} color="#FFFFFF" />
+        <Text style={styles.doneButtonText}>Done</Text>
+      </TouchableOpacity>
     </View>
   );
-}
\ No newline at end of file
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F3F5F9',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 96,
+  },
+  headerCard: {
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#2196F3',
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    elevation: 2,
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: '700',
+    marginBottom: 2,
+  },
+  subtitle: {
+    color: '#E3F2FD',
+    fontSize: 12,
+  },
+  policyBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFF3E0',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 999,
+    marginTop: 8,
+  },
+  policyText: {
+    marginLeft: 4,
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#EF6C00',
+  },
+  attemptPanel: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 12,
+  },
+  attemptHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  attemptTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  attemptCount: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+  attemptStatus: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#546E7A',
+  },
+  attemptRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  attemptText: {
+    marginLeft: 6,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#37474F',
+  },
+  attemptMessage: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 11,
+    color: '#E53935',
+    textAlign: 'right',
+  },
+  attemptMessageAccepted: {
+    color: '#43A047',
+  },
+  fingerRow: {
+    justifyContent: 'space-between',
+  },
+  fingerButton: {
+    width: '48%',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    paddingVertical: 14,
+    paddingHorizontal: 8,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  fingerButtonEnrolled: {
+    borderColor: '#A5D6A7',
+    backgroundColor: '#F1F8E9',
+  },
+  fingerLabel: {
+    marginTop: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  fingerStatus: {
+    marginTop: 2,
+    fontSize: 11,
+    color: '#90A4AE',
+    textAlign: 'center',
+  },
+  fingerStatusEnrolled: {
+    color: '#2E7D32',
+    fontWeight: '600',
+  },
+  doneButton: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 14,
+  },
+  doneButtonMuted: {
+    backgroundColor: '#90CAF9',
+  },
+  doneButtonText: {
+    marginLeft: 6,
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+});
+
+export default EnrollMultipleFingerprintsScreen;
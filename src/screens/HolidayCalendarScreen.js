@@ -0,0 +1,509 @@
+// src/screens/HolidayCalendarScreen.js
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Calendar } from 'react-native-calendars';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { File } from 'expo-file-system';
+import { holidayAPI, employeeAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { parseICS } from '../services/holidays';
+
+const formatDate = (key) =>
+  new Date(`${key}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+
+// "Ops, Sales" -> ['Ops', 'Sales']
+const toList = (text) =>
+  text
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Organisation holiday calendar: add holidays by date or import them
+ * from an .ics file, limited to departments / locations if needed.
+ */
+const HolidayCalendarScreen = () => {
+  const { can } = useAuth();
+  const canManage = can(PERMISSIONS.HOLIDAYS_MANAGE);
+
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [holidays, setHolidays] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // New holiday (and the scope used for imports)
+  const [selectedDate, setSelectedDate] = useState('');
+  const [name, setName] = useState('');
+  const [recurring, setRecurring] = useState(false);
+  const [scopeDepartments, setScopeDepartments] = useState([]);
+  const [scopeLocations, setScopeLocations] = useState('');
+
+  const fetchHolidays = async () => {
+    try {
+      const response = await holidayAPI.getAll({ year }, GUARD_ACCESS);
+      if (response?.success) {
+        setHolidays(response.holidays || []);
+      }
+    } catch (error) {
+      console.error('Error fetching holidays:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load holidays');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHolidays();
+  }, [year]);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    employeeAPI
+      .getAll()
+      .then(response => {
+        const names = new Set((response?.employees || []).map(e => e.department).filter(Boolean));
+        setDepartments([...names].sort());
+      })
+      .catch(error => console.error('Error fetching departments:', error));
+  }, [canManage]);
+
+  // Recurring holidays are shown on this year's date
+  const yearHolidays = useMemo(
+    () =>
+      holidays
+        .map(h => (h.recurring ? { ...h, date: `${year}${h.date.slice(4)}` } : h))
+        .filter(h => h.date.startsWith(String(year)))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+    [holidays, year]
+  );
+
+  const markedDates = useMemo(() => {
+    const marks = {};
+    yearHolidays.forEach(h => {
+      marks[h.date] = { marked: true, dotColor: '#E53935' };
+    });
+    if (selectedDate) {
+      marks[selectedDate] = { ...marks[selectedDate], selected: true, selectedColor: '#2196F3' };
+    }
+    return marks;
+  }, [yearHolidays, selectedDate]);
+
+  const scope = {
+    departments: scopeDepartments,
+    locations: toList(scopeLocations),
+  };
+
+  const describeScope = (holiday) => {
+    const parts = [...(holiday.departments || []), ...(holiday.locations || [])];
+    return parts.length ? parts.join(', ') : 'Everyone';
+  };
+
+  const toggleDepartment = (department) => {
+    setScopeDepartments(prev =>
+      prev.includes(department) ? prev.filter(d => d !== department) : [...prev, department]
+    );
+  };
+
+  const handleAdd = async () => {
+    if (!selectedDate) {
+      Alert.alert('Validation Error', 'Tap a date on the calendar first');
+      return;
+    }
+    if (!name.trim()) {
+      Alert.alert('Validation Error', 'Please enter the holiday name');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await holidayAPI.create({ name: name.trim(), date: selectedDate, recurring, ...scope });
+      setName('');
+      setSelectedDate('');
+      setRecurring(false);
+      await fetchHolidays();
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = (holiday) => {
+    if (!canManage) return;
+
+    Alert.alert('Remove holiday', `Remove "${holiday.name}" on ${formatDate(holiday.date)}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await holidayAPI.delete(holiday._id);
+            await fetchHolidays();
+          } catch (error) {
+            Alert.alert('Error', handleAPIError(error));
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleImport = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/calendar', 'application/octet-stream', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.length) return;
+
+      const text = await new File(result.assets[0].uri).text();
+      const parsed = parseICS(text);
+      if (parsed.length === 0) {
+        Alert.alert('Nothing to import', 'No events with dates were found in this file.');
+        return;
+      }
+
+      const scopeLabel = describeScope(scope);
+      Alert.alert(
+        'Import holidays',
+        `Import ${parsed.length} holiday(s) from ${result.assets[0].name} for ${scopeLabel}?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Import',
+            onPress: async () => {
+              try {
+                setIsSaving(true);
+                const response = await holidayAPI.import(parsed.map(h => ({ ...h, ...scope })));
+                Alert.alert('Imported', `${response?.imported ?? parsed.length} holiday(s) added.`);
+                await fetchHolidays();
+              } catch (error) {
+                Alert.alert('Error', handleAPIError(error));
+              } finally {
+                setIsSaving(false);
+              }
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Holiday import error:', error);
+      Alert.alert('Error', 'Could not read the calendar file.');
+    }
+  };
+
+  const existingOnSelected = yearHolidays.find(h => h.date === selectedDate);
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Calendar
+          markedDates={markedDates}
+          onDayPress={canManage ? (day) => setSelectedDate(day.dateString) : undefined}
+          onMonthChange={(month) => setYear(month.year)}
+          enableSwipeMonths
+          theme={{
+            todayTextColor: '#2196F3',
+            arrowColor: '#2196F3',
+            textMonthFontWeight: '700',
+          }}
+        />
+      </View>
+
+      {canManage && (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {selectedDate ? `Add holiday on ${formatDate(selectedDate)}` : 'Tap a date to add a holiday'}
+          </Text>
+          {existingOnSelected && (
+            <Text style={styles.hint}>Already a holiday: {existingOnSelected.name}</Text>
+          )}
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="Holiday name"
+            placeholderTextColor="#B0BEC5"
+            editable={!isSaving}
+          />
+          <TouchableOpacity
+            style={styles.checkRow}
+            onPress={() => setRecurring(!recurring)}
+            disabled={isSaving}
+          >
+            <Ionicons
+              name={recurring ? 'checkbox' : 'square-outline'}
+              size={20}
+              color={recurring ? '#1976D2' : '#90A4AE'}
+            />
+            <Text style={styles.checkText}>Same date every year</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.label}>Departments (none selected = everyone)</Text>
+          <View style={styles.chipRow}>
+            {departments.map(department => {
+              const selected = scopeDepartments.includes(department);
+              return (
+                <TouchableOpacity
+                  key={department}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => toggleDepartment(department)}
+                  disabled={isSaving}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                    {department}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={styles.label}>Locations (comma separated, optional)</Text>
+          <TextInput
+            style={styles.input}
+            value={scopeLocations}
+            onChangeText={setScopeLocations}
+            placeholder="e.g. Kochi, Chennai"
+            placeholderTextColor="#B0BEC5"
+            editable={!isSaving}
+          />
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.primaryButton, isSaving && styles.buttonDisabled]}
+              onPress={handleAdd}
+              disabled={isSaving}
+            >
+              {isSaving ? (
+                <ActivityIndicator color="#FFFFFF" />
+              ) : (
+                <Text style={styles.primaryButtonText}>Add holiday</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={handleImport}
+              disabled={isSaving}
+            >
+              <Ionicons name="cloud-upload-outline" size={18} color="#1976D2" />
+              <Text style={styles.secondaryButtonText}>Import .ics</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Holidays in {year}</Text>
+        {canManage && yearHolidays.length > 0 && (
+          <Text style={styles.hint}>Long-press a holiday to remove it.</Text>
+        )}
+        {yearHolidays.length === 0 ? (
+          <Text style={styles.emptyText}>No holidays for {year} yet.</Text>
+        ) : (
+          yearHolidays.map(holiday => (
+            <TouchableOpacity
+              key={`${holiday._id}-${holiday.date}`}
+              style={styles.holidayRow}
+              onLongPress={() => handleDelete(holiday)}
+              activeOpacity={0.8}
+            >
+              <View style={styles.holidayDate}>
+                <Text style={styles.holidayDateText}>{formatDate(holiday.date)}</Text>
+              </View>
+              <View style={styles.holidayInfo}>
+                <Text style={styles.holidayName}>
+                  {holiday.name}
+                  {holiday.recurring ? '  ↻' : ''}
+                </Text>
+                <Text style={styles.holidayScope}>{describeScope(holiday)}</Text>
+              </View>
+            </TouchableOpacity>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F3F5F9',
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#78909C',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#546E7A',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#263238',
+    backgroundColor: '#FAFBFC',
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  checkText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#37474F',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#1976D2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#546E7A',
+  },
+  chipTextSelected: {
+    color: '#1976D2',
+    fontWeight: '700',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 14,
+  },
+  primaryButton: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#1976D2',
+    borderRadius: 999,
+    paddingVertical: 12,
+  },
+  secondaryButtonText: {
+    marginLeft: 6,
+    color: '#1976D2',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#90A4AE',
+  },
+  holidayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECEFF1',
+  },
+  holidayDate: {
+    width: 96,
+  },
+  holidayDateText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#E53935',
+  },
+  holidayInfo: {
+    flex: 1,
+  },
+  holidayName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  holidayScope: {
+    fontSize: 12,
+    color: '#78909C',
+    marginTop: 2,
+  },
+});
+
+export default HolidayCalendarScreen;
@@ -0,0 +1,161 @@
+// src/screens/KioskScreen.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  BackHandler,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import PunchScreen from './PunchScreen';
+import PinPadModal from '../components/PinPadModal';
+import { useKiosk } from '../context/KioskContext';
+
+const AUTO_RESET_MS = 4000; // result stays up long enough to read
+const CONFIRM_TIMEOUT_MS = 20000; // walk-away after a match
+const IDLE_MS = 60000; // screensaver after a minute without touches
+
+/**
+ * Locked punch terminal for a shared device. Only the punch flow is
+ * reachable; the lock button in the corner asks for the kiosk PIN.
+ */
+const KioskScreen = () => {
+  const { exitKiosk } = useKiosk();
+  const [isIdle, setIsIdle] = useState(false);
+  const [showPinPad, setShowPinPad] = useState(false);
+  const [pinError, setPinError] = useState(null);
+  const [now, setNow] = useState(new Date());
+  const idleTimer = useRef(null);
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer.current);
+    idleTimer.current = setTimeout(() => setIsIdle(true), IDLE_MS);
+  };
+
+  useEffect(() => {
+    resetIdleTimer();
+    return () => clearTimeout(idleTimer.current);
+  }, []);
+
+  // Hardware back must not leave the kiosk
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => true);
+    return () => subscription.remove();
+  }, []);
+
+  // The clock only ticks while it is on screen
+  useEffect(() => {
+    if (!isIdle) return undefined;
+
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [isIdle]);
+
+  const wake = () => {
+    setIsIdle(false);
+    resetIdleTimer();
+  };
+
+  const openPinPad = () => {
+    setPinError(null);
+    setShowPinPad(true);
+  };
+
+  const closePinPad = () => {
+    setShowPinPad(false);
+    resetIdleTimer();
+  };
+
+  const handleExit = async (pin) => {
+    const result = await exitKiosk(pin);
+    if (!result.success) {
+      setPinError(result.message);
+    }
+  };
+
+  if (isIdle) {
+    return (
+      <TouchableWithoutFeedback onPress={wake}>
+        <View style={styles.screensaver}>
+          <StatusBar hidden />
+          <Text style={styles.clockTime}>
+            {now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+          <Text style={styles.clockDate}>
+            {now.toLocaleDateString('en-US', { weekday: 'long', day: 'numeric', month: 'long' })}
+          </Text>
+          <View style={styles.wakeHint}>
+            <Ionicons name="finger-print" size={20} color="#90CAF9" />
+            <Text style={styles.wakeHintText}>Tap anywhere to punch</Text>
+          </View>
+        </View>
+      </TouchableWithoutFeedback>
+    );
+  }
+
+  return (
+    <View style={styles.screen} onTouchStart={resetIdleTimer}>
+      <StatusBar hidden />
+      <PunchScreen autoResetMs={AUTO_RESET_MS} confirmTimeoutMs={CONFIRM_TIMEOUT_MS} />
+
+      <TouchableOpacity style={styles.lockButton} onPress={openPinPad}>
+        <Ionicons name="lock-closed-outline" size={18} color="#90A4AE" />
+      </TouchableOpacity>
+
+      <PinPadModal
+        visible={showPinPad}
+        title="Exit kiosk mode"
+        subtitle="Enter the admin kiosk PIN"
+        error={pinError}
+        onSubmit={handleExit}
+        onCancel={closePinPad}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  lockButton: {
+    position: 'absolute',
+    top: 24,
+    right: 16,
+    padding: 10,
+  },
+  screensaver: {
+    flex: 1,
+    backgroundColor: '#0D1B2A',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  clockTime: {
+    fontSize: 72,
+    fontWeight: '200',
+    color: '#FFFFFF',
+  },
+  clockDate: {
+    marginTop: 8,
+    fontSize: 18,
+    color: '#B0BEC5',
+  },
+  wakeHint: {
+    position: 'absolute',
+    bottom: 48,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  wakeHintText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#90CAF9',
+  },
+});
+
+export default KioskScreen;
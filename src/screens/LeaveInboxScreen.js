@@ -0,0 +1,380 @@
+// src/screens/LeaveInboxScreen.js
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { leaveAPI, GUARD_ACCESS } from '../services/api';
+import { handleAPIError, isAccessDenied } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { REQUEST_STATUS, getLeaveType } from '../services/leave';
+
+const TABS = [
+  { value: REQUEST_STATUS.PENDING, label: 'Pending' },
+  { value: REQUEST_STATUS.APPROVED, label: 'Approved' },
+  { value: REQUEST_STATUS.REJECTED, label: 'Rejected' },
+];
+
+const formatDate = (value) =>
+  new Date(`${String(value).slice(0, 10)}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+
+/**
+ * Leave requests by status; approvers decide the pending ones here
+ */
+const LeaveInboxScreen = ({ navigation }) => {
+  const { can } = useAuth();
+  const canApprove = can(PERMISSIONS.LEAVE_APPROVE);
+  const canRequest = can(PERMISSIONS.LEAVE_REQUEST);
+
+  const [status, setStatus] = useState(REQUEST_STATUS.PENDING);
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await leaveAPI.getRequests({ status }, GUARD_ACCESS);
+      if (response?.success) {
+        setRequests(response.requests || []);
+      }
+    } catch (error) {
+      console.error('Error fetching leave requests:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load leave requests');
+      }
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchRequests();
+  }, [status]);
+
+  // Back from a new request
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', fetchRequests);
+    return unsubscribe;
+  }, [navigation, status]);
+
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchRequests();
+  }, [status]);
+
+  const runAction = async (request, action) => {
+    try {
+      setBusyId(request._id);
+      await action(request._id);
+      await fetchRequests();
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleApprove = (request) => runAction(request, leaveAPI.approve);
+
+  const handleReject = (request) => {
+    Alert.alert('Reject leave', `Reject ${request.employeeName}'s request?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Reject', style: 'destructive', onPress: () => runAction(request, leaveAPI.reject) },
+    ]);
+  };
+
+  const handleWithdraw = (request) => {
+    Alert.alert('Withdraw request', 'Withdraw this leave request?', [
+      { text: 'Keep', style: 'cancel' },
+      { text: 'Withdraw', style: 'destructive', onPress: () => runAction(request, leaveAPI.cancel) },
+    ]);
+  };
+
+  const renderRequest = ({ item }) => {
+    const leaveType = getLeaveType(item.type);
+    const sameDay = !item.endDate || item.endDate.slice(0, 10) === item.startDate.slice(0, 10);
+    const isPending = item.status === REQUEST_STATUS.PENDING;
+    const isBusy = busyId === item._id;
+
+    return (
+      <View style={styles.requestCard}>
+        <View style={styles.requestHeader}>
+          <View style={[styles.typeIcon, { backgroundColor: `${leaveType.color}15` }]}>
+            <Ionicons name={leaveType.icon} size={20} color={leaveType.color} />
+          </View>
+          <View style={styles.requestInfo}>
+            <Text style={styles.employeeName}>{item.employeeName || item.employeeId}</Text>
+            <Text style={styles.requestMeta}>
+              {leaveType.label} • {formatDate(item.startDate)}
+              {sameDay ? '' : ` – ${formatDate(item.endDate)}`} • {item.days} day(s)
+            </Text>
+            {item.department ? <Text style={styles.requestMeta}>{item.department}</Text> : null}
+          </View>
+        </View>
+
+        {item.reason ? <Text style={styles.reasonText}>“{item.reason}”</Text> : null}
+        {item.decisionNote ? (
+          <Text style={styles.noteText}>Note: {item.decisionNote}</Text>
+        ) : null}
+
+        {isPending && (
+          <View style={styles.actionRow}>
+            {isBusy ? (
+              <ActivityIndicator color="#2196F3" />
+            ) : (
+              <>
+                {canRequest && (
+                  <TouchableOpacity style={styles.linkButton} onPress={() => handleWithdraw(item)}>
+                    <Text style={styles.linkButtonText}>Withdraw</Text>
+                  </TouchableOpacity>
+                )}
+                {canApprove && (
+                  <>
+                    <TouchableOpacity
+                      style={[styles.decisionButton, styles.rejectButton]}
+                      onPress={() => handleReject(item)}
+                    >
+                      <Ionicons name="close" size={16} color="#E53935" />
+                      <Text style={[styles.decisionText, { color: '#E53935' }]}>Reject</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.decisionButton, styles.approveButton]}
+                      onPress={() => handleApprove(item)}
+                    >
+                      <Ionicons name="checkmark" size={16} color="#FFFFFF" />
+                      <Text style={[styles.decisionText, { color: '#FFFFFF' }]}>Approve</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="document-text-outline" size={56} color="#B0BEC5" />
+      <Text style={styles.emptyText}>No {status.toLowerCase()} requests</Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.tabs}>
+        {TABS.map(tab => (
+          <TouchableOpacity
+            key={tab.value}
+            style={[styles.tab, status === tab.value && styles.tabActive]}
+            onPress={() => setStatus(tab.value)}
+          >
+            <Text style={[styles.tabText, status === tab.value && styles.tabTextActive]}>
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      ) : (
+        <FlatList
+          data={requests}
+          renderItem={renderRequest}
+          keyExtractor={(item) => item._id}
+          ListEmptyComponent={renderEmpty}
+          contentContainerStyle={styles.listContent}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+        />
+      )}
+
+      {canRequest && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => navigation.navigate('LeaveRequest')}
+          activeOpacity={0.9}
+        >
+          <Ionicons name="add" size={22} color="#FFFFFF" />
+          <Text style={styles.addButtonText}>Request leave</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tabs: {
+    flexDirection: 'row',
+    margin: 16,
+    marginBottom: 4,
+    backgroundColor: '#E3F2FD',
+    borderRadius: 999,
+    padding: 4,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 999,
+  },
+  tabActive: {
+    backgroundColor: '#2196F3',
+  },
+  tabText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+  tabTextActive: {
+    color: '#FFFFFF',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 96,
+  },
+  requestCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  requestHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  typeIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  requestInfo: {
+    flex: 1,
+  },
+  employeeName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  requestMeta: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginTop: 2,
+  },
+  reasonText: {
+    fontSize: 13,
+    color: '#455A64',
+    fontStyle: 'italic',
+    marginTop: 10,
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#78909C',
+    marginTop: 6,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  linkButton: {
+    marginRight: 'auto',
+    paddingVertical: 8,
+  },
+  linkButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#78909C',
+  },
+  decisionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 999,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginLeft: 8,
+  },
+  rejectButton: {
+    borderWidth: 1,
+    borderColor: '#E53935',
+  },
+  approveButton: {
+    backgroundColor: '#43A047',
+  },
+  decisionText: {
+    marginLeft: 4,
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#546E7A',
+    marginTop: 12,
+  },
+  addButton: {
+    position: 'absolute',
+    right: 16,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 4,
+  },
+  addButtonText: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+});
+
+export default LeaveInboxScreen;
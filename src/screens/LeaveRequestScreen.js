@@ -0,0 +1,442 @@
+// src/screens/LeaveRequestScreen.js
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Calendar } from 'react-native-calendars';
+import { Ionicons } from '@expo/vector-icons';
+import { leaveAPI, employeeAPI, shiftAPI, holidayAPI } from '../services/api';
+import { handleAPIError } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { resolveShift, toShiftRules } from '../services/shifts';
+import { toLocalDateKey } from '../services/holidays';
+import {
+  LEAVE_TYPES,
+  LEAVE_TYPE_OPTIONS,
+  getLeaveDates,
+  getRemaining,
+  validateLeaveRequest,
+} from '../services/leave';
+
+const formatDate = (key) =>
+  new Date(`${key}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+
+/**
+ * Request leave for an employee: type (with the balance left), dates and
+ * a reason. Route params: { employee } (optional; otherwise pick one).
+ */
+const LeaveRequestScreen = ({ route, navigation }) => {
+  const { can } = useAuth();
+
+  const [employee, setEmployee] = useState(route.params?.employee || null);
+  const [employees, setEmployees] = useState([]);
+  const [employeeSearch, setEmployeeSearch] = useState('');
+
+  const [balances, setBalances] = useState(null);
+  const [existing, setExisting] = useState([]);
+  const [shift, setShift] = useState(null);
+  const [holidays, setHolidays] = useState([]);
+
+  const [type, setType] = useState(LEAVE_TYPES.CASUAL);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Employee picker, only needed when opened without one
+  useEffect(() => {
+    if (employee) return;
+
+    employeeAPI
+      .getAll()
+      .then(response => setEmployees(response?.employees || []))
+      .catch(error => console.error('Error fetching employees for leave:', error));
+  }, [employee]);
+
+  useEffect(() => {
+    if (!employee) return;
+
+    setBalances(null);
+    leaveAPI
+      .getBalances(employee.employeeId)
+      .then(response => setBalances(response?.balances || {}))
+      .catch(error => {
+        console.error('Error fetching leave balances:', error);
+        setBalances({});
+      });
+    leaveAPI
+      .getRequests({ employeeId: employee.employeeId })
+      .then(response => setExisting(response?.requests || []))
+      .catch(error => console.log('Could not load leave requests:', error.message));
+
+    if (can(PERMISSIONS.SHIFTS_VIEW)) {
+      shiftAPI
+        .getAll()
+        .then(response => setShift(resolveShift(employee, response?.shifts)))
+        .catch(error => console.log('Could not load shifts:', error.message));
+    }
+  }, [employee]);
+
+  const requestYear = (startDate || toLocalDateKey(new Date())).slice(0, 4);
+  useEffect(() => {
+    if (!can(PERMISSIONS.HOLIDAYS_VIEW)) return;
+
+    holidayAPI
+      .getAll({ year: requestYear })
+      .then(response => setHolidays(response?.holidays || []))
+      .catch(error => console.log('Could not load holidays:', error.message));
+  }, [requestYear]);
+
+  const visibleEmployees = useMemo(() => {
+    const query = employeeSearch.trim().toLowerCase();
+    if (!query) return employees;
+    return employees.filter(
+      e =>
+        e.name?.toLowerCase().includes(query) ||
+        e.employeeId?.toLowerCase().includes(query)
+    );
+  }, [employees, employeeSearch]);
+
+  // Holidays and weekly offs inside the range are not charged
+  const leaveDays = useMemo(() => {
+    if (!startDate || !employee) return 0;
+    return getLeaveDates(
+      { startDate, endDate: endDate || startDate },
+      { holidays, employee, rules: toShiftRules(shift) }
+    ).length;
+  }, [startDate, endDate, holidays, employee, shift]);
+
+  const markedDates = useMemo(() => {
+    if (!startDate) return {};
+
+    const color = '#2196F3';
+    const marks = {};
+    const last = endDate || startDate;
+    const cursor = new Date(`${startDate}T00:00:00`);
+    for (let key = startDate; key <= last; key = toLocalDateKey(cursor)) {
+      marks[key] = {
+        color: key === startDate || key === last ? color : '#90CAF9',
+        textColor: '#FFFFFF',
+        startingDay: key === startDate,
+        endingDay: key === last,
+      };
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    return marks;
+  }, [startDate, endDate]);
+
+  // First tap picks the start, second the end; a third starts over
+  const handleDayPress = (day) => {
+    const key = day.dateString;
+    if (!startDate || endDate || key < startDate) {
+      setStartDate(key);
+      setEndDate('');
+    } else {
+      setEndDate(key);
+    }
+  };
+
+  const handleSubmit = async () => {
+    const request = {
+      type,
+      startDate,
+      endDate: endDate || startDate,
+      reason: reason.trim(),
+    };
+
+    const error = validateLeaveRequest(request, { balances, existing, days: leaveDays });
+    if (error) {
+      Alert.alert('Validation Error', error);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await leaveAPI.request({
+        ...request,
+        employeeId: employee.employeeId,
+        days: leaveDays,
+      });
+      Alert.alert('Requested', `${leaveDays} day(s) of leave sent for approval.`, [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (err) {
+      Alert.alert('Error', handleAPIError(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!employee) {
+    return (
+      <View style={styles.screen}>
+        <View style={styles.searchWrapper}>
+          <Ionicons name="search-outline" size={18} color="#90A4AE" />
+          <TextInput
+            style={styles.searchInput}
+            value={employeeSearch}
+            onChangeText={setEmployeeSearch}
+            placeholder="Who is the leave for?"
+            placeholderTextColor="#B0BEC5"
+            autoCorrect={false}
+            autoCapitalize="none"
+          />
+        </View>
+        <ScrollView contentContainerStyle={styles.pickerList} keyboardShouldPersistTaps="handled">
+          {visibleEmployees.map(item => (
+            <TouchableOpacity
+              key={item._id}
+              style={styles.pickerRow}
+              onPress={() => setEmployee(item)}
+            >
+              <Text style={styles.pickerName}>{item.name}</Text>
+              <Text style={styles.pickerMeta}>
+                {item.employeeId} • {item.department}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.employeeName}>{employee.name}</Text>
+        <Text style={styles.employeeMeta}>
+          {employee.employeeId} • {employee.department}
+        </Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Leave type</Text>
+        {balances === null ? (
+          <ActivityIndicator color="#2196F3" />
+        ) : (
+          <View style={styles.typeGrid}>
+            {LEAVE_TYPE_OPTIONS.map(option => {
+              const selected = type === option.value;
+              const remaining = getRemaining(balances, option.value);
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[
+                    styles.typeButton,
+                    selected && { borderColor: option.color, backgroundColor: `${option.color}12` },
+                  ]}
+                  onPress={() => setType(option.value)}
+                  disabled={isSaving}
+                >
+                  <Ionicons name={option.icon} size={20} color={option.color} />
+                  <Text style={[styles.typeLabel, selected && { color: option.color }]}>
+                    {option.label}
+                  </Text>
+                  <Text style={styles.typeBalance}>
+                    {remaining === Infinity ? 'No limit' : `${remaining} day(s) left`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Dates</Text>
+        <Text style={styles.hint}>Tap the first day, then the last day.</Text>
+        <Calendar
+          markingType="period"
+          markedDates={markedDates}
+          onDayPress={handleDayPress}
+          enableSwipeMonths
+          theme={{
+            todayTextColor: '#2196F3',
+            arrowColor: '#2196F3',
+            textMonthFontWeight: '700',
+          }}
+        />
+        {startDate ? (
+          <Text style={styles.rangeText}>
+            {formatDate(startDate)}
+            {endDate && endDate !== startDate ? ` – ${formatDate(endDate)}` : ''}
+            {'  •  '}
+            {leaveDays} working day(s)
+          </Text>
+        ) : null}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Reason</Text>
+        <TextInput
+          style={[styles.input, styles.reasonInput]}
+          value={reason}
+          onChangeText={setReason}
+          placeholder="Optional"
+          placeholderTextColor="#B0BEC5"
+          multiline
+          editable={!isSaving}
+        />
+      </View>
+
+      <TouchableOpacity
+        style={[styles.submitButton, isSaving && styles.submitButtonDisabled]}
+        onPress={handleSubmit}
+        disabled={isSaving || balances === null}
+      >
+        {isSaving ? (
+          <ActivityIndicator color="#FFFFFF" />
+        ) : (
+          <Text style={styles.submitButtonText}>Send for approval</Text>
+        )}
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+  },
+  employeeName: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  employeeMeta: {
+    fontSize: 13,
+    color: '#607D8B',
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#78909C',
+    marginBottom: 8,
+  },
+  typeGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  typeButton: {
+    width: '48%',
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 10,
+  },
+  typeLabel: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#37474F',
+    marginTop: 4,
+  },
+  typeBalance: {
+    fontSize: 12,
+    color: '#78909C',
+    marginTop: 2,
+  },
+  rangeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1976D2',
+    marginTop: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#263238',
+    backgroundColor: '#FAFBFC',
+  },
+  reasonInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  submitButton: {
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  searchWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    margin: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  searchInput: {
+    flex: 1,
+    marginLeft: 6,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#263238',
+  },
+  pickerList: {
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  pickerRow: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  pickerName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  pickerMeta: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginTop: 2,
+  },
+});
+
+export default LeaveRequestScreen;
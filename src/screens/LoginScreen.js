@@ -13,9 +13,12 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
+import { useServer } from '../context/ServerContext';
+import { getServerHost } from '../services/serverProfiles';
 
-const LoginScreen = () => {
+const LoginScreen = ({ navigation }) => {
   const { login } = useAuth();
+  const { activeProfile } = useServer();
 
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
@@ -133,6 +136,25 @@ const LoginScreen = () => {
             </Text>
           </View>
 
+          {/* Server */}
+          <TouchableOpacity
+            style={styles.serverRow}
+            onPress={() => navigation.navigate('ServerSetup')}
+            disabled={isLoading}
+            activeOpacity={0.8}
+          >
+            <Ionicons name="server-outline" size={16} color="#1976D2" />
+            <View style={styles.serverInfo}>
+              <Text style={styles.serverName} numberOfLines={1}>
+                {activeProfile?.name}
+              </Text>
+              <Text style={styles.serverMeta} numberOfLines={1}>
+                {activeProfile?.environment} • {getServerHost(activeProfile?.baseURL)}
+              </Text>
+            </View>
+            <Text style={styles.serverChange}>Change</Text>
+          </TouchableOpacity>
+
           {/* Login button */}
           <TouchableOpacity
             style={[styles.loginButton, isLoading && styles.loginButtonDisabled]}
@@ -346,6 +368,36 @@ const styles = StyleSheet.create({
     color: '#90A4AE',
   },
 
+  // Server
+  serverRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginTop: 10,
+  },
+  serverInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  serverName: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  serverMeta: {
+    fontSize: 11,
+    color: '#607D8B',
+    marginTop: 1,
+  },
+  serverChange: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#1976D2',
+  },
+
   // Button
   loginButton: {
     backgroundColor: '#1976D2',
@@ -11,11 +11,17 @@ import {
   Dimensions,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { dashboardAPI } from '../services/api';
+import { dashboardAPI, GUARD_ACCESS } from '../services/api';
+import { isAccessDenied } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { isEmployeeArchived } from '../services/employeeStatus';
+import { formatDuration } from '../services/workTime';
 
 const { width } = Dimensions.get('window');
 
 const MonthlyReport = ({ navigation }) => {
+  const { can } = useAuth();
   const [reportData, setReportData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
@@ -33,14 +39,16 @@ const MonthlyReport = ({ navigation }) => {
   const fetchMonthlyReport = async () => {
     try {
       setIsLoading(true);
-      const response = await dashboardAPI.getMonthlyReport(selectedMonth, selectedYear);
+      const response = await dashboardAPI.getMonthlyReport(selectedMonth, selectedYear, GUARD_ACCESS);
       
       if (response?.success) {
         setReportData(response.report);
       }
     } catch (error) {
       console.error('Error fetching monthly report:', error);
-      Alert.alert('Error', 'Failed to load monthly report');
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load monthly report');
+      }
     } finally {
       setIsLoading(false);
     }
@@ -85,14 +93,31 @@ const MonthlyReport = ({ navigation }) => {
   );
 
   const renderEmployeeRow = (employee, index) => {
-    const attendanceRate = employee.totalDays > 0
-      ? ((employee.presentDays / employee.totalDays) * 100).toFixed(1)
+    // Holidays and weekly offs are not working days; approved leave is
+    // neither attended nor missed
+    const expectedDays = (employee.workingDays ?? employee.totalDays) - (employee.leaveDays || 0);
+    const attendanceRate = expectedDays > 0
+      ? Math.min(100, (employee.presentDays / expectedDays) * 100).toFixed(1)
       : 0;
 
+    // Rows link to the profile when the report carries the employee record id
+    const profileId = employee._id;
+
     return (
-      <View key={employee.employeeId || index} style={styles.employeeRow}>
+      <TouchableOpacity
+        key={employee.employeeId || index}
+        style={styles.employeeRow}
+        onPress={() => navigation.navigate('EmployeeDetail', { employeeId: profileId })}
+        disabled={!profileId || !can(PERMISSIONS.EMPLOYEES_VIEW)}
+        activeOpacity={0.9}
+      >
         <View style={styles.employeeInfo}>
-          <Text style={styles.employeeName}>{employee.employeeName}</Text>
+          <View style={styles.employeeNameRow}>
+            <Text style={styles.employeeName}>{employee.employeeName}</Text>
+            {isEmployeeArchived(employee) && (
+              <Text style={styles.archivedBadge}>Archived</Text>
+            )}
+          </View>
           <Text style={styles.employeeDept}>
             {employee.department} • {employee.jobRole}
           </Text>
@@ -109,6 +134,20 @@ const MonthlyReport = ({ navigation }) => {
             <Text style={[styles.employeeStatValue, { color: '#F44336' }]}>
               {employee.absentDays}
             </Text>
+            {employee.leaveDays > 0 && (
+              <Text style={styles.leaveText}>{employee.leaveDays} leave</Text>
+            )}
+          </View>
+          <View style={styles.employeeStatItem}>
+            <Text style={styles.employeeStatLabel}>Worked</Text>
+            <Text style={[styles.employeeStatValue, { color: '#00897B' }]}>
+              {formatDuration(employee.workedMinutes)}
+            </Text>
+            {employee.overtimeMinutes > 0 && (
+              <Text style={styles.overtimeText}>
+                +{formatDuration(employee.overtimeMinutes)} OT
+              </Text>
+            )}
           </View>
           <View style={styles.employeeStatItem}>
             <Text style={styles.employeeStatLabel}>Rate</Text>
@@ -117,7 +156,7 @@ const MonthlyReport = ({ navigation }) => {
             </Text>
           </View>
         </View>
-      </View>
+      </TouchableOpacity>
     );
   };
 
@@ -139,6 +178,14 @@ const MonthlyReport = ({ navigation }) => {
     );
   }
 
+  const workTotals = (reportData.employees || []).reduce(
+    (totals, employee) => ({
+      workedMinutes: totals.workedMinutes + employee.workedMinutes,
+      overtimeMinutes: totals.overtimeMinutes + employee.overtimeMinutes,
+    }),
+    { workedMinutes: 0, overtimeMinutes: 0 }
+  );
+
   const isCurrentMonth = 
     selectedMonth === new Date().getMonth() + 1 &&
     selectedYear === new Date().getFullYear();
@@ -191,7 +238,7 @@ const MonthlyReport = ({ navigation }) => {
           <Text style={styles.sectionTitle}>Summary</Text>
           <View style={styles.statsGrid}>
             {renderStatCard(
-              'Total Days',
+              'Working Days',
               reportData.summary?.totalWorkingDays || 0,
               '#2196F3',
               'calendar'
@@ -208,6 +255,12 @@ const MonthlyReport = ({ navigation }) => {
               '#F44336',
               'close-circle'
             )}
+            {renderStatCard(
+              'On Leave',
+              reportData.summary?.totalLeave || 0,
+              '#00897B',
+              'document-text'
+            )}
             {renderStatCard(
               'Late',
               reportData.summary?.totalLate || 0,
@@ -226,6 +279,18 @@ const MonthlyReport = ({ navigation }) => {
               '#00BCD4',
               'trending-up'
             )}
+            {renderStatCard(
+              'Hours Worked',
+              formatDuration(workTotals.workedMinutes),
+              '#00897B',
+              'hourglass'
+            )}
+            {renderStatCard(
+              'Overtime',
+              formatDuration(workTotals.overtimeMinutes),
+              '#8E24AA',
+              'add-circle'
+            )}
           </View>
         </View>
 
@@ -430,12 +495,27 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#F0F0F0',
   },
+  employeeNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   employeeName: {
     fontSize: 16,
     fontWeight: '600',
     color: '#1A1A1A',
     marginBottom: 4,
   },
+  archivedBadge: {
+    marginLeft: 8,
+    marginBottom: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: '#ECEFF1',
+    fontSize: 10,
+    fontWeight: '700',
+    color: '#546E7A',
+  },
   employeeDept: {
     fontSize: 13,
     color: '#666',
@@ -456,6 +536,18 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '700',
   },
+  overtimeText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#8E24AA',
+    marginTop: 2,
+  },
+  leaveText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#00897B',
+    marginTop: 2,
+  },
   emptyState: {
     paddingVertical: 60,
     alignItems: 'center',
@@ -1,5 +1,5 @@
 // src/screens/ProfileScreen.js - UPDATED UI
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -11,9 +11,77 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
+import { useServer } from '../context/ServerContext';
+import { useOfflineSync } from '../context/OfflineSyncContext';
+import { getServerHost } from '../services/serverProfiles';
+import { describePermissions, PERMISSIONS } from '../services/permissions';
+import { useKiosk } from '../context/KioskContext';
+import { hasKioskPin, setKioskPin, verifyKioskPin } from '../services/kioskLock';
+import PinPadModal from '../components/PinPadModal';
+
+// Kiosk PIN prompts: a new PIN is typed twice, an existing one once
+const PIN_PROMPTS = {
+  create: { title: 'Set kiosk PIN', subtitle: 'Only admins with this PIN can leave kiosk mode' },
+  confirm: { title: 'Confirm kiosk PIN', subtitle: 'Enter the same PIN again' },
+  verify: { title: 'Start kiosk mode', subtitle: 'Enter the kiosk PIN' },
+};
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, logout } = useAuth();
+  const { user, permissions, can, logout } = useAuth();
+  const { profiles, activeProfile, switchProfile, deleteProfile } = useServer();
+  const { pendingCount, failedCount, conflicts } = useOfflineSync();
+  const { enterKiosk } = useKiosk();
+
+  const [pinStep, setPinStep] = useState(null);
+  const [newPin, setNewPin] = useState(null);
+  const [pinError, setPinError] = useState(null);
+
+  const handleStartKiosk = async () => {
+    setPinError(null);
+    setPinStep((await hasKioskPin()) ? 'verify' : 'create');
+  };
+
+  const closePinPad = () => {
+    setPinStep(null);
+    setNewPin(null);
+  };
+
+  const handlePinSubmit = async (pin) => {
+    if (pinStep === 'create') {
+      setNewPin(pin);
+      setPinError(null);
+      setPinStep('confirm');
+      return;
+    }
+
+    if (pinStep === 'confirm') {
+      if (pin !== newPin) {
+        setNewPin(null);
+        setPinError('PINs did not match. Start again.');
+        setPinStep('create');
+        return;
+      }
+      try {
+        await setKioskPin(pin);
+      } catch (error) {
+        setPinError(error.message || 'Could not save the PIN');
+        return;
+      }
+    } else {
+      const result = await verifyKioskPin(pin);
+      if (!result.success) {
+        setPinError(result.message);
+        return;
+      }
+    }
+
+    closePinPad();
+    try {
+      await enterKiosk();
+    } catch (error) {
+      Alert.alert('Error', 'Could not start kiosk mode');
+    }
+  };
 
   const handleLogout = () => {
     Alert.alert(
@@ -35,6 +103,83 @@ const ProfileScreen = ({ navigation }) => {
     );
   };
 
+  const handleSwitchServer = (profile) => {
+    if (profile.id === activeProfile?.id) return;
+
+    // Queued attendance belongs to the current server
+    const unsynced = pendingCount + failedCount + conflicts.length;
+    if (unsynced > 0) {
+      Alert.alert(
+        'Unsynced attendance',
+        `${unsynced} attendance change(s) have not reached ${activeProfile?.name} yet. ` +
+          'Sync or resolve them before switching servers.'
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Switch server',
+      `Connect to ${profile.name}? You will be signed out and need to log in again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Switch',
+          onPress: async () => {
+            try {
+              await switchProfile(profile.id);
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Could not switch server');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleServerOptions = (profile) => {
+    const isActive = profile.id === activeProfile?.id;
+    Alert.alert(profile.name, profile.baseURL, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Edit',
+        onPress: () => navigation.navigate('ServerSetup', { profileId: profile.id }),
+      },
+      ...(isActive
+        ? []
+        : [{
+            text: 'Remove',
+            style: 'destructive',
+            onPress: () => deleteProfile(profile.id),
+          }]),
+    ]);
+  };
+
+  const renderServerItem = (profile) => {
+    const isActive = profile.id === activeProfile?.id;
+    return (
+      <TouchableOpacity
+        style={[styles.serverItem, isActive && styles.serverItemActive]}
+        onPress={() => handleSwitchServer(profile)}
+        onLongPress={() => handleServerOptions(profile)}
+        activeOpacity={0.8}
+        key={profile.id}
+      >
+        <Ionicons
+          name={isActive ? 'radio-button-on' : 'radio-button-off'}
+          size={20}
+          color={isActive ? '#1976D2' : '#90A4AE'}
+        />
+        <View style={styles.serverInfo}>
+          <Text style={styles.menuTitle}>{profile.name}</Text>
+          <Text style={styles.menuSubtitle}>
+            {profile.environment} • {getServerHost(profile.baseURL)}
+          </Text>
+        </View>
+        {isActive && <Text style={styles.serverActiveText}>Connected</Text>}
+      </TouchableOpacity>
+    );
+  };
+
   const renderMenuItem = (icon, title, subtitle, onPress, color = '#2196F3') => (
     <TouchableOpacity
       style={styles.menuItem}
@@ -68,10 +213,7 @@ const ProfileScreen = ({ navigation }) => {
     .join('')
     .toUpperCase();
 
-  const permissionsText =
-    role.toLowerCase() === 'superadmin'
-      ? 'Full system access'
-      : 'Employee & attendance management';
+  const permissionsText = describePermissions(permissions).join('\n');
 
   return (
     <ScrollView
@@ -107,9 +249,66 @@ const ProfileScreen = ({ navigation }) => {
         {renderInfoCard('Permissions', permissionsText)}
       </View>
 
+      {/* Servers */}
+      <View style={styles.sectionCard}>
+        <Text style={styles.sectionTitle}>Server</Text>
+        <Text style={styles.sectionHint}>
+          Tap to switch, long-press to edit or remove.
+        </Text>
+        {profiles.map(renderServerItem)}
+        {renderMenuItem(
+          'add-circle-outline',
+          'Add server',
+          'Enter or scan a server address',
+          () => navigation.navigate('ServerSetup')
+        )}
+      </View>
+
       {/* Settings */}
       <View style={styles.sectionCard}>
         <Text style={styles.sectionTitle}>Settings & support</Text>
+        {can(PERMISSIONS.SHIFTS_VIEW) &&
+          renderMenuItem(
+            'time-outline',
+            'Shifts',
+            'Work schedules, grace time and weekly offs',
+            () => navigation.navigate('ShiftList'),
+            '#FB8C00'
+          )}
+        {can(PERMISSIONS.HOLIDAYS_VIEW) &&
+          renderMenuItem(
+            'calendar-clear-outline',
+            'Holidays',
+            'Holiday calendar and .ics import',
+            () => navigation.navigate('HolidayCalendar'),
+            '#E53935'
+          )}
+        {can(PERMISSIONS.SITES_VIEW) &&
+          renderMenuItem(
+            'business-outline',
+            'Sites',
+            'Work locations, geofences and assignments',
+            () => navigation.navigate('SiteList'),
+            '#3949AB'
+          )}
+        {can(PERMISSIONS.LEAVE_VIEW) &&
+          renderMenuItem(
+            'document-text-outline',
+            'Leave',
+            can(PERMISSIONS.LEAVE_APPROVE)
+              ? 'Approve requests and see balances'
+              : 'Request leave and follow its status',
+            () => navigation.navigate('LeaveInbox'),
+            '#00897B'
+          )}
+        {can(PERMISSIONS.ATTENDANCE_MARK) &&
+          renderMenuItem(
+            'tablet-landscape-outline',
+            'Kiosk mode',
+            'Lock this device to the punch screen',
+            handleStartKiosk,
+            '#43A047'
+          )}
         {renderMenuItem(
           'notifications-outline',
           'Notifications',
@@ -159,6 +358,15 @@ const ProfileScreen = ({ navigation }) => {
         </Text>
         <Text style={styles.appInfoText}>Powered by GreonXpert</Text>
       </View>
+
+      <PinPadModal
+        visible={!!pinStep}
+        title={PIN_PROMPTS[pinStep]?.title}
+        subtitle={PIN_PROMPTS[pinStep]?.subtitle}
+        error={pinError}
+        onSubmit={handlePinSubmit}
+        onCancel={closePinPad}
+      />
     </ScrollView>
   );
 };
@@ -266,6 +474,36 @@ const styles = StyleSheet.create({
     marginBottom: 10,
   },
 
+  sectionHint: {
+    fontSize: 12,
+    color: '#78909C',
+    marginTop: -6,
+    marginBottom: 8,
+  },
+
+  // Servers
+  serverItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+    backgroundColor: '#F8FAFC',
+  },
+  serverItemActive: {
+    backgroundColor: '#E3F2FD',
+  },
+  serverInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  serverActiveText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#1976D2',
+  },
+
   // Info cards
   infoCard: {
     backgroundColor: '#F8FAFC',
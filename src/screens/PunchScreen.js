@@ -0,0 +1,467 @@
+// src/screens/PunchScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  Image,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { attendanceAPI, fingerprintAPI, siteAPI, shiftAPI } from '../services/api';
+import { captureFingerprint, showSetupInstructions } from '../services/mfs110Service';
+import {
+  GEOFENCE_STATUS,
+  getDeviceLocation,
+  toAttendanceLocation,
+  formatDistance,
+} from '../services/deviceLocation';
+import { checkSites, toAttendanceSite } from '../services/sites';
+import { toLocalDateKey } from '../services/holidays';
+import { resolveShift, toShiftRules, getShiftDay } from '../services/shifts';
+import { STATUS_LABELS, getEmployeeStatus, isEmployeeActive } from '../services/employeeStatus';
+import { handleAPIError } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import {
+  PUNCH_TYPES,
+  PUNCH_LABELS,
+  getPunches,
+  getNextPunchType,
+} from '../services/workTime';
+
+const PUNCH_OPTIONS = [
+  { type: PUNCH_TYPES.CHECK_IN, icon: 'log-in-outline', color: '#43A047', done: 'Checked in' },
+  { type: PUNCH_TYPES.CHECK_OUT, icon: 'log-out-outline', color: '#1976D2', done: 'Checked out' },
+  { type: PUNCH_TYPES.BREAK_START, icon: 'cafe-outline', color: '#FB8C00', done: 'On break' },
+  { type: PUNCH_TYPES.BREAK_END, icon: 'play-outline', color: '#00897B', done: 'Back from break' },
+];
+
+// Steps of a punch, shown one at a time
+const STEPS = {
+  IDLE: 'idle',
+  SCANNING: 'scanning',
+  CONFIRM: 'confirm',
+  SAVING: 'saving',
+  DONE: 'done',
+};
+
+/**
+ * Biometric punch: scan a finger, confirm the matched employee, then
+ * record a check-in or check-out stamped with device time and location.
+ * Punches outside the employee's geofence are flagged, or refused when
+ * their site (or base location) blocks them.
+ *
+ * Kiosk mode passes `autoResetMs` (clear the result screen) and
+ * `confirmTimeoutMs` (drop an unanswered match) so the next person always
+ * starts from the scan button.
+ */
+const PunchScreen = ({ autoResetMs, confirmTimeoutMs }) => {
+  const [step, setStep] = useState(STEPS.IDLE);
+  const [match, setMatch] = useState(null);
+  const [suggestedType, setSuggestedType] = useState(PUNCH_TYPES.CHECK_IN);
+  const [result, setResult] = useState(null);
+  const [sites, setSites] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const { can } = useAuth();
+
+  const reset = () => {
+    setStep(STEPS.IDLE);
+    setMatch(null);
+    setResult(null);
+    setSuggestedType(PUNCH_TYPES.CHECK_IN);
+  };
+
+  useEffect(() => {
+    const delay =
+      step === STEPS.DONE ? autoResetMs :
+      step === STEPS.CONFIRM ? confirmTimeoutMs :
+      null;
+    if (!delay) return undefined;
+
+    const timer = setTimeout(reset, delay);
+    return () => clearTimeout(timer);
+  }, [step, autoResetMs, confirmTimeoutMs]);
+
+  // Without sites the employee's base location is the geofence
+  useEffect(() => {
+    if (!can(PERMISSIONS.SITES_VIEW)) return;
+
+    siteAPI
+      .getAll()
+      .then(response => setSites(response?.sites || []))
+      .catch(error => console.log('Could not load sites:', error.message));
+  }, []);
+
+  // Without shifts every punch belongs to the calendar day it was made on
+  useEffect(() => {
+    if (!can(PERMISSIONS.SHIFTS_VIEW)) return;
+
+    shiftAPI
+      .getAll()
+      .then(response => setShifts(response?.shifts || []))
+      .catch(error => console.log('Could not load shifts:', error.message));
+  }, []);
+
+  // A night shift punched after midnight is recorded on the day it started
+  const getPunchDay = (employee, time) =>
+    toLocalDateKey(getShiftDay(toShiftRules(resolveShift(employee, shifts)), time));
+
+  // The shift's punches so far decide what comes next (in -> break -> back -> out)
+  const suggestPunchType = async (employee) => {
+    try {
+      const day = getPunchDay(employee, new Date());
+      const response = await attendanceAPI.getHistory(employee.employeeId, day, day, 1);
+      const record = response?.history?.[0] || response?.attendance?.[0];
+      return getNextPunchType(getPunches(record));
+    } catch (error) {
+      console.log('Could not look up earlier punches:', error.message);
+      return PUNCH_TYPES.CHECK_IN;
+    }
+  };
+
+  const handleScan = async () => {
+    setStep(STEPS.SCANNING);
+
+    try {
+      const capture = await captureFingerprint();
+      if (!capture.success) {
+        Alert.alert('Scan failed', capture.error || 'Could not read the fingerprint.', [
+          { text: 'Setup help', onPress: () => showSetupInstructions() },
+          { text: 'OK', style: 'cancel' },
+        ]);
+        reset();
+        return;
+      }
+
+      const response = await fingerprintAPI.verify(capture.template);
+      if (!response?.success || !response.employee) {
+        Alert.alert('No match', 'This fingerprint is not enrolled. Please try again.');
+        reset();
+        return;
+      }
+
+      // Suspended and archived staff cannot mark attendance
+      if (!isEmployeeActive(response.employee)) {
+        const status = STATUS_LABELS[getEmployeeStatus(response.employee)];
+        Alert.alert(
+          'Cannot punch',
+          `${response.employee.name} is ${status.toLowerCase()}. Please contact an admin.`
+        );
+        reset();
+        return;
+      }
+
+      setMatch({
+        employee: response.employee,
+        score: response.score ?? response.matchScore ?? null,
+      });
+      setSuggestedType(await suggestPunchType(response.employee));
+      setStep(STEPS.CONFIRM);
+    } catch (error) {
+      console.error('Punch scan error:', error);
+      Alert.alert('Error', handleAPIError(error));
+      reset();
+    }
+  };
+
+  const handlePunch = async (punchType) => {
+    setStep(STEPS.SAVING);
+
+    try {
+      const punchedAt = new Date();
+      const location = await getDeviceLocation();
+      const geofence = checkSites(location, match.employee, sites);
+      if (geofence.blocked) {
+        Alert.alert(
+          'Outside geofence',
+          location
+            ? `This device is ${formatDistance(geofence.distance)}. Punches are only allowed within ${geofence.radius} m.`
+            : 'Punches need a GPS fix inside the geofence. Turn on location and try again.'
+        );
+        setStep(STEPS.CONFIRM);
+        return;
+      }
+
+      const response = await attendanceAPI.mark({
+        employeeId: match.employee.employeeId,
+        date: new Date(getPunchDay(match.employee, punchedAt)).toISOString(),
+        status: 'PRESENT',
+        punchType,
+        time: punchedAt.toISOString(),
+        markedAt: punchedAt.toISOString(),
+        source: 'FINGERPRINT',
+        matchScore: match.score,
+        ...toAttendanceLocation(location, geofence),
+        ...toAttendanceSite(geofence.site),
+      });
+
+      setResult({
+        punchType,
+        punchedAt,
+        queued: !!response.queued,
+        hasLocation: !!location,
+        outsideGeofence: geofence.status === GEOFENCE_STATUS.OUTSIDE,
+        distance: geofence.distance,
+        siteName: geofence.site?.name,
+      });
+      setStep(STEPS.DONE);
+    } catch (error) {
+      console.error('Punch error:', error);
+      Alert.alert('Error', handleAPIError(error));
+      setStep(STEPS.CONFIRM);
+    }
+  };
+
+  const formatTime = (date) =>
+    date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+  const renderAvatar = (employee) => {
+    const photo = employee.photoUrl || employee.photo;
+    if (photo) {
+      return <Image source={{ uri: photo }} style={styles.photo} />;
+    }
+    return (
+      <View style={[styles.photo, styles.photoPlaceholder]}>
+        <Text style={styles.photoInitial}>{employee.name?.[0]?.toUpperCase() || '?'}</Text>
+      </View>
+    );
+  };
+
+  const renderIdle = () => (
+    <>
+      <TouchableOpacity style={styles.scanCircle} onPress={handleScan} activeOpacity={0.9}>
+        <Ionicons name="finger-print" size={88} color="#FFFFFF" />
+      </TouchableOpacity>
+      <Text style={styles.title}>Tap to punch</Text>
+      <Text style={styles.subtitle}>Then place your finger on the scanner</Text>
+    </>
+  );
+
+  const renderBusy = (message) => (
+    <>
+      <View style={[styles.scanCircle, styles.scanCircleBusy]}>
+        <ActivityIndicator size="large" color="#FFFFFF" />
+      </View>
+      <Text style={styles.title}>{message}</Text>
+    </>
+  );
+
+  const renderConfirm = () => {
+    const { employee, score } = match;
+    return (
+      <View style={styles.card}>
+        {renderAvatar(employee)}
+        <Text style={styles.employeeName}>{employee.name}</Text>
+        <Text style={styles.employeeMeta}>
+          {employee.employeeId} • {employee.department}
+        </Text>
+        {score != null && <Text style={styles.matchScore}>Match score {score}</Text>}
+
+        <Text style={styles.confirmPrompt}>Is this you?</Text>
+        <View style={styles.punchRow}>
+          {PUNCH_OPTIONS.map(option => {
+            const isSuggested = option.type === suggestedType;
+            return (
+              <TouchableOpacity
+                key={option.type}
+                style={[
+                  styles.punchButton,
+                  { borderColor: option.color },
+                  isSuggested && { backgroundColor: option.color },
+                ]}
+                onPress={() => handlePunch(option.type)}
+                activeOpacity={0.9}
+              >
+                <Ionicons name={option.icon} size={20} color={isSuggested ? '#FFFFFF' : option.color} />
+                <Text style={[styles.punchButtonText, { color: isSuggested ? '#FFFFFF' : option.color }]}>
+                  {PUNCH_LABELS[option.type]}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <TouchableOpacity onPress={reset} style={styles.cancelButton}>
+          <Text style={styles.cancelText}>Not me</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderDone = () => (
+    <View style={styles.card}>
+      <Ionicons name="checkmark-circle" size={64} color="#43A047" />
+      <Text style={styles.employeeName}>
+        {PUNCH_OPTIONS.find(option => option.type === result.punchType)?.done}
+      </Text>
+      <Text style={styles.employeeMeta}>
+        {match.employee.name} at {formatTime(result.punchedAt)}
+        {result.siteName ? ` • ${result.siteName}` : ''}
+      </Text>
+      {result.queued && (
+        <Text style={styles.warningText}>Saved offline. It will sync when the connection is back.</Text>
+      )}
+      {!result.hasLocation && (
+        <Text style={styles.warningText}>Location was unavailable for this punch.</Text>
+      )}
+      {result.outsideGeofence && (
+        <Text style={styles.warningText}>
+          Outside the geofence ({formatDistance(result.distance)}). This punch is flagged for review.
+        </Text>
+      )}
+      <TouchableOpacity style={styles.nextButton} onPress={reset} activeOpacity={0.9}>
+        <Text style={styles.nextButtonText}>Next person</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.screen}>
+      {step === STEPS.IDLE && renderIdle()}
+      {step === STEPS.SCANNING && renderBusy('Scanning...')}
+      {step === STEPS.CONFIRM && renderConfirm()}
+      {step === STEPS.SAVING && renderBusy('Saving punch...')}
+      {step === STEPS.DONE && renderDone()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  scanCircle: {
+    width: 180,
+    height: 180,
+    borderRadius: 90,
+    backgroundColor: '#2196F3',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 6,
+  },
+  scanCircleBusy: {
+    backgroundColor: '#90CAF9',
+  },
+  title: {
+    marginTop: 24,
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  subtitle: {
+    marginTop: 6,
+    fontSize: 14,
+    color: '#78909C',
+  },
+  card: {
+    width: '100%',
+    maxWidth: 420,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 18,
+    padding: 24,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+    elevation: 2,
+  },
+  photo: {
+    width: 96,
+    height: 96,
+    borderRadius: 48,
+  },
+  photoPlaceholder: {
+    backgroundColor: '#E3F2FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  photoInitial: {
+    fontSize: 36,
+    fontWeight: '700',
+    color: '#1976D2',
+  },
+  employeeName: {
+    marginTop: 12,
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  employeeMeta: {
+    marginTop: 4,
+    fontSize: 13,
+    color: '#546E7A',
+  },
+  matchScore: {
+    marginTop: 4,
+    fontSize: 11,
+    color: '#90A4AE',
+  },
+  confirmPrompt: {
+    marginTop: 20,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#37474F',
+  },
+  punchRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+    gap: 12,
+  },
+  punchButton: {
+    width: '47%',
+    flexGrow: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 2,
+    borderRadius: 999,
+    paddingVertical: 12,
+  },
+  punchButtonText: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  cancelButton: {
+    marginTop: 16,
+    padding: 6,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#E53935',
+  },
+  warningText: {
+    marginTop: 8,
+    fontSize: 12,
+    color: '#EF6C00',
+    textAlign: 'center',
+  },
+  nextButton: {
+    marginTop: 20,
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+  },
+  nextButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+});
+
+export default PunchScreen;
@@ -0,0 +1,651 @@
+// src/screens/ServerSetupScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useServer } from '../context/ServerContext';
+import { useAuth } from '../context/AuthContext';
+import {
+  ENVIRONMENTS,
+  normalizeServerUrl,
+  getServerHost,
+  parseServerQRCode,
+  probeServer,
+} from '../services/serverProfiles';
+
+const ENVIRONMENT_OPTIONS = [
+  { value: ENVIRONMENTS.DEVELOPMENT, label: 'Dev', color: '#8E24AA' },
+  { value: ENVIRONMENTS.STAGING, label: 'Staging', color: '#FB8C00' },
+  { value: ENVIRONMENTS.PRODUCTION, label: 'Prod', color: '#43A047' },
+];
+
+/**
+ * Add or edit a server profile.
+ * Shown before Login on first launch, from Login to change server,
+ * and from Profile to add / edit profiles while signed in.
+ *
+ * Route params:
+ * - profileId: edit an existing profile instead of adding one
+ */
+const ServerSetupScreen = ({ navigation, route }) => {
+  const { profiles, activeProfile, addProfile, switchProfile } = useServer();
+  const { isAuthenticated } = useAuth();
+
+  const editing = profiles.find(p => p.id === route?.params?.profileId) || null;
+
+  const [name, setName] = useState(editing?.name || '');
+  const [environment, setEnvironment] = useState(
+    editing?.environment || ENVIRONMENTS.PRODUCTION
+  );
+  const [url, setUrl] = useState(editing?.baseURL || '');
+  const [probe, setProbe] = useState(null); // { url, ok, message, latencyMs, version }
+  const [isProbing, setIsProbing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+
+  const normalizedUrl = normalizeServerUrl(url);
+  const probeIsCurrent = probe && probe.url === normalizedUrl;
+
+  // Signed-out users can pick a saved server instead of typing one
+  const savedServers = !isAuthenticated && !editing ? profiles : [];
+
+  useEffect(() => {
+    navigation.setOptions({
+      title: editing ? 'Edit server' : activeProfile ? 'Add server' : 'Connect to server',
+    });
+  }, [navigation, editing, activeProfile]);
+
+  const runProbe = async (targetUrl = normalizedUrl) => {
+    if (!targetUrl) {
+      Alert.alert('Invalid URL', 'Enter a server address like 192.168.1.4:5000');
+      return null;
+    }
+
+    setIsProbing(true);
+    const result = await probeServer(targetUrl);
+    setProbe({ ...result, url: targetUrl });
+    setIsProbing(false);
+    return result;
+  };
+
+  const handleOpenScanner = async () => {
+    if (!cameraPermission?.granted) {
+      const permission = await requestCameraPermission();
+      if (!permission.granted) {
+        Alert.alert('Camera needed', 'Allow camera access to scan a server QR code.');
+        return;
+      }
+    }
+    setIsScanning(true);
+  };
+
+  const handleScanned = ({ data }) => {
+    if (!isScanning) return;
+    setIsScanning(false);
+
+    const scanned = parseServerQRCode(data);
+    if (!scanned) {
+      Alert.alert('Unrecognised code', 'This QR code does not contain a server address.');
+      return;
+    }
+
+    setUrl(scanned.baseURL);
+    setEnvironment(scanned.environment);
+    if (scanned.name) setName(scanned.name);
+    runProbe(scanned.baseURL);
+  };
+
+  const finish = async (saved) => {
+    // Before login, the server you just set up is the one you want to use
+    if (!isAuthenticated) {
+      await switchProfile(saved.id);
+    }
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    }
+  };
+
+  const saveProfile = async () => {
+    try {
+      setIsSaving(true);
+      const saved = await addProfile({
+        id: editing?.id,
+        name,
+        environment,
+        baseURL: normalizedUrl,
+      });
+      await finish(saved);
+    } catch (error) {
+      console.error('Save server profile error:', error);
+      Alert.alert('Error', error.message || 'Could not save server');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!normalizedUrl) {
+      Alert.alert('Invalid URL', 'Enter a server address like 192.168.1.4:5000');
+      return;
+    }
+
+    const result = probeIsCurrent ? probe : await runProbe();
+    if (result?.ok) {
+      await saveProfile();
+      return;
+    }
+
+    Alert.alert(
+      'Server unreachable',
+      `${result?.message || 'The health check failed.'}\n\nSave this server anyway?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Save anyway', onPress: saveProfile },
+      ]
+    );
+  };
+
+  const handleUseSaved = async (profile) => {
+    try {
+      await switchProfile(profile.id);
+      if (navigation.canGoBack()) {
+        navigation.goBack();
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not switch server');
+    }
+  };
+
+  const renderProbeResult = () => {
+    if (isProbing) {
+      return (
+        <View style={styles.probeBanner}>
+          <ActivityIndicator size="small" color="#1976D2" />
+          <Text style={styles.probeText}>Checking {getServerHost(normalizedUrl)}...</Text>
+        </View>
+      );
+    }
+    if (!probeIsCurrent) return null;
+
+    return (
+      <View style={[styles.probeBanner, !probe.ok && styles.probeBannerError]}>
+        <Ionicons
+          name={probe.ok ? 'checkmark-circle' : 'alert-circle'}
+          size={18}
+          color={probe.ok ? '#43A047' : '#E53935'}
+        />
+        <Text style={[styles.probeText, !probe.ok && styles.probeTextError]}>
+          {probe.ok
+            ? `Connected in ${probe.latencyMs} ms${probe.version ? ` • v${probe.version}` : ''}`
+            : probe.message}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.screen}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.accentCircle} />
+      <ScrollView
+        style={styles.container}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Header */}
+        <View style={styles.headerCard}>
+          <View style={styles.headerLeft}>
+            <Text style={styles.headerTitle}>
+              {editing ? editing.name : 'Attendance server'}
+            </Text>
+            <Text style={styles.headerSubtitle}>
+              Enter or scan the address of your attendance backend.
+            </Text>
+          </View>
+          <View style={styles.headerBadge}>
+            <Ionicons name="server-outline" size={18} color="#FFFFFF" />
+          </View>
+        </View>
+
+        {/* Saved servers */}
+        {savedServers.length > 0 && (
+          <View style={styles.sectionCard}>
+            <Text style={styles.sectionTitle}>Saved servers</Text>
+            {savedServers.map(profile => {
+              const isActive = profile.id === activeProfile?.id;
+              return (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[styles.savedRow, isActive && styles.savedRowActive]}
+                  onPress={() => handleUseSaved(profile)}
+                  activeOpacity={0.8}
+                >
+                  <Ionicons
+                    name={isActive ? 'radio-button-on' : 'radio-button-off'}
+                    size={18}
+                    color={isActive ? '#1976D2' : '#90A4AE'}
+                  />
+                  <View style={styles.savedInfo}>
+                    <Text style={styles.savedName}>{profile.name}</Text>
+                    <Text style={styles.savedMeta}>
+                      {profile.environment} • {getServerHost(profile.baseURL)}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+
+        {/* Profile form */}
+        <View style={styles.sectionCard}>
+          <Text style={styles.sectionTitle}>
+            {editing ? 'Server details' : 'New server'}
+          </Text>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Server URL *</Text>
+            <View style={styles.urlRow}>
+              <View style={[styles.inputWrapper, { flex: 1 }]}>
+                <Ionicons name="link-outline" size={18} color="#9E9E9E" />
+                <TextInput
+                  style={styles.input}
+                  placeholder="192.168.1.4:5000"
+                  placeholderTextColor="#B0BEC5"
+                  value={url}
+                  onChangeText={setUrl}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="url"
+                  editable={!isSaving}
+                />
+              </View>
+              <TouchableOpacity
+                style={styles.scanButton}
+                onPress={handleOpenScanner}
+                disabled={isSaving}
+              >
+                <Ionicons name="qr-code-outline" size={20} color="#1976D2" />
+              </TouchableOpacity>
+            </View>
+            {normalizedUrl && normalizedUrl !== url.trim() && (
+              <Text style={styles.fieldHint}>Will connect to {normalizedUrl}</Text>
+            )}
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Name</Text>
+            <View style={styles.inputWrapper}>
+              <Ionicons name="pricetag-outline" size={18} color="#9E9E9E" />
+              <TextInput
+                style={styles.input}
+                placeholder="Head office"
+                placeholderTextColor="#B0BEC5"
+                value={name}
+                onChangeText={setName}
+                editable={!isSaving}
+              />
+            </View>
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Environment</Text>
+            <View style={styles.chipRow}>
+              {ENVIRONMENT_OPTIONS.map(option => {
+                const selected = environment === option.value;
+                return (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[
+                      styles.chip,
+                      selected && { backgroundColor: option.color, borderColor: option.color },
+                    ]}
+                    onPress={() => setEnvironment(option.value)}
+                    disabled={isSaving}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          {renderProbeResult()}
+
+          <TouchableOpacity
+            style={styles.testButton}
+            onPress={() => runProbe()}
+            disabled={isProbing || isSaving}
+          >
+            <Ionicons name="pulse-outline" size={18} color="#1976D2" />
+            <Text style={styles.testButtonText}>Test connection</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Submit */}
+        <TouchableOpacity
+          style={[styles.submitButton, (isSaving || isProbing) && styles.submitButtonDisabled]}
+          onPress={handleSave}
+          disabled={isSaving || isProbing}
+          activeOpacity={0.95}
+        >
+          {isSaving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <View style={styles.submitContent}>
+              <Ionicons name="checkmark-circle-outline" size={20} color="#FFFFFF" />
+              <Text style={styles.submitButtonText}>
+                {isAuthenticated ? 'Save server' : 'Save and continue'}
+              </Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+
+      {/* QR scanner */}
+      <Modal
+        visible={isScanning}
+        animationType="slide"
+        onRequestClose={() => setIsScanning(false)}
+      >
+        <View style={styles.scanner}>
+          <CameraView
+            style={StyleSheet.absoluteFill}
+            facing="back"
+            barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+            onBarcodeScanned={isScanning ? handleScanned : undefined}
+          />
+          <View style={styles.scanFrame} />
+          <Text style={styles.scanHint}>Point the camera at the server QR code</Text>
+          <TouchableOpacity
+            style={styles.scanClose}
+            onPress={() => setIsScanning(false)}
+          >
+            <Ionicons name="close" size={22} color="#FFFFFF" />
+          </TouchableOpacity>
+        </View>
+      </Modal>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  accentCircle: {
+    position: 'absolute',
+    top: -80,
+    right: -40,
+    width: 220,
+    height: 220,
+    borderRadius: 110,
+    backgroundColor: '#BBDEFB',
+  },
+  container: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 24,
+  },
+
+  headerCard: {
+    backgroundColor: '#2196F3',
+    borderRadius: 16,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 14,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    elevation: 2,
+  },
+  headerLeft: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: '#E3F2FD',
+  },
+  headerBadge: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#1976D2',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  sectionCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 14,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#37474F',
+    marginBottom: 10,
+  },
+
+  savedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 6,
+    backgroundColor: '#F8FAFC',
+  },
+  savedRowActive: {
+    backgroundColor: '#E3F2FD',
+  },
+  savedInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  savedName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  savedMeta: {
+    fontSize: 12,
+    color: '#78909C',
+    marginTop: 2,
+  },
+
+  field: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#37474F',
+    marginBottom: 6,
+  },
+  fieldHint: {
+    fontSize: 11,
+    color: '#78909C',
+    marginTop: 4,
+  },
+  urlRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FAFAFA',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 10,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 10,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#263238',
+  },
+  scanButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 10,
+    backgroundColor: '#E3F2FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 8,
+  },
+
+  chipRow: {
+    flexDirection: 'row',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    backgroundColor: '#FFFFFF',
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#546E7A',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+
+  probeBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E8F5E9',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  probeBannerError: {
+    backgroundColor: '#FFEBEE',
+  },
+  probeText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#2E7D32',
+    fontWeight: '500',
+  },
+  probeTextError: {
+    color: '#C62828',
+  },
+
+  testButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: '#90CAF9',
+    paddingVertical: 10,
+  },
+  testButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1976D2',
+  },
+
+  submitButton: {
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.25,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#B0BEC5',
+  },
+  submitContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+    marginLeft: 8,
+  },
+
+  scanner: {
+    flex: 1,
+    backgroundColor: '#000000',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  scanFrame: {
+    width: 240,
+    height: 240,
+    borderRadius: 18,
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+  },
+  scanHint: {
+    marginTop: 20,
+    fontSize: 14,
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  scanClose: {
+    position: 'absolute',
+    top: Platform.OS === 'ios' ? 56 : 24,
+    right: 20,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
+
+export default ServerSetupScreen;
@@ -0,0 +1,438 @@
+// src/screens/ShiftEditorScreen.js
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { shiftAPI, employeeAPI } from '../services/api';
+import { handleAPIError } from '../utils/errorHandler';
+import {
+  WEEKDAYS,
+  EMPTY_SHIFT,
+  isValidTime,
+  crossesMidnight,
+  getShiftLength,
+} from '../services/shifts';
+import { formatDuration } from '../services/workTime';
+
+/**
+ * Create or edit a shift and choose which departments and employees
+ * it applies to. Route params: { shift } when editing.
+ */
+const ShiftEditorScreen = ({ route, navigation }) => {
+  const existing = route.params?.shift;
+  const isEditing = !!existing;
+
+  const [form, setForm] = useState({
+    ...EMPTY_SHIFT,
+    ...existing,
+    graceMinutes: String(existing?.graceMinutes ?? EMPTY_SHIFT.graceMinutes),
+    breakMinutes: String(existing?.breakMinutes ?? EMPTY_SHIFT.breakMinutes),
+  });
+  const [employees, setEmployees] = useState([]);
+  const [employeeSearch, setEmployeeSearch] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({ title: isEditing ? 'Edit shift' : 'New shift' });
+  }, [navigation, isEditing]);
+
+  useEffect(() => {
+    employeeAPI
+      .getAll()
+      .then(response => setEmployees(response?.employees || []))
+      .catch(error => console.error('Error fetching employees for shift:', error));
+  }, []);
+
+  const departments = useMemo(() => {
+    const names = new Set(form.departments);
+    employees.forEach(e => e.department && names.add(e.department));
+    return [...names].sort();
+  }, [employees, form.departments]);
+
+  const visibleEmployees = useMemo(() => {
+    const query = employeeSearch.trim().toLowerCase();
+    if (!query) return employees;
+    return employees.filter(
+      e =>
+        e.name?.toLowerCase().includes(query) ||
+        e.employeeId?.toLowerCase().includes(query)
+    );
+  }, [employees, employeeSearch]);
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleInList = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(v => v !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const timesValid = isValidTime(form.startTime) && isValidTime(form.endTime);
+
+  const validateForm = () => {
+    if (!form.name.trim()) {
+      Alert.alert('Validation Error', 'Please enter a shift name');
+      return false;
+    }
+    if (!timesValid) {
+      Alert.alert('Validation Error', 'Start and end must be 24-hour times like 09:00');
+      return false;
+    }
+    const grace = parseInt(form.graceMinutes, 10);
+    const breakMinutes = parseInt(form.breakMinutes, 10);
+    if (isNaN(grace) || grace < 0 || isNaN(breakMinutes) || breakMinutes < 0) {
+      Alert.alert('Validation Error', 'Grace and break must be minutes (0 or more)');
+      return false;
+    }
+    if (breakMinutes >= getShiftLength(form)) {
+      Alert.alert('Validation Error', 'Break must be shorter than the shift');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) return;
+
+    const shiftData = {
+      name: form.name.trim(),
+      startTime: form.startTime,
+      endTime: form.endTime,
+      graceMinutes: parseInt(form.graceMinutes, 10),
+      breakMinutes: parseInt(form.breakMinutes, 10),
+      weeklyOffs: [...form.weeklyOffs].sort(),
+      departments: form.departments,
+      employeeIds: form.employeeIds,
+    };
+
+    try {
+      setIsSaving(true);
+      const response = isEditing
+        ? await shiftAPI.update(existing._id, shiftData)
+        : await shiftAPI.create(shiftData);
+
+      if (response?.success) {
+        navigation.goBack();
+      }
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete shift',
+      `Delete "${existing.name}"? Its employees go back to their department's shift or the default schedule.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setIsSaving(true);
+              await shiftAPI.delete(existing._id);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert('Error', handleAPIError(error));
+              setIsSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderChip = (label, selected, onPress, key = label) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+      disabled={isSaving}
+      activeOpacity={0.85}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderInput = (label, field, props = {}) => (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={form[field]}
+        onChangeText={(text) => updateField(field, text)}
+        editable={!isSaving}
+        placeholderTextColor="#B0BEC5"
+        {...props}
+      />
+    </View>
+  );
+
+  return (
+    <View style={styles.screen}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Schedule */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Schedule</Text>
+          {renderInput('Name *', 'name', { placeholder: 'e.g. Morning, Night' })}
+
+          <View style={styles.row}>
+            {renderInput('Start *', 'startTime', { placeholder: '09:00', maxLength: 5 })}
+            {renderInput('End *', 'endTime', { placeholder: '18:00', maxLength: 5 })}
+          </View>
+          {timesValid && (
+            <Text style={styles.hint}>
+              {crossesMidnight(form) ? 'Night shift, ends the next day. ' : ''}
+              Length {formatDuration(getShiftLength(form))}
+            </Text>
+          )}
+
+          <View style={styles.row}>
+            {renderInput('Grace (min)', 'graceMinutes', { keyboardType: 'number-pad' })}
+            {renderInput('Break (min)', 'breakMinutes', { keyboardType: 'number-pad' })}
+          </View>
+          <Text style={styles.hint}>
+            Arriving after the grace period is Late. Worked time beyond the shift
+            minus the break is overtime.
+          </Text>
+        </View>
+
+        {/* Weekly offs */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Weekly off</Text>
+          <View style={styles.chipRow}>
+            {WEEKDAYS.map((day, index) =>
+              renderChip(day, form.weeklyOffs.includes(index), () => toggleInList('weeklyOffs', index))
+            )}
+          </View>
+        </View>
+
+        {/* Assignment */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Departments</Text>
+          <Text style={styles.hint}>Everyone in these departments uses this shift.</Text>
+          <View style={styles.chipRow}>
+            {departments.map(department =>
+              renderChip(
+                department,
+                form.departments.includes(department),
+                () => toggleInList('departments', department)
+              )
+            )}
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            Employees ({form.employeeIds.length})
+          </Text>
+          <Text style={styles.hint}>
+            Overrides the department shift for these employees.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={employeeSearch}
+            onChangeText={setEmployeeSearch}
+            placeholder="Search by name or ID"
+            placeholderTextColor="#B0BEC5"
+          />
+          {visibleEmployees.map(employee => {
+            const selected = form.employeeIds.includes(employee.employeeId);
+            return (
+              <TouchableOpacity
+                key={employee.employeeId}
+                style={styles.employeeRow}
+                onPress={() => toggleInList('employeeIds', employee.employeeId)}
+                disabled={isSaving}
+              >
+                <Ionicons
+                  name={selected ? 'checkbox' : 'square-outline'}
+                  size={20}
+                  color={selected ? '#1976D2' : '#90A4AE'}
+                />
+                <View style={styles.employeeInfo}>
+                  <Text style={styles.employeeName}>{employee.name}</Text>
+                  <Text style={styles.employeeMeta}>
+                    {employee.employeeId} • {employee.department}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {isEditing && (
+          <TouchableOpacity
+            style={styles.deleteButton}
+            onPress={handleDelete}
+            disabled={isSaving}
+          >
+            <Ionicons name="trash-outline" size={18} color="#E53935" />
+            <Text style={styles.deleteText}>Delete shift</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={isSaving}
+          activeOpacity={0.95}
+        >
+          {isSaving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveText}>{isEditing ? 'Save changes' : 'Create shift'}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  field: {
+    flex: 1,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#546E7A',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#263238',
+    backgroundColor: '#FAFBFC',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#78909C',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#1976D2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#546E7A',
+  },
+  chipTextSelected: {
+    color: '#1976D2',
+    fontWeight: '700',
+  },
+  employeeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECEFF1',
+  },
+  employeeInfo: {
+    marginLeft: 10,
+    flex: 1,
+  },
+  employeeName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  employeeMeta: {
+    fontSize: 12,
+    color: '#78909C',
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  deleteText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#E53935',
+  },
+  footer: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 20,
+  },
+  saveButton: {
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+});
+
+export default ShiftEditorScreen;
@@ -0,0 +1,234 @@
+// src/screens/ShiftListScreen.js
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { shiftAPI, GUARD_ACCESS } from '../services/api';
+import { isAccessDenied } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { WEEKDAYS, crossesMidnight, describeShift } from '../services/shifts';
+
+/**
+ * Work schedules and who they apply to
+ */
+const ShiftListScreen = ({ navigation }) => {
+  const { can } = useAuth();
+  const canManage = can(PERMISSIONS.SHIFTS_MANAGE);
+
+  const [shifts, setShifts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const fetchShifts = async () => {
+    try {
+      const response = await shiftAPI.getAll(GUARD_ACCESS);
+      if (response?.success) {
+        setShifts(response.shifts || []);
+      }
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load shifts');
+      }
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', fetchShifts);
+    return unsubscribe;
+  }, [navigation]);
+
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchShifts();
+  }, []);
+
+  const renderShift = ({ item }) => {
+    const offs = (item.weeklyOffs || []).map(day => WEEKDAYS[day]).join(', ');
+    const departmentCount = item.departments?.length || 0;
+    const employeeCount = item.employeeIds?.length || 0;
+
+    return (
+      <TouchableOpacity
+        style={styles.shiftCard}
+        onPress={() => navigation.navigate('ShiftEditor', { shift: item })}
+        disabled={!canManage}
+        activeOpacity={0.9}
+      >
+        <View style={styles.shiftIcon}>
+          <Ionicons
+            name={crossesMidnight(item) ? 'moon-outline' : 'sunny-outline'}
+            size={22}
+            color="#1976D2"
+          />
+        </View>
+        <View style={styles.shiftInfo}>
+          <Text style={styles.shiftName}>{describeShift(item)}</Text>
+          <Text style={styles.shiftMeta}>
+            Grace {item.graceMinutes || 0} min • Break {item.breakMinutes || 0} min
+          </Text>
+          <Text style={styles.shiftMeta}>Weekly off: {offs || 'None'}</Text>
+          <Text style={styles.shiftAssigned}>
+            {departmentCount} department(s) • {employeeCount} employee(s)
+          </Text>
+        </View>
+        {canManage && <Ionicons name="chevron-forward" size={20} color="#B0BEC5" />}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="time-outline" size={56} color="#B0BEC5" />
+      <Text style={styles.emptyText}>No shifts yet</Text>
+      <Text style={styles.emptySubtext}>
+        Everyone uses the default 09:00-18:00 schedule until a shift is assigned.
+      </Text>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={shifts}
+        renderItem={renderShift}
+        keyExtractor={(item) => item._id}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      />
+
+      {canManage && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => navigation.navigate('ShiftEditor')}
+          activeOpacity={0.9}
+        >
+          <Ionicons name="add" size={22} color="#FFFFFF" />
+          <Text style={styles.addButtonText}>New shift</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F3F5F9',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 96,
+  },
+  shiftCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  shiftIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#E3F2FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  shiftInfo: {
+    flex: 1,
+  },
+  shiftName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  shiftMeta: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginTop: 2,
+  },
+  shiftAssigned: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#1976D2',
+    marginTop: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#546E7A',
+    marginTop: 12,
+  },
+  emptySubtext: {
+    fontSize: 13,
+    color: '#90A4AE',
+    marginTop: 6,
+    textAlign: 'center',
+    paddingHorizontal: 24,
+  },
+  addButton: {
+    position: 'absolute',
+    right: 16,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 4,
+  },
+  addButtonText: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+});
+
+export default ShiftListScreen;
@@ -0,0 +1,462 @@
+// src/screens/SiteEditorScreen.js
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { siteAPI, employeeAPI } from '../services/api';
+import { handleAPIError } from '../utils/errorHandler';
+import { GEOFENCE_POLICY } from '../services/deviceLocation';
+import { EMPTY_SITE, DEVICE_TIMEZONE, validateSite } from '../services/sites';
+import LocationPickerModal from '../components/LocationPickerModal';
+
+const POLICY_OPTIONS = [
+  { value: GEOFENCE_POLICY.FLAG, label: 'Flag', hint: 'Save marks outside the fence and flag them' },
+  { value: GEOFENCE_POLICY.BLOCK, label: 'Block', hint: 'Refuse marks outside the fence' },
+];
+
+/**
+ * Create or edit a work site and choose which employees work there.
+ * Route params: { site } when editing.
+ */
+const SiteEditorScreen = ({ route, navigation }) => {
+  const existing = route.params?.site;
+  const isEditing = !!existing;
+
+  const [form, setForm] = useState({
+    ...EMPTY_SITE,
+    ...existing,
+    radius: String(existing?.radius ?? EMPTY_SITE.radius),
+  });
+  const [employees, setEmployees] = useState([]);
+  const [employeeSearch, setEmployeeSearch] = useState('');
+  const [showMap, setShowMap] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({ title: isEditing ? 'Edit site' : 'New site' });
+  }, [navigation, isEditing]);
+
+  useEffect(() => {
+    employeeAPI
+      .getAll()
+      .then(response => setEmployees(response?.employees || []))
+      .catch(error => console.error('Error fetching employees for site:', error));
+  }, []);
+
+  const visibleEmployees = useMemo(() => {
+    const query = employeeSearch.trim().toLowerCase();
+    if (!query) return employees;
+    return employees.filter(
+      e =>
+        e.name?.toLowerCase().includes(query) ||
+        e.employeeId?.toLowerCase().includes(query)
+    );
+  }, [employees, employeeSearch]);
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleEmployee = (employeeId) => {
+    setForm(prev => ({
+      ...prev,
+      employeeIds: prev.employeeIds.includes(employeeId)
+        ? prev.employeeIds.filter(id => id !== employeeId)
+        : [...prev.employeeIds, employeeId],
+    }));
+  };
+
+  const handleMapConfirm = ({ latitude, longitude, address }) => {
+    setShowMap(false);
+    setForm(prev => ({
+      ...prev,
+      latitude,
+      longitude,
+      // Keep a typed address; fill an empty one from the map
+      address: prev.address?.trim() ? prev.address : address || '',
+    }));
+  };
+
+  const handleSave = async () => {
+    const siteData = {
+      name: form.name.trim(),
+      address: (form.address || '').trim(),
+      latitude: form.latitude,
+      longitude: form.longitude,
+      radius: parseInt(form.radius, 10),
+      geofencePolicy: form.geofencePolicy,
+      timezone: (form.timezone || '').trim(),
+      employeeIds: form.employeeIds,
+    };
+
+    const validationError = validateSite(siteData);
+    if (validationError) {
+      Alert.alert('Validation Error', validationError);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = isEditing
+        ? await siteAPI.update(existing._id, siteData)
+        : await siteAPI.create(siteData);
+
+      if (response?.success) {
+        navigation.goBack();
+      }
+    } catch (error) {
+      Alert.alert('Error', handleAPIError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete site',
+      `Delete "${existing.name}"? Its employees go back to their own base location. Past marks keep the site name.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setIsSaving(true);
+              await siteAPI.delete(existing._id);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert('Error', handleAPIError(error));
+              setIsSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderInput = (label, field, props = {}) => (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={form[field]}
+        onChangeText={(text) => updateField(field, text)}
+        editable={!isSaving}
+        placeholderTextColor="#B0BEC5"
+        {...props}
+      />
+    </View>
+  );
+
+  const hasPoint = Number.isFinite(form.latitude) && Number.isFinite(form.longitude);
+  const radius = parseInt(form.radius, 10);
+
+  return (
+    <View style={styles.screen}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Details */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Site</Text>
+          {renderInput('Name *', 'name', { placeholder: 'e.g. Head office, Warehouse 2' })}
+          {renderInput('Address', 'address', { placeholder: 'Filled in from the map', multiline: true })}
+          {renderInput('Timezone *', 'timezone', {
+            placeholder: DEVICE_TIMEZONE,
+            autoCapitalize: 'none',
+            autoCorrect: false,
+          })}
+          <Text style={styles.hint}>
+            IANA name such as Asia/Kolkata. This device is on {DEVICE_TIMEZONE}.
+          </Text>
+        </View>
+
+        {/* Location & geofence */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Location & geofence</Text>
+          {hasPoint ? (
+            <View style={styles.pointRow}>
+              <Ionicons name="location" size={18} color="#1976D2" />
+              <Text style={styles.pointText}>
+                {form.latitude.toFixed(6)}, {form.longitude.toFixed(6)}
+              </Text>
+            </View>
+          ) : (
+            <Text style={styles.hint}>No location set yet.</Text>
+          )}
+          <TouchableOpacity
+            style={styles.mapButton}
+            onPress={() => setShowMap(true)}
+            disabled={isSaving}
+            activeOpacity={0.9}
+          >
+            <Ionicons name="map-outline" size={18} color="#1976D2" />
+            <Text style={styles.mapButtonText}>{hasPoint ? 'Move on map' : 'Set on map'}</Text>
+          </TouchableOpacity>
+
+          {renderInput('Radius (m) *', 'radius', { keyboardType: 'number-pad' })}
+
+          <Text style={styles.label}>Outside the fence</Text>
+          <View style={styles.chipRow}>
+            {POLICY_OPTIONS.map(option => {
+              const selected = form.geofencePolicy === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => updateField('geofencePolicy', option.value)}
+                  disabled={isSaving}
+                  activeOpacity={0.85}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={[styles.hint, styles.policyHint]}>
+            {POLICY_OPTIONS.find(option => option.value === form.geofencePolicy)?.hint}
+          </Text>
+        </View>
+
+        {/* Assignment */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            Employees ({form.employeeIds.length})
+          </Text>
+          <Text style={styles.hint}>
+            Employees can work at several sites; each mark records the one they were at.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={employeeSearch}
+            onChangeText={setEmployeeSearch}
+            placeholder="Search by name or ID"
+            placeholderTextColor="#B0BEC5"
+          />
+          {visibleEmployees.map(employee => {
+            const selected = form.employeeIds.includes(employee.employeeId);
+            return (
+              <TouchableOpacity
+                key={employee.employeeId}
+                style={styles.employeeRow}
+                onPress={() => toggleEmployee(employee.employeeId)}
+                disabled={isSaving}
+              >
+                <Ionicons
+                  name={selected ? 'checkbox' : 'square-outline'}
+                  size={20}
+                  color={selected ? '#1976D2' : '#90A4AE'}
+                />
+                <View style={styles.employeeInfo}>
+                  <Text style={styles.employeeName}>{employee.name}</Text>
+                  <Text style={styles.employeeMeta}>
+                    {employee.employeeId} • {employee.department}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {isEditing && (
+          <TouchableOpacity
+            style={styles.deleteButton}
+            onPress={handleDelete}
+            disabled={isSaving}
+          >
+            <Ionicons name="trash-outline" size={18} color="#E53935" />
+            <Text style={styles.deleteText}>Delete site</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={isSaving}
+          activeOpacity={0.95}
+        >
+          {isSaving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveText}>{isEditing ? 'Save changes' : 'Create site'}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <LocationPickerModal
+        visible={showMap}
+        title={form.name.trim() || 'Site location'}
+        initialLocation={hasPoint ? form : null}
+        radius={radius > 0 ? radius : undefined}
+        onConfirm={handleMapConfirm}
+        onCancel={() => setShowMap(false)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+    marginBottom: 8,
+  },
+  field: {
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#546E7A',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#263238',
+    backgroundColor: '#FAFBFC',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#78909C',
+    marginBottom: 8,
+  },
+  policyHint: {
+    marginTop: 8,
+    marginBottom: 0,
+  },
+  pointRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  pointText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#37474F',
+  },
+  mapButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 999,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    marginTop: 10,
+    marginBottom: 12,
+  },
+  mapButtonText: {
+    color: '#1976D2',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#CFD8DC',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#1976D2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#546E7A',
+  },
+  chipTextSelected: {
+    color: '#1976D2',
+    fontWeight: '700',
+  },
+  employeeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECEFF1',
+  },
+  employeeInfo: {
+    marginLeft: 10,
+    flex: 1,
+  },
+  employeeName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#263238',
+  },
+  employeeMeta: {
+    fontSize: 12,
+    color: '#78909C',
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  deleteText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#E53935',
+  },
+  footer: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 20,
+  },
+  saveButton: {
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+});
+
+export default SiteEditorScreen;
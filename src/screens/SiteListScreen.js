@@ -0,0 +1,235 @@
+// src/screens/SiteListScreen.js
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { siteAPI, GUARD_ACCESS } from '../services/api';
+import { isAccessDenied } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../services/permissions';
+import { GEOFENCE_POLICY } from '../services/deviceLocation';
+import { DEVICE_TIMEZONE, formatSiteTime } from '../services/sites';
+
+/**
+ * Work sites, their geofences and who works at them
+ */
+const SiteListScreen = ({ navigation }) => {
+  const { can } = useAuth();
+  const canManage = can(PERMISSIONS.SITES_MANAGE);
+
+  const [sites, setSites] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const fetchSites = async () => {
+    try {
+      const response = await siteAPI.getAll(GUARD_ACCESS);
+      if (response?.success) {
+        setSites(response.sites || []);
+      }
+    } catch (error) {
+      console.error('Error fetching sites:', error);
+      if (!isAccessDenied(error)) {
+        Alert.alert('Error', 'Failed to load sites');
+      }
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', fetchSites);
+    return unsubscribe;
+  }, [navigation]);
+
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchSites();
+  }, []);
+
+  const renderSite = ({ item }) => {
+    const employeeCount = item.employeeIds?.length || 0;
+    const blocks = item.geofencePolicy === GEOFENCE_POLICY.BLOCK;
+
+    return (
+      <TouchableOpacity
+        style={styles.siteCard}
+        onPress={() => navigation.navigate('SiteEditor', { site: item })}
+        disabled={!canManage}
+        activeOpacity={0.9}
+      >
+        <View style={styles.siteIcon}>
+          <Ionicons name="business-outline" size={22} color="#1976D2" />
+        </View>
+        <View style={styles.siteInfo}>
+          <Text style={styles.siteName}>{item.name}</Text>
+          {item.address ? (
+            <Text style={styles.siteMeta} numberOfLines={1}>{item.address}</Text>
+          ) : null}
+          <Text style={styles.siteMeta}>
+            Geofence {item.radius} m • {blocks ? 'blocks' : 'flags'} marks outside
+          </Text>
+          {item.timezone && item.timezone !== DEVICE_TIMEZONE && (
+            <Text style={styles.siteMeta}>
+              {item.timezone} • {formatSiteTime(item)} there now
+            </Text>
+          )}
+          <Text style={styles.siteAssigned}>{employeeCount} employee(s)</Text>
+        </View>
+        {canManage && <Ionicons name="chevron-forward" size={20} color="#B0BEC5" />}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="business-outline" size={56} color="#B0BEC5" />
+      <Text style={styles.emptyText}>No sites yet</Text>
+      <Text style={styles.emptySubtext}>
+        Employees are checked against their own base location until they are assigned to a site.
+      </Text>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={sites}
+        renderItem={renderSite}
+        keyExtractor={(item) => item._id}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      />
+
+      {canManage && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => navigation.navigate('SiteEditor')}
+          activeOpacity={0.9}
+        >
+          <Ionicons name="add" size={22} color="#FFFFFF" />
+          <Text style={styles.addButtonText}>New site</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F3F5F9',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F3F5F9',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 96,
+  },
+  siteCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  siteIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#E3F2FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  siteInfo: {
+    flex: 1,
+  },
+  siteName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#263238',
+  },
+  siteMeta: {
+    fontSize: 12,
+    color: '#607D8B',
+    marginTop: 2,
+  },
+  siteAssigned: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#1976D2',
+    marginTop: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#546E7A',
+    marginTop: 12,
+  },
+  emptySubtext: {
+    fontSize: 13,
+    color: '#90A4AE',
+    marginTop: 6,
+    textAlign: 'center',
+    paddingHorizontal: 24,
+  },
+  addButton: {
+    position: 'absolute',
+    right: 16,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 999,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 4,
+  },
+  addButtonText: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+});
+
+export default SiteListScreen;
@@ -0,0 +1,45 @@
+// src/services/__tests__/workTime.test.js
+import { summarizeDay, PUNCH_TYPES } from '../workTime';
+
+// Local times, so the result does not depend on the machine's timezone
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).toISOString();
+
+const record = (checkIn, checkOut) => ({
+  punches: [
+    { type: PUNCH_TYPES.CHECK_IN, time: checkIn },
+    { type: PUNCH_TYPES.CHECK_OUT, time: checkOut },
+  ],
+});
+
+const NIGHT_SHIFT = {
+  startTime: '22:00',
+  endTime: '06:00',
+  graceMinutes: 10,
+  standardMinutes: 480,
+  minFullDayMinutes: 360,
+  weeklyOffs: [],
+};
+
+describe('summarizeDay', () => {
+  it('counts a check-in after midnight as late for the night shift that started the evening before', () => {
+    const day = summarizeDay(record(at(14, 0, 30), at(14, 8)), NIGHT_SHIFT);
+
+    expect(day.lateMinutes).toBe(150);
+    expect(day.status).toBe('LATE');
+    expect(day.workedMinutes).toBe(450);
+  });
+
+  it('keeps a night shift checked into on time as present', () => {
+    const day = summarizeDay(record(at(13, 22, 5), at(14, 6)), NIGHT_SHIFT);
+
+    expect(day.lateMinutes).toBe(5);
+    expect(day.status).toBe('PRESENT');
+  });
+
+  it('measures a day shift from its own start', () => {
+    const day = summarizeDay(record(at(14, 9, 20), at(14, 18)));
+
+    expect(day.lateMinutes).toBe(20);
+    expect(day.status).toBe('LATE');
+  });
+});
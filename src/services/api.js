@@ -1,51 +1,248 @@
 // src/services/api.js
 import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
+import {
+  getToken,
+  getRefreshToken,
+  saveToken,
+  saveRefreshToken,
+} from './auth';
+import { isNetworkError } from '../utils/errorHandler';
+import { assertCan, can, PERMISSIONS } from './permissions';
+import { scopeDepartmentFilter, filterToScope } from './departmentScope';
+import { EMPLOYEE_STATUS, wasActiveInMonth } from './employeeStatus';
+import { summarizeDays } from './workTime';
+import { resolveShift, toShiftRules } from './shifts';
+import { countWorkingDays, getDayOff, toDateKey, toLocalDateKey } from './holidays';
+import {
+  LEAVE_STATUS,
+  REQUEST_STATUS,
+  applyLeave,
+  findApprovedLeave,
+  getLeaveDates,
+} from './leave';
+import {
+  enqueue,
+  flushQueue,
+  waitForFlush,
+  getQueue,
+  discardEntry,
+  QUEUE_OPERATIONS,
+  SYNC_STATUS,
+} from './offlineQueue';
 
-// Update this to your backend URL
-const API_BASE_URL = 'http://192.168.1.4:5000/api'; // Replace with your actual IP
+// Set from the active server profile (see serverProfiles.js)
+let apiBaseURL = null;
+let api = null;
 
-// Create axios instance
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 30000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+/**
+ * Get the base URL requests are currently sent to
+ * @returns {string|null} Base URL, or null before a server is configured
+ */
+export const getApiBaseURL = () => apiBaseURL;
 
 // Request interceptor - Add token to all requests
-api.interceptors.request.use(
-  async (config) => {
-    try {
-      const token = await AsyncStorage.getItem('token');
-      if (token) {
-        config.headers.Authorization = `Bearer ${token}`;
-      }
-    } catch (error) {
-      console.error('Error getting token:', error);
+const attachAuthToken = async (config) => {
+  try {
+    const token = await getToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
     }
-    return config;
-  },
-  (error) => {
+  } catch (error) {
+    console.error('Error getting token:', error);
+  }
+  return config;
+};
+
+// ============================================
+// ACCESS DENIED
+// ============================================
+
+let accessDeniedHandler = null;
+
+/**
+ * Register the callback run when the server answers 403 to a guarded read.
+ * AppNavigator uses this to show the access-denied screen in place of
+ * the page; other rejected requests surface as an error on their screen.
+ * @param {Function|null} handler - (error) => void
+ */
+export const setAccessDeniedHandler = (handler) => {
+  accessDeniedHandler = handler;
+};
+
+/**
+ * Request config for a screen's primary load. Only a 403 on a guarded
+ * request replaces the page; optional lookups just fall back.
+ */
+export const GUARD_ACCESS = { guardAccess: true };
+
+// ============================================
+// TOKEN REFRESH
+// ============================================
+
+// Auth endpoints never trigger a refresh (a 401 there means bad credentials)
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh'];
+
+let isRefreshing = false;
+let refreshQueue = [];
+let sessionExpiredHandler = null;
+
+/**
+ * Register the callback run when the session cannot be refreshed.
+ * AuthContext uses this so logout() updates app state, not just storage.
+ * @param {Function|null} handler - async () => void
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Settle every request that was waiting on the refresh
+const processRefreshQueue = (error, token = null) => {
+  refreshQueue.forEach(({ resolve, reject }) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(token);
+    }
+  });
+  refreshQueue = [];
+};
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Uses plain axios so the interceptors below are not re-entered.
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = await getRefreshToken();
+  if (!refreshToken) {
+    throw Object.assign(new Error('No refresh token available'), { sessionExpired: true });
+  }
+
+  const response = await axios.post(
+    `${apiBaseURL}/auth/refresh`,
+    { refreshToken },
+    { timeout: 30000, headers: { 'Content-Type': 'application/json' } }
+  );
+
+  if (!response.data?.success || !response.data.token) {
+    throw Object.assign(
+      new Error(response.data?.message || 'Token refresh failed'),
+      { sessionExpired: true }
+    );
+  }
+
+  await saveToken(response.data.token);
+  if (response.data.refreshToken) {
+    await saveRefreshToken(response.data.refreshToken);
+  }
+
+  return response.data.token;
+};
+
+// Response interceptor - Refresh expired tokens and replay the request
+const refreshOnUnauthorized = async (error) => {
+  const originalRequest = error.config;
+
+  if (
+    error.response?.status === 403 &&
+    originalRequest?.guardAccess &&
+    accessDeniedHandler
+  ) {
+    accessDeniedHandler(error);
+  }
+
+  if (
+    error.response?.status !== 401 ||
+    !originalRequest ||
+    originalRequest._retry ||
+    NO_REFRESH_URLS.some(url => originalRequest.url?.includes(url))
+  ) {
     return Promise.reject(error);
   }
-);
-
-// Response interceptor - Handle errors globally
-api.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      await AsyncStorage.removeItem('token');
-      await AsyncStorage.removeItem('user');
-      Alert.alert('Session Expired', 'Please login again');
+
+  // A refresh is already running - wait for it, then replay
+  if (isRefreshing) {
+    return new Promise((resolve, reject) => {
+      refreshQueue.push({ resolve, reject });
+    }).then((token) => {
+      originalRequest._retry = true;
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    });
+  }
+
+  originalRequest._retry = true;
+  isRefreshing = true;
+
+  let token;
+  try {
+    console.log('🔄 Access token expired, refreshing...');
+    token = await refreshAccessToken();
+    processRefreshQueue(null, token);
+  } catch (refreshError) {
+    console.error('❌ Token refresh failed:', refreshError.message);
+
+    // Only the server turning the refresh token down ends the session;
+    // a dropped connection or a server error can be retried later
+    const sessionExpired =
+      refreshError.sessionExpired ||
+      [401, 403].includes(refreshError.response?.status);
+    if (!sessionExpired) {
+      processRefreshQueue(refreshError);
+      return Promise.reject(refreshError);
+    }
+
+    processRefreshQueue(error);
+    Alert.alert('Session Expired', 'Please login again');
+    if (sessionExpiredHandler) {
+      await sessionExpiredHandler();
     }
     return Promise.reject(error);
+  } finally {
+    isRefreshing = false;
   }
-);
+
+  // Outside the try: the replay failing says nothing about the session
+  originalRequest.headers.Authorization = `Bearer ${token}`;
+  return api(originalRequest);
+};
+
+// ============================================
+// CLIENT
+// ============================================
+
+/**
+ * Create an axios instance for a backend
+ * @param {string|null} baseURL - Server base URL
+ */
+const createApiClient = (baseURL) => {
+  const client = axios.create({
+    baseURL,
+    timeout: 30000,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+
+  client.interceptors.request.use(attachAuthToken, (error) => Promise.reject(error));
+  client.interceptors.response.use((response) => response, refreshOnUnauthorized);
+  return client;
+};
+
+/**
+ * Point the app at a different backend. Rebuilds the axios instance,
+ * so nothing from the previous server (headers, pending refresh) leaks over.
+ * @param {string|null} baseURL - Base URL from the active server profile
+ */
+export const setApiBaseURL = (baseURL) => {
+  apiBaseURL = baseURL;
+  api = createApiClient(baseURL);
+  processRefreshQueue(new Error('API server changed'));
+  console.log('🌐 API base URL:', baseURL);
+};
+
+api = createApiClient(apiBaseURL);
 
 // ============================================
 // AUTHENTICATION API
@@ -57,8 +254,8 @@ export const authAPI = {
   login: async (username, password) => {
     try {
       console.log('🔵 Login attempt:', { username, password: '***' });
-      console.log('🔵 API Base URL:', API_BASE_URL);
-      console.log('🔵 Full URL:', `${API_BASE_URL}/auth/login`);
+      console.log('🔵 API Base URL:', apiBaseURL);
+      console.log('🔵 Full URL:', `${apiBaseURL}/auth/login`);
       
       const payload = { username, password };
       console.log('🔵 Request payload:', JSON.stringify(payload));
@@ -92,14 +289,129 @@ export const authAPI = {
 // DASHBOARD API (ADMIN)
 // ============================================
 
+/**
+ * Add department filters, narrowed to the user's department scope
+ * @param {URLSearchParams} params - Query params to extend
+ * @param {string} department - Department requested by the screen (optional)
+ */
+const appendDepartmentFilter = (params, department) => {
+  scopeDepartmentFilter(department).forEach(d => params.append('department', d));
+};
+
+/**
+ * Approved leave for a date range, or none without leave.view
+ * @param {object} filters - { startDate, endDate, employeeId }
+ * @returns {Promise<Array>} Leave requests
+ */
+const loadApprovedLeave = (filters) =>
+  can(PERMISSIONS.LEAVE_VIEW)
+    ? leaveAPI
+        .getRequests({ ...filters, status: REQUEST_STATUS.APPROVED })
+        .then(r => r?.requests || [])
+        .catch(() => [])
+    : Promise.resolve([]);
+
+/**
+ * Show approved leave as LEAVE on a daily attendance response, taking
+ * those employees out of the absent / not marked counts
+ * @param {object} data - Daily attendance response
+ * @param {Array} leaves - Approved leave covering the day
+ * @param {string} date - Day as "YYYY-MM-DD"
+ */
+const applyDailyLeave = (data, leaves, date) => {
+  const summary = { ...data.summary };
+
+  data.employees = data.employees.map(employee => {
+    const leave = findApprovedLeave(leaves, employee.employeeId, date);
+    const previous = employee.attendance?.status;
+    if (!leave || applyLeave(previous, leave) !== LEAVE_STATUS) return employee;
+
+    if (previous === 'ABSENT') summary.absent = Math.max(0, (summary.absent || 0) - 1);
+    else summary.notMarked = Math.max(0, (summary.notMarked || 0) - 1);
+    return {
+      ...employee,
+      attendance: { ...employee.attendance, status: LEAVE_STATUS, leaveType: leave.type },
+    };
+  });
+
+  summary.leave = data.employees.filter(e => e.attendance?.status === LEAVE_STATUS).length;
+  data.summary = summary;
+};
+
+/**
+ * Worked time, overtime, working days, leave and absences for a monthly
+ * report row, following the employee's shift. Holidays, weekly offs and
+ * approved leave never count as absences.
+ * Worked time comes from the day records when the server sends them,
+ * otherwise from the server's totals.
+ * @param {object} employee - Report row
+ * @param {object} context - { month, year, shifts, holidays, leaves }
+ */
+const withMonthTotals = (employee, { month, year, shifts, holidays, leaves = [] }) => {
+  const rules = toShiftRules(resolveShift(employee, shifts));
+  const row = { ...employee };
+
+  if (Array.isArray(employee.records)) {
+    const { workedMinutes, overtimeMinutes } = summarizeDays(employee.records, rules);
+    row.workedMinutes = workedMinutes;
+    row.overtimeMinutes = overtimeMinutes;
+  } else {
+    row.workedMinutes = employee.workedMinutes || 0;
+    row.overtimeMinutes = employee.overtimeMinutes || 0;
+  }
+
+  if (!month || !year) return row;
+
+  const options = { holidays, employee, rules };
+  const monthEnd = toLocalDateKey(new Date(year, month, 0));
+  const today = toLocalDateKey(new Date());
+  const leaveDates = new Set(
+    leaves
+      .filter(leave => leave.employeeId === employee.employeeId)
+      .flatMap(leave =>
+        getLeaveDates(leave, {
+          ...options,
+          from: toLocalDateKey(new Date(year, month - 1, 1)),
+          to: monthEnd < today ? monthEnd : today,
+        })
+      )
+  );
+
+  row.workingDays = countWorkingDays(month, year, options);
+  row.leaveDays = leaveDates.size;
+  row.absentDays = Array.isArray(employee.records)
+    ? employee.records.filter(r => {
+        const day = toDateKey(r.date);
+        return r.status === 'ABSENT' && !getDayOff(day, options) && !leaveDates.has(day);
+      }).length
+    : Math.min(
+        employee.absentDays || 0,
+        Math.max(0, row.workingDays - (employee.presentDays || 0) - row.leaveDays)
+      );
+  return row;
+};
+
 export const dashboardAPI = {
   /**
    * Get comprehensive dashboard statistics
+   * @param {object} filters - Optional { siteId }
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getStats: async () => {
+  getStats: async (filters = {}, config = {}) => {
     try {
-      const response = await api.get('/admin/dashboard/stats');
-      return response.data;
+      const params = new URLSearchParams();
+      appendDepartmentFilter(params);
+      if (filters.siteId) params.append('siteId', filters.siteId);
+
+      const url = `/admin/dashboard/stats${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+      const response = await api.get(url, config);
+      const data = response.data;
+      if (data?.stats?.departmentStats) {
+        data.stats.departmentStats = filterToScope(data.stats.departmentStats);
+      }
+      return data;
     } catch (error) {
       console.error('Dashboard stats error:', error);
       throw error;
@@ -108,15 +420,34 @@ export const dashboardAPI = {
 
   /**
    * Get daily attendance with all employee details
+   * Limited to the user's department scope. Employees on approved leave
+   * get a LEAVE status and are counted in summary.leave.
    * @param {string} date - Optional date in ISO format (defaults to today)
+   * @param {object} filters - Optional filters (department, siteId)
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getDailyAttendance: async (date = null) => {
+  getDailyAttendance: async (date = null, filters = {}, config = {}) => {
     try {
-      const url = date
-        ? `/admin/dashboard/daily-attendance?date=${date}`
-        : '/admin/dashboard/daily-attendance';
-      const response = await api.get(url);
-      return response.data;
+      const params = new URLSearchParams();
+      if (date) params.append('date', date);
+      appendDepartmentFilter(params, filters.department);
+      if (filters.siteId) params.append('siteId', filters.siteId);
+
+      const url = `/admin/dashboard/daily-attendance${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+      const response = await api.get(url, config);
+      const data = response.data;
+      if (data?.employees) {
+        data.employees = filterToScope(data.employees);
+
+        const day = date || toLocalDateKey(new Date());
+        const leaves = await loadApprovedLeave({ startDate: day, endDate: day });
+        if (leaves.length > 0) {
+          applyDailyLeave(data, leaves, day);
+        }
+      }
+      return data;
     } catch (error) {
       console.error('Daily attendance error:', error);
       throw error;
@@ -127,8 +458,9 @@ export const dashboardAPI = {
    * Get employee attendance history with statistics
    * @param {string} employeeId - Employee ID
    * @param {object} options - Optional filters
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getEmployeeHistory: async (employeeId, options = {}) => {
+  getEmployeeHistory: async (employeeId, options = {}, config = {}) => {
     try {
       const params = new URLSearchParams();
       if (options.startDate) params.append('startDate', options.startDate);
@@ -138,7 +470,7 @@ export const dashboardAPI = {
       const url = `/admin/dashboard/employee-history/${employeeId}${
         params.toString() ? `?${params.toString()}` : ''
       }`;
-      const response = await api.get(url);
+      const response = await api.get(url, config);
       return response.data;
     } catch (error) {
       console.error('Employee history error:', error);
@@ -148,20 +480,62 @@ export const dashboardAPI = {
 
   /**
    * Get monthly attendance report
+   * Archived employees are included for the months they were still active.
+   * Each row gets workedMinutes, overtimeMinutes, workingDays and
+   * leaveDays; absences and rates leave out holidays, weekly offs and
+   * approved leave.
    * @param {number} month - Month (1-12)
    * @param {number} year - Year
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getMonthlyReport: async (month = null, year = null) => {
+  getMonthlyReport: async (month = null, year = null, config = {}) => {
     try {
       const params = new URLSearchParams();
       if (month) params.append('month', month);
       if (year) params.append('year', year);
+      params.append('includeArchived', 'true');
+      params.append('includePunches', 'true');
 
-      const url = `/admin/dashboard/monthly-report${
-        params.toString() ? `?${params.toString()}` : ''
-      }`;
-      const response = await api.get(url);
-      return response.data;
+      const url = `/admin/dashboard/monthly-report?${params.toString()}`;
+      const response = await api.get(url, config);
+      const data = response.data;
+      if (data?.report?.employees) {
+        const [shifts, holidays, leaves] = await Promise.all([
+          can(PERMISSIONS.SHIFTS_VIEW)
+            ? shiftAPI.getAll().then(r => r?.shifts || []).catch(() => [])
+            : [],
+          can(PERMISSIONS.HOLIDAYS_VIEW)
+            ? holidayAPI.getAll({ year }).then(r => r?.holidays || []).catch(() => [])
+            : [],
+          month && year
+            ? loadApprovedLeave({
+                startDate: toLocalDateKey(new Date(year, month - 1, 1)),
+                endDate: toLocalDateKey(new Date(year, month, 0)),
+              })
+            : [],
+        ]);
+        const employees = data.report.employees
+          .filter(employee => !month || !year || wasActiveInMonth(employee, month, year))
+          .map(employee => withMonthTotals(employee, { month, year, shifts, holidays, leaves }));
+        data.report.employees = employees;
+
+        if (month && year) {
+          // Approved leave is neither attended nor missed
+          const rates = employees
+            .filter(e => e.workingDays - e.leaveDays > 0)
+            .map(e => Math.min(100, (e.presentDays / (e.workingDays - e.leaveDays)) * 100));
+          data.report.summary = {
+            ...data.report.summary,
+            totalWorkingDays: countWorkingDays(month, year, { holidays }),
+            totalAbsent: employees.reduce((sum, e) => sum + e.absentDays, 0),
+            totalLeave: employees.reduce((sum, e) => sum + e.leaveDays, 0),
+            averageAttendanceRate: rates.length
+              ? (rates.reduce((sum, rate) => sum + rate, 0) / rates.length).toFixed(1)
+              : 0,
+          };
+        }
+      }
+      return data;
     } catch (error) {
       console.error('Monthly report error:', error);
       throw error;
@@ -170,15 +544,25 @@ export const dashboardAPI = {
 
   /**
    * Get department-wise statistics
+   * Limited to the user's department scope
    * @param {string} date - Optional date in ISO format (defaults to today)
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getDepartmentWiseStats: async (date = null) => {
+  getDepartmentWiseStats: async (date = null, config = {}) => {
     try {
-      const url = date
-        ? `/admin/dashboard/department-wise?date=${date}`
-        : '/admin/dashboard/department-wise';
-      const response = await api.get(url);
-      return response.data;
+      const params = new URLSearchParams();
+      if (date) params.append('date', date);
+      appendDepartmentFilter(params);
+
+      const url = `/admin/dashboard/department-wise${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+      const response = await api.get(url, config);
+      const data = response.data;
+      if (data?.departments) {
+        data.departments = filterToScope(data.departments);
+      }
+      return data;
     } catch (error) {
       console.error('Department-wise stats error:', error);
       throw error;
@@ -193,12 +577,15 @@ export const dashboardAPI = {
 export const employeeAPI = {
   /**
    * Get all employees with optional filters
+   * Limited to the user's department scope
    * @param {object} filters - Optional filters
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getAll: async (filters = {}) => {
+  getAll: async (filters = {}, config = {}) => {
     try {
       const params = new URLSearchParams();
-      if (filters.department) params.append('department', filters.department);
+      appendDepartmentFilter(params, filters.department);
+      if (filters.status) params.append('status', filters.status);
       if (filters.search) params.append('search', filters.search);
       if (filters.page) params.append('page', filters.page);
       if (filters.limit) params.append('limit', filters.limit);
@@ -206,8 +593,12 @@ export const employeeAPI = {
       const url = `/admin/employees${
         params.toString() ? `?${params.toString()}` : ''
       }`;
-      const response = await api.get(url);
-      return response.data;
+      const response = await api.get(url, config);
+      const data = response.data;
+      if (data?.employees) {
+        data.employees = filterToScope(data.employees);
+      }
+      return data;
     } catch (error) {
       console.error('Get employees error:', error);
       throw error;
@@ -217,10 +608,11 @@ export const employeeAPI = {
   /**
    * Get single employee with statistics
    * @param {string} id - Employee MongoDB ID
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getById: async (id) => {
+  getById: async (id, config = {}) => {
     try {
-      const response = await api.get(`/admin/employees/${id}`);
+      const response = await api.get(`/admin/employees/${id}`, config);
       return response.data;
     } catch (error) {
       console.error('Get employee error:', error);
@@ -233,6 +625,7 @@ export const employeeAPI = {
    * @param {object} employeeData - Employee data
    */
   create: async (employeeData) => {
+    assertCan(PERMISSIONS.EMPLOYEES_CREATE);
     try {
       const response = await api.post('/admin/employees', employeeData);
       return response.data;
@@ -248,6 +641,7 @@ export const employeeAPI = {
    * @param {object} employeeData - Updated employee data
    */
   update: async (id, employeeData) => {
+    assertCan(PERMISSIONS.EMPLOYEES_EDIT);
     try {
       const response = await api.put(`/admin/employees/${id}`, employeeData);
       return response.data;
@@ -258,10 +652,51 @@ export const employeeAPI = {
   },
 
   /**
-   * Delete employee
+   * Move an employee through the lifecycle (active / suspended / archived)
+   * Archiving replaces deletion, so it needs the delete permission
+   * @param {string} id - Employee MongoDB ID
+   * @param {string} status - One of EMPLOYEE_STATUS
+   * @param {string} reason - Optional reason, kept with the change
+   */
+  setStatus: async (id, status, reason = '') => {
+    assertCan(
+      status === EMPLOYEE_STATUS.ARCHIVED
+        ? PERMISSIONS.EMPLOYEES_DELETE
+        : PERMISSIONS.EMPLOYEES_EDIT
+    );
+    try {
+      const response = await api.put(`/admin/employees/${id}`, {
+        status,
+        isActive: status === EMPLOYEE_STATUS.ACTIVE,
+        ...(reason ? { statusReason: reason } : {}),
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Set employee status error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Archive employee (soft delete); their attendance stays in reports
+   * @param {string} id - Employee MongoDB ID
+   * @param {string} reason - Optional reason
+   */
+  archive: async (id, reason = '') => employeeAPI.setStatus(id, EMPLOYEE_STATUS.ARCHIVED, reason),
+
+  /**
+   * Restore a suspended or archived employee to active
+   * @param {string} id - Employee MongoDB ID
+   */
+  restore: async (id) => employeeAPI.setStatus(id, EMPLOYEE_STATUS.ACTIVE),
+
+  /**
+   * Permanently delete employee and their attendance context
+   * Screens archive instead; this is kept for data clean-up only
    * @param {string} id - Employee MongoDB ID
    */
   delete: async (id) => {
+    assertCan(PERMISSIONS.EMPLOYEES_DELETE);
     try {
       const response = await api.delete(`/admin/employees/${id}`);
       return response.data;
@@ -276,29 +711,152 @@ export const employeeAPI = {
 // ATTENDANCE API
 // ============================================
 
+/**
+ * Send a queued attendance operation straight to the backend.
+ * Used when replaying the offline queue, so it must never queue again.
+ * @param {object} entry - Offline queue entry
+ */
+const sendQueuedAttendance = async ({ type, payload }) => {
+  switch (type) {
+    case QUEUE_OPERATIONS.MARK:
+      return (await api.post('/admin/attendance/mark', payload)).data;
+    case QUEUE_OPERATIONS.UPDATE: {
+      const { id, ...changes } = payload;
+      return (await api.put(`/admin/attendance/${id}`, changes)).data;
+    }
+    case QUEUE_OPERATIONS.DELETE:
+      return (await api.delete(`/admin/attendance/${payload.id}`)).data;
+    default:
+      throw new Error(`Unknown queued operation: ${type}`);
+  }
+};
+
+/**
+ * Store an attendance write in the offline queue and report it as accepted
+ * @param {string} type - Queue operation type
+ * @param {object} payload - Request data
+ * @param {object} meta - Record identifiers for sync status lookups
+ */
+const queueAttendance = async (type, payload, meta) => {
+  const entry = await enqueue(type, payload, meta);
+  return {
+    success: true,
+    queued: true,
+    queueId: entry.id,
+    message: 'Saved offline. It will sync when the connection is restored.',
+  };
+};
+
 export const attendanceAPI = {
   /**
    * Mark attendance for an employee
-   * @param {object} attendanceData - Attendance data
+   * Queued for later sync when the device is offline
+   * @param {object} attendanceData - Attendance data; location fields
+   *   (location, distanceMeters, outsideGeofence) from toAttendanceLocation(),
+   *   site fields (siteId, siteName, siteTimezone) from toAttendanceSite()
    */
   mark: async (attendanceData) => {
+    // Checked before the request so a denied write is never queued offline
+    assertCan(PERMISSIONS.ATTENDANCE_MARK);
     try {
       const response = await api.post('/admin/attendance/mark', attendanceData);
       return response.data;
     } catch (error) {
+      if (isNetworkError(error)) {
+        return queueAttendance(QUEUE_OPERATIONS.MARK, attendanceData, {
+          employeeId: attendanceData.employeeId,
+          date: attendanceData.date,
+        });
+      }
       console.error('Mark attendance error:', error);
       throw error;
     }
   },
 
+  /**
+   * Mark several records (employees for a day, or days for an employee)
+   * in a single request.
+   * Rows that already have a record (recordId) are updated instead.
+   * Queued row by row for later sync when the device is offline.
+   * @param {Array} records - [{ employeeId, date, status, recordId }]
+   * @returns {Promise<object>} { success, results: [{ employeeId, success,
+   *   message, attendance, queueId }] } in the order of records
+   */
+  markBulk: async (records) => {
+    assertCan(PERMISSIONS.ATTENDANCE_MARK);
+    if (records.some(record => record.recordId)) {
+      assertCan(PERMISSIONS.ATTENDANCE_EDIT);
+    }
+    try {
+      const response = await api.post('/admin/attendance/bulk-mark', { records });
+      return response.data;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        // One at a time so the queue keeps the rows in order
+        const results = [];
+        for (const { recordId, ...attendanceData } of records) {
+          const queued = recordId
+            ? await queueAttendance(
+                QUEUE_OPERATIONS.UPDATE,
+                { id: recordId, status: attendanceData.status },
+                { recordId }
+              )
+            : await queueAttendance(QUEUE_OPERATIONS.MARK, attendanceData, {
+                employeeId: attendanceData.employeeId,
+                date: attendanceData.date,
+              });
+          results.push({ employeeId: attendanceData.employeeId, ...queued });
+        }
+        return { success: true, queued: true, results };
+      }
+      console.error('Bulk mark attendance error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Put back what a bulk mark changed. Rows with a previous status are
+   * updated back to it, new records are deleted and rows still waiting
+   * in the offline queue are dropped from it. Queued rows that synced in
+   * the meantime are undone on the server like any other row.
+   * @param {Array} changes - [{ recordId, previousStatus, queueId }]
+   * @returns {Promise<object>} { restored, failed }
+   */
+  undoBulk: async (changes) => {
+    // Let a replay in progress settle so no row is half sent
+    await waitForFlush();
+    const queue = await getQueue();
+
+    const settled = await Promise.allSettled(
+      changes.map(async ({ recordId, previousStatus, queueId }) => {
+        let id = recordId;
+        if (queueId) {
+          const entry = queue.find(item => item.id === queueId);
+          // Never reached the server: dropping it is the undo
+          if (entry && entry.status !== SYNC_STATUS.SYNCED) {
+            return discardEntry(queueId);
+          }
+          id = recordId || entry?.recordId;
+          if (!id) throw new Error('Synced record not found');
+        }
+        return previousStatus
+          ? attendanceAPI.update(id, previousStatus)
+          : attendanceAPI.delete(id);
+      })
+    );
+    const failed = settled.filter(result => result.status === 'rejected').length;
+    return { restored: changes.length - failed, failed };
+  },
+
   /**
    * Get attendance history for an employee
    * @param {string} employeeId - Employee ID
    * @param {string} startDate - Start date (optional)
    * @param {string} endDate - End date (optional)
    * @param {number} limit - Limit (optional)
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getHistory: async (employeeId, startDate = null, endDate = null, limit = 100) => {
+  getHistory: async (employeeId, startDate = null, endDate = null, limit = 100, config = {}) => {
     try {
       const params = new URLSearchParams();
       if (startDate) params.append('startDate', startDate);
@@ -308,7 +866,7 @@ export const attendanceAPI = {
       const url = `/admin/attendance/history/${employeeId}${
         params.toString() ? `?${params.toString()}` : ''
       }`;
-      const response = await api.get(url);
+      const response = await api.get(url, config);
       return response.data;
     } catch (error) {
       console.error('Get attendance history error:', error);
@@ -318,14 +876,24 @@ export const attendanceAPI = {
 
   /**
    * Update attendance record
+   * Queued for later sync when the device is offline
    * @param {string} id - Attendance record ID
    * @param {string} status - New status (PRESENT, ABSENT, LATE, HALF_DAY)
+   * @param {object} changes - Optional extra fields (location, markedAt)
    */
-  update: async (id, status) => {
+  update: async (id, status, changes = {}) => {
+    assertCan(PERMISSIONS.ATTENDANCE_EDIT);
     try {
-      const response = await api.put(`/admin/attendance/${id}`, { status });
+      const response = await api.put(`/admin/attendance/${id}`, { status, ...changes });
       return response.data;
     } catch (error) {
+      if (isNetworkError(error)) {
+        return queueAttendance(
+          QUEUE_OPERATIONS.UPDATE,
+          { id, status, ...changes },
+          { recordId: id }
+        );
+      }
       console.error('Update attendance error:', error);
       throw error;
     }
@@ -333,17 +901,28 @@ export const attendanceAPI = {
 
   /**
    * Delete attendance record
+   * Queued for later sync when the device is offline
    * @param {string} id - Attendance record ID
    */
   delete: async (id) => {
+    assertCan(PERMISSIONS.ATTENDANCE_DELETE);
     try {
       const response = await api.delete(`/admin/attendance/${id}`);
       return response.data;
     } catch (error) {
+      if (isNetworkError(error)) {
+        return queueAttendance(QUEUE_OPERATIONS.DELETE, { id }, { recordId: id });
+      }
       console.error('Delete attendance error:', error);
       throw error;
     }
   },
+
+  /**
+   * Replay attendance writes that were queued while offline
+   * @returns {Promise<object>} { synced, failed, conflicts, remaining }
+   */
+  syncQueue: () => flushQueue(sendQueuedAttendance),
 };
 
 // ============================================
@@ -353,10 +932,11 @@ export const attendanceAPI = {
 export const superadminDashboardAPI = {
   /**
    * Get superadmin overview
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getOverview: async () => {
+  getOverview: async (config = {}) => {
     try {
-      const response = await api.get('/superadmin/dashboard/overview');
+      const response = await api.get('/superadmin/dashboard/overview', config);
       return response.data;
     } catch (error) {
       console.error('Superadmin overview error:', error);
@@ -366,10 +946,11 @@ export const superadminDashboardAPI = {
 
   /**
    * Get system alerts
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getAlerts: async () => {
+  getAlerts: async (config = {}) => {
     try {
-      const response = await api.get('/superadmin/dashboard/alerts');
+      const response = await api.get('/superadmin/dashboard/alerts', config);
       return response.data;
     } catch (error) {
       console.error('System alerts error:', error);
@@ -466,6 +1047,7 @@ export const fingerprintAPI = {
    * @param {string} fingerprintTemplate - Base64 fingerprint template
    */
   enroll: async (employeeId, fingerprintTemplate) => {
+    assertCan(PERMISSIONS.FINGERPRINTS_ENROLL);
     try {
       const response = await api.post('/fingerprints/enroll', {
         employeeId,
@@ -482,6 +1064,7 @@ export const fingerprintAPI = {
    * Enroll a fingerprint for an employee
    */
   enrollFingerprint: async (employeeId, fingerprintData) => {
+    assertCan(PERMISSIONS.FINGERPRINTS_ENROLL);
     try {
       const response = await api.post('/fingerprints/enroll', {
         employeeId,
@@ -496,10 +1079,11 @@ export const fingerprintAPI = {
 
   /**
    * Get all fingerprints for an employee
+   * @param {object} config - Optional request config (GUARD_ACCESS)
    */
-  getEmployeeFingerprints: async (employeeId) => {
+  getEmployeeFingerprints: async (employeeId, config = {}) => {
     try {
-      const response = await api.get(`/fingerprints/${employeeId}`);
+      const response = await api.get(`/fingerprints/${employeeId}`, config);
       return response.data;
     } catch (error) {
       console.error('Get fingerprints error:', error);
@@ -507,6 +1091,345 @@ export const fingerprintAPI = {
     }
   },
 
+  /**
+   * Remove one enrolled finger
+   * @param {string} employeeId - Employee ID
+   * @param {number} fingerIndex - Finger index (0-9)
+   */
+  removeFingerprint: async (employeeId, fingerIndex) => {
+    assertCan(PERMISSIONS.FINGERPRINTS_ENROLL);
+    try {
+      const response = await api.delete(`/fingerprints/${employeeId}/${fingerIndex}`);
+      return response.data;
+    } catch (error) {
+      console.error('Remove fingerprint error:', error);
+      throw error;
+    }
+  },
+
+};
+
+// ============================================
+// SHIFT API
+// ============================================
+
+export const shiftAPI = {
+  /**
+   * Get all shift definitions with their department / employee assignments
+   * @param {object} config - Optional request config (GUARD_ACCESS)
+   */
+  getAll: async (config = {}) => {
+    try {
+      const response = await api.get('/admin/shifts', config);
+      return response.data;
+    } catch (error) {
+      console.error('Get shifts error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a shift
+   * @param {object} shiftData - { name, startTime, endTime, graceMinutes,
+   *   breakMinutes, weeklyOffs, departments, employeeIds }
+   */
+  create: async (shiftData) => {
+    assertCan(PERMISSIONS.SHIFTS_MANAGE);
+    try {
+      const response = await api.post('/admin/shifts', shiftData);
+      return response.data;
+    } catch (error) {
+      console.error('Create shift error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a shift
+   * @param {string} id - Shift ID
+   * @param {object} shiftData - Fields to change
+   */
+  update: async (id, shiftData) => {
+    assertCan(PERMISSIONS.SHIFTS_MANAGE);
+    try {
+      const response = await api.put(`/admin/shifts/${id}`, shiftData);
+      return response.data;
+    } catch (error) {
+      console.error('Update shift error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a shift; its employees fall back to their department's shift
+   * @param {string} id - Shift ID
+   */
+  delete: async (id) => {
+    assertCan(PERMISSIONS.SHIFTS_MANAGE);
+    try {
+      const response = await api.delete(`/admin/shifts/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete shift error:', error);
+      throw error;
+    }
+  },
+};
+
+// ============================================
+// HOLIDAY API
+// ============================================
+
+export const holidayAPI = {
+  /**
+   * Get holidays, recurring ones included
+   * @param {object} filters - Optional { year }
+   * @param {object} config - Optional request config (GUARD_ACCESS)
+   */
+  getAll: async (filters = {}, config = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (filters.year) params.append('year', filters.year);
+
+      const url = `/admin/holidays${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+      const response = await api.get(url, config);
+      return response.data;
+    } catch (error) {
+      console.error('Get holidays error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a holiday
+   * @param {object} holidayData - { name, date (YYYY-MM-DD), recurring,
+   *   departments, locations }
+   */
+  create: async (holidayData) => {
+    assertCan(PERMISSIONS.HOLIDAYS_MANAGE);
+    try {
+      const response = await api.post('/admin/holidays', holidayData);
+      return response.data;
+    } catch (error) {
+      console.error('Create holiday error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add many holidays at once (e.g. from an .ics file).
+   * Days that already have a holiday with the same scope are skipped.
+   * @param {Array} holidays - Holiday objects as for create()
+   */
+  import: async (holidays) => {
+    assertCan(PERMISSIONS.HOLIDAYS_MANAGE);
+    try {
+      const response = await api.post('/admin/holidays/import', { holidays });
+      return response.data;
+    } catch (error) {
+      console.error('Import holidays error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a holiday
+   * @param {string} id - Holiday ID
+   */
+  delete: async (id) => {
+    assertCan(PERMISSIONS.HOLIDAYS_MANAGE);
+    try {
+      const response = await api.delete(`/admin/holidays/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete holiday error:', error);
+      throw error;
+    }
+  },
+};
+
+// ============================================
+// SITE API
+// ============================================
+
+export const siteAPI = {
+  /**
+   * Get all work sites with their employee assignments
+   * @param {object} config - Optional request config (GUARD_ACCESS)
+   */
+  getAll: async (config = {}) => {
+    try {
+      const response = await api.get('/admin/sites', config);
+      return response.data;
+    } catch (error) {
+      console.error('Get sites error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a site
+   * @param {object} siteData - { name, address, latitude, longitude, radius,
+   *   geofencePolicy, timezone, employeeIds }
+   */
+  create: async (siteData) => {
+    assertCan(PERMISSIONS.SITES_MANAGE);
+    try {
+      const response = await api.post('/admin/sites', siteData);
+      return response.data;
+    } catch (error) {
+      console.error('Create site error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a site
+   * @param {string} id - Site ID
+   * @param {object} siteData - Fields to change
+   */
+  update: async (id, siteData) => {
+    assertCan(PERMISSIONS.SITES_MANAGE);
+    try {
+      const response = await api.put(`/admin/sites/${id}`, siteData);
+      return response.data;
+    } catch (error) {
+      console.error('Update site error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a site; past marks keep its name
+   * @param {string} id - Site ID
+   */
+  delete: async (id) => {
+    assertCan(PERMISSIONS.SITES_MANAGE);
+    try {
+      const response = await api.delete(`/admin/sites/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete site error:', error);
+      throw error;
+    }
+  },
+};
+
+// ============================================
+// LEAVE API
+// ============================================
+
+export const leaveAPI = {
+  /**
+   * Get leave requests
+   * Limited to the user's department scope
+   * @param {object} filters - Optional { status, employeeId, startDate, endDate }
+   * @param {object} config - Optional request config (GUARD_ACCESS)
+   */
+  getRequests: async (filters = {}, config = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (filters.status) params.append('status', filters.status);
+      if (filters.employeeId) params.append('employeeId', filters.employeeId);
+      if (filters.startDate) params.append('startDate', filters.startDate);
+      if (filters.endDate) params.append('endDate', filters.endDate);
+      appendDepartmentFilter(params);
+
+      const url = `/admin/leave/requests${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+      const response = await api.get(url, config);
+      const data = response.data;
+      if (data?.requests) {
+        data.requests = filterToScope(data.requests);
+      }
+      return data;
+    } catch (error) {
+      console.error('Get leave requests error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an employee's balance per leave type
+   * @param {string} employeeId - Employee ID
+   * @returns {object} { success, balances: { SICK: { allowed, used, pending }, ... } }
+   */
+  getBalances: async (employeeId) => {
+    try {
+      const response = await api.get(`/admin/leave/balances/${employeeId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get leave balances error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Request leave for an employee
+   * @param {object} requestData - { employeeId, type, startDate, endDate,
+   *   days, reason }
+   */
+  request: async (requestData) => {
+    assertCan(PERMISSIONS.LEAVE_REQUEST);
+    try {
+      const response = await api.post('/admin/leave/requests', requestData);
+      return response.data;
+    } catch (error) {
+      console.error('Request leave error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Approve a pending request; its days come off the balance
+   * @param {string} id - Request ID
+   * @param {string} note - Optional note for the employee
+   */
+  approve: async (id, note = '') => {
+    assertCan(PERMISSIONS.LEAVE_APPROVE);
+    try {
+      const response = await api.put(`/admin/leave/requests/${id}/approve`, { note });
+      return response.data;
+    } catch (error) {
+      console.error('Approve leave error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reject a pending request
+   * @param {string} id - Request ID
+   * @param {string} note - Reason given to the employee
+   */
+  reject: async (id, note = '') => {
+    assertCan(PERMISSIONS.LEAVE_APPROVE);
+    try {
+      const response = await api.put(`/admin/leave/requests/${id}/reject`, { note });
+      return response.data;
+    } catch (error) {
+      console.error('Reject leave error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Withdraw a request that has not been decided yet
+   * @param {string} id - Request ID
+   */
+  cancel: async (id) => {
+    assertCan(PERMISSIONS.LEAVE_REQUEST);
+    try {
+      const response = await api.put(`/admin/leave/requests/${id}/cancel`);
+      return response.data;
+    } catch (error) {
+      console.error('Cancel leave error:', error);
+      throw error;
+    }
+  },
 };
 
-export default api;
\ No newline at end of file
+// Exported as a live binding so importers always get the current instance
+export { api as default };
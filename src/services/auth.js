@@ -1,15 +1,114 @@
 // src/services/auth.js
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from './secureStorage';
 
 /**
- * Authentication Service
- * 
- * Handles storing and retrieving authentication data
- * from AsyncStorage (React Native's local storage)
+ * Credential Store
+ *
+ * Single place for the session credentials (access token, refresh token
+ * and user object). AuthContext, the axios interceptors and screens all
+ * read and write credentials through this module.
+ *
+ * Values go through a pluggable backend with the AsyncStorage shape
+ * (getItem / setItem / removeItem). The default backend encrypts values
+ * at rest; tests can swap in createMemoryBackend().
  */
 
-const TOKEN_KEY = 'userToken';
-const USER_KEY = 'userData';
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+// Plain-text keys written by older app versions
+const LEGACY_KEYS = {
+  [TOKEN_KEY]: ['token', 'userToken'],
+  [REFRESH_TOKEN_KEY]: ['refreshToken'],
+  [USER_KEY]: ['user', 'userData'],
+};
+const MIGRATION_FLAG = 'credentialStoreVersion';
+const STORE_VERSION = '1';
+
+let backend = secureStorage;
+let migration = null;
+
+// ============================================
+// BACKENDS
+// ============================================
+
+/**
+ * Replace the storage backend (e.g. an in-memory one for tests)
+ * @param {Object} nextBackend - Object with getItem / setItem / removeItem
+ */
+export const setCredentialBackend = (nextBackend) => {
+  backend = nextBackend;
+  migration = null;
+};
+
+/**
+ * In-memory backend, nothing is persisted
+ * @returns {Object} Backend with getItem / setItem / removeItem
+ */
+export const createMemoryBackend = () => {
+  const values = new Map();
+  return {
+    getItem: async (key) => (values.has(key) ? values.get(key) : null),
+    setItem: async (key, value) => {
+      values.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      values.delete(key);
+    },
+  };
+};
+
+// ============================================
+// MIGRATION
+// ============================================
+
+/**
+ * Move credentials saved in plain AsyncStorage by older versions
+ * (token/user and userToken/userData) into the credential store.
+ * Runs once per install; later calls are no-ops.
+ *
+ * @param {Object} legacyStorage - Where the old keys live (default AsyncStorage)
+ */
+export const migrateLegacyCredentials = async (legacyStorage = AsyncStorage) => {
+  try {
+    if ((await legacyStorage.getItem(MIGRATION_FLAG)) === STORE_VERSION) {
+      return;
+    }
+
+    for (const [key, legacyKeys] of Object.entries(LEGACY_KEYS)) {
+      for (const legacyKey of legacyKeys) {
+        const value = await legacyStorage.getItem(legacyKey);
+        if (value !== null) {
+          if ((await backend.getItem(key)) === null) {
+            await backend.setItem(key, value);
+          }
+          break;
+        }
+      }
+
+      await Promise.all(legacyKeys.map(legacyKey => legacyStorage.removeItem(legacyKey)));
+    }
+
+    await legacyStorage.setItem(MIGRATION_FLAG, STORE_VERSION);
+    console.log('✅ Legacy credentials migrated');
+  } catch (error) {
+    console.error('Error migrating legacy credentials:', error);
+  }
+};
+
+// Every read/write waits for the one-time migration
+const ready = () => {
+  if (!migration) {
+    migration = migrateLegacyCredentials();
+  }
+  return migration;
+};
+
+// ============================================
+// ACCESS TOKEN
+// ============================================
 
 /**
  * Save authentication token
@@ -17,8 +116,8 @@ const USER_KEY = 'userData';
  */
 export const saveToken = async (token) => {
   try {
-    await AsyncStorage.setItem(TOKEN_KEY, token);
-    console.log('✅ Token saved successfully');
+    await ready();
+    await backend.setItem(TOKEN_KEY, token);
   } catch (error) {
     console.error('Error saving token:', error);
     throw error;
@@ -31,8 +130,8 @@ export const saveToken = async (token) => {
  */
 export const getToken = async () => {
   try {
-    const token = await AsyncStorage.getItem(TOKEN_KEY);
-    return token;
+    await ready();
+    return await backend.getItem(TOKEN_KEY);
   } catch (error) {
     console.error('Error getting token:', error);
     return null;
@@ -44,21 +143,69 @@ export const getToken = async () => {
  */
 export const removeToken = async () => {
   try {
-    await AsyncStorage.removeItem(TOKEN_KEY);
-    console.log('✅ Token removed successfully');
+    await ready();
+    await backend.removeItem(TOKEN_KEY);
   } catch (error) {
     console.error('Error removing token:', error);
   }
 };
 
+// ============================================
+// REFRESH TOKEN
+// ============================================
+
+/**
+ * Save refresh token
+ * @param {string} refreshToken - Refresh token issued at login
+ */
+export const saveRefreshToken = async (refreshToken) => {
+  try {
+    await ready();
+    await backend.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  } catch (error) {
+    console.error('Error saving refresh token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get stored refresh token
+ * @returns {Promise<string|null>} Stored refresh token or null
+ */
+export const getRefreshToken = async () => {
+  try {
+    await ready();
+    return await backend.getItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error getting refresh token:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove refresh token
+ */
+export const removeRefreshToken = async () => {
+  try {
+    await ready();
+    await backend.removeItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error removing refresh token:', error);
+  }
+};
+
+// ============================================
+// USER DATA
+// ============================================
+
 /**
  * Save user data
  * @param {Object} userData - User information
  */
 export const saveUserData = async (userData) => {
   try {
-    await AsyncStorage.setItem(USER_KEY, JSON.stringify(userData));
-    console.log('✅ User data saved successfully');
+    await ready();
+    await backend.setItem(USER_KEY, JSON.stringify(userData));
   } catch (error) {
     console.error('Error saving user data:', error);
     throw error;
@@ -71,7 +218,8 @@ export const saveUserData = async (userData) => {
  */
 export const getUserData = async () => {
   try {
-    const userData = await AsyncStorage.getItem(USER_KEY);
+    await ready();
+    const userData = await backend.getItem(USER_KEY);
     return userData ? JSON.parse(userData) : null;
   } catch (error) {
     console.error('Error getting user data:', error);
@@ -84,13 +232,30 @@ export const getUserData = async () => {
  */
 export const removeUserData = async () => {
   try {
-    await AsyncStorage.removeItem(USER_KEY);
-    console.log('✅ User data removed successfully');
+    await ready();
+    await backend.removeItem(USER_KEY);
   } catch (error) {
     console.error('Error removing user data:', error);
   }
 };
 
+// ============================================
+// SESSION
+// ============================================
+
+/**
+ * Save everything returned by a successful login
+ * @param {Object} session - { token, refreshToken, user }
+ */
+export const saveSession = async ({ token, refreshToken, user }) => {
+  await saveToken(token);
+  if (refreshToken) {
+    await saveRefreshToken(refreshToken);
+  }
+  await saveUserData(user);
+  console.log('✅ Session saved');
+};
+
 /**
  * Clear all authentication data
  */
@@ -98,6 +263,7 @@ export const clearAuth = async () => {
   try {
     await Promise.all([
       removeToken(),
+      removeRefreshToken(),
       removeUserData(),
     ]);
     console.log('✅ All auth data cleared');
@@ -0,0 +1,82 @@
+// src/services/departmentScope.js
+/**
+ * Department Scope
+ *
+ * Department heads only see and mark attendance for their own
+ * departments. The allowed list comes from the auth payload
+ * (user.departments); an empty or missing list means no restriction.
+ *
+ * The API layer uses this to add default department filters and to
+ * drop anything outside the scope from responses, so the UI has no
+ * way to widen it.
+ */
+
+import { PermissionError, PERMISSIONS } from './permissions';
+
+let scope = null;
+
+/**
+ * Read the allowed departments from a user object
+ * @param {object} user - User from the login / verify response
+ * @returns {Array<string>|null} Departments, or null when unrestricted
+ */
+export const resolveDepartmentScope = (user) => {
+  const departments = user?.departments || user?.allowedDepartments;
+  if (!Array.isArray(departments)) return null;
+
+  const cleaned = departments.map(d => String(d).trim()).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : null;
+};
+
+/**
+ * Replace the signed-in user's scope (AuthContext calls this)
+ * @param {Array<string>|null} departments - Allowed departments
+ */
+export const setDepartmentScope = (departments) => {
+  scope = Array.isArray(departments) && departments.length > 0 ? departments : null;
+};
+
+/**
+ * @returns {Array<string>|null} Allowed departments, or null when unrestricted
+ */
+export const getDepartmentScope = () => scope;
+
+/**
+ * Check whether a department is visible to the signed-in user
+ * @param {string} department - Department name
+ * @returns {boolean} True if in scope (always true when unrestricted)
+ */
+export const isInScope = (department) => !scope || scope.includes(department);
+
+/**
+ * Work out which departments a request should be filtered to
+ * @param {string} requested - Department asked for by the screen (optional)
+ * @returns {Array<string>} Departments to send; empty means no filter
+ */
+export const scopeDepartmentFilter = (requested) => {
+  if (!scope) return requested ? [requested] : [];
+  if (!requested) return scope;
+  if (!scope.includes(requested)) {
+    throw new PermissionError(PERMISSIONS.EMPLOYEES_VIEW);
+  }
+  return [requested];
+};
+
+/**
+ * Drop items outside the scope, in case the backend ignored the filter
+ * @param {Array} items - Employees, attendance rows or department stats
+ * @returns {Array} Items the user may see
+ */
+export const filterToScope = (items) => {
+  if (!scope || !Array.isArray(items)) return items;
+  return items.filter(item => scope.includes(item?.department));
+};
+
+export default {
+  resolveDepartmentScope,
+  setDepartmentScope,
+  getDepartmentScope,
+  isInScope,
+  scopeDepartmentFilter,
+  filterToScope,
+};
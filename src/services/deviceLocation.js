@@ -0,0 +1,240 @@
+// src/services/deviceLocation.js
+/**
+ * Device Location
+ *
+ * Reads where the device is right now, for stamping punches and marks,
+ * and checks it against the employee's geofence (base location + radius).
+ * Never throws: callers get null when permission is denied or no fix
+ * arrives in time, and decide for themselves whether that is fatal.
+ *
+ * - Each base location carries its own radius and policy: 'flag' saves
+ *   out-of-fence marks with outsideGeofence set, 'block' refuses them
+ * - The fix's accuracy (capped at the radius) counts in the employee's
+ *   favour, so a poor fix at the fence edge is not flagged
+ */
+
+import * as Location from 'expo-location';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const LOCATION_TIMEOUT = 8000; // 8 seconds for a fresh fix
+const LAST_KNOWN_MAX_AGE = 5 * 60 * 1000; // accept a fix up to 5 minutes old
+
+export const DEFAULT_GEOFENCE_RADIUS = 200; // meters
+
+export const GEOFENCE_POLICY = {
+  FLAG: 'flag',
+  BLOCK: 'block',
+};
+
+export const GEOFENCE_STATUS = {
+  INSIDE: 'inside',
+  OUTSIDE: 'outside',
+  UNKNOWN: 'unknown', // no fix, or no base location to compare with
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const toLocation = (position) => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  capturedAt: new Date(position.timestamp).toISOString(),
+});
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Location timeout')), ms)
+    ),
+  ]);
+
+// ============================================
+// LOCATION
+// ============================================
+
+/**
+ * Ask for foreground location permission if not yet granted
+ * @returns {Promise<boolean>} True if granted
+ */
+export const requestLocationPermission = async () => {
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    return status === 'granted';
+  } catch (error) {
+    console.error('[Location] Permission request failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the device's current location
+ * Falls back to a recent last-known fix when a fresh one is slow
+ * @param {object} options - { timeout } in ms
+ * @returns {Promise<object|null>} { latitude, longitude, accuracy, capturedAt } or null
+ */
+export const getDeviceLocation = async ({ timeout = LOCATION_TIMEOUT } = {}) => {
+  const granted = await requestLocationPermission();
+  if (!granted) {
+    console.log('[Location] Permission denied');
+    return null;
+  }
+
+  try {
+    const position = await withTimeout(
+      Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced }),
+      timeout
+    );
+    return toLocation(position);
+  } catch (error) {
+    console.log('[Location] No fresh fix, trying last known:', error.message);
+  }
+
+  try {
+    const lastKnown = await Location.getLastKnownPositionAsync({
+      maxAge: LAST_KNOWN_MAX_AGE,
+    });
+    return lastKnown ? toLocation(lastKnown) : null;
+  } catch (error) {
+    console.error('[Location] Last known position failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Street address for a point, for showing next to coordinates
+ * @param {object} coords - { latitude, longitude }
+ * @returns {Promise<string|null>} e.g. "MG Road, Kochi, Kerala" or null
+ */
+export const reverseGeocode = async ({ latitude, longitude }) => {
+  try {
+    const [place] = await Location.reverseGeocodeAsync({ latitude, longitude });
+    if (!place) return null;
+
+    const parts = [place.name || place.street, place.district, place.city, place.region];
+    const unique = parts.filter((part, i) => part && parts.indexOf(part) === i);
+    return unique.length ? unique.join(', ') : null;
+  } catch (error) {
+    console.log('[Location] Reverse geocode failed:', error.message);
+    return null;
+  }
+};
+
+// ============================================
+// GEOFENCE
+// ============================================
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} Meters
+ */
+export const getDistanceMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * @param {object} employee - Employee with baseLocation
+ * @returns {object} { radius, policy } for the employee's base location
+ */
+export const getGeofenceSettings = (employee) => ({
+  radius: Number(employee?.baseLocation?.radius) || DEFAULT_GEOFENCE_RADIUS,
+  policy: employee?.baseLocation?.geofencePolicy === GEOFENCE_POLICY.BLOCK
+    ? GEOFENCE_POLICY.BLOCK
+    : GEOFENCE_POLICY.FLAG,
+});
+
+/**
+ * Check a device location against the employee's geofence
+ * @param {object|null} location - From getDeviceLocation()
+ * @param {object} employee - Employee with baseLocation
+ * @returns {object} { status, distance (m, rounded, null if unknown),
+ *   radius, policy, blocked }
+ */
+export const checkGeofence = (location, employee) => {
+  const { radius, policy } = getGeofenceSettings(employee);
+  const base = employee?.baseLocation;
+
+  if (!location || base?.latitude == null || base?.longitude == null) {
+    return {
+      status: GEOFENCE_STATUS.UNKNOWN,
+      distance: null,
+      radius,
+      policy,
+      blocked: policy === GEOFENCE_POLICY.BLOCK && !location,
+    };
+  }
+
+  const distance = Math.round(getDistanceMeters(location, base));
+  const slack = Math.min(location.accuracy || 0, radius);
+  const outside = distance > radius + slack;
+
+  return {
+    status: outside ? GEOFENCE_STATUS.OUTSIDE : GEOFENCE_STATUS.INSIDE,
+    distance,
+    radius,
+    policy,
+    blocked: outside && policy === GEOFENCE_POLICY.BLOCK,
+  };
+};
+
+/**
+ * Fields saved with an attendance record for a location and its check
+ * @param {object|null} location - From getDeviceLocation()
+ * @param {object} geofence - From checkGeofence()
+ * @returns {object} location / locationUnavailable, distanceMeters, outsideGeofence
+ */
+export const toAttendanceLocation = (location, geofence) => ({
+  ...(location
+    ? {
+        location: {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy: location.accuracy,
+          ...(location.address && { address: location.address }),
+        },
+      }
+    : { locationUnavailable: true }),
+  ...(geofence.distance != null && {
+    distanceMeters: geofence.distance,
+    geofenceRadius: geofence.radius,
+  }),
+  outsideGeofence: geofence.status === GEOFENCE_STATUS.OUTSIDE,
+});
+
+/**
+ * Short label, e.g. "120 m from base" or "1.4 km from base"
+ * @param {number} meters - Distance
+ * @returns {string}
+ */
+export const formatDistance = (meters) =>
+  meters >= 1000 ? `${(meters / 1000).toFixed(1)} km from base` : `${Math.round(meters)} m from base`;
+
+export default {
+  DEFAULT_GEOFENCE_RADIUS,
+  GEOFENCE_POLICY,
+  GEOFENCE_STATUS,
+  requestLocationPermission,
+  getDeviceLocation,
+  reverseGeocode,
+  getDistanceMeters,
+  getGeofenceSettings,
+  checkGeofence,
+  toAttendanceLocation,
+  formatDistance,
+};
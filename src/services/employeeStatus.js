@@ -0,0 +1,78 @@
+// src/services/employeeStatus.js
+/**
+ * Employee Lifecycle
+ *
+ * Employees are never hard-deleted from the app. They move between:
+ * - active:    normal, can mark attendance
+ * - suspended: temporarily blocked from marking, still listed
+ * - archived:  left the company; hidden from lists but kept for reports
+ *
+ * Older records only carry `isActive`; `false` there is read as suspended.
+ */
+
+export const EMPLOYEE_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  ARCHIVED: 'archived',
+};
+
+export const STATUS_LABELS = {
+  [EMPLOYEE_STATUS.ACTIVE]: 'Active',
+  [EMPLOYEE_STATUS.SUSPENDED]: 'Suspended',
+  [EMPLOYEE_STATUS.ARCHIVED]: 'Archived',
+};
+
+/**
+ * Read an employee's lifecycle status
+ * @param {object} employee - Employee record
+ * @returns {string} One of EMPLOYEE_STATUS
+ */
+export const getEmployeeStatus = (employee) => {
+  const status = String(employee?.status || '').toLowerCase();
+  if (Object.values(EMPLOYEE_STATUS).includes(status)) return status;
+  return employee?.isActive === false ? EMPLOYEE_STATUS.SUSPENDED : EMPLOYEE_STATUS.ACTIVE;
+};
+
+/**
+ * @param {object} employee - Employee record
+ * @returns {boolean} True if the employee may mark attendance
+ */
+export const isEmployeeActive = (employee) =>
+  getEmployeeStatus(employee) === EMPLOYEE_STATUS.ACTIVE;
+
+/**
+ * @param {object} employee - Employee record
+ * @returns {boolean} True if the employee has been archived
+ */
+export const isEmployeeArchived = (employee) =>
+  getEmployeeStatus(employee) === EMPLOYEE_STATUS.ARCHIVED;
+
+/**
+ * Check whether an employee was still employed at some point in a month,
+ * so archived employees stay in the reports for the months they worked
+ * @param {object} employee - Employee record (archivedAt, createdAt)
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year
+ * @returns {boolean} True if active for at least part of the month
+ */
+export const wasActiveInMonth = (employee, month, year) => {
+  const monthStart = new Date(year, month - 1, 1);
+  const monthEnd = new Date(year, month, 1);
+
+  if (employee?.createdAt && new Date(employee.createdAt) >= monthEnd) {
+    return false;
+  }
+  if (isEmployeeArchived(employee) && employee.archivedAt) {
+    return new Date(employee.archivedAt) >= monthStart;
+  }
+  return true;
+};
+
+export default {
+  EMPLOYEE_STATUS,
+  STATUS_LABELS,
+  getEmployeeStatus,
+  isEmployeeActive,
+  isEmployeeArchived,
+  wasActiveInMonth,
+};
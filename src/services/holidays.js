@@ -0,0 +1,246 @@
+// src/services/holidays.js
+/**
+ * Holidays
+ *
+ * Organisation holidays, optionally limited to some departments and/or
+ * locations, plus the weekly offs from each employee's shift. Together
+ * they decide which days are working days, so holidays and weekends are
+ * never counted as absences.
+ *
+ * - A holiday with no departments / locations applies to everyone
+ * - Recurring holidays (e.g. imported with RRULE:FREQ=YEARLY) match the
+ *   same month and day every year
+ * - parseICS() reads all-day events from an iCalendar (.ics) export
+ */
+
+import { DEFAULT_SHIFT_RULES } from './workTime';
+
+// ============================================
+// DATES
+// ============================================
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Day of a date that came from the server, as "YYYY-MM-DD". Attendance
+ * dates are sent and stored as UTC midnight of the day
+ * (new Date('YYYY-MM-DD').toISOString()), so they are read back in UTC;
+ * reading them as local time moves them a day back west of UTC.
+ * Use toLocalDateKey for moments on this device (now, a tap, a punch).
+ * @param {string|Date} value - Server date or "YYYY-MM-DD"
+ * @returns {string|null} Date key or null
+ */
+export const toDateKey = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+/**
+ * Local calendar day as "YYYY-MM-DD" (same format react-native-calendars uses)
+ * @param {Date|string} value - Date or "YYYY-MM-DD"
+ * @returns {string}
+ */
+export const toLocalDateKey = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * "YYYY-MM-DD" as local midnight (new Date('YYYY-MM-DD') would be UTC)
+ * @param {string} key - Date key
+ * @returns {Date}
+ */
+export const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+// Work location name (the map pin lives in baseLocation)
+const getEmployeeLocation = (employee) => employee?.location || null;
+
+/**
+ * @param {object} holiday - { departments, locations }
+ * @param {object|null} employee - Employee, or null for "the organisation"
+ * @returns {boolean} True if the holiday applies to the employee
+ */
+export const holidayAppliesTo = (holiday, employee) => {
+  if (!employee) {
+    return !holiday.departments?.length && !holiday.locations?.length;
+  }
+  if (holiday.departments?.length && !holiday.departments.includes(employee.department)) {
+    return false;
+  }
+  if (holiday.locations?.length && !holiday.locations.includes(getEmployeeLocation(employee))) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Find the holiday on a day for an employee
+ * @param {Array} holidays - All holidays
+ * @param {Date|string} date - Day to check
+ * @param {object|null} employee - Employee (null: organisation-wide only)
+ * @returns {object|null} Holiday or null
+ */
+export const findHoliday = (holidays = [], date, employee = null) => {
+  const key = toLocalDateKey(date);
+  return (
+    holidays.find(
+      h =>
+        (h.date === key || (h.recurring && h.date?.slice(5) === key.slice(5))) &&
+        holidayAppliesTo(h, employee)
+    ) || null
+  );
+};
+
+/**
+ * Why a day is not a working day, if it isn't
+ * @param {Date|string} date - Day to check
+ * @param {object} options - { holidays, employee, rules } (rules from toShiftRules)
+ * @returns {object|null} { holiday } or { weeklyOff: true }, null for a working day
+ */
+export const getDayOff = (date, { holidays = [], employee = null, rules = DEFAULT_SHIFT_RULES } = {}) => {
+  const holiday = findHoliday(holidays, date, employee);
+  if (holiday) return { holiday };
+
+  const day = fromDateKey(toLocalDateKey(date)).getDay();
+  if ((rules.weeklyOffs || []).includes(day)) return { weeklyOff: true };
+  return null;
+};
+
+/**
+ * Every day from start to end, with why it is off when it is
+ * @param {Date|string} start - First day
+ * @param {Date|string} end - Last day (inclusive)
+ * @param {object} options - { holidays, employee, rules } as for getDayOff
+ * @returns {Array<object>} [{ date: "YYYY-MM-DD", dayOff }], dayOff null on working days
+ */
+export const getDaysInRange = (start, end, options = {}) => {
+  const last = toLocalDateKey(end);
+  const cursor = fromDateKey(toLocalDateKey(start));
+  const days = [];
+
+  for (let key = toLocalDateKey(cursor); key <= last; key = toLocalDateKey(cursor)) {
+    days.push({ date: key, dayOff: getDayOff(key, options) });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Count working days in a month, up to today for the current month
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year
+ * @param {object} options - { holidays, employee, rules }
+ * @returns {number} Working days
+ */
+export const countWorkingDays = (month, year, options = {}) => {
+  const today = new Date();
+  const lastDay = new Date(year, month, 0).getDate();
+  let count = 0;
+
+  for (let day = 1; day <= lastDay; day++) {
+    const date = new Date(year, month - 1, day);
+    if (date > today) break;
+    if (!getDayOff(date, options)) count++;
+  }
+  return count;
+};
+
+// ============================================
+// ICALENDAR IMPORT
+// ============================================
+
+const MAX_EVENT_DAYS = 31; // a multi-day event longer than this is not a holiday
+
+const unescapeText = (value) =>
+  value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+
+// "20261225" or "20261225T000000Z" -> "2026-12-25"
+const icsDateKey = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Read holidays from an iCalendar file. Multi-day events become one
+ * holiday per day (DTEND is exclusive, as in the spec).
+ * @param {string} text - .ics file contents
+ * @returns {Array} [{ name, date, recurring }]
+ */
+export const parseICS = (text) => {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map(line => line.trimEnd());
+
+  const holidays = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (event?.start) {
+        const start = fromDateKey(event.start);
+        const end = event.end ? fromDateKey(event.end) : null;
+        let days = end ? Math.round((end - start) / 86400000) : 1;
+        days = Math.min(Math.max(days, 1), MAX_EVENT_DAYS);
+
+        for (let i = 0; i < days; i++) {
+          const date = new Date(start);
+          date.setDate(start.getDate() + i);
+          holidays.push({
+            name: event.summary || 'Holiday',
+            date: toLocalDateKey(date),
+            recurring: !!event.yearly,
+          });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'DTSTART') event.start = icsDateKey(value);
+    else if (name === 'DTEND') event.end = icsDateKey(value);
+    else if (name === 'SUMMARY') event.summary = unescapeText(value);
+    else if (name === 'RRULE') event.yearly = /FREQ=YEARLY/i.test(value);
+  });
+
+  return holidays;
+};
+
+export default {
+  toDateKey,
+  toLocalDateKey,
+  fromDateKey,
+  holidayAppliesTo,
+  findHoliday,
+  getDayOff,
+  getDaysInRange,
+  countWorkingDays,
+  parseICS,
+};
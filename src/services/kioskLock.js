@@ -0,0 +1,179 @@
+// src/services/kioskLock.js
+/**
+ * Kiosk Lock
+ *
+ * A shared punch device (e.g. a tablet at the gate) is locked into the
+ * punch screen until an admin enters the kiosk PIN.
+ *
+ * - The PIN is stored only as a salted SHA-256 hash, in encrypted storage
+ * - Wrong PINs are counted; too many lock the pad for a while
+ * - Whether kiosk mode is on is kept across restarts, so killing the app
+ *   does not unlock the device. It lives next to the PIN, so a wipe of
+ *   encrypted storage never leaves the device locked with no PIN to exit
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import secureStorage from './secureStorage';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PIN_KEY = 'kioskPin';
+const ACTIVE_KEY = 'kioskActive';
+
+export const KIOSK_PIN_LENGTH = 6;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 30 * 1000; // 30 seconds after too many wrong PINs
+
+// ============================================
+// HELPERS
+// ============================================
+
+const toHex = (bytes) =>
+  Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const hashPin = (pin, salt) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+
+const readPinRecord = async () => {
+  const stored = await secureStorage.getItem(PIN_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+const writePinRecord = (record) =>
+  secureStorage.setItem(PIN_KEY, JSON.stringify(record));
+
+// ============================================
+// PIN
+// ============================================
+
+/**
+ * @returns {Promise<boolean>} True if a kiosk PIN has been set on this device
+ */
+export const hasKioskPin = async () => {
+  try {
+    return !!(await readPinRecord());
+  } catch (error) {
+    console.error('[Kiosk] Error reading PIN:', error);
+    return false;
+  }
+};
+
+/**
+ * Set or replace the kiosk PIN
+ * @param {string} pin - Digits only, KIOSK_PIN_LENGTH long
+ */
+export const setKioskPin = async (pin) => {
+  if (!new RegExp(`^\\d{${KIOSK_PIN_LENGTH}}$`).test(String(pin))) {
+    throw new Error(`PIN must be ${KIOSK_PIN_LENGTH} digits`);
+  }
+
+  try {
+    const salt = toHex(Crypto.getRandomBytes(16));
+    await writePinRecord({
+      salt,
+      hash: await hashPin(pin, salt),
+      failedAttempts: 0,
+      lockedUntil: null,
+    });
+    console.log('[Kiosk] PIN set');
+  } catch (error) {
+    console.error('[Kiosk] Error saving PIN:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a PIN against the stored one
+ * @param {string} pin - PIN typed on the pad
+ * @returns {Promise<object>} { success, message }
+ */
+export const verifyKioskPin = async (pin) => {
+  try {
+    const record = await readPinRecord();
+    if (!record) {
+      return { success: false, message: 'No kiosk PIN is set on this device' };
+    }
+
+    if (record.lockedUntil && Date.now() < record.lockedUntil) {
+      const seconds = Math.ceil((record.lockedUntil - Date.now()) / 1000);
+      return { success: false, message: `Too many attempts. Try again in ${seconds}s.` };
+    }
+
+    if ((await hashPin(pin, record.salt)) === record.hash) {
+      await writePinRecord({ ...record, failedAttempts: 0, lockedUntil: null });
+      return { success: true };
+    }
+
+    const failedAttempts = (record.failedAttempts || 0) + 1;
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+    await writePinRecord({
+      ...record,
+      failedAttempts: locked ? 0 : failedAttempts,
+      lockedUntil: locked ? Date.now() + LOCKOUT_MS : null,
+    });
+
+    return {
+      success: false,
+      message: locked
+        ? `Too many attempts. Try again in ${LOCKOUT_MS / 1000}s.`
+        : 'Wrong PIN',
+    };
+  } catch (error) {
+    console.error('[Kiosk] Error verifying PIN:', error);
+    return { success: false, message: 'Could not check the PIN' };
+  }
+};
+
+// ============================================
+// KIOSK STATE
+// ============================================
+
+/**
+ * @returns {Promise<boolean>} True if the device was left in kiosk mode
+ */
+export const isKioskActive = async () => {
+  try {
+    // Older versions kept the flag in plain AsyncStorage
+    const legacy = await AsyncStorage.getItem(ACTIVE_KEY);
+    if (legacy !== null) {
+      await secureStorage.setItem(ACTIVE_KEY, legacy);
+      await AsyncStorage.removeItem(ACTIVE_KEY);
+    }
+
+    if ((await secureStorage.getItem(ACTIVE_KEY)) !== 'true') return false;
+    // Without a PIN there is no way out, so the device is not locked
+    return await hasKioskPin();
+  } catch (error) {
+    console.error('[Kiosk] Error reading kiosk state:', error);
+    return false;
+  }
+};
+
+/**
+ * Turn kiosk mode on or off
+ * @param {boolean} active
+ */
+export const setKioskActive = async (active) => {
+  try {
+    if (active) {
+      await secureStorage.setItem(ACTIVE_KEY, 'true');
+    } else {
+      await secureStorage.removeItem(ACTIVE_KEY);
+    }
+  } catch (error) {
+    console.error('[Kiosk] Error saving kiosk state:', error);
+    throw error;
+  }
+};
+
+export default {
+  KIOSK_PIN_LENGTH,
+  hasKioskPin,
+  setKioskPin,
+  verifyKioskPin,
+  isKioskActive,
+  setKioskActive,
+};
@@ -0,0 +1,168 @@
+// src/services/leave.js
+/**
+ * Leave
+ *
+ * Leave requests go PENDING -> APPROVED / REJECTED (or CANCELLED by the
+ * requester while still pending). Approved leave shows up as a LEAVE
+ * status wherever an employee would otherwise be ABSENT or NOT_MARKED:
+ * daily attendance, history and the monthly report.
+ *
+ * - Only working days count against a balance; holidays and weekly offs
+ *   inside a request are free
+ * - UNPAID leave has no balance
+ * - A punch or an explicit PRESENT / LATE / HALF_DAY mark on a leave day
+ *   wins over the leave
+ */
+
+import { getDaysInRange, toLocalDateKey } from './holidays';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const LEAVE_STATUS = 'LEAVE';
+
+export const LEAVE_TYPES = {
+  SICK: 'SICK',
+  CASUAL: 'CASUAL',
+  EARNED: 'EARNED',
+  UNPAID: 'UNPAID',
+};
+
+export const LEAVE_TYPE_OPTIONS = [
+  { value: LEAVE_TYPES.SICK, label: 'Sick', color: '#E53935', icon: 'medkit-outline' },
+  { value: LEAVE_TYPES.CASUAL, label: 'Casual', color: '#FB8C00', icon: 'cafe-outline' },
+  { value: LEAVE_TYPES.EARNED, label: 'Earned', color: '#43A047', icon: 'airplane-outline' },
+  { value: LEAVE_TYPES.UNPAID, label: 'Unpaid', color: '#78909C', icon: 'wallet-outline' },
+];
+
+export const REQUEST_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Statuses an approved leave replaces
+const REPLACEABLE_STATUSES = ['ABSENT', 'NOT_MARKED'];
+
+/**
+ * @param {string} type - Leave type
+ * @returns {object} Option with label, color and icon
+ */
+export const getLeaveType = (type) =>
+  LEAVE_TYPE_OPTIONS.find(option => option.value === type) || {
+    value: type,
+    label: type || 'Leave',
+    color: '#00897B',
+    icon: 'document-text-outline',
+  };
+
+// ============================================
+// DAYS
+// ============================================
+
+/**
+ * Working days covered by a leave request
+ * @param {object} leave - { startDate, endDate } as "YYYY-MM-DD"
+ * @param {object} options - { holidays, employee, rules } as for getDayOff,
+ *   plus optional from / to to clip the range
+ * @returns {Array<string>} Date keys
+ */
+export const getLeaveDates = (leave, options = {}) => {
+  const start = toLocalDateKey(leave.startDate);
+  const end = toLocalDateKey(leave.endDate || leave.startDate);
+  const from = options.from ? toLocalDateKey(options.from) : start;
+  const to = options.to ? toLocalDateKey(options.to) : end;
+
+  return getDaysInRange(from > start ? from : start, to < end ? to : end, options)
+    .filter(day => !day.dayOff)
+    .map(day => day.date);
+};
+
+/**
+ * @param {Array} leaves - Leave requests
+ * @param {string} employeeId - Employee code
+ * @param {Date|string} date - Day to check
+ * @returns {object|null} Approved leave covering the day
+ */
+export const findApprovedLeave = (leaves = [], employeeId, date) => {
+  const key = toLocalDateKey(date);
+  return (
+    leaves.find(
+      leave =>
+        leave.status === REQUEST_STATUS.APPROVED &&
+        leave.employeeId === employeeId &&
+        toLocalDateKey(leave.startDate) <= key &&
+        toLocalDateKey(leave.endDate || leave.startDate) >= key
+    ) || null
+  );
+};
+
+/**
+ * Status to show for a day, given the marked status and any approved leave
+ * @param {string|null} status - Marked status (null when not marked)
+ * @param {object|null} leave - Approved leave for the day
+ * @returns {string|null}
+ */
+export const applyLeave = (status, leave) =>
+  leave && (!status || REPLACEABLE_STATUSES.includes(status)) ? LEAVE_STATUS : status;
+
+// ============================================
+// BALANCES & VALIDATION
+// ============================================
+
+/**
+ * Days left of a leave type
+ * @param {object} balances - { SICK: { allowed, used, pending }, ... }
+ * @param {string} type - Leave type
+ * @returns {number} Days left (Infinity for unpaid leave)
+ */
+export const getRemaining = (balances, type) => {
+  if (type === LEAVE_TYPES.UNPAID) return Infinity;
+  const balance = balances?.[type];
+  if (!balance) return 0;
+  return Math.max(0, (balance.allowed || 0) - (balance.used || 0) - (balance.pending || 0));
+};
+
+/**
+ * Check a new request before it is sent
+ * @param {object} request - { type, startDate, endDate, reason }
+ * @param {object} context - { balances, existing (employee's requests),
+ *   days (working days in the request) }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateLeaveRequest = (request, { balances, existing = [], days }) => {
+  if (!request.type) return 'Please choose a leave type';
+  if (!request.startDate || !request.endDate) return 'Please choose the dates';
+  if (request.endDate < request.startDate) return 'The end date is before the start date';
+  if (days === 0) return 'There are no working days in these dates';
+
+  const remaining = getRemaining(balances, request.type);
+  if (days > remaining) {
+    return `Only ${remaining} ${getLeaveType(request.type).label.toLowerCase()} day(s) left`;
+  }
+
+  const overlap = existing.find(
+    leave =>
+      (leave.status === REQUEST_STATUS.PENDING || leave.status === REQUEST_STATUS.APPROVED) &&
+      toLocalDateKey(leave.startDate) <= request.endDate &&
+      toLocalDateKey(leave.endDate || leave.startDate) >= request.startDate
+  );
+  if (overlap) return 'These dates overlap another leave request';
+
+  return null;
+};
+
+export default {
+  LEAVE_STATUS,
+  LEAVE_TYPES,
+  LEAVE_TYPE_OPTIONS,
+  REQUEST_STATUS,
+  getLeaveType,
+  getLeaveDates,
+  findApprovedLeave,
+  applyLeave,
+  getRemaining,
+  validateLeaveRequest,
+};
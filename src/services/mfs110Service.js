@@ -42,6 +42,14 @@ const MFS110_CONFIG = {
   // Ports
   HTTP_PORT: 11101,
   HTTPS_PORT: 11101,
+
+  // Multi-capture enrollment (override per call)
+  ENROLL_CAPTURES: 3, // good captures needed per finger
+  ENROLL_MAX_ATTEMPTS: 6, // give up after this many tries
+  MIN_QUALITY: 60, // reject captures with a lower qScore
+  MAX_QUALITY_SPREAD: 25, // max qScore difference between accepted captures
+  MIN_SIZE_RATIO: 0.6, // smallest / largest template size between captures
+  SUBMIT_TEMPLATES: 2, // best templates sent to the server
 };
 
 // ============================================
@@ -463,7 +471,171 @@ export async function enrollFingerprint(callbacks = {}) {
 }
 
 // ============================================
-// 6. UTILITY: Show Setup Instructions
+// 6. MULTI-CAPTURE ENROLLMENT
+// ============================================
+
+/**
+ * Check that accepted captures are of even quality
+ * 
+ * PID blocks are encrypted by the RDService, so the captures cannot be
+ * matched against each other on the device and this does NOT show they
+ * are the same finger. It only compares quality scores and template
+ * sizes, so one smudged or partial placement is caught before saving.
+ * Matching the templates is left to the server, which gets all of them.
+ * 
+ * @param {Array<Object>} captures - Accepted captures ({ template, quality })
+ * @param {Object} limits - { maxQualitySpread, minSizeRatio }
+ * @returns {Object} { even, qualitySpread, sizeRatio }
+ */
+function assessCaptureQuality(captures, limits) {
+  const qualities = captures.map(capture => capture.quality);
+  const sizes = captures.map(capture => capture.template.length);
+
+  const qualitySpread = Math.max(...qualities) - Math.min(...qualities);
+  const sizeRatio = Math.min(...sizes) / Math.max(...sizes);
+
+  return {
+    even: qualitySpread <= limits.maxQualitySpread && sizeRatio >= limits.minSizeRatio,
+    qualitySpread,
+    sizeRatio: Number(sizeRatio.toFixed(2)),
+  };
+}
+
+/**
+ * Enrollment workflow that captures the same finger several times
+ * 
+ * Captures below the quality threshold are rejected and retried, the
+ * accepted captures are checked for even quality, and the best templates
+ * are returned for submission.
+ * 
+ * @param {Object} options - Options (defaults from MFS110_CONFIG)
+ * @param {number} options.captures - Good captures needed
+ * @param {number} options.maxAttempts - Maximum capture attempts
+ * @param {number} options.minQuality - Minimum accepted qScore
+ * @param {number} options.maxQualitySpread - Max qScore gap between captures
+ * @param {number} options.minSizeRatio - Min template size ratio between captures
+ * @param {number} options.submitCount - Number of best templates to return
+ * @param {Function} options.onProgress - Called with progress messages
+ * @param {Function} options.onAttempt - Called after each attempt with
+ *   { attempt, status: 'accepted' | 'rejected' | 'failed', quality, message }
+ * @returns {Promise<Object>} Enrollment result with `templates` (best first)
+ */
+export async function enrollFingerprintMultiCapture(options = {}) {
+  const {
+    captures = MFS110_CONFIG.ENROLL_CAPTURES,
+    maxAttempts = MFS110_CONFIG.ENROLL_MAX_ATTEMPTS,
+    minQuality = MFS110_CONFIG.MIN_QUALITY,
+    maxQualitySpread = MFS110_CONFIG.MAX_QUALITY_SPREAD,
+    minSizeRatio = MFS110_CONFIG.MIN_SIZE_RATIO,
+    submitCount = MFS110_CONFIG.SUBMIT_TEMPLATES,
+    onProgress = (message) => console.log(message),
+    onAttempt = () => {},
+  } = options;
+
+  try {
+    // Step 1: Validate prerequisites once for all captures
+    onProgress('Checking prerequisites...');
+    const validation = await validatePrerequisites();
+
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.message,
+        checks: validation.checks,
+      };
+    }
+
+    // Step 2: Capture until enough good captures or out of attempts
+    const accepted = [];
+    let attempt = 0;
+
+    while (accepted.length < captures && attempt < maxAttempts) {
+      attempt += 1;
+      onProgress(`Capture ${accepted.length + 1} of ${captures}: place finger on scanner...`);
+
+      const result = await captureFingerprint({
+        useHttps: false,
+        timeout: MFS110_CONFIG.TIMEOUT,
+      });
+
+      if (!result.success) {
+        onAttempt({ attempt, status: 'failed', quality: null, message: result.error });
+        // Retrying will not help if the RDService is gone
+        if (result.error?.startsWith('Cannot connect')) {
+          return { success: false, error: result.error, attempts: attempt };
+        }
+        continue;
+      }
+
+      if (result.quality == null || result.quality < minQuality) {
+        onAttempt({
+          attempt,
+          status: 'rejected',
+          quality: result.quality,
+          message:
+            result.quality == null
+              ? 'No quality score returned'
+              : `Quality ${result.quality} is below ${minQuality}`,
+        });
+        continue;
+      }
+
+      accepted.push({
+        template: result.template,
+        pidData: result.pidData,
+        quality: result.quality,
+      });
+      onAttempt({ attempt, status: 'accepted', quality: result.quality, message: 'Accepted' });
+    }
+
+    if (accepted.length < captures) {
+      return {
+        success: false,
+        error: `Only ${accepted.length} of ${captures} captures reached quality ${minQuality}. Clean the sensor and finger, then try again.`,
+        attempts: attempt,
+      };
+    }
+
+    // Step 3: Reject a set with one much weaker placement
+    const qualityCheck = assessCaptureQuality(accepted, { maxQualitySpread, minSizeRatio });
+    console.log('[MFS110] Capture quality check:', qualityCheck);
+
+    if (!qualityCheck.even) {
+      return {
+        success: false,
+        error: 'The captures varied too much in quality. Press the same finger evenly each time.',
+        qualityCheck,
+        attempts: attempt,
+      };
+    }
+
+    // Step 4: Best templates first
+    const best = [...accepted]
+      .sort((a, b) => b.quality - a.quality)
+      .slice(0, submitCount);
+
+    onProgress('Fingerprint captured ✓');
+
+    return {
+      success: true,
+      template: best[0].template,
+      quality: best[0].quality,
+      pidData: best[0].pidData,
+      templates: best,
+      qualityCheck,
+      attempts: attempt,
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      error: `Enrollment failed: ${error.message}`,
+    };
+  }
+}
+
+// ============================================
+// 7. UTILITY: Show Setup Instructions
 // ============================================
 
 /**
@@ -512,6 +684,7 @@ export default {
   captureFingerprint,
   validatePrerequisites,
   enrollFingerprint,
+  enrollFingerprintMultiCapture,
   showSetupInstructions,
   MFS110_CONFIG,
 };
\ No newline at end of file
@@ -0,0 +1,399 @@
+// src/services/offlineQueue.js
+/**
+ * Offline Attendance Queue
+ *
+ * Durable, encrypted queue for attendance writes
+ * (mark / update / delete) made while the device has no connection.
+ * Entries hold employee and location data, so they are kept in
+ * secureStorage rather than plain AsyncStorage.
+ *
+ * - Operations are stored in the order they were made
+ * - flushQueue() replays them in that same order once we are back online
+ * - Every entry carries a sync status (pending / synced / failed / conflict)
+ *   so the screens can show a badge per record
+ * - A 409 on replay parks the entry as a conflict until an admin reviews it
+ * - Each server + account has its own queue (see setQueueScope), so marks
+ *   queued by one session are never replayed under another
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from './secureStorage';
+import { handleAPIError } from '../utils/errorHandler';
+import { toDateKey } from './holidays';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const QUEUE_KEY = 'attendanceQueue';
+
+// Synced entries are kept for a while so the "Synced" badge stays visible
+const SYNCED_RETENTION_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed',
+  CONFLICT: 'conflict',
+};
+
+export const QUEUE_OPERATIONS = {
+  MARK: 'mark',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// ============================================
+// INTERNAL STATE
+// ============================================
+
+let queueScope = null;
+let cachedQueue = null;
+let writeChain = Promise.resolve();
+let activeFlush = null;
+const listeners = new Set();
+
+const generateId = () =>
+  `q_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const scopedKey = (scope) => `${QUEUE_KEY}:${scope}`;
+
+const readQueue = async (scope) => {
+  try {
+    let stored = await secureStorage.getItem(scopedKey(scope));
+
+    // Queues from before scoping (and, before that, before encryption)
+    // belong to whoever was signed in, i.e. the first session to load
+    if (stored === null) {
+      const unscoped = await secureStorage.getItem(QUEUE_KEY);
+      const plain = await AsyncStorage.getItem(QUEUE_KEY);
+      stored = unscoped || plain;
+      if (stored !== null) {
+        await secureStorage.setItem(scopedKey(scope), stored);
+      }
+      if (unscoped !== null) await secureStorage.removeItem(QUEUE_KEY);
+      if (plain !== null) await AsyncStorage.removeItem(QUEUE_KEY);
+    }
+
+    const parsed = stored ? JSON.parse(stored) : [];
+    const cutoff = Date.now() - SYNCED_RETENTION_MS;
+
+    // Drop old synced entries, keep everything still relevant
+    return parsed.filter(
+      entry => entry.status !== SYNC_STATUS.SYNCED || entry.syncedAt > cutoff
+    );
+  } catch (error) {
+    console.error('[OfflineQueue] Failed to load queue:', error);
+    return [];
+  }
+};
+
+const loadQueue = async () => {
+  if (cachedQueue) return cachedQueue;
+
+  // Signed out: there is no queue to show or replay
+  const scope = queueScope;
+  if (!scope) return [];
+
+  const queue = await readQueue(scope);
+  // The account may have changed while this was loading
+  if (scope === queueScope) cachedQueue = queue;
+  return queue;
+};
+
+const notifyListeners = (queue) => {
+  listeners.forEach(listener => {
+    try {
+      listener(queue);
+    } catch (error) {
+      console.error('[OfflineQueue] Listener error:', error);
+    }
+  });
+};
+
+// A wipe-on-tamper clears the stored queue, so drop the in-memory copy too
+secureStorage.onTamper(({ wiped }) => {
+  if (wiped) {
+    cachedQueue = [];
+    notifyListeners(cachedQueue);
+  }
+});
+
+/**
+ * Apply a change to the queue and persist it.
+ * Writes are chained so concurrent callers never overwrite each other.
+ *
+ * @param {Function} mutator - Receives the current queue, returns the next one
+ * @param {string} scope - Queue to change (defaults to the signed-in account's)
+ * @returns {Promise<Array>} Updated queue
+ */
+const updateQueue = (mutator, scope = queueScope) => {
+  writeChain = writeChain
+    .catch(() => {})
+    .then(async () => {
+      if (!scope) throw new Error('No account is signed in to queue attendance for');
+
+      // The account may have changed since; the change still goes to its own queue
+      const current = scope === queueScope ? await loadQueue() : await readQueue(scope);
+      const next = mutator([...current]);
+      await secureStorage.setItem(scopedKey(scope), JSON.stringify(next));
+      if (scope === queueScope) {
+        cachedQueue = next;
+        notifyListeners(next);
+      }
+      return next;
+    });
+
+  return writeChain;
+};
+
+const patchEntry = (id, changes, scope) =>
+  updateQueue(
+    queue => queue.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)),
+    scope
+  );
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Switch to the queue of another server + account (null when signed out).
+ * Listeners get the new account's queue; the old one stays stored and
+ * comes back when that account signs in again.
+ *
+ * @param {string|null} scope - e.g. "<baseURL>|<user id>"
+ */
+export const setQueueScope = (scope) => {
+  const next = scope || null;
+  if (next === queueScope) return;
+
+  queueScope = next;
+  cachedQueue = null;
+  loadQueue().then(queue => {
+    if (next === queueScope) notifyListeners(queue);
+  });
+};
+
+/**
+ * Add an attendance operation to the queue
+ *
+ * @param {string} type - One of QUEUE_OPERATIONS
+ * @param {object} payload - Request data for the operation
+ * @param {object} meta - Record identifiers used for status lookups
+ * @param {string} meta.recordId - Attendance record ID (update / delete)
+ * @param {string} meta.employeeId - Employee ID
+ * @param {string} meta.date - Attendance date
+ * @returns {Promise<object>} The queued entry
+ */
+export const enqueue = async (type, payload, meta = {}) => {
+  const entry = {
+    id: generateId(),
+    type,
+    payload,
+    recordId: meta.recordId || null,
+    employeeId: meta.employeeId || null,
+    date: toDateKey(meta.date),
+    status: SYNC_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now(),
+    syncedAt: null,
+  };
+
+  await updateQueue(queue => [...queue, entry]);
+  if (__DEV__) console.log(`[OfflineQueue] Queued ${type} (${entry.id})`);
+
+  return entry;
+};
+
+/**
+ * Get all queued entries, oldest first
+ * @returns {Promise<Array>} Queue entries
+ */
+export const getQueue = async () => [...(await loadQueue())];
+
+/**
+ * Number of entries still waiting to be sent
+ * @returns {Promise<number>} Pending count
+ */
+export const getPendingCount = async () =>
+  (await loadQueue()).filter(entry => entry.status === SYNC_STATUS.PENDING)
+    .length;
+
+/**
+ * Put a failed entry back into the pending state so it is replayed again
+ * @param {string} id - Queue entry ID
+ */
+export const retryEntry = (id) =>
+  patchEntry(id, { status: SYNC_STATUS.PENDING, lastError: null });
+
+/**
+ * Remove an entry from the queue without sending it
+ * @param {string} id - Queue entry ID
+ */
+export const discardEntry = (id) =>
+  updateQueue(queue => queue.filter(entry => entry.id !== id));
+
+/**
+ * Close a conflict once the admin has picked a side.
+ * The entry is kept as synced so the record still shows its badge.
+ *
+ * @param {string} id - Queue entry ID
+ * @param {string} resolution - 'server', 'local' or 'merged'
+ */
+export const resolveConflict = (id, resolution) =>
+  patchEntry(id, {
+    status: SYNC_STATUS.SYNCED,
+    resolution,
+    lastError: null,
+    syncedAt: Date.now(),
+  });
+
+/**
+ * Remove every entry of the signed-in account
+ */
+export const clearQueue = () => updateQueue(() => []);
+
+/**
+ * Subscribe to queue changes
+ * @param {Function} listener - Called with the full queue after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  loadQueue().then(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Find the most recent queue entry for a record.
+ * Update / delete entries match on recordId, marks on employeeId + date.
+ *
+ * @param {Array} queue - Queue entries
+ * @param {object} record - { recordId, employeeId, date }
+ * @returns {object|null} Matching entry
+ */
+export const findEntryForRecord = (queue, { recordId, employeeId, date }) => {
+  const dateKey = toDateKey(date);
+
+  for (let i = queue.length - 1; i >= 0; i -= 1) {
+    const entry = queue[i];
+    if (recordId && entry.recordId === recordId) return entry;
+    if (
+      employeeId &&
+      dateKey &&
+      entry.employeeId === employeeId &&
+      entry.date === dateKey
+    ) {
+      return entry;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Replay pending entries in order.
+ *
+ * Stops at the first network error (still offline) so ordering is preserved.
+ * A 409 parks the entry as a conflict (with the server's copy when the
+ * backend sends it back); any other rejection marks it as failed.
+ *
+ * @param {Function} send - async (entry) => response, performs the request
+ * @returns {Promise<object>} { synced, failed, conflicts, remaining }
+ */
+export const flushQueue = (send) => {
+  if (activeFlush) return activeFlush;
+
+  activeFlush = (async () => {
+    const result = { synced: 0, failed: 0, conflicts: 0, remaining: 0 };
+    const scope = queueScope;
+    const pending = (await loadQueue()).filter(
+      entry => entry.status === SYNC_STATUS.PENDING
+    );
+
+    if (pending.length === 0) return result;
+    if (__DEV__) console.log(`[OfflineQueue] Replaying ${pending.length} operation(s)...`);
+
+    for (let i = 0; i < pending.length; i += 1) {
+      const entry = pending[i];
+
+      // Signed out or switched account: the rest waits for its own session
+      if (scope !== queueScope) {
+        result.remaining = pending.length - i;
+        break;
+      }
+
+      try {
+        const response = await send(entry);
+        await patchEntry(entry.id, {
+          status: SYNC_STATUS.SYNCED,
+          // A replayed mark now has a server record
+          recordId: entry.recordId || response?.attendance?._id || null,
+          attempts: entry.attempts + 1,
+          lastError: null,
+          syncedAt: Date.now(),
+        }, scope);
+        result.synced += 1;
+      } catch (error) {
+        if (!error.response) {
+          // Still offline - keep this and everything after it for later
+          await patchEntry(entry.id, { attempts: entry.attempts + 1 }, scope);
+          result.remaining = pending.length - i;
+          break;
+        }
+
+        if (error.response.status === 409) {
+          const data = error.response.data || {};
+          await patchEntry(entry.id, {
+            status: SYNC_STATUS.CONFLICT,
+            attempts: entry.attempts + 1,
+            lastError: handleAPIError(error),
+            serverRecord: data.attendance || data.existing || null,
+          }, scope);
+          result.conflicts += 1;
+          continue;
+        }
+
+        await patchEntry(entry.id, {
+          status: SYNC_STATUS.FAILED,
+          attempts: entry.attempts + 1,
+          lastError: handleAPIError(error),
+        }, scope);
+        result.failed += 1;
+      }
+    }
+
+    if (__DEV__) console.log('[OfflineQueue] Replay finished:', result);
+    return result;
+  })().finally(() => {
+    activeFlush = null;
+  });
+
+  return activeFlush;
+};
+
+/**
+ * Wait for a replay in progress (if any) to finish
+ * @returns {Promise<void>}
+ */
+export const waitForFlush = () =>
+  activeFlush ? activeFlush.then(() => {}, () => {}) : Promise.resolve();
+
+export default {
+  setQueueScope,
+  enqueue,
+  getQueue,
+  getPendingCount,
+  retryEntry,
+  discardEntry,
+  resolveConflict,
+  clearQueue,
+  subscribe,
+  findEntryForRecord,
+  flushQueue,
+  waitForFlush,
+  SYNC_STATUS,
+  QUEUE_OPERATIONS,
+};
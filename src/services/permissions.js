@@ -0,0 +1,193 @@
+// src/services/permissions.js
+/**
+ * Permissions
+ *
+ * Fine-grained permissions ("area.action") for the signed-in user.
+ * The list comes from the login / verify response; when the backend
+ * does not send one, it falls back to the defaults for the user's role.
+ *
+ * - can('attendance.delete') answers from the current user's list
+ * - 'attendance.*' grants every attendance action, '*' grants everything
+ * - The API layer calls assertCan() before write requests, so a missing
+ *   permission fails fast instead of waiting for a 403
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  SYSTEM_OVERVIEW: 'system.overview',
+  EMPLOYEES_VIEW: 'employees.view',
+  EMPLOYEES_CREATE: 'employees.create',
+  EMPLOYEES_EDIT: 'employees.edit',
+  EMPLOYEES_DELETE: 'employees.delete',
+  ATTENDANCE_VIEW: 'attendance.view',
+  ATTENDANCE_MARK: 'attendance.mark',
+  ATTENDANCE_EDIT: 'attendance.edit',
+  ATTENDANCE_DELETE: 'attendance.delete',
+  REPORTS_VIEW: 'reports.view',
+  FINGERPRINTS_ENROLL: 'fingerprints.enroll',
+  SHIFTS_VIEW: 'shifts.view',
+  SHIFTS_MANAGE: 'shifts.manage',
+  HOLIDAYS_VIEW: 'holidays.view',
+  HOLIDAYS_MANAGE: 'holidays.manage',
+  SITES_VIEW: 'sites.view',
+  SITES_MANAGE: 'sites.manage',
+  LEAVE_VIEW: 'leave.view',
+  LEAVE_REQUEST: 'leave.request',
+  LEAVE_APPROVE: 'leave.approve',
+};
+
+// Used when the auth payload carries no permission list
+const ROLE_PERMISSIONS = {
+  superadmin: ['*'],
+  admin: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    'employees.*',
+    'attendance.*',
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.FINGERPRINTS_ENROLL,
+    'shifts.*',
+    'holidays.*',
+    'sites.*',
+    'leave.*',
+  ],
+};
+
+// Unknown roles can look but not touch
+const READ_ONLY_PERMISSIONS = [
+  PERMISSIONS.DASHBOARD_VIEW,
+  PERMISSIONS.EMPLOYEES_VIEW,
+  PERMISSIONS.ATTENDANCE_VIEW,
+];
+
+const AREA_LABELS = {
+  dashboard: 'Dashboard',
+  system: 'System',
+  employees: 'Employees',
+  attendance: 'Attendance',
+  reports: 'Reports',
+  fingerprints: 'Fingerprints',
+  shifts: 'Shifts',
+  holidays: 'Holidays',
+  sites: 'Sites',
+  leave: 'Leave',
+};
+
+let currentPermissions = [];
+
+export class PermissionError extends Error {
+  constructor(permission) {
+    super('You don\'t have permission to perform this action.');
+    this.name = 'PermissionError';
+    this.permission = permission;
+  }
+}
+
+// ============================================
+// RESOLUTION
+// ============================================
+
+/**
+ * Work out a user's permission list
+ * @param {object} user - User object (role, optional permissions array)
+ * @returns {Array<string>} Permission list
+ */
+export const resolvePermissions = (user) => {
+  if (!user) return [];
+  if (Array.isArray(user.permissions)) return user.permissions;
+
+  const role = String(user.role || '').toLowerCase().trim();
+  return ROLE_PERMISSIONS[role] || READ_ONLY_PERMISSIONS;
+};
+
+/**
+ * Check a permission against a list
+ * @param {Array<string>} permissions - Permission list
+ * @param {string} permission - e.g. 'attendance.delete'
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (permissions, permission) => {
+  if (!permission) return true;
+  if (!Array.isArray(permissions)) return false;
+
+  const [area] = permission.split('.');
+  return permissions.some(
+    granted => granted === '*' || granted === permission || granted === `${area}.*`
+  );
+};
+
+// ============================================
+// CURRENT USER
+// ============================================
+
+/**
+ * Replace the signed-in user's permission list (AuthContext calls this)
+ * @param {Array<string>} permissions - Permission list
+ */
+export const setPermissions = (permissions) => {
+  currentPermissions = Array.isArray(permissions) ? permissions : [];
+};
+
+/**
+ * Get the signed-in user's permission list
+ * @returns {Array<string>} Permission list
+ */
+export const getPermissions = () => currentPermissions;
+
+/**
+ * Check a permission for the signed-in user
+ * @param {string} permission - e.g. 'attendance.delete'
+ * @returns {boolean} True if granted
+ */
+export const can = (permission) => hasPermission(currentPermissions, permission);
+
+/**
+ * Throw a PermissionError unless the signed-in user has the permission
+ * @param {string} permission - e.g. 'employees.delete'
+ */
+export const assertCan = (permission) => {
+  if (!can(permission)) {
+    throw new PermissionError(permission);
+  }
+};
+
+/**
+ * Human-readable summary of a permission list, one line per area
+ * @param {Array<string>} permissions - Permission list
+ * @returns {Array<string>} e.g. ['Employees: view, create', 'Attendance: all actions']
+ */
+export const describePermissions = (permissions) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return ['No access'];
+  }
+  if (permissions.includes('*')) {
+    return ['Full system access'];
+  }
+
+  const byArea = {};
+  permissions.forEach(permission => {
+    const [area, action] = permission.split('.');
+    byArea[area] = byArea[area] || [];
+    byArea[area].push(action === '*' ? 'all actions' : action);
+  });
+
+  return Object.entries(byArea).map(([area, actions]) => {
+    const label = AREA_LABELS[area] || area;
+    const list = actions.includes('all actions') ? ['all actions'] : actions;
+    return `${label}: ${list.join(', ')}`;
+  });
+};
+
+export default {
+  PERMISSIONS,
+  resolvePermissions,
+  hasPermission,
+  setPermissions,
+  getPermissions,
+  can,
+  assertCan,
+  describePermissions,
+};
@@ -0,0 +1,358 @@
+// src/services/secureStorage.js
+/**
+ * Encrypted Storage
+ *
+ * AsyncStorage wrapper that encrypts every value with a per-install
+ * AES-256 key before it is written to disk.
+ *
+ * - The key is generated on first use and kept in the platform keystore
+ *   (iOS Keychain / Android Keystore) through expo-secure-store
+ * - Values are encrypted then MAC'd (HMAC-SHA256), so any edit to the
+ *   stored bytes is detected on read
+ * - Keys can be rotated; every stored value is re-encrypted with the new key
+ * - Wipe-on-tamper mode: a value that fails its integrity check wipes all
+ *   encrypted data and notifies listeners (AuthContext signs the user out)
+ * - Exposes the same getItem / setItem / removeItem shape as AsyncStorage,
+ *   so it can be used anywhere a storage backend is expected
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import CryptoJS from 'crypto-js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const KEY_NAME = 'storageEncryptionKey';
+const PREVIOUS_KEY_NAME = 'storageEncryptionKey.previous';
+const STORAGE_PREFIX = '@secure/';
+
+const FORMAT_V1 = 'v1'; // AES only, written before integrity checks existed
+const FORMAT_V2 = 'v2'; // keyId + AES + HMAC
+
+const DEFAULT_OPTIONS = {
+  wipeOnTamper: true,
+  keyMaxAgeMs: 90 * 24 * 60 * 60 * 1000, // rotate every 90 days
+};
+
+let options = { ...DEFAULT_OPTIONS };
+let keyring = null; // promise, shared by callers racing on first launch
+let rotation = null;
+const tamperListeners = new Set();
+
+// ============================================
+// KEY MANAGEMENT
+// ============================================
+
+const randomWords = (byteCount) =>
+  CryptoJS.lib.WordArray.create(Crypto.getRandomBytes(byteCount));
+
+const generateKeyRecord = () => ({
+  id: randomWords(4).toString(CryptoJS.enc.Hex),
+  key: randomWords(32).toString(CryptoJS.enc.Hex),
+  createdAt: Date.now(),
+});
+
+// Accepts both the JSON record and the bare hex key stored by v1
+const parseKeyRecord = (stored) => {
+  if (!stored) return null;
+  if (stored.startsWith('{')) return JSON.parse(stored);
+  return { id: null, key: stored, createdAt: 0 };
+};
+
+// Separate sub-keys for encryption and MAC, derived from the master key
+const deriveKeys = (record) => {
+  const master = CryptoJS.enc.Hex.parse(record.key);
+  return {
+    ...record,
+    master,
+    enc: CryptoJS.HmacSHA256('encryption', master),
+    mac: CryptoJS.HmacSHA256('authentication', master),
+  };
+};
+
+const loadKeyring = async () => {
+  let current = parseKeyRecord(await SecureStore.getItemAsync(KEY_NAME));
+  const previous = parseKeyRecord(await SecureStore.getItemAsync(PREVIOUS_KEY_NAME));
+
+  if (!current || !current.id) {
+    // Upgrade a bare v1 key into a record, or create the first key
+    current = current
+      ? { ...current, id: generateKeyRecord().id, createdAt: Date.now() }
+      : generateKeyRecord();
+    await SecureStore.setItemAsync(KEY_NAME, JSON.stringify(current));
+    console.log('🔐 Storage encryption key ready');
+  }
+
+  return {
+    current: deriveKeys(current),
+    previous: previous ? deriveKeys(previous) : null,
+  };
+};
+
+/**
+ * Load the current (and, mid-rotation, previous) key, creating the
+ * current key on first launch. Concurrent callers share one load, so
+ * two first-launch calls never create two different keys.
+ */
+const getKeyring = () => {
+  if (!keyring) {
+    const load = loadKeyring().catch((error) => {
+      if (keyring === load) keyring = null;
+      throw error;
+    });
+    keyring = load;
+  }
+  return keyring;
+};
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+class TamperError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TamperError';
+  }
+}
+
+const signature = (keys, parts) =>
+  CryptoJS.HmacSHA256(parts.join(':'), keys.mac).toString(CryptoJS.enc.Hex);
+
+// Compare without stopping at the first differing character
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+const encrypt = (plainText, keys) => {
+  const iv = randomWords(16).toString(CryptoJS.enc.Hex);
+  const cipherText = CryptoJS.AES.encrypt(plainText, keys.enc, {
+    iv: CryptoJS.enc.Hex.parse(iv),
+  }).toString();
+
+  const parts = [FORMAT_V2, keys.id, iv, cipherText];
+  return [...parts, signature(keys, parts)].join(':');
+};
+
+const decrypt = (payload, ring) => {
+  const parts = payload.split(':');
+
+  if (parts[0] === FORMAT_V1 && parts.length === 3) {
+    // Legacy value, re-encrypted as v2 on the next write
+    const [, iv, cipherText] = parts;
+    const plain = CryptoJS.AES.decrypt(cipherText, ring.current.master, {
+      iv: CryptoJS.enc.Hex.parse(iv),
+    }).toString(CryptoJS.enc.Utf8);
+    if (!plain) throw new TamperError('Legacy value could not be decrypted');
+    return plain;
+  }
+
+  if (parts[0] !== FORMAT_V2 || parts.length !== 5) {
+    throw new TamperError('Unrecognised encrypted value');
+  }
+
+  const [version, keyId, iv, cipherText, mac] = parts;
+  const keys = [ring.current, ring.previous].find(k => k && k.id === keyId);
+  if (!keys) {
+    throw new TamperError('Value was encrypted with an unknown key');
+  }
+  if (!safeEqual(signature(keys, [version, keyId, iv, cipherText]), mac)) {
+    throw new TamperError('Integrity check failed');
+  }
+
+  return CryptoJS.AES.decrypt(cipherText, keys.enc, {
+    iv: CryptoJS.enc.Hex.parse(iv),
+  }).toString(CryptoJS.enc.Utf8);
+};
+
+// ============================================
+// TAMPER HANDLING
+// ============================================
+
+const getStoredKeys = async () =>
+  (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(STORAGE_PREFIX));
+
+/**
+ * Remove every encrypted value and the keys protecting them
+ */
+export const wipe = async () => {
+  await AsyncStorage.multiRemove(await getStoredKeys());
+  await SecureStore.deleteItemAsync(KEY_NAME);
+  await SecureStore.deleteItemAsync(PREVIOUS_KEY_NAME);
+  keyring = null;
+  console.warn('🧹 Encrypted storage wiped');
+};
+
+const handleTamper = async (key, error) => {
+  console.error(`[SecureStorage] Tampered value for "${key}":`, error.message);
+
+  if (options.wipeOnTamper) {
+    await wipe();
+  } else {
+    await AsyncStorage.removeItem(STORAGE_PREFIX + key);
+  }
+
+  tamperListeners.forEach(listener => {
+    try {
+      listener({ key, wiped: options.wipeOnTamper });
+    } catch (listenerError) {
+      console.error('[SecureStorage] Tamper listener error:', listenerError);
+    }
+  });
+};
+
+/**
+ * Subscribe to tamper events
+ * @param {Function} listener - Called with { key, wiped }
+ * @returns {Function} Unsubscribe function
+ */
+export const onTamper = (listener) => {
+  tamperListeners.add(listener);
+  return () => tamperListeners.delete(listener);
+};
+
+/**
+ * Change storage behaviour
+ * @param {Object} nextOptions
+ * @param {boolean} nextOptions.wipeOnTamper - Wipe everything on a failed integrity check
+ * @param {number} nextOptions.keyMaxAgeMs - Key age that triggers rotateKeyIfDue()
+ */
+export const configure = (nextOptions = {}) => {
+  options = { ...options, ...nextOptions };
+};
+
+// ============================================
+// KEY ROTATION
+// ============================================
+
+/**
+ * Generate a new key and re-encrypt every stored value with it.
+ * The old key is kept as "previous" until all values are rewritten,
+ * so an interrupted rotation never leaves data unreadable.
+ */
+export const rotateKey = () => {
+  if (rotation) return rotation;
+
+  rotation = (async () => {
+    const ring = await getKeyring();
+    const storedKeys = await getStoredKeys();
+    const entries = await AsyncStorage.multiGet(storedKeys);
+
+    const plainEntries = [];
+    for (const [storageKey, payload] of entries) {
+      if (payload === null) continue;
+      try {
+        plainEntries.push([storageKey, decrypt(payload, ring)]);
+      } catch (error) {
+        await handleTamper(storageKey.slice(STORAGE_PREFIX.length), error);
+        if (options.wipeOnTamper) return;
+      }
+    }
+
+    const next = generateKeyRecord();
+    await SecureStore.setItemAsync(
+      PREVIOUS_KEY_NAME,
+      JSON.stringify({ id: ring.current.id, key: ring.current.key, createdAt: ring.current.createdAt })
+    );
+    await SecureStore.setItemAsync(KEY_NAME, JSON.stringify(next));
+    keyring = null;
+
+    const nextRing = await getKeyring();
+    await AsyncStorage.multiSet(
+      plainEntries.map(([storageKey, plain]) => [storageKey, encrypt(plain, nextRing.current)])
+    );
+
+    await SecureStore.deleteItemAsync(PREVIOUS_KEY_NAME);
+    keyring = null;
+    console.log(`🔐 Storage key rotated, ${plainEntries.length} value(s) re-encrypted`);
+  })().finally(() => {
+    rotation = null;
+  });
+
+  return rotation;
+};
+
+/**
+ * Rotate the key when it is older than keyMaxAgeMs
+ * @returns {Promise<boolean>} True if a rotation happened
+ */
+export const rotateKeyIfDue = async () => {
+  try {
+    const ring = await getKeyring();
+    if (Date.now() - (ring.current.createdAt || 0) < options.keyMaxAgeMs) {
+      return false;
+    }
+    await rotateKey();
+    return true;
+  } catch (error) {
+    console.error('[SecureStorage] Key rotation failed:', error);
+    return false;
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Read and decrypt a value
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} Decrypted value or null
+ */
+export const getItem = async (key) => {
+  if (rotation) await rotation;
+
+  const stored = await AsyncStorage.getItem(STORAGE_PREFIX + key);
+  if (stored === null) return null;
+
+  try {
+    return decrypt(stored, await getKeyring());
+  } catch (error) {
+    if (error instanceof TamperError) {
+      await handleTamper(key, error);
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Encrypt and store a value
+ * @param {string} key - Storage key
+ * @param {string} value - Plain-text value
+ */
+export const setItem = async (key, value) => {
+  if (rotation) await rotation;
+
+  const ring = await getKeyring();
+  await AsyncStorage.setItem(STORAGE_PREFIX + key, encrypt(String(value), ring.current));
+};
+
+/**
+ * Remove a value
+ * @param {string} key - Storage key
+ */
+export const removeItem = async (key) => {
+  await AsyncStorage.removeItem(STORAGE_PREFIX + key);
+};
+
+export default {
+  getItem,
+  setItem,
+  removeItem,
+  rotateKey,
+  rotateKeyIfDue,
+  onTamper,
+  configure,
+  wipe,
+};
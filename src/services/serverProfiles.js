@@ -0,0 +1,260 @@
+// src/services/serverProfiles.js
+/**
+ * Server Profiles
+ *
+ * Named backend URLs (dev / staging / prod per site) so a deployment
+ * never needs a code change. One profile is active at a time; api.js
+ * rebuilds its axios instance whenever the active profile changes.
+ *
+ * Profiles are not secret, so they live in plain AsyncStorage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import axios from 'axios';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PROFILES_KEY = 'serverProfiles';
+const ACTIVE_PROFILE_KEY = 'activeServerProfileId';
+
+// Hardcoded in api.js before profiles existed; upgrading installs keep it
+const LEGACY_BASE_URL = 'http://192.168.1.4:5000/api';
+
+const HEALTH_PATH = '/health';
+const PROBE_TIMEOUT_MS = 8000;
+
+export const ENVIRONMENTS = {
+  DEVELOPMENT: 'development',
+  STAGING: 'staging',
+  PRODUCTION: 'production',
+};
+
+const generateId = () =>
+  `srv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+// ============================================
+// URL HELPERS
+// ============================================
+
+/**
+ * Turn user input into a base URL the API client can use.
+ * Adds http:// when no scheme is given and /api when no path is given,
+ * e.g. "192.168.1.4:5000" -> "http://192.168.1.4:5000/api"
+ *
+ * @param {string} input - URL typed or scanned by the user
+ * @returns {string|null} Normalised base URL, or null if invalid
+ */
+export const normalizeServerUrl = (input) => {
+  const trimmed = String(input || '').trim();
+  if (!trimmed) return null;
+
+  const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+  const match = withScheme.match(/^(https?):\/\/([^/?#\s]+)(\/[^?#\s]*)?$/i);
+  if (!match) return null;
+
+  const [, scheme, host, path = ''] = match;
+  const cleanPath = path.replace(/\/+$/, '') || '/api';
+  return `${scheme.toLowerCase()}://${host}${cleanPath}`;
+};
+
+/**
+ * Host part of a base URL, for compact display
+ * @param {string} baseURL - Server base URL
+ * @returns {string} Host (with port)
+ */
+export const getServerHost = (baseURL) => {
+  const match = String(baseURL || '').match(/^https?:\/\/([^/]+)/i);
+  return match ? match[1] : baseURL;
+};
+
+/**
+ * Read a server QR code. Accepts either a bare URL or JSON like
+ * { "name": "Head office", "url": "https://...", "environment": "production" }
+ *
+ * @param {string} data - Raw QR payload
+ * @returns {object|null} { name, baseURL, environment } or null if unreadable
+ */
+export const parseServerQRCode = (data) => {
+  const raw = String(data || '').trim();
+  let fields = { url: raw };
+
+  if (raw.startsWith('{')) {
+    try {
+      fields = JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const baseURL = normalizeServerUrl(fields.url || fields.baseURL);
+  if (!baseURL) return null;
+
+  return {
+    name: fields.name || '',
+    baseURL,
+    environment: Object.values(ENVIRONMENTS).includes(fields.environment)
+      ? fields.environment
+      : ENVIRONMENTS.PRODUCTION,
+  };
+};
+
+// ============================================
+// HEALTH PROBE
+// ============================================
+
+/**
+ * Check that a URL points at a reachable attendance backend
+ * @param {string} baseURL - Normalised base URL
+ * @returns {Promise<object>} { ok, latencyMs, version, message }
+ */
+export const probeServer = async (baseURL) => {
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.get(`${baseURL}${HEALTH_PATH}`, {
+      timeout: PROBE_TIMEOUT_MS,
+    });
+    return {
+      ok: true,
+      latencyMs: Date.now() - startedAt,
+      version: response.data?.version || null,
+      message: response.data?.message || 'Server is reachable',
+    };
+  } catch (error) {
+    let message = 'Could not reach the server. Check the URL and your network.';
+    if (error.response?.status === 404) {
+      message = 'A server answered, but it does not look like the attendance API.';
+    } else if (error.response) {
+      message = `Server responded with status ${error.response.status}.`;
+    } else if (error.code === 'ECONNABORTED') {
+      message = 'The server took too long to respond.';
+    }
+
+    console.error('[ServerProfiles] Health probe failed:', error.message);
+    return { ok: false, latencyMs: null, version: null, message };
+  }
+};
+
+// ============================================
+// PROFILE STORAGE
+// ============================================
+
+/**
+ * Get all saved profiles
+ * @returns {Promise<Array>} Profiles
+ */
+export const getProfiles = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PROFILES_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('[ServerProfiles] Failed to load profiles:', error);
+    return [];
+  }
+};
+
+const writeProfiles = (profiles) =>
+  AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+
+/**
+ * Add a profile, or update it when profile.id already exists
+ * @param {object} profile - { id?, name, environment, baseURL }
+ * @returns {Promise<object>} Saved profile
+ */
+export const saveProfile = async (profile) => {
+  const baseURL = normalizeServerUrl(profile.baseURL);
+  if (!baseURL) {
+    throw new Error('Please enter a valid server URL');
+  }
+
+  const profiles = await getProfiles();
+  const saved = {
+    id: profile.id || generateId(),
+    name: profile.name?.trim() || getServerHost(baseURL),
+    environment: profile.environment || ENVIRONMENTS.PRODUCTION,
+    baseURL,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const exists = profiles.some(p => p.id === saved.id);
+  await writeProfiles(
+    exists
+      ? profiles.map(p => (p.id === saved.id ? saved : p))
+      : [...profiles, saved]
+  );
+
+  return saved;
+};
+
+/**
+ * Delete a profile. The active profile cannot be removed.
+ * @param {string} id - Profile ID
+ */
+export const removeProfile = async (id) => {
+  if ((await AsyncStorage.getItem(ACTIVE_PROFILE_KEY)) === id) {
+    throw new Error('Switch to another server before removing this one');
+  }
+
+  const profiles = await getProfiles();
+  await writeProfiles(profiles.filter(p => p.id !== id));
+};
+
+/**
+ * Get the profile the app is currently talking to
+ * @returns {Promise<object|null>} Active profile or null on first launch
+ */
+export const getActiveProfile = async () => {
+  const [profiles, activeId] = await Promise.all([
+    getProfiles(),
+    AsyncStorage.getItem(ACTIVE_PROFILE_KEY),
+  ]);
+  return profiles.find(p => p.id === activeId) || null;
+};
+
+/**
+ * Make a saved profile the active one
+ * @param {string} id - Profile ID
+ * @returns {Promise<object>} Activated profile
+ */
+export const setActiveProfile = async (id) => {
+  const profile = (await getProfiles()).find(p => p.id === id);
+  if (!profile) {
+    throw new Error('Server profile not found');
+  }
+
+  await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  return profile;
+};
+
+/**
+ * Give an install from before server profiles a first, active profile for
+ * the URL it used to talk to. Does nothing once any profile is saved.
+ * @returns {Promise<object|null>} Created profile, or null
+ */
+export const adoptLegacyServer = async () => {
+  if ((await getProfiles()).length > 0) return null;
+
+  const profile = await saveProfile({
+    baseURL: LEGACY_BASE_URL,
+    environment: ENVIRONMENTS.PRODUCTION,
+  });
+  await setActiveProfile(profile.id);
+  console.log(`✅ Adopted previous server ${profile.baseURL}`);
+  return profile;
+};
+
+export default {
+  ENVIRONMENTS,
+  normalizeServerUrl,
+  getServerHost,
+  parseServerQRCode,
+  probeServer,
+  getProfiles,
+  saveProfile,
+  removeProfile,
+  getActiveProfile,
+  setActiveProfile,
+  adoptLegacyServer,
+};
@@ -0,0 +1,218 @@
+// src/services/shifts.js
+/**
+ * Shifts
+ *
+ * A shift is a work schedule: start/end time, grace minutes, unpaid
+ * break and weekly offs. It is assigned to whole departments and/or to
+ * single employees; an employee's own assignment wins over their
+ * department's.
+ *
+ * - An end time at or before the start time is a night shift that ends
+ *   the next morning (22:00 - 06:00)
+ * - Employees without a shift fall back to DEFAULT_SHIFT_RULES
+ */
+
+import { DEFAULT_SHIFT_RULES } from './workTime';
+import { fromDateKey, toLocalDateKey } from './holidays';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Share of the standard day below which a closed day counts as HALF_DAY
+const FULL_DAY_RATIO = 0.75;
+
+export const EMPTY_SHIFT = {
+  name: '',
+  startTime: '09:00',
+  endTime: '18:00',
+  graceMinutes: 10,
+  breakMinutes: 60,
+  weeklyOffs: [0],
+  departments: [],
+  employeeIds: [],
+};
+
+// ============================================
+// TIME HELPERS
+// ============================================
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @param {string} time - "HH:MM" (24h)
+ * @returns {boolean} True if valid
+ */
+export const isValidTime = (time) => TIME_PATTERN.test(String(time || ''));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Local midnight of a day, whether it comes as a Date or a "YYYY-MM-DD" key
+const toLocalDay = (date) => fromDateKey(toLocalDateKey(date));
+
+const atTime = (date, time, dayOffset = 0) => {
+  const result = toLocalDay(date);
+  result.setHours(0, toMinutes(time) + dayOffset * 24 * 60, 0, 0);
+  return result;
+};
+
+// ============================================
+// SHIFT RULES
+// ============================================
+
+/**
+ * @param {object} shift - Shift definition
+ * @returns {boolean} True if the shift ends on the next day
+ */
+export const crossesMidnight = (shift) =>
+  toMinutes(shift.endTime) <= toMinutes(shift.startTime);
+
+/**
+ * Length of a shift from start to end, breaks included
+ * @param {object} shift - Shift definition
+ * @returns {number} Minutes
+ */
+export const getShiftLength = (shift) => {
+  const length = toMinutes(shift.endTime) - toMinutes(shift.startTime);
+  return crossesMidnight(shift) ? length + 24 * 60 : length;
+};
+
+/**
+ * When a shift starting on `date` begins and ends
+ * @param {object} shift - Shift definition
+ * @param {Date|string} date - Day the shift starts on
+ * @returns {object} { start, end } as Dates
+ */
+export const getShiftWindow = (shift, date) => ({
+  start: atTime(date, shift.startTime),
+  end: atTime(date, shift.endTime, crossesMidnight(shift) ? 1 : 0),
+});
+
+/**
+ * The day the shift worked at `time` started on. A night shift punched
+ * after midnight, before it ends, began the evening before.
+ * @param {object} shift - Shift definition
+ * @param {Date|string} time - Moment of a punch
+ * @returns {Date} Local midnight of the shift day
+ */
+export const getShiftDay = (shift, time) => {
+  const day = toLocalDay(time);
+  if (crossesMidnight(shift) && new Date(time) < atTime(day, shift.endTime)) {
+    day.setDate(day.getDate() - 1);
+  }
+  return day;
+};
+
+/**
+ * @param {object} shift - Shift definition
+ * @param {Date|string} date - Day to check
+ * @returns {boolean} True if the day is one of the shift's weekly offs
+ */
+export const isWeeklyOff = (shift, date) =>
+  !!shift?.weeklyOffs?.includes(toLocalDay(date).getDay());
+
+/**
+ * Pick the shift that applies to an employee
+ * @param {object} employee - Employee (_id, employeeId, department, shiftId)
+ * @param {Array} shifts - All shifts
+ * @returns {object|null} The employee's shift, or null for the default
+ */
+export const resolveShift = (employee, shifts = []) => {
+  if (!employee) return null;
+
+  return (
+    shifts.find(s => employee.shiftId && s._id === employee.shiftId) ||
+    shifts.find(s => s.employeeIds?.includes(employee.employeeId)) ||
+    shifts.find(s => s.departments?.includes(employee.department)) ||
+    null
+  );
+};
+
+/**
+ * Turn a shift into the rules workTime uses for worked hours and status
+ * @param {object|null} shift - Shift definition
+ * @returns {object} Rules (see DEFAULT_SHIFT_RULES)
+ */
+export const toShiftRules = (shift) => {
+  if (!shift) return DEFAULT_SHIFT_RULES;
+
+  const standardMinutes = getShiftLength(shift) - (shift.breakMinutes || 0);
+  return {
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    graceMinutes: shift.graceMinutes || 0,
+    standardMinutes,
+    minFullDayMinutes: Math.round(standardMinutes * FULL_DAY_RATIO),
+    weeklyOffs: shift.weeklyOffs || [],
+  };
+};
+
+/**
+ * Short label, e.g. "Night • 22:00-06:00 (+1)"
+ * @param {object|null} shift - Shift definition
+ * @returns {string}
+ */
+export const describeShift = (shift) => {
+  const rules = shift || DEFAULT_SHIFT_RULES;
+  const name = shift?.name || 'Default';
+  const nextDay = crossesMidnight(rules) ? ' (+1)' : '';
+  return `${name} • ${rules.startTime}-${rules.endTime}${nextDay}`;
+};
+
+// ============================================
+// STATUS SUGGESTION
+// ============================================
+
+/**
+ * Suggest an attendance status for marking an employee on a date,
+ * based on their shift and the current time
+ * @param {object|null} shift - Employee's shift (null for the default)
+ * @param {Date|string} date - Day being marked
+ * @param {Date} now - Time of marking (defaults to now)
+ * @returns {object} { status, reason } - status is null when there is
+ *   nothing to go on (weekly off, or the shift is already over)
+ */
+export const suggestStatus = (shift, date, now = new Date()) => {
+  const rules = toShiftRules(shift);
+
+  if (isWeeklyOff(rules, date)) {
+    return { status: null, reason: `${WEEKDAYS[toLocalDay(date).getDay()]} is a weekly off for this shift` };
+  }
+
+  const { start, end } = getShiftWindow(rules, date);
+  if (now <= start) {
+    return { status: 'PRESENT', reason: `Shift starts at ${rules.startTime}` };
+  }
+  if (now >= end) {
+    return { status: null, reason: `Shift ended at ${rules.endTime}` };
+  }
+
+  const lateMinutes = Math.round((now - start) / 60000);
+  if (lateMinutes <= rules.graceMinutes) {
+    return { status: 'PRESENT', reason: `Within the ${rules.graceMinutes} min grace period` };
+  }
+  if (now - start > (end - start) / 2) {
+    return { status: 'HALF_DAY', reason: 'More than half of the shift has passed' };
+  }
+  return { status: 'LATE', reason: `${lateMinutes} min after the ${rules.startTime} start` };
+};
+
+export default {
+  WEEKDAYS,
+  EMPTY_SHIFT,
+  isValidTime,
+  crossesMidnight,
+  getShiftLength,
+  getShiftWindow,
+  getShiftDay,
+  isWeeklyOff,
+  resolveShift,
+  toShiftRules,
+  describeShift,
+  suggestStatus,
+};
@@ -0,0 +1,176 @@
+// src/services/sites.js
+/**
+ * Sites
+ *
+ * Named work locations (office, warehouse, client site) with their own
+ * address, coordinates, geofence and timezone. Employees are assigned to
+ * one or more sites; a mark or punch records the site it was made at.
+ *
+ * - With several sites assigned, the one the device is inside (or else
+ *   the nearest) is used for the geofence check
+ * - Employees without a site fall back to their own baseLocation
+ * - A site carries the same latitude / longitude / radius / geofencePolicy
+ *   fields as a baseLocation, so checkGeofence() works on either
+ */
+
+import {
+  DEFAULT_GEOFENCE_RADIUS,
+  GEOFENCE_POLICY,
+  GEOFENCE_STATUS,
+  checkGeofence,
+} from './deviceLocation';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const DEVICE_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const EMPTY_SITE = {
+  name: '',
+  address: '',
+  latitude: null,
+  longitude: null,
+  radius: DEFAULT_GEOFENCE_RADIUS,
+  geofencePolicy: GEOFENCE_POLICY.FLAG,
+  timezone: DEVICE_TIMEZONE,
+  employeeIds: [],
+};
+
+// ============================================
+// TIMEZONE
+// ============================================
+
+/**
+ * @param {string} timezone - IANA name, e.g. "Asia/Kolkata"
+ * @returns {boolean} True if the runtime knows it
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock time at a site
+ * @param {object} site - Site with timezone
+ * @param {Date} date - Moment to show (defaults to now)
+ * @returns {string} e.g. "02:05 PM"
+ */
+export const formatSiteTime = (site, date = new Date()) =>
+  date.toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    ...(isValidTimezone(site?.timezone) && { timeZone: site.timezone }),
+  });
+
+// ============================================
+// ASSIGNMENT
+// ============================================
+
+/**
+ * @param {Array} sites - All sites
+ * @param {string} employeeId - Employee code
+ * @returns {Array} Sites the employee is assigned to
+ */
+export const getEmployeeSites = (sites = [], employeeId) =>
+  sites.filter(site => (site.employeeIds || []).includes(employeeId));
+
+/**
+ * Whether a daily attendance row belongs to a site: where it was marked,
+ * or, before it is marked, where the employee is assigned
+ * @param {string} employeeId - Employee code
+ * @param {object} attendance - The day's attendance (may be empty)
+ * @param {object} site - Site to test
+ * @returns {boolean}
+ */
+export const isAtSite = (employeeId, attendance, site) =>
+  attendance?.siteId
+    ? attendance.siteId === site._id
+    : (site.employeeIds || []).includes(employeeId);
+
+// ============================================
+// GEOFENCE
+// ============================================
+
+// Inside before outside, then nearest first
+const compareChecks = (a, b) => {
+  const aInside = a.status === GEOFENCE_STATUS.INSIDE;
+  const bInside = b.status === GEOFENCE_STATUS.INSIDE;
+  if (aInside !== bInside) return aInside ? -1 : 1;
+  return (a.distance ?? Infinity) - (b.distance ?? Infinity);
+};
+
+/**
+ * Check a device location against the employee's sites
+ * @param {object|null} location - From getDeviceLocation()
+ * @param {object} employee - Employee (baseLocation is the fallback)
+ * @param {Array} sites - All sites
+ * @param {string|null} siteId - Check only this site instead of picking one
+ * @returns {object} As checkGeofence(), plus site (null when unknown)
+ */
+export const checkSites = (location, employee, sites = [], siteId = null) => {
+  const assigned = getEmployeeSites(sites, employee?.employeeId);
+  const candidates = siteId ? assigned.filter(site => site._id === siteId) : assigned;
+
+  if (candidates.length === 0) {
+    return { ...checkGeofence(location, employee), site: null };
+  }
+
+  const checks = candidates
+    .map(site => ({ ...checkGeofence(location, { baseLocation: site }), site }))
+    .sort(compareChecks);
+
+  // Without a fix there is no telling which site this is
+  if (!location && checks.length > 1) {
+    return { ...checks[0], site: null, blocked: checks.some(check => check.blocked) };
+  }
+  return checks[0];
+};
+
+/**
+ * Fields saved with an attendance record for its site
+ * @param {object|null} site - Site the mark was made at
+ * @returns {object} siteId, siteName and siteTimezone, or nothing
+ */
+export const toAttendanceSite = (site) =>
+  site ? { siteId: site._id, siteName: site.name, siteTimezone: site.timezone } : {};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a site before it is saved
+ * @param {object} site - { name, latitude, longitude, radius, timezone }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSite = (site) => {
+  if (!site.name?.trim()) return 'Please enter a site name';
+  if (!Number.isFinite(site.latitude) || !Number.isFinite(site.longitude)) {
+    return 'Please set the site location on the map';
+  }
+  if (!Number.isFinite(site.radius) || site.radius < 20 || site.radius > 5000) {
+    return 'Geofence radius must be between 20 and 5000 m';
+  }
+  if (!isValidTimezone(site.timezone)) {
+    return 'Timezone must be an IANA name like Asia/Kolkata';
+  }
+  return null;
+};
+
+export default {
+  DEVICE_TIMEZONE,
+  EMPTY_SITE,
+  isValidTimezone,
+  formatSiteTime,
+  getEmployeeSites,
+  isAtSite,
+  checkSites,
+  toAttendanceSite,
+  validateSite,
+};
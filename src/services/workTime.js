@@ -0,0 +1,261 @@
+// src/services/workTime.js
+/**
+ * Work Time
+ *
+ * A day's attendance is a list of punches (in, out, break start/end).
+ * Worked time, breaks and overtime are computed from those punches, and
+ * LATE / HALF_DAY are derived from the shift rules instead of being
+ * picked by hand.
+ *
+ * Older records have no punches; `checkIn` / `checkOut` are read as a
+ * single in/out pair, and records with neither keep their marked status.
+ */
+
+import { getShiftDay, getShiftWindow } from './shifts';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const PUNCH_TYPES = {
+  CHECK_IN: 'CHECK_IN',
+  CHECK_OUT: 'CHECK_OUT',
+  BREAK_START: 'BREAK_START',
+  BREAK_END: 'BREAK_END',
+};
+
+export const PUNCH_LABELS = {
+  [PUNCH_TYPES.CHECK_IN]: 'Check in',
+  [PUNCH_TYPES.CHECK_OUT]: 'Check out',
+  [PUNCH_TYPES.BREAK_START]: 'Start break',
+  [PUNCH_TYPES.BREAK_END]: 'End break',
+};
+
+/**
+ * Rules used when an employee has no shift of their own
+ */
+export const DEFAULT_SHIFT_RULES = {
+  startTime: '09:00',
+  endTime: '18:00',
+  graceMinutes: 10, // arriving later than start + grace is LATE
+  standardMinutes: 480, // worked time beyond this is overtime
+  minFullDayMinutes: 360, // a closed day with less worked time is HALF_DAY
+  weeklyOffs: [0], // days (0 = Sunday) off; all time worked on them is overtime
+};
+
+// Who is where after each punch
+const STATE = {
+  OUT: 'out',
+  WORKING: 'working',
+  ON_BREAK: 'on_break',
+};
+
+// ============================================
+// PUNCHES
+// ============================================
+
+const toPunch = (punch) => ({
+  type: punch.type || punch.punchType,
+  time: punch.time || punch.markedAt || punch.timestamp,
+  queued: !!punch.queued,
+});
+
+/**
+ * Read a day's punches from an attendance record, oldest first
+ * @param {object} record - Attendance record
+ * @returns {Array} [{ type, time, queued }]
+ */
+export const getPunches = (record) => {
+  let punches = [];
+
+  if (Array.isArray(record?.punches)) {
+    punches = record.punches.map(toPunch);
+  } else if (record?.checkIn) {
+    punches = [{ type: PUNCH_TYPES.CHECK_IN, time: record.checkIn }];
+    if (record.checkOut) {
+      punches.push({ type: PUNCH_TYPES.CHECK_OUT, time: record.checkOut });
+    }
+  }
+
+  return punches
+    .filter(p => PUNCH_TYPES[p.type] && !isNaN(new Date(p.time).getTime()))
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+};
+
+const minutesBetween = (from, to) =>
+  Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+
+/**
+ * Walk the punches and add up work and break time.
+ * Punches that make no sense in the current state (a second check-in,
+ * a break end without a break) are ignored rather than guessed at.
+ * @param {Array} punches - Sorted punches
+ * @param {Date} now - End of an open segment (defaults to now)
+ * @returns {object} { state, workedMinutes, breakMinutes, firstIn, lastOut }
+ */
+const walkPunches = (punches, now = new Date()) => {
+  let state = STATE.OUT;
+  let segmentStart = null;
+  let workedMinutes = 0;
+  let breakMinutes = 0;
+  let firstIn = null;
+  let lastOut = null;
+
+  punches.forEach(({ type, time }) => {
+    if (type === PUNCH_TYPES.CHECK_IN && state === STATE.OUT) {
+      firstIn = firstIn || time;
+      state = STATE.WORKING;
+      segmentStart = time;
+    } else if (type === PUNCH_TYPES.BREAK_START && state === STATE.WORKING) {
+      workedMinutes += minutesBetween(segmentStart, time);
+      state = STATE.ON_BREAK;
+      segmentStart = time;
+    } else if (type === PUNCH_TYPES.BREAK_END && state === STATE.ON_BREAK) {
+      breakMinutes += minutesBetween(segmentStart, time);
+      state = STATE.WORKING;
+      segmentStart = time;
+    } else if (type === PUNCH_TYPES.CHECK_OUT && state !== STATE.OUT) {
+      if (state === STATE.WORKING) {
+        workedMinutes += minutesBetween(segmentStart, time);
+      } else {
+        breakMinutes += minutesBetween(segmentStart, time);
+      }
+      state = STATE.OUT;
+      lastOut = time;
+    }
+  });
+
+  // Still in: the open segment runs until `now`
+  if (state === STATE.WORKING && segmentStart) {
+    workedMinutes += minutesBetween(segmentStart, now);
+  } else if (state === STATE.ON_BREAK && segmentStart) {
+    breakMinutes += minutesBetween(segmentStart, now);
+  }
+
+  return { state, workedMinutes, breakMinutes, firstIn, lastOut };
+};
+
+/**
+ * The punch a person most likely wants next
+ * @param {Array} punches - Sorted punches for today
+ * @returns {string} One of PUNCH_TYPES
+ */
+export const getNextPunchType = (punches) => {
+  const { state } = walkPunches(punches);
+  if (state === STATE.WORKING) return PUNCH_TYPES.CHECK_OUT;
+  if (state === STATE.ON_BREAK) return PUNCH_TYPES.BREAK_END;
+  return PUNCH_TYPES.CHECK_IN;
+};
+
+// ============================================
+// DAY SUMMARY
+// ============================================
+
+// A shift time ("09:30") on the same calendar day as `date`
+const atTimeOfDay = (date, time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes || 0, 0, 0);
+  return result;
+};
+
+/**
+ * Summarise one attendance record
+ * @param {object} record - Attendance record
+ * @param {object} rules - Shift rules (see DEFAULT_SHIFT_RULES)
+ * @returns {object} {
+ *   punches, workedMinutes, breakMinutes, overtimeMinutes, lateMinutes,
+ *   firstIn, lastOut, isOpen, onBreak, weeklyOff, status
+ * }
+ */
+export const summarizeDay = (record, rules = DEFAULT_SHIFT_RULES) => {
+  const shift = { ...DEFAULT_SHIFT_RULES, ...rules };
+  const punches = getPunches(record);
+
+  // A past day left open has no known end, so its open segment counts as zero.
+  // Night shifts run into the next morning, and one checked into after
+  // midnight belongs to the day it started on.
+  const firstPunch = punches[0]?.time || new Date();
+  const isNightShift = shift.endTime <= shift.startTime;
+  const shiftDay = getShiftDay(shift, firstPunch);
+  const shiftWindow = getShiftWindow(shift, shiftDay);
+  const dayEnd = isNightShift ? shiftWindow.end : atTimeOfDay(shiftDay, '23:59');
+  const now = new Date() < dayEnd ? new Date() : punches[punches.length - 1]?.time;
+  const walk = walkPunches(punches, now);
+
+  const weeklyOff = shift.weeklyOffs.includes(shiftDay.getDay());
+  const standardMinutes = weeklyOff ? 0 : shift.standardMinutes;
+  const lateMinutes = walk.firstIn && !weeklyOff
+    ? minutesBetween(shiftWindow.start, walk.firstIn)
+    : 0;
+  const isOpen = walk.state !== STATE.OUT;
+
+  let status = record?.status || null;
+  if (walk.firstIn) {
+    if (!isOpen && !weeklyOff && walk.workedMinutes < shift.minFullDayMinutes) {
+      status = 'HALF_DAY';
+    } else if (lateMinutes > shift.graceMinutes) {
+      status = 'LATE';
+    } else {
+      status = 'PRESENT';
+    }
+  }
+
+  return {
+    punches,
+    workedMinutes: walk.workedMinutes,
+    breakMinutes: walk.breakMinutes,
+    overtimeMinutes: Math.max(0, walk.workedMinutes - standardMinutes),
+    lateMinutes,
+    firstIn: walk.firstIn,
+    lastOut: walk.lastOut,
+    isOpen,
+    onBreak: walk.state === STATE.ON_BREAK,
+    weeklyOff,
+    status,
+  };
+};
+
+/**
+ * Add up worked time and overtime over several days
+ * @param {Array} records - Attendance records
+ * @param {object} rules - Shift rules
+ * @returns {object} { workedMinutes, overtimeMinutes, daysWithPunches }
+ */
+export const summarizeDays = (records = [], rules = DEFAULT_SHIFT_RULES) =>
+  records.reduce(
+    (totals, record) => {
+      const day = summarizeDay(record, rules);
+      if (day.punches.length === 0) return totals;
+      return {
+        workedMinutes: totals.workedMinutes + day.workedMinutes,
+        overtimeMinutes: totals.overtimeMinutes + day.overtimeMinutes,
+        daysWithPunches: totals.daysWithPunches + 1,
+      };
+    },
+    { workedMinutes: 0, overtimeMinutes: 0, daysWithPunches: 0 }
+  );
+
+/**
+ * Format minutes as "7h 45m"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const formatDuration = (minutes) => {
+  const total = Math.max(0, Math.round(minutes || 0));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+export default {
+  PUNCH_TYPES,
+  PUNCH_LABELS,
+  DEFAULT_SHIFT_RULES,
+  getPunches,
+  getNextPunchType,
+  summarizeDay,
+  summarizeDays,
+  formatDuration,
+};
@@ -7,6 +7,11 @@
  * @returns {string} User-friendly error message
  */
 export const handleAPIError = (error) => {
+  // Blocked on the device before any request was sent
+  if (error.name === 'PermissionError') {
+    return error.message;
+  }
+
   // Handle network errors
   if (!error.response) {
     if (error.code === 'ECONNABORTED') {
@@ -57,6 +62,33 @@ export const handleAPIError = (error) => {
   }
 };
 
+/**
+ * Extract per-field validation errors from the backend
+ * Accepts both `errors: [{ field, message }]` and `errors: { field: message }`
+ * 
+ * @param {Object} error - Error object with validation details
+ * @returns {Object} Map of field name to message (empty if none)
+ */
+export const getFieldErrors = (error) => {
+  const errors = error?.response?.data?.errors;
+  const fieldErrors = {};
+
+  if (Array.isArray(errors)) {
+    errors.forEach(err => {
+      const field = err?.field || err?.path || err?.param;
+      if (field) {
+        fieldErrors[field] = err.message || err.msg || String(err);
+      }
+    });
+  } else if (errors && typeof errors === 'object') {
+    Object.entries(errors).forEach(([field, message]) => {
+      fieldErrors[field] = typeof message === 'object' ? message?.message : message;
+    });
+  }
+
+  return fieldErrors;
+};
+
 /**
  * Handle validation errors from the backend
  * 
@@ -74,7 +106,7 @@ export const handleValidationError = (error) => {
     
     // If errors is an object with field keys
     if (typeof errors === 'object') {
-      return Object.entries(errors)
+      return Object.entries(getFieldErrors(error))
         .map(([field, message]) => `${field}: ${message}`)
         .join('\n');
     }
@@ -83,6 +115,26 @@ export const handleValidationError = (error) => {
   return handleAPIError(error);
 };
 
+/**
+ * Check whether an error means the server could not be reached at all
+ * (no signal, timeout, DNS failure) rather than a rejected request
+ * 
+ * @param {Error} error - The error object from axios
+ * @returns {boolean} True if the request never got a response
+ */
+export const isNetworkError = (error) =>
+  !!error && !error.response && error.name !== 'PermissionError';
+
+/**
+ * Check whether an error means the user is not allowed to do something,
+ * either blocked locally or rejected by the server with a 403
+ * 
+ * @param {Error} error - The error object
+ * @returns {boolean} True for permission errors
+ */
+export const isAccessDenied = (error) =>
+  !!error && (error.name === 'PermissionError' || error.response?.status === 403);
+
 /**
  * Log error for debugging purposes
  * 
@@ -100,6 +152,9 @@ export const logError = (context, error) => {
 
 export default {
   handleAPIError,
+  getFieldErrors,
   handleValidationError,
+  isNetworkError,
+  isAccessDenied,
   logError,
 };
\ No newline at end of file